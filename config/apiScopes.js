@@ -0,0 +1,21 @@
+/**
+ * API key scopes
+ * Each API key is granted a subset of these; routes that accept API keys
+ * declare the scope they require.
+ */
+const SCOPES = {
+  NEWS_READ: "news:read",
+  NEWS_WRITE: "news:write",
+  CATEGORIES_READ: "categories:read",
+  CATEGORIES_WRITE: "categories:write",
+  REGISTRATIONS_READ: "registrations:read",
+  REGISTRATIONS_WRITE: "registrations:write",
+};
+
+// All valid scope values (used for validation)
+const ALL_SCOPES = Object.values(SCOPES);
+
+module.exports = {
+  SCOPES,
+  ALL_SCOPES,
+};
@@ -0,0 +1,16 @@
+/**
+ * iCalendar feeds
+ * Feeds list the public events that haven't ended and those that ended in
+ * the last CALENDAR_PAST_DAYS days, at most CALENDAR_MAX_EVENTS of them.
+ */
+const CALENDAR_PAST_DAYS = parseInt(process.env.CALENDAR_PAST_DAYS) || 90;
+const CALENDAR_MAX_EVENTS = parseInt(process.env.CALENDAR_MAX_EVENTS) || 500;
+
+// How often calendar apps should refresh a subscribed feed (ISO 8601 duration)
+const CALENDAR_REFRESH_INTERVAL = "PT1H";
+
+module.exports = {
+  CALENDAR_PAST_DAYS,
+  CALENDAR_MAX_EVENTS,
+  CALENDAR_REFRESH_INTERVAL,
+};
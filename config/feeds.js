@@ -0,0 +1,16 @@
+/**
+ * RSS and Atom feeds
+ * Feeds list the latest public news and events, at most FEED_MAX_ITEMS of them.
+ */
+const FEED_MAX_ITEMS = parseInt(process.env.FEED_MAX_ITEMS) || 50;
+
+// Supported feed formats and their content types
+const FEED_FORMATS = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+};
+
+module.exports = {
+  FEED_MAX_ITEMS,
+  FEED_FORMATS,
+};
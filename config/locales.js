@@ -0,0 +1,45 @@
+/**
+ * Content locales
+ * The main columns of news and events and categories hold the content in
+ * DEFAULT_LOCALE; the other locales are stored as translations.
+ */
+const LOCALES = {
+  EN: "en",
+  DE: "de",
+  FR: "fr",
+  TA: "ta",
+};
+
+// All supported locale values (used for validation)
+const ALL_LOCALES = Object.values(LOCALES);
+
+/**
+ * Read a supported locale from an environment variable
+ * @param {string} value - Environment value
+ * @param {string} defaultValue - Locale to use when unset or unsupported
+ * @returns {string} Locale
+ */
+const parseLocale = (value, defaultValue) => {
+  const locale = (value || "").trim().toLowerCase();
+  return ALL_LOCALES.includes(locale) ? locale : defaultValue;
+};
+
+// Locale of the main columns
+const DEFAULT_LOCALE = parseLocale(process.env.DEFAULT_LOCALE, LOCALES.EN);
+
+// Locales tried (in order) when the requested locale has no content,
+// e.g. LOCALE_FALLBACK_CHAIN=de,en; the default locale always comes last
+const LOCALE_FALLBACK_CHAIN = [
+  ...(process.env.LOCALE_FALLBACK_CHAIN || "")
+    .split(",")
+    .map((locale) => parseLocale(locale, null))
+    .filter(Boolean),
+  DEFAULT_LOCALE,
+].filter((locale, index, chain) => chain.indexOf(locale) === index);
+
+module.exports = {
+  LOCALES,
+  ALL_LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_FALLBACK_CHAIN,
+};
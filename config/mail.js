@@ -0,0 +1,86 @@
+const nodemailer = require("nodemailer");
+const path = require("path");
+const fs = require("fs");
+const logger = require("../utils/logger");
+
+/**
+ * Mail transports (selected with MAIL_TRANSPORT):
+ * - smtp: sends through the SMTP server configured with SMTP_* variables
+ * - file: writes each message as an .eml file to MAIL_FILE_DIR (default: logs/mail)
+ * - console: logs the recipient and subject of each message (default outside
+ *   production, for local development; the message itself is not logged as
+ *   it can contain reset and verification links)
+ * In production MAIL_TRANSPORT must be set and can't be console, so messages
+ * are never silently dropped.
+ */
+const isProduction = process.env.NODE_ENV === "production";
+const MAIL_TRANSPORT =
+  process.env.MAIL_TRANSPORT || (isProduction ? null : "console");
+
+if (isProduction && (!MAIL_TRANSPORT || MAIL_TRANSPORT === "console")) {
+  throw new Error("MAIL_TRANSPORT must be smtp or file in production");
+}
+
+const MAIL_FROM = process.env.MAIL_FROM || "STCC <no-reply@tccswiss.org>";
+const mailFileDir =
+  process.env.MAIL_FILE_DIR || path.join(__dirname, "../logs/mail");
+
+let transporter = null;
+
+// Create the nodemailer transporter for the configured transport
+const createTransporter = () => {
+  switch (MAIL_TRANSPORT) {
+    case "smtp":
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || "localhost",
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? {
+              user: process.env.SMTP_USER,
+              pass: process.env.SMTP_PASSWORD,
+            }
+          : undefined,
+      });
+    case "file":
+      if (!fs.existsSync(mailFileDir)) {
+        fs.mkdirSync(mailFileDir, { recursive: true });
+      }
+      return nodemailer.createTransport({
+        streamTransport: true,
+        buffer: true,
+        newline: "unix",
+      });
+    case "console":
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown mail transport: ${MAIL_TRANSPORT}`);
+  }
+};
+
+// Helper function to send an email through the configured transport
+// Accepts { to, subject, text, html, attachments }
+const sendMail = async (message) => {
+  if (!transporter) {
+    transporter = createTransporter();
+  }
+
+  const info = await transporter.sendMail({ from: MAIL_FROM, ...message });
+
+  if (MAIL_TRANSPORT === "file") {
+    const filename = `${Date.now()}-${Math.round(Math.random() * 1e9)}.eml`;
+    const filePath = path.join(mailFileDir, filename);
+    await fs.promises.writeFile(filePath, info.message);
+    logger.info(`Email to ${message.to} written to ${filePath}`);
+  } else if (MAIL_TRANSPORT === "console") {
+    logger.info(`Email to ${message.to}: ${message.subject}`);
+  } else {
+    logger.info(`Email sent to ${message.to}: ${info.messageId}`);
+  }
+
+  return info;
+};
+
+module.exports = {
+  sendMail,
+};
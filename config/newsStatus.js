@@ -0,0 +1,42 @@
+/**
+ * Publishing lifecycle of news and events
+ * - draft: being prepared, never public
+ * - scheduled: goes live at publish_at (flipped to published by the scheduler)
+ * - published: public (until unpublish_at, if set)
+ * - archived: taken offline, kept for reference
+ */
+const NEWS_STATUS = {
+  DRAFT: "draft",
+  SCHEDULED: "scheduled",
+  PUBLISHED: "published",
+  ARCHIVED: "archived",
+};
+
+// All valid status values (used for validation and the database ENUM)
+const ALL_NEWS_STATUSES = Object.values(NEWS_STATUS);
+
+// Status of new items when none is specified (matches the old 'active' default)
+const DEFAULT_NEWS_STATUS = NEWS_STATUS.PUBLISHED;
+
+// Statuses used before the publishing lifecycle, still accepted as input
+const LEGACY_NEWS_STATUSES = {
+  active: NEWS_STATUS.PUBLISHED,
+  inactive: NEWS_STATUS.DRAFT,
+};
+
+/**
+ * Map a legacy status (active/inactive) to its lifecycle status
+ * @param {string} status - Status from the request
+ * @returns {string} Lifecycle status (unknown values are returned unchanged)
+ */
+const normalizeNewsStatus = (status) => {
+  return LEGACY_NEWS_STATUSES[status] || status;
+};
+
+module.exports = {
+  NEWS_STATUS,
+  ALL_NEWS_STATUSES,
+  DEFAULT_NEWS_STATUS,
+  LEGACY_NEWS_STATUSES,
+  normalizeNewsStatus,
+};
@@ -0,0 +1,26 @@
+/**
+ * Types of news and events items
+ * - news: an article, dated by date_time
+ * - event: happens at start_at (until end_at) at a venue, may take registrations
+ */
+const NEWS_TYPES = {
+  NEWS: "news",
+  EVENT: "event",
+};
+
+// All valid type values (used for validation and the database ENUM)
+const ALL_NEWS_TYPES = Object.values(NEWS_TYPES);
+
+// Type of new items when none is specified (and of items created before types)
+const DEFAULT_NEWS_TYPE = NEWS_TYPES.NEWS;
+
+// Timezone of events when none is specified (IANA name)
+const DEFAULT_EVENT_TIMEZONE =
+  process.env.EVENT_DEFAULT_TIMEZONE || "Europe/Zurich";
+
+module.exports = {
+  NEWS_TYPES,
+  ALL_NEWS_TYPES,
+  DEFAULT_NEWS_TYPE,
+  DEFAULT_EVENT_TIMEZONE,
+};
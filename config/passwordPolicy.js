@@ -0,0 +1,78 @@
+/**
+ * Admin password policy
+ * Configured through environment variables; the defaults match the original
+ * registration rule (6+ characters with upper case, lower case and a number).
+ */
+
+/**
+ * Read a boolean environment variable
+ * @param {string} name - Variable name
+ * @param {boolean} defaultValue - Value when the variable is not set
+ * @returns {boolean} Parsed value
+ */
+const envFlag = (name, defaultValue) => {
+  if (process.env[name] === undefined || process.env[name] === "") {
+    return defaultValue;
+  }
+  return process.env[name] === "true";
+};
+
+/**
+ * Read a non-negative integer environment variable
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Value when the variable is not set or invalid
+ * @returns {number} Parsed value (0 is kept)
+ */
+const envCount = (name, defaultValue) => {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 0 ? defaultValue : value;
+};
+
+// Get the password policy from the environment
+const getPasswordPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 6,
+  requireUppercase: envFlag("PASSWORD_REQUIRE_UPPERCASE", true),
+  requireLowercase: envFlag("PASSWORD_REQUIRE_LOWERCASE", true),
+  requireNumber: envFlag("PASSWORD_REQUIRE_NUMBER", true),
+  requireSymbol: envFlag("PASSWORD_REQUIRE_SYMBOL", false),
+  // Number of previous passwords (including the current one) that can't be
+  // reused; 0 turns the check off
+  historyCount: envCount("PASSWORD_HISTORY_COUNT", 5),
+});
+
+// Check a password against the policy
+// Returns an array of error messages (empty when the password is valid)
+const checkPasswordPolicy = (password) => {
+  const policy = getPasswordPolicy();
+  const errors = [];
+
+  if (typeof password !== "string" || password.length < policy.minLength) {
+    errors.push(
+      `Password must be at least ${policy.minLength} characters long`
+    );
+    return errors;
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push("Password must contain at least one uppercase letter");
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push("Password must contain at least one lowercase letter");
+  }
+
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push("Password must contain at least one number");
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push("Password must contain at least one special character");
+  }
+
+  return errors;
+};
+
+module.exports = {
+  getPasswordPolicy,
+  checkPasswordPolicy,
+};
@@ -0,0 +1,41 @@
+/**
+ * Event registrations (RSVP)
+ * - confirmed: has a seat (the registrant and their guests)
+ * - waitlisted: waits for seats to free up, promoted in order of registration
+ * - cancelled: cancelled by the registrant or an admin
+ */
+const REGISTRATION_STATUS = {
+  CONFIRMED: "confirmed",
+  WAITLISTED: "waitlisted",
+  CANCELLED: "cancelled",
+};
+
+// All valid status values (used for validation and the database ENUM)
+const ALL_REGISTRATION_STATUSES = Object.values(REGISTRATION_STATUS);
+
+// Types of the custom questions an event can ask registrants
+const QUESTION_TYPES = {
+  TEXT: "text",
+  TEXTAREA: "textarea",
+  SELECT: "select",
+  CHECKBOX: "checkbox",
+};
+
+// All valid question types (used for validation)
+const ALL_QUESTION_TYPES = Object.values(QUESTION_TYPES);
+
+// Most guests a registrant can bring (each guest takes a seat)
+const MAX_GUESTS_PER_REGISTRATION =
+  parseInt(process.env.REGISTRATION_MAX_GUESTS) || 5;
+
+// Most custom questions per event
+const MAX_REGISTRATION_QUESTIONS = 20;
+
+module.exports = {
+  REGISTRATION_STATUS,
+  ALL_REGISTRATION_STATUSES,
+  QUESTION_TYPES,
+  ALL_QUESTION_TYPES,
+  MAX_GUESTS_PER_REGISTRATION,
+  MAX_REGISTRATION_QUESTIONS,
+};
@@ -0,0 +1,23 @@
+/**
+ * Admin roles
+ * - super_admin: full access, including admin account management
+ * - editor: can create, update and publish content
+ * - viewer: read-only access to the admin side
+ */
+const ROLES = {
+  SUPER_ADMIN: "super_admin",
+  EDITOR: "editor",
+  VIEWER: "viewer",
+};
+
+// All valid role values (used for validation and the database ENUM)
+const ALL_ROLES = Object.values(ROLES);
+
+// Role assigned to new admins when none is specified
+const DEFAULT_ROLE = ROLES.EDITOR;
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  DEFAULT_ROLE,
+};
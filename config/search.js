@@ -0,0 +1,61 @@
+/**
+ * Site search
+ * Result types of GET /api/search:
+ * - news, event: public news and events items of that type
+ * - category: active categories
+ */
+const SEARCH_TYPES = {
+  NEWS: "news",
+  EVENT: "event",
+  CATEGORY: "category",
+};
+
+// All valid result types (used for validation)
+const ALL_SEARCH_TYPES = Object.values(SEARCH_TYPES);
+
+// Words of a search beyond this number are ignored
+const MAX_SEARCH_TERMS = 10;
+
+// Length of the highlighted snippet of a search result, in characters
+const SEARCH_SNIPPET_LENGTH = 200;
+
+// Results that can be paged through (page * limit): every page ranks all
+// results before it
+const MAX_SEARCH_RESULTS = 500;
+
+// Suggestions of each kind (titles, categories, popular searches)
+const SUGGEST_LIMIT = 5;
+
+// Time the suggestions of each kind may take; kinds that take longer are
+// left out of the response
+const SUGGEST_TIME_BUDGET_MS =
+  parseInt(process.env.SEARCH_SUGGEST_TIME_BUDGET_MS) || 150;
+
+// How long suggestions are cached (in this instance and by browsers)
+const SUGGEST_CACHE_SECONDS = 60;
+
+// Most suggestion responses cached in this instance
+const SUGGEST_CACHE_SIZE = 1000;
+
+// Different visitors (IP addresses) that must have made a search before it
+// is suggested to others (at least 1)
+const popularSearchMinClients = parseInt(
+  process.env.SEARCH_POPULAR_MIN_CLIENTS,
+  10
+);
+const POPULAR_SEARCH_MIN_CLIENTS = isNaN(popularSearchMinClients)
+  ? 3
+  : Math.max(popularSearchMinClients, 1);
+
+module.exports = {
+  SEARCH_TYPES,
+  ALL_SEARCH_TYPES,
+  MAX_SEARCH_TERMS,
+  SEARCH_SNIPPET_LENGTH,
+  MAX_SEARCH_RESULTS,
+  SUGGEST_LIMIT,
+  SUGGEST_TIME_BUDGET_MS,
+  SUGGEST_CACHE_SECONDS,
+  SUGGEST_CACHE_SIZE,
+  POPULAR_SEARCH_MIN_CLIENTS,
+};
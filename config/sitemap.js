@@ -0,0 +1,10 @@
+/**
+ * XML sitemap
+ * A sitemap lists at most 50,000 URLs (sitemaps.org protocol); past that,
+ * /api/sitemap.xml is a sitemap index of numbered sitemaps.
+ */
+const SITEMAP_MAX_URLS = 50000;
+
+module.exports = {
+  SITEMAP_MAX_URLS,
+};
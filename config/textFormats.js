@@ -0,0 +1,32 @@
+/**
+ * Formats of rich-text fields (e.g. the news and events description)
+ * - plain: plain text, line breaks are kept
+ * - markdown: Markdown (may contain HTML)
+ * - html: HTML
+ * Markdown and HTML are sanitized against an allow-list (see utils/richText.js).
+ */
+const TEXT_FORMATS = {
+  PLAIN: "plain",
+  MARKDOWN: "markdown",
+  HTML: "html",
+};
+
+// All valid format values (used for validation and the database ENUM)
+const ALL_TEXT_FORMATS = Object.values(TEXT_FORMATS);
+
+// Format when none is specified (matches descriptions written before rich text)
+const DEFAULT_TEXT_FORMAT = TEXT_FORMATS.PLAIN;
+
+// Maximum length of a rich-text source
+const MAX_RICH_TEXT_LENGTH = 100000;
+
+// Maximum length of the plain-text excerpt
+const EXCERPT_LENGTH = 300;
+
+module.exports = {
+  TEXT_FORMATS,
+  ALL_TEXT_FORMATS,
+  DEFAULT_TEXT_FORMAT,
+  MAX_RICH_TEXT_LENGTH,
+  EXCERPT_LENGTH,
+};
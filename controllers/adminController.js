@@ -1,40 +1,64 @@
 const Admin = require("../models/Admin");
-const jwt = require("jsonwebtoken");
+const AdminInvitation = require("../models/AdminInvitation");
+const AdminSession = require("../models/AdminSession");
+const PasswordResetToken = require("../models/PasswordResetToken");
+const EmailChangeToken = require("../models/EmailChangeToken");
 const logger = require("../utils/logger");
 const { formatResponse } = require("../utils/helpers");
-
-/**
- * Generate JWT token
- * @param {object} admin - Admin object
- * @returns {string} JWT token
- */
-const generateToken = (admin) => {
-  return jwt.sign(
-    {
-      id: admin.id,
-      email: admin.email,
-      name: admin.name,
-      type: "admin",
-    },
-    process.env.JWT_SECRET || "your-secret-key",
-    {
-      expiresIn: process.env.JWT_EXPIRES_IN || "24h",
-    }
-  );
-};
+const { ROLES } = require("../config/roles");
+const { getPasswordPolicy } = require("../config/passwordPolicy");
+const { sendMail } = require("../config/mail");
+const {
+  passwordResetEmail,
+  emailChangeVerificationEmail,
+  emailChangedNoticeEmail,
+} = require("../utils/emailTemplates");
+const {
+  generateToken,
+  issueTokens,
+  generateChallengeToken,
+} = require("../utils/authTokens");
+const {
+  checkLockout,
+  applyProgressiveDelay,
+  recordAttempt,
+  recordFailure,
+  recordSuccess,
+} = require("../utils/loginProtection");
 
 /**
  * Admin login
  * POST /api/admin/login
+ * When 2FA is enabled, returns a challenge token for POST /api/admin/login/2fa
+ * instead of access tokens.
  */
 module.exports.login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
+    // Brute-force protection: refuse locked emails/IPs, slow down guessing
+    const lockout = await checkLockout(email, req.ip);
+
+    if (lockout.locked) {
+      await recordAttempt(req, email, false, "locked");
+      res.set("Retry-After", String(lockout.retryAfterSeconds));
+      return res
+        .status(429)
+        .json(
+          formatResponse(
+            false,
+            "Too many failed login attempts. Please try again later"
+          )
+        );
+    }
+
+    await applyProgressiveDelay(lockout.failedCount);
+
     // Find admin by email
     const admin = await Admin.findByEmail(email);
 
     if (!admin) {
+      await recordFailure(req, email, "unknown_email");
       return res
         .status(401)
         .json(formatResponse(false, "Invalid email or password"));
@@ -47,23 +71,50 @@ module.exports.login = async (req, res, next) => {
     );
 
     if (!isPasswordValid) {
+      await recordFailure(req, email, "invalid_password");
       return res
         .status(401)
         .json(formatResponse(false, "Invalid email or password"));
     }
 
-    // Generate token
-    const token = generateToken(admin);
+    if (!admin.is_active) {
+      await recordAttempt(req, email, false, "account_deactivated");
+      return res
+        .status(403)
+        .json(formatResponse(false, "This account has been deactivated"));
+    }
+
+    // With 2FA enabled, the password only unlocks the second login step
+    if (admin.two_factor_enabled) {
+      logger.info(`Admin password verified, two-factor required: ${email}`);
+
+      return res.json(
+        formatResponse(true, "Two-factor authentication required", {
+          twoFactorRequired: true,
+          challenge_token: generateChallengeToken(admin),
+        })
+      );
+    }
+
+    await recordSuccess(req, email);
+
+    // Generate tokens
+    const tokens = await issueTokens(admin, req);
 
-    // Remove password from response
-    const { password: _, ...adminWithoutPassword } = admin;
+    // Remove password and two-factor secrets from response
+    const {
+      password: _,
+      two_factor_secret: __,
+      two_factor_last_step: ___,
+      ...adminWithoutPassword
+    } = admin;
 
     logger.info(`Admin logged in: ${email}`);
 
     res.json(
       formatResponse(true, "Login successful", {
         admin: adminWithoutPassword,
-        token,
+        ...tokens,
       })
     );
   } catch (error) {
@@ -75,10 +126,12 @@ module.exports.login = async (req, res, next) => {
 /**
  * Admin registration
  * POST /api/admin/register
+ * Requires a valid invitation token, except for the very first admin
+ * (bootstrap), who is registered as super admin.
  */
 module.exports.register = async (req, res, next) => {
   try {
-    const { email, password, name } = req.body;
+    const { email, password, name, invite_token } = req.body;
 
     // Check if admin already exists
     const existingAdmin = await Admin.findByEmail(email);
@@ -89,22 +142,269 @@ module.exports.register = async (req, res, next) => {
         .json(formatResponse(false, "Admin with this email already exists"));
     }
 
-    // Create admin
-    const admin = await Admin.create({ email, password, name });
+    let invitation = null;
+
+    // Bootstrap: the first admin can register without an invitation
+    const adminCount = await Admin.count();
+
+    if (adminCount > 0) {
+      if (!invite_token) {
+        return res
+          .status(403)
+          .json(
+            formatResponse(false, "Registration requires a valid invitation")
+          );
+      }
+
+      invitation = await AdminInvitation.findValidByToken(invite_token);
+
+      if (!invitation || invitation.email !== email) {
+        return res
+          .status(403)
+          .json(formatResponse(false, "Invalid or expired invitation"));
+      }
+    }
+
+    // Create admin (the first one only if no other admin registered meanwhile)
+    const admin = invitation
+      ? await Admin.create({ email, password, name, role: invitation.role })
+      : await Admin.createFirst({ email, password, name });
+
+    if (!admin) {
+      return res
+        .status(403)
+        .json(
+          formatResponse(false, "Registration requires a valid invitation")
+        );
+    }
+
+    if (invitation) {
+      await AdminInvitation.markAccepted(invitation.id);
+    }
 
-    // Generate token
-    const token = generateToken(admin);
+    // Generate tokens
+    const tokens = await issueTokens(admin, req);
 
-    logger.info(`Admin registered: ${email}`);
+    logger.info(
+      `Admin registered: ${email}${invitation ? "" : " (bootstrap super admin)"}`
+    );
 
     res.status(201).json(
       formatResponse(true, "Admin registered successfully", {
         admin,
-        token,
+        ...tokens,
       })
     );
   } catch (error) {
     logger.error("Registration error:", error);
+
+    // Handle duplicate email error (e.g. the same invitation used twice concurrently)
+    if (error.code === "ER_DUP_ENTRY") {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Admin with this email already exists"));
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Refresh access token
+ * POST /api/admin/refresh
+ * Rotates the refresh token: the presented token can only be used once.
+ */
+module.exports.refresh = async (req, res, next) => {
+  try {
+    const { refresh_token } = req.body;
+
+    const session = await AdminSession.findActiveByRefreshToken(refresh_token);
+
+    if (!session) {
+      // A rotated-out token being presented again means it was leaked:
+      // revoke the whole session so neither party can keep using it
+      const reusedSession = await AdminSession.findByPreviousRefreshToken(
+        refresh_token
+      );
+      if (reusedSession) {
+        await AdminSession.revoke(reusedSession.id);
+        logger.warn(
+          `Refresh token reuse detected for session ${reusedSession.id} (admin ${reusedSession.admin_id}). Session revoked.`
+        );
+      }
+
+      return res
+        .status(401)
+        .json(formatResponse(false, "Invalid or expired refresh token"));
+    }
+
+    const admin = await Admin.findById(session.admin_id);
+
+    if (!admin || !admin.is_active) {
+      await AdminSession.revoke(session.id);
+      return res
+        .status(401)
+        .json(formatResponse(false, "Invalid or expired refresh token"));
+    }
+
+    const refreshToken = await AdminSession.rotate(session.id);
+    const token = generateToken(admin, session.id);
+
+    res.json(
+      formatResponse(true, "Token refreshed successfully", {
+        token,
+        refresh_token: refreshToken,
+      })
+    );
+  } catch (error) {
+    logger.error("Refresh token error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Logout (revoke current session)
+ * POST /api/admin/logout
+ */
+module.exports.logout = async (req, res, next) => {
+  try {
+    await AdminSession.revoke(req.user.sid);
+
+    logger.info(`Admin logged out: ${req.user.id} (session ${req.user.sid})`);
+
+    res.json(formatResponse(true, "Logged out successfully"));
+  } catch (error) {
+    logger.error("Logout error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Logout from all devices (revoke all sessions of the current admin)
+ * POST /api/admin/logout-all
+ */
+module.exports.logoutAll = async (req, res, next) => {
+  try {
+    const revokedCount = await AdminSession.revokeAllForAdmin(req.user.id);
+
+    logger.info(`Admin logged out from all devices: ${req.user.id}`);
+
+    res.json(
+      formatResponse(true, "Logged out from all devices successfully", {
+        revokedSessions: revokedCount,
+      })
+    );
+  } catch (error) {
+    logger.error("Logout all error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Request a password reset link
+ * POST /api/admin/forgot-password
+ * Always responds the same way so it can't be used to discover admin emails.
+ */
+module.exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const admin = await Admin.findByEmail(email);
+
+    if (admin && admin.is_active) {
+      const expiresInMinutes =
+        parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+      const token = await PasswordResetToken.create(
+        admin.id,
+        expiresInMinutes,
+        req.ip
+      );
+
+      const adminAppUrl = process.env.ADMIN_APP_URL || "http://localhost:5173";
+      const resetUrl = `${adminAppUrl}/reset-password?token=${token}`;
+
+      try {
+        await sendMail({
+          to: admin.email,
+          ...passwordResetEmail({
+            name: admin.name,
+            resetUrl,
+            expiresInMinutes,
+          }),
+        });
+        logger.info(`Password reset email sent to admin ${admin.id}`);
+      } catch (error) {
+        logger.error("Error sending password reset email:", error);
+      }
+    } else {
+      logger.info(`Password reset requested for unknown email: ${email}`);
+    }
+
+    res.json(
+      formatResponse(
+        true,
+        "If an account with this email exists, a password reset link has been sent"
+      )
+    );
+  } catch (error) {
+    logger.error("Forgot password error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Reset password with a one-time reset token
+ * POST /api/admin/reset-password
+ * All existing sessions are revoked after the reset.
+ */
+module.exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const resetToken = await PasswordResetToken.findValidByToken(token);
+    const admin = resetToken && (await Admin.findById(resetToken.admin_id));
+
+    if (!admin) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Invalid or expired reset token"));
+    }
+
+    // Check the password before using the token, so a rejected password
+    // doesn't spend it
+    const { historyCount } = getPasswordPolicy();
+    if (await Admin.isPasswordReused(admin.id, password, historyCount)) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(
+            false,
+            `Password must not match any of your last ${historyCount} passwords`
+          )
+        );
+    }
+
+    // Mark as used before changing the password so the token can't be used
+    // twice concurrently
+    if (!(await PasswordResetToken.markUsed(resetToken.id))) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Invalid or expired reset token"));
+    }
+
+    await Admin.changePassword(admin.id, password, historyCount);
+    await AdminSession.revokeAllForAdmin(admin.id);
+
+    logger.info(`Password reset for admin ${admin.id}`);
+
+    res.json(
+      formatResponse(
+        true,
+        "Password has been reset successfully. Please log in with your new password"
+      )
+    );
+  } catch (error) {
+    logger.error("Reset password error:", error);
     next(error);
   }
 };
@@ -136,12 +436,33 @@ module.exports.getProfile = async (req, res, next) => {
 module.exports.updateProfile = async (req, res, next) => {
   try {
     const adminId = req.user.id;
-    const updateData = req.body;
+    const { name } = req.body;
+
+    // Email changes must be verified through POST /api/admin/profile/email
+    if (req.body.email !== undefined) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(
+            false,
+            "Email cannot be changed here. Use POST /api/admin/profile/email"
+          )
+        );
+    }
 
-    // Don't allow email update through this endpoint
-    delete updateData.email;
+    // Passwords must be changed through POST /api/admin/profile/password
+    if (req.body.password !== undefined) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(
+            false,
+            "Password cannot be changed here. Use POST /api/admin/profile/password"
+          )
+        );
+    }
 
-    const admin = await Admin.update(adminId, updateData);
+    const admin = await Admin.update(adminId, { name });
 
     logger.info(`Admin profile updated: ${adminId}`);
 
@@ -153,7 +474,7 @@ module.exports.updateProfile = async (req, res, next) => {
 };
 
 /**
- * Get all admins (admin only)
+ * Get all admins (super admin only)
  * GET /api/admin/all
  */
 module.exports.getAllAdmins = async (req, res, next) => {
@@ -166,3 +487,344 @@ module.exports.getAllAdmins = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Change the password of the current admin
+ * POST /api/admin/profile/password
+ * Requires the current password; all other sessions are revoked afterwards.
+ */
+module.exports.changePassword = async (req, res, next) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    const admin = await Admin.findByEmail(req.user.email);
+    const isPasswordValid =
+      admin && (await Admin.verifyPassword(current_password, admin.password));
+
+    if (!isPasswordValid) {
+      return res
+        .status(401)
+        .json(formatResponse(false, "Current password is incorrect"));
+    }
+
+    const { historyCount } = getPasswordPolicy();
+    if (await Admin.isPasswordReused(admin.id, new_password, historyCount)) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(
+            false,
+            `New password must not match any of your last ${historyCount} passwords`
+          )
+        );
+    }
+
+    await Admin.changePassword(admin.id, new_password, historyCount);
+
+    // Keep the current session, log out everywhere else
+    const revokedCount = await AdminSession.revokeAllForAdmin(
+      admin.id,
+      req.user.sid
+    );
+
+    logger.info(`Admin ${admin.id} changed their password`);
+
+    res.json(
+      formatResponse(true, "Password changed successfully", {
+        revokedSessions: revokedCount,
+      })
+    );
+  } catch (error) {
+    logger.error("Change password error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Request an email change for the current admin
+ * POST /api/admin/profile/email
+ * Sends a verification link to the new address; the email only changes
+ * once the link is confirmed.
+ */
+module.exports.requestEmailChange = async (req, res, next) => {
+  try {
+    const { new_email, password } = req.body;
+
+    const currentAdmin = await Admin.findByEmail(req.user.email);
+    const isPasswordValid =
+      currentAdmin &&
+      (await Admin.verifyPassword(password, currentAdmin.password));
+
+    if (!isPasswordValid) {
+      return res.status(401).json(formatResponse(false, "Invalid password"));
+    }
+
+    if (new_email === currentAdmin.email) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "New email is the same as the current one"));
+    }
+
+    const existingAdmin = await Admin.findByEmail(new_email);
+    if (existingAdmin) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Admin with this email already exists"));
+    }
+
+    const expiresInHours =
+      parseInt(process.env.EMAIL_CHANGE_EXPIRES_HOURS) || 24;
+    const token = await EmailChangeToken.create(
+      currentAdmin.id,
+      new_email,
+      expiresInHours
+    );
+
+    const adminAppUrl = process.env.ADMIN_APP_URL || "http://localhost:5173";
+
+    await sendMail({
+      to: new_email,
+      ...emailChangeVerificationEmail({
+        name: currentAdmin.name,
+        confirmUrl: `${adminAppUrl}/confirm-email?token=${token}`,
+        expiresInHours,
+      }),
+    });
+
+    logger.info(`Email change requested by admin ${currentAdmin.id}`);
+
+    res.json(
+      formatResponse(
+        true,
+        "A verification link has been sent to the new email address"
+      )
+    );
+  } catch (error) {
+    logger.error("Request email change error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Confirm an email change with the token from the verification link
+ * POST /api/admin/profile/email/confirm
+ */
+module.exports.confirmEmailChange = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const changeToken = await EmailChangeToken.findValidByToken(token);
+
+    if (!changeToken || !(await EmailChangeToken.markUsed(changeToken.id))) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Invalid or expired verification link"));
+    }
+
+    const admin = await Admin.findById(changeToken.admin_id);
+
+    if (!admin) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Invalid or expired verification link"));
+    }
+
+    const oldEmail = admin.email;
+    const updatedAdmin = await Admin.updateEmail(
+      admin.id,
+      changeToken.new_email
+    );
+
+    // Let the previous address know, in case the change wasn't expected
+    try {
+      await sendMail({
+        to: oldEmail,
+        ...emailChangedNoticeEmail({
+          name: admin.name,
+          newEmail: changeToken.new_email,
+        }),
+      });
+    } catch (error) {
+      logger.error("Error sending email changed notice:", error);
+    }
+
+    logger.info(`Admin ${admin.id} email changed from ${oldEmail}`);
+
+    res.json(
+      formatResponse(true, "Email changed successfully", {
+        admin: updatedAdmin,
+      })
+    );
+  } catch (error) {
+    logger.error("Confirm email change error:", error);
+
+    if (error.code === "ER_DUP_ENTRY") {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Admin with this email already exists"));
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Check whether removing super admin rights from an admin would leave
+ * no active super admin
+ * @param {object} admin - Admin object
+ * @returns {Promise<boolean>} True if admin is the last active super admin
+ */
+const isLastActiveSuperAdmin = async (admin) => {
+  if (admin.role !== ROLES.SUPER_ADMIN || !admin.is_active) {
+    return false;
+  }
+  return (await Admin.countActiveSuperAdmins()) <= 1;
+};
+
+/**
+ * Get admin by ID (super admin only)
+ * GET /api/admin/:id
+ */
+module.exports.getAdminById = async (req, res, next) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json(formatResponse(false, "Admin not found"));
+    }
+
+    res.json(formatResponse(true, "Admin retrieved successfully", { admin }));
+  } catch (error) {
+    logger.error("Get admin by ID error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Update another admin's name and role (super admin only)
+ * PUT /api/admin/:id
+ */
+module.exports.updateAdmin = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, role } = req.body;
+
+    const existingAdmin = await Admin.findById(id);
+    if (!existingAdmin) {
+      return res.status(404).json(formatResponse(false, "Admin not found"));
+    }
+
+    if (
+      role &&
+      role !== ROLES.SUPER_ADMIN &&
+      (await isLastActiveSuperAdmin(existingAdmin))
+    ) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(false, "Cannot change the role of the last super admin")
+        );
+    }
+
+    const admin = await Admin.update(id, { name, role });
+
+    logger.info(`Admin ${id} updated by admin ${req.user.id}`);
+
+    res.json(formatResponse(true, "Admin updated successfully", { admin }));
+  } catch (error) {
+    logger.error("Update admin error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Deactivate an admin (super admin only)
+ * POST /api/admin/:id/deactivate
+ * Deactivated admins can't log in and all their sessions are revoked.
+ */
+module.exports.deactivateAdmin = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingAdmin = await Admin.findById(id);
+    if (!existingAdmin) {
+      return res.status(404).json(formatResponse(false, "Admin not found"));
+    }
+
+    if (await isLastActiveSuperAdmin(existingAdmin)) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Cannot deactivate the last super admin"));
+    }
+
+    const admin = await Admin.update(id, { is_active: false });
+    await AdminSession.revokeAllForAdmin(id);
+
+    logger.info(`Admin ${id} deactivated by admin ${req.user.id}`);
+
+    res.json(formatResponse(true, "Admin deactivated successfully", { admin }));
+  } catch (error) {
+    logger.error("Deactivate admin error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Reactivate an admin (super admin only)
+ * POST /api/admin/:id/reactivate
+ */
+module.exports.reactivateAdmin = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingAdmin = await Admin.findById(id);
+    if (!existingAdmin) {
+      return res.status(404).json(formatResponse(false, "Admin not found"));
+    }
+
+    const admin = await Admin.update(id, { is_active: true });
+
+    logger.info(`Admin ${id} reactivated by admin ${req.user.id}`);
+
+    res.json(formatResponse(true, "Admin reactivated successfully", { admin }));
+  } catch (error) {
+    logger.error("Reactivate admin error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Delete an admin (super admin only)
+ * DELETE /api/admin/:id
+ */
+module.exports.deleteAdmin = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingAdmin = await Admin.findById(id);
+    if (!existingAdmin) {
+      return res.status(404).json(formatResponse(false, "Admin not found"));
+    }
+
+    if (await isLastActiveSuperAdmin(existingAdmin)) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Cannot delete the last super admin"));
+    }
+
+    const deleted = await Admin.delete(id);
+
+    if (!deleted) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Failed to delete admin"));
+    }
+
+    logger.info(`Admin ${id} deleted by admin ${req.user.id}`);
+
+    res.json(formatResponse(true, "Admin deleted successfully"));
+  } catch (error) {
+    logger.error("Delete admin error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,80 @@
+const ApiKey = require("../models/ApiKey");
+const logger = require("../utils/logger");
+const { formatResponse } = require("../utils/helpers");
+
+/**
+ * Get all API keys
+ * GET /api/admin/api-keys
+ */
+module.exports.getAllApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.findAll();
+
+    res.json(
+      formatResponse(true, "API keys retrieved successfully", { apiKeys })
+    );
+  } catch (error) {
+    logger.error("Get all API keys error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Create an API key
+ * POST /api/admin/api-keys
+ * The plain key is only returned in this response.
+ */
+module.exports.createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expires_at } = req.body;
+
+    const { apiKey, key } = await ApiKey.create({
+      name,
+      scopes: [...new Set(scopes)],
+      expires_at,
+      created_by: req.user.id,
+    });
+
+    logger.info(`API key created: ${name} by admin ${req.user.id}`);
+
+    res.status(201).json(
+      formatResponse(true, "API key created successfully", {
+        apiKey,
+        key,
+      })
+    );
+  } catch (error) {
+    logger.error("Create API key error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Revoke an API key
+ * DELETE /api/admin/api-keys/:id
+ */
+module.exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const apiKey = await ApiKey.findById(id);
+    if (!apiKey) {
+      return res.status(404).json(formatResponse(false, "API key not found"));
+    }
+
+    const revoked = await ApiKey.revoke(id);
+
+    if (!revoked) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "API key has already been revoked"));
+    }
+
+    logger.info(`API key revoked: ID ${id} by admin ${req.user.id}`);
+
+    res.json(formatResponse(true, "API key revoked successfully"));
+  } catch (error) {
+    logger.error("Revoke API key error:", error);
+    next(error);
+  }
+};
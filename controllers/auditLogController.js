@@ -0,0 +1,66 @@
+const AuditLog = require("../models/AuditLog");
+const logger = require("../utils/logger");
+const { formatResponse } = require("../utils/helpers");
+
+/**
+ * Get audit log entries
+ * GET /api/admin/audit-log
+ * Query params: page, limit, actor_id, action, entity_type, entity_id, date_from, date_to
+ */
+module.exports.getAuditLog = async (req, res, next) => {
+  try {
+    // Pagination parameters
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    // Validate pagination
+    if (page < 1) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Page must be greater than 0"));
+    }
+
+    if (limit < 1 || limit > 100) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Limit must be between 1 and 100"));
+    }
+
+    const filters = {
+      actor_id: req.query.actor_id,
+      action: req.query.action,
+      entity_type: req.query.entity_type,
+      entity_id: req.query.entity_id,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+    };
+
+    const totalCount = await AuditLog.count(filters);
+    const entries = await AuditLog.findAll({ ...filters, limit, offset });
+
+    // Calculate pagination metadata
+    const totalPages = Math.ceil(totalCount / limit);
+    const hasNext = page < totalPages;
+    const hasPrev = page > 1;
+
+    res.json(
+      formatResponse(true, "Audit log retrieved successfully", {
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages: totalPages,
+          totalItems: totalCount,
+          itemsPerPage: limit,
+          hasNext: hasNext,
+          hasPrev: hasPrev,
+          nextPage: hasNext ? page + 1 : null,
+          prevPage: hasPrev ? page - 1 : null,
+        },
+      })
+    );
+  } catch (error) {
+    logger.error("Get audit log error:", error);
+    next(error);
+  }
+};
@@ -1,6 +1,33 @@
 const Category = require("../models/Category");
+const CategoryTranslation = require("../models/CategoryTranslation");
 const logger = require("../utils/logger");
 const { formatResponse } = require("../utils/helpers");
+const {
+  getLocaleChain,
+  setLocaleHeaders,
+  localize,
+} = require("../utils/localization");
+
+/**
+ * Localize categories for a public response
+ * @param {Array} categories - Categories
+ * @param {Array<string>} chain - Locale chain (from getLocaleChain)
+ * @returns {Promise<Array>} Localized categories
+ */
+const localizeCategories = async (categories, chain) => {
+  const translations = await CategoryTranslation.findByCategoryIds(
+    categories.map((category) => category.id)
+  );
+
+  return categories.map((category) =>
+    localize(
+      category,
+      translations[category.id] || [],
+      CategoryTranslation.TRANSLATABLE_FIELDS,
+      chain
+    )
+  );
+};
 
 /**
  * Get all categories
@@ -46,6 +73,62 @@ module.exports.getCategoryById = async (req, res, next) => {
   }
 };
 
+/**
+ * Get all categories in the requested locale (public endpoint)
+ * GET /api/categories/user
+ * Query params: status, search, lang (or Accept-Language header)
+ */
+module.exports.getPublicCategories = async (req, res, next) => {
+  try {
+    const filters = {
+      status: req.query.status,
+      search: req.query.search,
+    };
+
+    const localeChain = getLocaleChain(req);
+    const categories = await localizeCategories(
+      await Category.findAll(filters),
+      localeChain
+    );
+
+    setLocaleHeaders(res, localeChain);
+    res.json(
+      formatResponse(true, "Categories retrieved successfully", { categories })
+    );
+  } catch (error) {
+    logger.error("Get public categories error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Get category by ID in the requested locale (public endpoint)
+ * GET /api/categories/user/:id
+ */
+module.exports.getPublicCategoryById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const category = await Category.findById(id);
+
+    if (!category) {
+      return res.status(404).json(formatResponse(false, "Category not found"));
+    }
+
+    const localeChain = getLocaleChain(req);
+    const [localized] = await localizeCategories([category], localeChain);
+
+    setLocaleHeaders(res, localeChain);
+    res.json(
+      formatResponse(true, "Category retrieved successfully", {
+        category: localized,
+      })
+    );
+  } catch (error) {
+    logger.error("Get public category by ID error:", error);
+    next(error);
+  }
+};
+
 /**
  * Create a new category
  * POST /api/categories
@@ -0,0 +1,88 @@
+const Category = require("../models/Category");
+const CategoryTranslation = require("../models/CategoryTranslation");
+const logger = require("../utils/logger");
+const { formatResponse } = require("../utils/helpers");
+const { DEFAULT_LOCALE } = require("../config/locales");
+
+/**
+ * Get the translations of a category
+ * GET /api/categories/:id/translations
+ */
+module.exports.getTranslations = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const category = await Category.findById(id);
+    if (!category) {
+      return res.status(404).json(formatResponse(false, "Category not found"));
+    }
+
+    const translations = await CategoryTranslation.findByCategoryId(id);
+
+    res.json(
+      formatResponse(true, "Translations retrieved successfully", {
+        defaultLocale: DEFAULT_LOCALE,
+        availableLocales: [
+          DEFAULT_LOCALE,
+          ...translations.map((translation) => translation.locale),
+        ],
+        translations,
+      })
+    );
+  } catch (error) {
+    logger.error("Get category translations error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Create or replace the translation of a category
+ * PUT /api/categories/:id/translations/:locale
+ */
+module.exports.saveTranslation = async (req, res, next) => {
+  try {
+    const { id, locale } = req.params;
+
+    const category = await Category.findById(id);
+    if (!category) {
+      return res.status(404).json(formatResponse(false, "Category not found"));
+    }
+
+    const translation = await CategoryTranslation.upsert(
+      category.id,
+      locale,
+      req.body
+    );
+
+    res.json(
+      formatResponse(true, "Translation saved successfully", { translation })
+    );
+  } catch (error) {
+    logger.error("Save category translation error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Delete the translation of a category
+ * DELETE /api/categories/:id/translations/:locale
+ */
+module.exports.deleteTranslation = async (req, res, next) => {
+  try {
+    const { id, locale } = req.params;
+
+    const deleted = await CategoryTranslation.delete(id, locale);
+    if (!deleted) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "Translation not found"));
+    }
+
+    logger.info(`Translation deleted for category ${id}: ${locale}`);
+
+    res.json(formatResponse(true, "Translation deleted successfully"));
+  } catch (error) {
+    logger.error("Delete category translation error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,255 @@
+const NewsAndEvents = require("../models/NewsAndEvents");
+const EventRegistration = require("../models/EventRegistration");
+const logger = require("../utils/logger");
+const { formatResponse } = require("../utils/helpers");
+const { REGISTRATION_STATUS } = require("../config/registrations");
+const { getSeats } = require("../utils/registrations");
+const { verifyTicketCode } = require("../utils/tickets");
+
+/**
+ * Find the registration of a scanned ticket
+ * Sends the error response itself when the code is invalid or the ticket
+ * belongs to another event.
+ * @param {object} req - Express request (params id and code)
+ * @param {object} res - Express response
+ * @returns {Promise<object|null>} Registration or null
+ */
+const findTicket = async (req, res) => {
+  const registrationId = verifyTicketCode(req.params.code);
+  const registration = registrationId
+    ? await EventRegistration.findById(registrationId)
+    : null;
+
+  if (!registration) {
+    res.status(404).json(formatResponse(false, "Invalid ticket"));
+    return null;
+  }
+
+  if (registration.news_and_events_id !== parseInt(req.params.id, 10)) {
+    res
+      .status(409)
+      .json(
+        formatResponse(
+          false,
+          `This ticket is for another event: ${registration.event_title}`
+        )
+      );
+    return null;
+  }
+
+  return registration;
+};
+
+/**
+ * Describe a ticket for the door staff
+ * @param {object} registration - Registration of the ticket
+ * @returns {object} Ticket
+ */
+const toTicket = (registration) => ({
+  registration_id: registration.id,
+  event_title: registration.event_title,
+  occurrence_start: registration.occurrence_start,
+  name: registration.name,
+  email: registration.email,
+  company: registration.company,
+  guests: registration.guests,
+  seats: getSeats(registration),
+  status: registration.status,
+  notes: registration.notes,
+  checked_in: Boolean(registration.checked_in_at),
+  checked_in_at: registration.checked_in_at,
+  checked_in_by_name: registration.checked_in_by_name,
+});
+
+/**
+ * Why a ticket can't be checked in
+ * @param {object} registration - Registration of the ticket
+ * @param {string} [occurrenceStart] - Occurrence being checked in (recurring events)
+ * @returns {string|null} Error message, or null if it can be checked in
+ */
+const getCheckInError = (registration, occurrenceStart) => {
+  if (registration.status === REGISTRATION_STATUS.CANCELLED) {
+    return "This registration is cancelled";
+  }
+  if (registration.status === REGISTRATION_STATUS.WAITLISTED) {
+    return "This registration is on the waitlist";
+  }
+  if (
+    occurrenceStart &&
+    registration.occurrence_start &&
+    new Date(occurrenceStart).getTime() !==
+      new Date(registration.occurrence_start).getTime()
+  ) {
+    return `This ticket is for the occurrence of ${new Date(
+      registration.occurrence_start
+    ).toISOString()}`;
+  }
+  if (registration.checked_in_at) {
+    return `Already checked in at ${new Date(
+      registration.checked_in_at
+    ).toISOString()}${
+      registration.checked_in_by_name
+        ? ` by ${registration.checked_in_by_name}`
+        : ""
+    }`;
+  }
+  return null;
+};
+
+/**
+ * Look up a ticket (e.g. scanned before checking in)
+ * GET /api/news-and-events/:id/tickets/:code
+ */
+module.exports.lookupTicket = async (req, res, next) => {
+  try {
+    const registration = await findTicket(req, res);
+    if (!registration) {
+      return;
+    }
+
+    const checkInError = getCheckInError(
+      registration,
+      req.query.occurrence_start
+    );
+
+    res.set("Cache-Control", "no-store");
+    res.json(
+      formatResponse(true, checkInError || "Ticket is valid", {
+        ticket: toTicket(registration),
+        canCheckIn: !checkInError,
+      })
+    );
+  } catch (error) {
+    logger.error("Lookup ticket error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Check in the registrant of a ticket (and their guests)
+ * POST /api/news-and-events/:id/tickets/:code/check-in
+ * Body: occurrence_start (recurring events, optional: rejects tickets for
+ * other occurrences). A ticket can only be checked in once.
+ */
+module.exports.checkIn = async (req, res, next) => {
+  try {
+    const registration = await findTicket(req, res);
+    if (!registration) {
+      return;
+    }
+
+    const checkInError = getCheckInError(
+      registration,
+      req.body.occurrence_start
+    );
+    if (checkInError) {
+      return res.status(409).json(
+        formatResponse(false, checkInError, {
+          ticket: toTicket(registration),
+        })
+      );
+    }
+
+    // Another scan may have checked the ticket in since it was loaded
+    const checkedIn = await EventRegistration.checkIn(
+      registration.id,
+      req.user.id
+    );
+    const current = await EventRegistration.findById(registration.id);
+    if (!checkedIn) {
+      return res.status(409).json(
+        formatResponse(false, getCheckInError(current) || "Check-in failed", {
+          ticket: toTicket(current),
+        })
+      );
+    }
+
+    res.json(
+      formatResponse(true, "Checked in successfully", {
+        ticket: toTicket(current),
+      })
+    );
+  } catch (error) {
+    logger.error("Check in error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Undo the check-in of a ticket (e.g. scanned by mistake)
+ * DELETE /api/news-and-events/:id/tickets/:code/check-in
+ */
+module.exports.undoCheckIn = async (req, res, next) => {
+  try {
+    const registration = await findTicket(req, res);
+    if (!registration) {
+      return;
+    }
+
+    const undone = await EventRegistration.undoCheckIn(registration.id);
+    if (!undone) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "Ticket is not checked in"));
+    }
+
+    logger.info(`Check-in of registration ${registration.id} undone`);
+
+    res.json(
+      formatResponse(true, "Check-in undone successfully", {
+        ticket: toTicket(await EventRegistration.findById(registration.id)),
+      })
+    );
+  } catch (error) {
+    logger.error("Undo check in error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Get the live attendance of an event, per occurrence
+ * GET /api/news-and-events/:id/attendance
+ * Query params: occurrence_start (recurring events, optional)
+ */
+module.exports.getAttendance = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const newsAndEvents = await NewsAndEvents.findById(id);
+    if (!newsAndEvents) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "News and events not found"));
+    }
+
+    let summary = await EventRegistration.getSummary(id);
+    if (req.query.occurrence_start) {
+      const occurrenceStart = new Date(req.query.occurrence_start).getTime();
+      summary = summary.filter(
+        (row) =>
+          row.occurrence_start &&
+          new Date(row.occurrence_start).getTime() === occurrenceStart
+      );
+    }
+
+    const attendance = summary.map((row) => ({
+      occurrence_start: row.occurrence_start,
+      confirmed: row.confirmed,
+      confirmed_seats: row.confirmed_seats,
+      checked_in: row.checked_in,
+      checked_in_seats: row.checked_in_seats,
+      expected_seats: row.confirmed_seats - row.checked_in_seats,
+    }));
+
+    res.set("Cache-Control", "no-store");
+    res.json(
+      formatResponse(true, "Attendance retrieved successfully", {
+        capacity: newsAndEvents.capacity,
+        attendance,
+      })
+    );
+  } catch (error) {
+    logger.error("Get attendance error:", error);
+    next(error);
+  }
+};
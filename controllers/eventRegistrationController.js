@@ -0,0 +1,577 @@
+const NewsAndEvents = require("../models/NewsAndEvents");
+const NewsAndEventsOccurrence = require("../models/NewsAndEventsOccurrence");
+const EventRegistration = require("../models/EventRegistration");
+const logger = require("../utils/logger");
+const { formatResponse } = require("../utils/helpers");
+const { NEWS_TYPES } = require("../config/newsTypes");
+const { REGISTRATION_STATUS } = require("../config/registrations");
+const { isOccurrence } = require("../utils/recurrence");
+const { verifyRegistrationToken } = require("../utils/registrationTokens");
+const {
+  TICKET_FORMATS,
+  generateTicketCode,
+  renderTicketQr,
+} = require("../utils/tickets");
+const {
+  normalizeQuestions,
+  checkAnswers,
+  getSeats,
+  notifyRegistrant,
+  notifyPromoted,
+} = require("../utils/registrations");
+
+/**
+ * Check whether an event (occurrence) takes registrations right now
+ * Registration closes at the registration_deadline, or when the event
+ * starts. For recurring events it closes when the occurrence starts.
+ * @param {object} event - Event
+ * @param {string} [occurrenceStart] - Original start of the occurrence (recurring events)
+ * @returns {Promise<string|null>} Error message, or null if open
+ */
+const getRegistrationError = async (event, occurrenceStart) => {
+  if (event.type !== NEWS_TYPES.EVENT || !event.registration_enabled) {
+    return "This event does not take registrations";
+  }
+  if (event.cancelled) {
+    return "This event is cancelled";
+  }
+
+  let closesAt = event.registration_deadline || event.start_at;
+  if (event.recurrence_rule) {
+    if (!occurrenceStart) {
+      return "occurrence_start is required for recurring events";
+    }
+
+    const start = new Date(occurrenceStart);
+    if (!isOccurrence(event, start)) {
+      return "The event has no occurrence at occurrence_start";
+    }
+
+    const override = await NewsAndEventsOccurrence.findOne(
+      event.id,
+      start.toISOString()
+    );
+    if (override && override.cancelled) {
+      return "This occurrence of the event is cancelled";
+    }
+    closesAt = override && override.start_at ? override.start_at : start;
+  }
+
+  if (new Date(closesAt) <= new Date()) {
+    return "Registration for this event is closed";
+  }
+  return null;
+};
+
+/**
+ * Get the ticket code of a registration
+ * @param {object} registration - Registration
+ * @returns {string|null} Ticket code, or null if not confirmed
+ */
+const getTicketCode = (registration) =>
+  registration.status === REGISTRATION_STATUS.CONFIRMED
+    ? generateTicketCode(registration)
+    : null;
+
+/**
+ * Registration as shown to the registrant (public endpoints)
+ * @param {object} registration - Registration
+ * @returns {Promise<object>} Public registration
+ */
+const toPublicRegistration = async (registration) => ({
+  id: registration.id,
+  news_and_events_id: registration.news_and_events_id,
+  event_title: registration.event_title,
+  occurrence_start: registration.occurrence_start,
+  name: registration.name,
+  email: registration.email,
+  company: registration.company,
+  guests: registration.guests,
+  status: registration.status,
+  waitlist_position: await EventRegistration.getWaitlistPosition(registration),
+  created_at: registration.created_at,
+  ticket_code: getTicketCode(registration),
+  checked_in_at: registration.checked_in_at,
+});
+
+/**
+ * Parse the answers of a registration (JSON columns may be returned as text)
+ * @param {object|string|null} answers - Stored answers
+ * @returns {object} Answers keyed by question key
+ */
+const parseAnswers = (answers) =>
+  (typeof answers === "string" ? JSON.parse(answers) : answers) || {};
+
+/**
+ * Format a value as a CSV cell
+ * Cells that a spreadsheet would run as a formula are prefixed with '.
+ * @param {*} value - Value
+ * @returns {string} CSV cell
+ */
+const toCsvCell = (value) => {
+  let text =
+    value === null || value === undefined
+      ? ""
+      : value instanceof Date
+        ? value.toISOString()
+        : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Register for an event (public endpoint)
+ * POST /api/news-and-events/public/:id/registrations
+ * Body: name, email, company, guests, answers (custom questions, keyed by
+ * question key), occurrence_start (recurring events only)
+ */
+module.exports.register = async (req, res, next) => {
+  try {
+    const event = await NewsAndEvents.findVisibleById(req.params.id);
+    if (!event) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "News and events not found"));
+    }
+
+    const registrationError = await getRegistrationError(
+      event,
+      req.body.occurrence_start
+    );
+    if (registrationError) {
+      return res.status(400).json(formatResponse(false, registrationError));
+    }
+
+    const { answers, error: answersError } = checkAnswers(
+      normalizeQuestions(event.registration_questions),
+      req.body.answers
+    );
+    if (answersError) {
+      return res.status(400).json(formatResponse(false, answersError));
+    }
+
+    const { name, email, company, guests } = req.body;
+
+    const registration = await EventRegistration.register({
+      news_and_events_id: event.id,
+      occurrence_start: event.recurrence_rule
+        ? new Date(req.body.occurrence_start).toISOString()
+        : null,
+      name,
+      email,
+      company,
+      guests,
+      answers,
+    });
+
+    if (!registration) {
+      return res
+        .status(409)
+        .json(
+          formatResponse(
+            false,
+            "This email address is already registered for this event"
+          )
+        );
+    }
+
+    await notifyRegistrant(
+      "registrationConfirmationEmail",
+      registration,
+      event
+    );
+
+    res
+      .status(201)
+      .json(
+        formatResponse(
+          true,
+          registration.status === REGISTRATION_STATUS.CONFIRMED
+            ? "Registration confirmed"
+            : "The event is fully booked, you have been added to the waitlist",
+          { registration: await toPublicRegistration(registration) }
+        )
+      );
+  } catch (error) {
+    logger.error("Register for event error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Get a registration by the token of its cancellation link (public endpoint)
+ * GET /api/news-and-events/public/registrations/:token
+ */
+module.exports.getRegistrationByToken = async (req, res, next) => {
+  try {
+    const registrationId = verifyRegistrationToken(req.params.token);
+    const registration = registrationId
+      ? await EventRegistration.findById(registrationId)
+      : null;
+
+    if (!registration) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "Invalid registration link"));
+    }
+
+    res.set("Cache-Control", "no-store");
+    res.json(
+      formatResponse(true, "Registration retrieved successfully", {
+        registration: await toPublicRegistration(registration),
+      })
+    );
+  } catch (error) {
+    logger.error("Get registration by token error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Get the ticket of a registration as a QR code (public endpoint)
+ * GET /api/news-and-events/public/registrations/:token/ticket.png
+ * GET /api/news-and-events/public/registrations/:token/ticket.svg
+ * Only confirmed registrations have a ticket.
+ */
+module.exports.getTicketByToken = async (req, res, next) => {
+  try {
+    const { format } = req.params;
+    if (!TICKET_FORMATS[format]) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "Ticket format must be png or svg"));
+    }
+
+    const registrationId = verifyRegistrationToken(req.params.token);
+    const registration = registrationId
+      ? await EventRegistration.findById(registrationId)
+      : null;
+
+    if (!registration) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "Invalid registration link"));
+    }
+
+    const ticketCode = getTicketCode(registration);
+    if (!ticketCode) {
+      return res
+        .status(409)
+        .json(
+          formatResponse(false, "Only confirmed registrations have a ticket")
+        );
+    }
+
+    res.set("Content-Type", TICKET_FORMATS[format]);
+    res.set("Cache-Control", "no-store");
+    res.send(await renderTicketQr(ticketCode, format));
+  } catch (error) {
+    logger.error("Get ticket by token error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Cancel a registration with the token of its cancellation link (public endpoint)
+ * POST /api/news-and-events/public/registrations/:token/cancel
+ * Freed seats go to the waitlist.
+ */
+module.exports.cancelRegistrationByToken = async (req, res, next) => {
+  try {
+    const registrationId = verifyRegistrationToken(req.params.token);
+    if (!registrationId) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "Invalid registration link"));
+    }
+
+    const result = await EventRegistration.cancel(registrationId);
+    if (!result) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(false, "Registration not found or already cancelled")
+        );
+    }
+
+    const event = await NewsAndEvents.findById(
+      result.registration.news_and_events_id
+    );
+    await notifyRegistrant(
+      "registrationCancelledEmail",
+      result.registration,
+      event
+    );
+    await notifyPromoted(result.promoted, event);
+
+    res.json(
+      formatResponse(true, "Registration cancelled successfully", {
+        registration: await toPublicRegistration(result.registration),
+      })
+    );
+  } catch (error) {
+    logger.error("Cancel registration by token error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Get the registrations of an event
+ * GET /api/news-and-events/:id/registrations
+ * Query params: page, limit, status, occurrence_start, search, checked_in
+ */
+module.exports.getRegistrations = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Pagination parameters
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+
+    // Validate pagination
+    if (page < 1) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Page must be greater than 0"));
+    }
+
+    if (limit < 1 || limit > 500) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Limit must be between 1 and 500"));
+    }
+
+    const event = await NewsAndEvents.findById(id);
+    if (!event) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "News and events not found"));
+    }
+
+    const filters = {
+      status: req.query.status,
+      occurrence_start: req.query.occurrence_start,
+      search: req.query.search,
+      checked_in: req.query.checked_in,
+    };
+
+    const totalCount = await EventRegistration.count(id, filters);
+    const registrations = await EventRegistration.findByNewsAndEventsId(id, {
+      ...filters,
+      limit,
+      offset,
+    });
+
+    // Calculate pagination metadata
+    const totalPages = Math.ceil(totalCount / limit);
+    const hasNext = page < totalPages;
+    const hasPrev = page > 1;
+
+    res.json(
+      formatResponse(true, "Registrations retrieved successfully", {
+        capacity: event.capacity,
+        questions: normalizeQuestions(event.registration_questions),
+        summary: await EventRegistration.getSummary(id),
+        registrations: registrations.map((registration) => ({
+          ...registration,
+          answers: parseAnswers(registration.answers),
+          seats: getSeats(registration),
+          ticket_code: getTicketCode(registration),
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages: totalPages,
+          totalItems: totalCount,
+          itemsPerPage: limit,
+          hasNext: hasNext,
+          hasPrev: hasPrev,
+          nextPage: hasNext ? page + 1 : null,
+          prevPage: hasPrev ? page - 1 : null,
+        },
+      })
+    );
+  } catch (error) {
+    logger.error("Get registrations error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Export the registrations of an event as CSV
+ * GET /api/news-and-events/:id/registrations/export
+ * Query params: status, occurrence_start, search, checked_in
+ * One column per custom question, after the standard columns.
+ */
+module.exports.exportRegistrations = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const event = await NewsAndEvents.findById(id);
+    if (!event) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "News and events not found"));
+    }
+
+    const questions = normalizeQuestions(event.registration_questions) || [];
+    const registrations = await EventRegistration.findByNewsAndEventsId(id, {
+      status: req.query.status,
+      occurrence_start: req.query.occurrence_start,
+      search: req.query.search,
+      checked_in: req.query.checked_in,
+    });
+
+    const header = [
+      "id",
+      "status",
+      "occurrence_start",
+      "name",
+      "email",
+      "company",
+      "guests",
+      "seats",
+      "registered_at",
+      "promoted_at",
+      "cancelled_at",
+      "checked_in_at",
+      "notes",
+      ...questions.map((question) => question.label),
+    ];
+    const rows = registrations.map((registration) => {
+      const answers = parseAnswers(registration.answers);
+      return [
+        registration.id,
+        registration.status,
+        registration.occurrence_start,
+        registration.name,
+        registration.email,
+        registration.company,
+        registration.guests,
+        getSeats(registration),
+        registration.created_at,
+        registration.promoted_at,
+        registration.cancelled_at,
+        registration.checked_in_at,
+        registration.notes,
+        ...questions.map((question) => answers[question.key]),
+      ];
+    });
+
+    const csv = [header, ...rows]
+      .map((row) => row.map(toCsvCell).join(","))
+      .join("\r\n");
+
+    logger.info(
+      `Registrations of news and events ${id} exported (${registrations.length} rows)`
+    );
+
+    // res.attachment encodes slugs in other scripts (filename*=UTF-8'')
+    res.attachment(`registrations-${event.slug || event.id}.csv`);
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Cache-Control", "no-store");
+    // The byte order mark makes spreadsheet apps read the file as UTF-8
+    res.send(`\uFEFF${csv}\r\n`);
+  } catch (error) {
+    logger.error("Export registrations error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Update a registration (e.g. confirm, waitlist or cancel it)
+ * PUT /api/news-and-events/:id/registrations/:registrationId
+ * Admins can confirm registrations beyond the capacity. The registrant is
+ * emailed when their registration is confirmed or cancelled this way.
+ */
+module.exports.updateRegistration = async (req, res, next) => {
+  try {
+    const { id, registrationId } = req.params;
+
+    const existing = await EventRegistration.findById(registrationId);
+    if (!existing || existing.news_and_events_id !== parseInt(id, 10)) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "Registration not found"));
+    }
+
+    const { registration, promoted } = await EventRegistration.update(
+      registrationId,
+      req.body
+    );
+
+    const event = await NewsAndEvents.findById(id);
+    if (registration.status !== existing.status) {
+      if (registration.status === REGISTRATION_STATUS.CANCELLED) {
+        await notifyRegistrant(
+          "registrationCancelledEmail",
+          registration,
+          event
+        );
+      } else if (registration.status === REGISTRATION_STATUS.CONFIRMED) {
+        await notifyPromoted([registration], event);
+      }
+    }
+    await notifyPromoted(promoted, event);
+
+    logger.info(`Registration updated: ID ${registrationId}`);
+
+    res.json(
+      formatResponse(true, "Registration updated successfully", {
+        registration: {
+          ...registration,
+          answers: parseAnswers(registration.answers),
+          seats: getSeats(registration),
+          ticket_code: getTicketCode(registration),
+        },
+        promoted: promoted.map(
+          (promotedRegistration) => promotedRegistration.id
+        ),
+      })
+    );
+  } catch (error) {
+    logger.error("Update registration error:", error);
+
+    if (error.code === "ER_DUP_ENTRY") {
+      return res
+        .status(409)
+        .json(
+          formatResponse(
+            false,
+            "This email address is already registered for this event"
+          )
+        );
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Delete a registration (e.g. on request of the registrant)
+ * DELETE /api/news-and-events/:id/registrations/:registrationId
+ */
+module.exports.deleteRegistration = async (req, res, next) => {
+  try {
+    const { id, registrationId } = req.params;
+
+    const existing = await EventRegistration.findById(registrationId);
+    if (!existing || existing.news_and_events_id !== parseInt(id, 10)) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "Registration not found"));
+    }
+
+    const promoted = await EventRegistration.delete(registrationId);
+    await notifyPromoted(promoted, await NewsAndEvents.findById(id));
+
+    logger.info(`Registration deleted: ID ${registrationId}`);
+
+    res.json(formatResponse(true, "Registration deleted successfully"));
+  } catch (error) {
+    logger.error("Delete registration error:", error);
+    next(error);
+  }
+};
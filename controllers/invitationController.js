@@ -0,0 +1,95 @@
+const Admin = require("../models/Admin");
+const AdminInvitation = require("../models/AdminInvitation");
+const logger = require("../utils/logger");
+const { formatResponse } = require("../utils/helpers");
+
+/**
+ * Get all admin invitations
+ * GET /api/admin/invitations
+ */
+module.exports.getAllInvitations = async (req, res, next) => {
+  try {
+    const invitations = await AdminInvitation.findAll();
+
+    res.json(
+      formatResponse(true, "Invitations retrieved successfully", {
+        invitations,
+      })
+    );
+  } catch (error) {
+    logger.error("Get all invitations error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Create an admin invitation
+ * POST /api/admin/invitations
+ * The plain invite token is only returned in this response.
+ */
+module.exports.createInvitation = async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    // Check if admin already exists
+    const existingAdmin = await Admin.findByEmail(email);
+    if (existingAdmin) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Admin with this email already exists"));
+    }
+
+    const { invitation, token } = await AdminInvitation.create({
+      email,
+      role,
+      invited_by: req.user.id,
+      expires_in_hours: parseInt(process.env.INVITATION_EXPIRES_HOURS) || 72,
+    });
+
+    logger.info(`Invitation created for ${email} by admin ${req.user.id}`);
+
+    res.status(201).json(
+      formatResponse(true, "Invitation created successfully", {
+        invitation,
+        invite_token: token,
+      })
+    );
+  } catch (error) {
+    logger.error("Create invitation error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Revoke a pending admin invitation
+ * DELETE /api/admin/invitations/:id
+ */
+module.exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const invitation = await AdminInvitation.findById(id);
+    if (!invitation) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "Invitation not found"));
+    }
+
+    const revoked = await AdminInvitation.revoke(id);
+
+    if (!revoked) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(false, "Invitation has already been used or revoked")
+        );
+    }
+
+    logger.info(`Invitation revoked: ID ${id} by admin ${req.user.id}`);
+
+    res.json(formatResponse(true, "Invitation revoked successfully"));
+  } catch (error) {
+    logger.error("Revoke invitation error:", error);
+    next(error);
+  }
+};
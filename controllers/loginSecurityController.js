@@ -0,0 +1,121 @@
+const LoginAttempt = require("../models/LoginAttempt");
+const LoginLockout = require("../models/LoginLockout");
+const logger = require("../utils/logger");
+const { formatResponse } = require("../utils/helpers");
+
+/**
+ * Get login lockouts
+ * GET /api/admin/lockouts
+ * Query params: active (true: only currently locked), scope (email, ip)
+ */
+module.exports.getLockouts = async (req, res, next) => {
+  try {
+    const lockouts = await LoginLockout.findAll({
+      active: req.query.active === "true",
+      scope: req.query.scope,
+    });
+
+    res.json(
+      formatResponse(true, "Lockouts retrieved successfully", {
+        lockouts: lockouts.map((lockout) => ({
+          ...lockout,
+          is_locked: Boolean(lockout.is_locked),
+        })),
+      })
+    );
+  } catch (error) {
+    logger.error("Get lockouts error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Manually unlock an email or IP address
+ * DELETE /api/admin/lockouts/:id
+ */
+module.exports.unlock = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const lockout = await LoginLockout.findById(id);
+    if (!lockout) {
+      return res.status(404).json(formatResponse(false, "Lockout not found"));
+    }
+
+    await LoginLockout.delete(id);
+
+    logger.info(
+      `Login unlocked for ${lockout.scope} ${lockout.identifier} by admin ${req.user.id}`
+    );
+
+    res.json(formatResponse(true, "Unlocked successfully"));
+  } catch (error) {
+    logger.error("Unlock error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Get login attempts
+ * GET /api/admin/login-attempts
+ * Query params: page, limit, email, ip_address, success, date_from, date_to
+ */
+module.exports.getLoginAttempts = async (req, res, next) => {
+  try {
+    // Pagination parameters
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    // Validate pagination
+    if (page < 1) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Page must be greater than 0"));
+    }
+
+    if (limit < 1 || limit > 100) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Limit must be between 1 and 100"));
+    }
+
+    const filters = {
+      email: req.query.email,
+      ip_address: req.query.ip_address,
+      success: req.query.success,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+    };
+
+    const totalCount = await LoginAttempt.count(filters);
+    const attempts = await LoginAttempt.findAll({ ...filters, limit, offset });
+
+    // Calculate pagination metadata
+    const totalPages = Math.ceil(totalCount / limit);
+    const hasNext = page < totalPages;
+    const hasPrev = page > 1;
+
+    res.json(
+      formatResponse(true, "Login attempts retrieved successfully", {
+        attempts: attempts.map((attempt) => ({
+          ...attempt,
+          success: Boolean(attempt.success),
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages: totalPages,
+          totalItems: totalCount,
+          itemsPerPage: limit,
+          hasNext: hasNext,
+          hasPrev: hasPrev,
+          nextPage: hasNext ? page + 1 : null,
+          prevPage: hasPrev ? page - 1 : null,
+        },
+      })
+    );
+  } catch (error) {
+    logger.error("Get login attempts error:", error);
+    next(error);
+  }
+};
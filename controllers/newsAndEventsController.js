@@ -1,20 +1,209 @@
 const NewsAndEvents = require("../models/NewsAndEvents");
 const NewsAndEventsImage = require("../models/NewsAndEventsImage");
+const NewsAndEventsRevision = require("../models/NewsAndEventsRevision");
+const NewsAndEventsSlug = require("../models/NewsAndEventsSlug");
+const NewsAndEventsTranslation = require("../models/NewsAndEventsTranslation");
+const NewsAndEventsOccurrence = require("../models/NewsAndEventsOccurrence");
 const Category = require("../models/Category");
+const CategoryTranslation = require("../models/CategoryTranslation");
+const NewsPreviewLink = require("../models/NewsPreviewLink");
+const EventRegistration = require("../models/EventRegistration");
 const logger = require("../utils/logger");
 const { formatResponse } = require("../utils/helpers");
+const { NEWS_STATUS, normalizeNewsStatus } = require("../config/newsStatus");
+const { NEWS_TYPES } = require("../config/newsTypes");
+const { verifyPreviewToken } = require("../utils/previewTokens");
+const { applyRichText } = require("../utils/richText");
+const { buildCalendar } = require("../utils/icalendar");
+const {
+  CALENDAR_PAST_DAYS,
+  CALENDAR_MAX_EVENTS,
+  CALENDAR_REFRESH_INTERVAL,
+} = require("../config/calendar");
+const { buildFeed, getLastUpdated } = require("../utils/feeds");
+const { FEED_MAX_ITEMS, FEED_FORMATS } = require("../config/feeds");
+const { getPublicAppUrl } = require("../utils/publicUrls");
+const { notifyPromoted } = require("../utils/registrations");
+const { MAX_EXPANSION_DAYS, getOccurrences } = require("../utils/recurrence");
+const { applyEventRules } = require("../utils/eventRules");
+const {
+  getLocaleChain,
+  setLocaleHeaders,
+  localize,
+} = require("../utils/localization");
 const {
   getFileUrl,
   getRelativePath,
-  deleteFile,
   deleteFiles,
 } = require("../config/upload");
 const path = require("path");
+const fs = require("fs");
+
+/**
+ * Check and normalize the publishing fields of a create or update request
+ * Empty publish_at / unpublish_at clear the value. An item published with a
+ * future publish_at is stored as scheduled.
+ * @param {object} data - Request data (modified in place)
+ * @param {object} [existing] - Stored item (on update)
+ * @returns {string|null} Error message, or null if valid
+ */
+const applyPublishingRules = (data, existing = {}) => {
+  for (const field of ["publish_at", "unpublish_at"]) {
+    if (data[field] === "") {
+      data[field] = null;
+    }
+  }
+
+  const status = data.status !== undefined ? data.status : existing.status;
+  const publishAt =
+    data.publish_at !== undefined ? data.publish_at : existing.publish_at;
+  const unpublishAt =
+    data.unpublish_at !== undefined
+      ? data.unpublish_at
+      : existing.unpublish_at;
+
+  if (status === NEWS_STATUS.SCHEDULED && !publishAt) {
+    return "publish_at is required for scheduled items";
+  }
+
+  if (
+    publishAt &&
+    unpublishAt &&
+    new Date(unpublishAt) <= new Date(publishAt)
+  ) {
+    return "unpublish_at must be after publish_at";
+  }
+
+  if (
+    data.status === NEWS_STATUS.PUBLISHED &&
+    publishAt &&
+    new Date(publishAt) > new Date()
+  ) {
+    data.status = NEWS_STATUS.SCHEDULED;
+  }
+
+  return null;
+};
+
+/**
+ * Read the event filters of a listing request
+ * @param {object} query - Request query (validated by validateNewsListQuery)
+ * @returns {object} Filters for NewsAndEvents.findAll / count
+ */
+const getEventFilters = (query) => ({
+  type: query.type,
+  upcoming: query.upcoming === "true",
+  past: query.past === "true",
+  starts_from: query.starts_from,
+  starts_to: query.starts_to,
+  city: query.city,
+});
+
+/**
+ * Read the window that recurring events are expanded for in the public listing
+ * @param {object} query - Request query (validated by validateNewsListQuery)
+ * @returns {object|null} { from, to } (Dates), or null unless both
+ *   starts_from and starts_to are given
+ */
+const getOccurrenceWindow = (query) =>
+  query.starts_from && query.starts_to
+    ? { from: new Date(query.starts_from), to: new Date(query.starts_to) }
+    : null;
+
+/**
+ * Expand recurring events into their occurrences within a window
+ * Cancelled occurrences are left out; other items are kept as they are.
+ * @param {Array} items - News and events items
+ * @param {object} window - { from, to } (from getOccurrenceWindow)
+ * @returns {Promise<Array>} Entries { item, occurrence } by start
+ *   (occurrence is null for items that don't recur)
+ */
+const expandRecurringEvents = async (items, window) => {
+  const overrides = await NewsAndEventsOccurrence.findByNewsAndEventsIds(
+    items.filter((item) => item.recurrence_rule).map((item) => item.id)
+  );
+
+  const entries = [];
+  for (const item of items) {
+    if (!item.recurrence_rule) {
+      entries.push({ item, occurrence: null });
+      continue;
+    }
+
+    for (const occurrence of getOccurrences(
+      item,
+      overrides[item.id] || [],
+      window.from,
+      window.to
+    )) {
+      if (!occurrence.cancelled) {
+        entries.push({ item, occurrence });
+      }
+    }
+  }
+
+  const startOf = ({ item, occurrence }) =>
+    new Date(occurrence ? occurrence.start_at : item.start_at);
+  return entries.sort((a, b) => startOf(a) - startOf(b));
+};
+
+/**
+ * Show an item as one occurrence of its series
+ * The changes of the occurrence win over the (localized) series details.
+ * @param {object} item - News and events item
+ * @param {object|null} occurrence - Occurrence (from getOccurrences)
+ * @returns {object} Item as the occurrence, or the item itself without one
+ */
+const toOccurrenceItem = (item, occurrence) =>
+  occurrence
+    ? {
+        ...item,
+        ...occurrence.changes,
+        date_time: occurrence.start_at,
+        start_at: occurrence.start_at,
+        end_at: occurrence.end_at,
+        occurrence_start: occurrence.occurrence_start,
+        recurring: true,
+      }
+    : item;
+
+/**
+ * Localize news and events items (and their category name) for a public response
+ * @param {Array} items - News and events items
+ * @param {Array<string>} chain - Locale chain (from getLocaleChain)
+ * @returns {Promise<Array>} Localized items
+ */
+const localizeNewsAndEvents = async (items, chain) => {
+  const translations = await NewsAndEventsTranslation.findByNewsAndEventsIds(
+    items.map((item) => item.id)
+  );
+  const categoryTranslations = await CategoryTranslation.findByCategoryIds([
+    ...new Set(items.map((item) => item.category_id)),
+  ]);
+
+  return items.map((item) => {
+    const localized = localize(
+      item,
+      translations[item.id] || [],
+      NewsAndEventsTranslation.TRANSLATABLE_FIELDS,
+      chain
+    );
+    const category = localize(
+      { name: item.category_name },
+      categoryTranslations[item.category_id] || [],
+      ["name"],
+      chain
+    );
+    return { ...localized, category_name: category.name };
+  });
+};
 
 /**
  * Get all news and events
  * GET /api/news-and-events
- * Query params: page, limit, category_id, status, search, date_from, date_to
+ * Query params: page, limit, category_id, status, type, upcoming, past,
+ * starts_from, starts_to, city, search, date_from, date_to
+ * status: draft, scheduled, published or archived
  */
 module.exports.getAllNewsAndEvents = async (req, res, next) => {
   try {
@@ -38,7 +227,10 @@ module.exports.getAllNewsAndEvents = async (req, res, next) => {
 
     const filters = {
       category_id: req.query.category_id,
-      status: req.query.status,
+      status: req.query.status
+        ? normalizeNewsStatus(req.query.status)
+        : req.query.status,
+      ...getEventFilters(req.query),
       search: req.query.search,
       date_from: req.query.date_from,
       date_to: req.query.date_to,
@@ -50,6 +242,7 @@ module.exports.getAllNewsAndEvents = async (req, res, next) => {
     const totalCount = await NewsAndEvents.count({
       category_id: filters.category_id,
       status: filters.status,
+      ...getEventFilters(req.query),
       search: filters.search,
       date_from: filters.date_from,
       date_to: filters.date_to,
@@ -99,8 +292,11 @@ module.exports.getAllNewsAndEvents = async (req, res, next) => {
 /**
  * Get all active news and events (public endpoint)
  * GET /api/news-and-events/public
- * Query params: page, limit, category_id, search, date_from, date_to
- * Always returns only items with status='active'
+ * Query params: page, limit, category_id, type, upcoming, past, starts_from,
+ * starts_to, city, search, date_from, date_to, lang
+ * Always returns only items that are published right now. With both
+ * starts_from and starts_to, recurring events are listed once per occurrence
+ * in that window (soonest first).
  */
 module.exports.getActiveNewsAndEvents = async (req, res, next) => {
   try {
@@ -122,10 +318,27 @@ module.exports.getActiveNewsAndEvents = async (req, res, next) => {
         .json(formatResponse(false, "Limit must be between 1 and 100"));
     }
 
-    // Always filter by active status for public endpoint
+    const occurrenceWindow = getOccurrenceWindow(req.query);
+    if (
+      occurrenceWindow &&
+      occurrenceWindow.to - occurrenceWindow.from >
+        MAX_EXPANSION_DAYS * 24 * 60 * 60 * 1000
+    ) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(
+            false,
+            `starts_from and starts_to must be at most ${MAX_EXPANSION_DAYS} days apart`
+          )
+        );
+    }
+
+    // Always filter by visibility for public endpoint
     const filters = {
       category_id: req.query.category_id,
-      status: "active", // Always active for public endpoint
+      visible: true, // Always published items for public endpoint
+      ...getEventFilters(req.query),
       search: req.query.search,
       date_from: req.query.date_from,
       date_to: req.query.date_to,
@@ -133,22 +346,49 @@ module.exports.getActiveNewsAndEvents = async (req, res, next) => {
       offset: offset,
     };
 
-    // Get total count for pagination (without limit/offset)
-    const totalCount = await NewsAndEvents.count({
-      category_id: filters.category_id,
-      status: filters.status,
-      search: filters.search,
-      date_from: filters.date_from,
-      date_to: filters.date_to,
-    });
+    let totalCount;
+    let entries;
+    if (occurrenceWindow) {
+      // Occurrences are only known after expanding, so paginate in memory
+      const allEntries = await expandRecurringEvents(
+        await NewsAndEvents.findAll({
+          ...filters,
+          limit: undefined,
+          offset: undefined,
+        }),
+        occurrenceWindow
+      );
+      totalCount = allEntries.length;
+      entries = allEntries.slice(offset, offset + limit);
+    } else {
+      // Get total count for pagination (without limit/offset)
+      totalCount = await NewsAndEvents.count({
+        category_id: filters.category_id,
+        visible: filters.visible,
+        ...getEventFilters(req.query),
+        search: filters.search,
+        date_from: filters.date_from,
+        date_to: filters.date_to,
+      });
+      entries = (await NewsAndEvents.findAll(filters)).map((item) => ({
+        item,
+        occurrence: null,
+      }));
+    }
 
     // Calculate pagination metadata
     const totalPages = Math.ceil(totalCount / limit);
     const hasNext = page < totalPages;
     const hasPrev = page > 1;
 
-    // Get news and events with pagination
-    const newsAndEvents = await NewsAndEvents.findAll(filters);
+    // Get news and events with pagination, in the requested locale
+    const localeChain = getLocaleChain(req);
+    const newsAndEvents = (
+      await localizeNewsAndEvents(
+        entries.map((entry) => entry.item),
+        localeChain
+      )
+    ).map((item, index) => toOccurrenceItem(item, entries[index].occurrence));
 
     // Get images for each news and events item
     const newsAndEventsWithImages = await Promise.all(
@@ -162,6 +402,7 @@ module.exports.getActiveNewsAndEvents = async (req, res, next) => {
       })
     );
 
+    setLocaleHeaders(res, localeChain);
     res.json(
       formatResponse(true, "Active news and events retrieved successfully", {
         newsAndEvents: newsAndEventsWithImages,
@@ -186,29 +427,46 @@ module.exports.getActiveNewsAndEvents = async (req, res, next) => {
 /**
  * Get active news and events by ID (public endpoint)
  * GET /api/news-and-events/public/:id
- * Only returns the item if status is 'active'
+ * Only returns the item if it is published right now, unless a valid
+ * preview token is given (?preview=<token>)
  */
 module.exports.getActiveNewsAndEventsById = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const newsAndEvents = await NewsAndEvents.findById(id);
+    let newsAndEvents;
 
-    if (!newsAndEvents) {
-      return res
-        .status(404)
-        .json(formatResponse(false, "News and events not found"));
+    if (req.query.preview) {
+      const previewLink = await verifyPreviewToken(req.query.preview, id);
+
+      if (!previewLink) {
+        return res
+          .status(403)
+          .json(formatResponse(false, "Invalid or expired preview link"));
+      }
+
+      await NewsPreviewLink.recordView(previewLink.id);
+      newsAndEvents = await NewsAndEvents.findById(id);
+
+      // Previews must not be cached or indexed
+      res.set("Cache-Control", "no-store");
+      res.set("X-Robots-Tag", "noindex, nofollow");
+    } else {
+      newsAndEvents = await NewsAndEvents.findVisibleById(id);
     }
 
-    // Check if the news and events is active
-    if (newsAndEvents.status !== "active") {
+    if (!newsAndEvents) {
       return res
         .status(404)
         .json(formatResponse(false, "News and events not found"));
     }
 
+    const localeChain = getLocaleChain(req);
+    [newsAndEvents] = await localizeNewsAndEvents([newsAndEvents], localeChain);
+
     // Get images for the news and events item
     const images = await NewsAndEventsImage.findByNewsAndEventsId(id);
 
+    setLocaleHeaders(res, localeChain);
     res.json(
       formatResponse(true, "Active news and events retrieved successfully", {
         newsAndEvents: {
@@ -216,6 +474,7 @@ module.exports.getActiveNewsAndEventsById = async (req, res, next) => {
           cover_image: getRelativePath(newsAndEvents.cover_image, "cover"),
           images: images.map((img) => getRelativePath(img.image_url, "news")),
         },
+        preview: Boolean(req.query.preview),
       })
     );
   } catch (error) {
@@ -224,6 +483,330 @@ module.exports.getActiveNewsAndEventsById = async (req, res, next) => {
   }
 };
 
+/**
+ * Get active news and events by slug (public endpoint)
+ * GET /api/news-and-events/public/slug/:slug
+ * A previous slug answers with 301 and the current slug in Location
+ */
+module.exports.getActiveNewsAndEventsBySlug = async (req, res, next) => {
+  try {
+    const { slug } = req.params;
+    let newsAndEvents = await NewsAndEvents.findVisibleBySlug(slug);
+
+    if (!newsAndEvents) {
+      // The slug may have been used before a title or slug change
+      const previous = await NewsAndEventsSlug.findBySlug(slug);
+      const current = previous
+        ? await NewsAndEvents.findVisibleById(previous.news_and_events_id)
+        : null;
+
+      if (!current || !current.slug) {
+        return res
+          .status(404)
+          .json(formatResponse(false, "News and events not found"));
+      }
+
+      return res
+        .status(301)
+        .set(
+          "Location",
+          `/api/news-and-events/public/slug/${encodeURIComponent(current.slug)}`
+        )
+        .json(
+          formatResponse(true, "News and events has moved", {
+            slug: current.slug,
+          })
+        );
+    }
+
+    const localeChain = getLocaleChain(req);
+    [newsAndEvents] = await localizeNewsAndEvents([newsAndEvents], localeChain);
+
+    // Get images for the news and events item
+    const images = await NewsAndEventsImage.findByNewsAndEventsId(
+      newsAndEvents.id
+    );
+
+    setLocaleHeaders(res, localeChain);
+    res.json(
+      formatResponse(true, "Active news and events retrieved successfully", {
+        newsAndEvents: {
+          ...newsAndEvents,
+          cover_image: getRelativePath(newsAndEvents.cover_image, "cover"),
+          images: images.map((img) => getRelativePath(img.image_url, "news")),
+        },
+      })
+    );
+  } catch (error) {
+    logger.error("Get active news and events by slug error:", error);
+    next(error);
+  }
+};
+
+// Name of the calendar feeds (the category name is added to category feeds)
+const CALENDAR_NAME = "STCC events";
+
+/**
+ * Send events as an iCalendar document
+ * Events are localized like the other public endpoints (?lang= or
+ * Accept-Language) and include the changes of single occurrences.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Array} items - Events
+ * @param {object} [options] - buildCalendar options, and filename to send
+ *   the calendar as a download
+ */
+const sendCalendar = async (req, res, items, options = {}) => {
+  const { filename, ...calendarOptions } = options;
+  const localeChain = getLocaleChain(req);
+
+  const localized = await localizeNewsAndEvents(items, localeChain);
+  const overrides = await NewsAndEventsOccurrence.findByNewsAndEventsIds(
+    items.filter((item) => item.recurrence_rule).map((item) => item.id)
+  );
+  const calendar = buildCalendar(
+    localized.map((item) => ({ item, overrides: overrides[item.id] || [] })),
+    calendarOptions
+  );
+
+  setLocaleHeaders(res, localeChain);
+  // res.attachment encodes slugs in other scripts (filename*=UTF-8'')
+  if (filename) {
+    res.attachment(filename);
+  } else {
+    res.set("Content-Disposition", "inline");
+  }
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.send(calendar);
+};
+
+/**
+ * Find the public events of a calendar feed
+ * @param {object} [filters] - Additional filters (e.g. category_id)
+ * @returns {Promise<Array>} Events that haven't ended, or ended in the last
+ *   CALENDAR_PAST_DAYS days
+ */
+const findCalendarEvents = (filters = {}) =>
+  NewsAndEvents.findAll({
+    ...filters,
+    visible: true,
+    type: NEWS_TYPES.EVENT,
+    ends_from: new Date(
+      Date.now() - CALENDAR_PAST_DAYS * 24 * 60 * 60 * 1000
+    ).toISOString(),
+    limit: CALENDAR_MAX_EVENTS,
+  });
+
+/**
+ * Download a public event as an iCalendar file ("add to calendar")
+ * GET /api/news-and-events/public/:id/event.ics
+ */
+module.exports.getEventCalendar = async (req, res, next) => {
+  try {
+    const newsAndEvents = await NewsAndEvents.findVisibleById(req.params.id);
+
+    if (!newsAndEvents || newsAndEvents.type !== NEWS_TYPES.EVENT) {
+      return res.status(404).json(formatResponse(false, "Event not found"));
+    }
+
+    await sendCalendar(req, res, [newsAndEvents], {
+      filename: `${newsAndEvents.slug || `event-${newsAndEvents.id}`}.ics`,
+    });
+  } catch (error) {
+    logger.error("Get event calendar error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Calendar feed of all public events (subscribable, e.g. as webcal://)
+ * GET /api/news-and-events/public/calendar.ics
+ */
+module.exports.getCalendarFeed = async (req, res, next) => {
+  try {
+    await sendCalendar(req, res, await findCalendarEvents(), {
+      name: CALENDAR_NAME,
+      refreshInterval: CALENDAR_REFRESH_INTERVAL,
+    });
+  } catch (error) {
+    logger.error("Get calendar feed error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Calendar feed of the public events of a category
+ * GET /api/categories/user/:id/calendar.ics
+ */
+module.exports.getCategoryCalendarFeed = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const category = await Category.findById(id);
+
+    if (!category || category.status !== "active") {
+      return res.status(404).json(formatResponse(false, "Category not found"));
+    }
+
+    const categoryTranslations = await CategoryTranslation.findByCategoryIds([
+      category.id,
+    ]);
+    const { name } = localize(
+      { name: category.name },
+      categoryTranslations[category.id] || [],
+      ["name"],
+      getLocaleChain(req)
+    );
+
+    await sendCalendar(
+      req,
+      res,
+      await findCalendarEvents({ category_id: category.id }),
+      {
+        name: `${CALENDAR_NAME}: ${name}`,
+        refreshInterval: CALENDAR_REFRESH_INTERVAL,
+      }
+    );
+  } catch (error) {
+    logger.error("Get category calendar feed error:", error);
+    next(error);
+  }
+};
+
+// Title of the feeds (the category name is added to category feeds)
+const FEED_TITLE = "STCC news and events";
+
+/**
+ * Get the enclosure of a cover image
+ * The length is the size of the uploaded file (unknown for external images).
+ * @param {object} req - Express request
+ * @param {string|null} coverImage - Stored cover image
+ * @returns {Promise<object|null>} { url, length }, or null without a cover image
+ */
+const getCoverEnclosure = async (req, coverImage) => {
+  const relativePath = getRelativePath(coverImage, "cover");
+  if (!relativePath) {
+    return null;
+  }
+  if (/^https?:\/\//.test(relativePath)) {
+    return { url: relativePath, length: null };
+  }
+
+  const stats = await fs.promises
+    .stat(path.join(__dirname, "../public/uploads", relativePath))
+    .catch(() => null);
+  return {
+    url: getFileUrl(req, `/uploads${relativePath}`),
+    length: stats ? stats.size : null,
+  };
+};
+
+/**
+ * Send the latest public news and events as an RSS or Atom feed
+ * Items are listed like GET /api/news-and-events/public (?type= and ?lang=
+ * are supported). Last-Modified is the latest change of an item, so
+ * conditional requests (If-Modified-Since, If-None-Match) get a 304.
+ * @param {object} req - Express request (params format)
+ * @param {object} res - Express response
+ * @param {object} filters - Additional filters (e.g. category_id)
+ * @param {object} options - buildFeed options (title, description)
+ */
+const sendFeed = async (req, res, filters, options) => {
+  const { format } = req.params;
+  const localeChain = getLocaleChain(req);
+
+  const items = await localizeNewsAndEvents(
+    await NewsAndEvents.findAll({
+      ...filters,
+      visible: true,
+      type: req.query.type,
+      limit: FEED_MAX_ITEMS,
+    }),
+    localeChain
+  );
+  const entries = await Promise.all(
+    items.map(async (item) => ({
+      item,
+      enclosure: await getCoverEnclosure(req, item.cover_image),
+    }))
+  );
+
+  const lastUpdated = getLastUpdated(items);
+  if (lastUpdated) {
+    res.set("Last-Modified", lastUpdated.toUTCString());
+  }
+  setLocaleHeaders(res, localeChain);
+  res.set("Content-Type", FEED_FORMATS[format]);
+  res.send(
+    buildFeed(format, entries, {
+      ...options,
+      selfUrl: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+      siteUrl: `${getPublicAppUrl()}/news-and-events`,
+      language: localeChain[0],
+      author: "STCC",
+    })
+  );
+};
+
+/**
+ * Feed of the latest public news and events
+ * GET /api/news-and-events/public/feed.:format (format: rss or atom)
+ * Query params: type, lang
+ */
+module.exports.getFeed = async (req, res, next) => {
+  try {
+    if (!FEED_FORMATS[req.params.format]) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "Feed format must be rss or atom"));
+    }
+
+    await sendFeed(req, res, {}, { title: FEED_TITLE });
+  } catch (error) {
+    logger.error("Get feed error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Feed of the latest public news and events of a category
+ * GET /api/categories/user/slug/:slug/feed.:format (format: rss or atom)
+ * Query params: type, lang
+ */
+module.exports.getCategoryFeed = async (req, res, next) => {
+  try {
+    if (!FEED_FORMATS[req.params.format]) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "Feed format must be rss or atom"));
+    }
+
+    const category = await Category.findBySlug(req.params.slug);
+    if (!category || category.status !== "active") {
+      return res.status(404).json(formatResponse(false, "Category not found"));
+    }
+
+    const categoryTranslations = await CategoryTranslation.findByCategoryIds([
+      category.id,
+    ]);
+    const { name, description } = localize(
+      category,
+      categoryTranslations[category.id] || [],
+      CategoryTranslation.TRANSLATABLE_FIELDS,
+      getLocaleChain(req)
+    );
+
+    await sendFeed(
+      req,
+      res,
+      { category_id: category.id },
+      { title: `${FEED_TITLE}: ${name}`, description }
+    );
+  } catch (error) {
+    logger.error("Get category feed error:", error);
+    next(error);
+  }
+};
+
 /**
  * Get news and events by ID
  * GET /api/news-and-events/:id
@@ -264,8 +847,28 @@ module.exports.getNewsAndEventsById = async (req, res, next) => {
  */
 module.exports.createNewsAndEvents = async (req, res, next) => {
   try {
-    const { category_id, title, description, location, date_time, status } =
-      req.body;
+    const publishingError =
+      applyPublishingRules(req.body) || applyEventRules(req.body);
+    if (publishingError) {
+      return res.status(400).json(formatResponse(false, publishingError));
+    }
+
+    // Sanitize the description and render its HTML and excerpt
+    applyRichText(req.body);
+
+    const {
+      category_id,
+      type,
+      title,
+      description,
+      description_format,
+      description_html,
+      excerpt,
+      location,
+      date_time,
+    } = req.body;
+
+    const { status, publish_at, unpublish_at } = req.body;
 
     // Verify category exists
     const category = await Category.findById(category_id);
@@ -289,18 +892,40 @@ module.exports.createNewsAndEvents = async (req, res, next) => {
       coverImageUrl = getRelativePath(req.body.cover_image, "cover");
     }
 
+    // Use the given slug or generate one from the title
+    let slug = req.body.slug;
+    if (slug) {
+      if (await NewsAndEvents.isSlugTaken(slug)) {
+        return res
+          .status(400)
+          .json(formatResponse(false, "Slug is already in use"));
+      }
+    } else {
+      slug = await NewsAndEvents.generateUniqueSlug(title);
+    }
+
     // Get created_by from authenticated user
     const created_by = req.user ? req.user.id : null;
 
     // Create news and events
     const newsAndEvents = await NewsAndEvents.create({
       category_id,
+      type,
       title,
+      slug,
       description,
+      description_format,
+      description_html,
+      excerpt,
       location,
       cover_image: coverImageUrl,
       date_time,
       status,
+      publish_at,
+      unpublish_at,
+      ...Object.fromEntries(
+        NewsAndEvents.EVENT_FIELDS.map((field) => [field, req.body[field]])
+      ),
       created_by,
     });
 
@@ -362,6 +987,13 @@ module.exports.createNewsAndEvents = async (req, res, next) => {
       return res.status(400).json(formatResponse(false, "Invalid category ID"));
     }
 
+    // Handle duplicate slug error (slug taken in the meantime)
+    if (error.code === "ER_DUP_ENTRY") {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Slug is already in use"));
+    }
+
     next(error);
   }
 };
@@ -383,6 +1015,16 @@ module.exports.updateNewsAndEvents = async (req, res, next) => {
         .json(formatResponse(false, "News and events not found"));
     }
 
+    const publishingError =
+      applyPublishingRules(updateData, existingNewsAndEvents) ||
+      applyEventRules(updateData, existingNewsAndEvents);
+    if (publishingError) {
+      return res.status(400).json(formatResponse(false, publishingError));
+    }
+
+    // Sanitize the description and render its HTML and excerpt
+    applyRichText(updateData, existingNewsAndEvents);
+
     // Verify category if being updated
     if (updateData.category_id) {
       const category = await Category.findById(updateData.category_id);
@@ -393,7 +1035,35 @@ module.exports.updateNewsAndEvents = async (req, res, next) => {
       }
     }
 
-    // Store old cover image URL for deletion
+    // An explicit slug is kept (and must be free, unless it is the current
+    // one); a new title without a slug (or an empty slug) gets a new slug.
+    // Old slugs are kept in the slug history so links keep working.
+    if (updateData.slug === "" || updateData.slug === null) {
+      updateData.slug = await NewsAndEvents.generateUniqueSlug(
+        updateData.title || existingNewsAndEvents.title,
+        id
+      );
+    } else if (updateData.slug !== undefined) {
+      if (
+        updateData.slug !== existingNewsAndEvents.slug &&
+        (await NewsAndEvents.isSlugTaken(updateData.slug, id))
+      ) {
+        return res
+          .status(400)
+          .json(formatResponse(false, "Slug is already in use"));
+      }
+    } else if (
+      updateData.title !== undefined &&
+      updateData.title !== existingNewsAndEvents.title
+    ) {
+      updateData.slug = await NewsAndEvents.generateUniqueSlug(
+        updateData.title,
+        id
+      );
+    }
+
+    // Replaced cover images and images are not deleted from disk: the
+    // revision history still references them (cleaned up on delete)
     const oldCoverImage = existingNewsAndEvents.cover_image;
 
     // Get old images URLs BEFORE any updates (important!)
@@ -420,56 +1090,16 @@ module.exports.updateNewsAndEvents = async (req, res, next) => {
       const filePath = path.join("uploads/cover-images", file.filename);
       newCoverImageUrl = getRelativePath(filePath, "cover");
 
-      // Delete old cover image if it exists and is different from new one
-      if (oldCoverImage && oldCoverImage !== newCoverImageUrl) {
-        logger.info(
-          `New cover image uploaded. Deleting old cover image: ${oldCoverImage}`
-        );
-        try {
-          const deleted = await deleteFile(oldCoverImage, "cover");
-          if (deleted) {
-            logger.info(
-              `Successfully deleted old cover image: ${oldCoverImage}`
-            );
-          } else {
-            logger.warn(`Failed to delete old cover image: ${oldCoverImage}`);
-          }
-        } catch (error) {
-          logger.error("Error deleting old cover image:", error);
-        }
-      }
-
       updateData.cover_image = newCoverImageUrl;
       logger.info(`New cover image path: ${updateData.cover_image}`);
     } else if (updateData.cover_image !== undefined) {
       // Cover image URL provided in body
       if (updateData.cover_image === "" || updateData.cover_image === null) {
-        // Remove cover image - delete old file
-        if (oldCoverImage) {
-          logger.info(
-            `Removing cover image. Deleting old file: ${oldCoverImage}`
-          );
-          try {
-            await deleteFile(oldCoverImage, "cover");
-          } catch (error) {
-            logger.error("Error deleting old cover image:", error);
-          }
-        }
+        // Remove cover image
         updateData.cover_image = null;
       } else {
         // New cover image URL provided - convert to relative path
         newCoverImageUrl = getRelativePath(updateData.cover_image, "cover");
-        // Delete old cover image if it's different from new one
-        if (oldCoverImage && oldCoverImage !== newCoverImageUrl) {
-          logger.info(
-            `Cover image changed. Deleting old cover image: ${oldCoverImage}`
-          );
-          try {
-            await deleteFile(oldCoverImage, "cover");
-          } catch (error) {
-            logger.error("Error deleting old cover image:", error);
-          }
-        }
         updateData.cover_image = newCoverImageUrl;
       }
     }
@@ -520,8 +1150,36 @@ module.exports.updateNewsAndEvents = async (req, res, next) => {
     // Remove images from updateData as we handle it separately
     delete updateData.images;
 
-    // Update news and events
-    const newsAndEvents = await NewsAndEvents.update(id, updateData);
+    // Update news and events, keeping the current version in the revision
+    // history
+    const updated = await NewsAndEventsRevision.updateWithRevision(
+      id,
+      updateData,
+      req.user.id,
+      shouldUpdateImages ? imageUrls : undefined
+    );
+    if (!updated) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "News and events not found"));
+    }
+    const { newsAndEvents } = updated;
+
+    if (newsAndEvents.slug !== existingNewsAndEvents.slug) {
+      await NewsAndEventsSlug.recordChange(
+        id,
+        existingNewsAndEvents.slug,
+        newsAndEvents.slug
+      );
+    }
+
+    // Seats added to the event go to its waitlist
+    if (newsAndEvents.capacity !== existingNewsAndEvents.capacity) {
+      await notifyPromoted(
+        await EventRegistration.promoteWaitlisted(id),
+        newsAndEvents
+      );
+    }
 
     // Update images if new images were provided - Smart update logic
     if (shouldUpdateImages) {
@@ -575,19 +1233,6 @@ module.exports.updateNewsAndEvents = async (req, res, next) => {
             }
           }
         }
-
-        // Delete removed image files from filesystem
-        try {
-          logger.info(
-            `Deleting ${
-              imagesToDelete.length
-            } removed images from filesystem: ${JSON.stringify(imagesToDelete)}`
-          );
-          await deleteFiles(imagesToDelete, "news");
-          logger.info(`Finished deleting removed images`);
-        } catch (error) {
-          logger.error("Error deleting removed images:", error);
-        }
       }
 
       // Add new images to database
@@ -630,6 +1275,24 @@ module.exports.updateNewsAndEvents = async (req, res, next) => {
       return res.status(400).json(formatResponse(false, "Invalid category ID"));
     }
 
+    // Handle duplicate slug error (slug taken in the meantime)
+    if (error.code === "ER_DUP_ENTRY") {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Slug is already in use"));
+    }
+
+    if (error.code === "REVISION_CONFLICT") {
+      return res
+        .status(409)
+        .json(
+          formatResponse(
+            false,
+            "The item was changed at the same time, please try again"
+          )
+        );
+    }
+
     next(error);
   }
 };
@@ -650,14 +1313,28 @@ module.exports.deleteNewsAndEvents = async (req, res, next) => {
         .json(formatResponse(false, "News and events not found"));
     }
 
-    // Get all images before deleting
+    // Get all images before deleting, including those only referenced
+    // by the revision history
     const images = await NewsAndEventsImage.findByNewsAndEventsId(id);
-    const imageUrls = images.map((img) => img.image_url);
-
-    // Delete cover image if it exists
-    if (newsAndEvents.cover_image) {
+    const revisionFiles = await NewsAndEventsRevision.findReferencedFiles(id);
+    const imageUrls = [
+      ...new Set([
+        ...images.map((img) => img.image_url),
+        ...revisionFiles.images,
+      ]),
+    ];
+    const coverImageUrls = [
+      ...new Set(
+        [newsAndEvents.cover_image, ...revisionFiles.coverImages].filter(
+          Boolean
+        )
+      ),
+    ];
+
+    // Delete cover images
+    if (coverImageUrls.length > 0) {
       try {
-        await deleteFile(newsAndEvents.cover_image, "cover");
+        await deleteFiles(coverImageUrls, "cover");
       } catch (error) {
         logger.error("Error deleting cover image:", error);
       }
@@ -0,0 +1,188 @@
+const NewsAndEvents = require("../models/NewsAndEvents");
+const NewsAndEventsOccurrence = require("../models/NewsAndEventsOccurrence");
+const logger = require("../utils/logger");
+const { formatResponse } = require("../utils/helpers");
+const {
+  MAX_EXPANSION_DAYS,
+  isOccurrence,
+  getOccurrences,
+} = require("../utils/recurrence");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Window listed when none is given
+const DEFAULT_WINDOW_DAYS = 90;
+
+/**
+ * Find a recurring event and the occurrence addressed by the request
+ * Sends the error response itself when either doesn't exist.
+ * @param {object} req - Express request (params id and occurrenceStart)
+ * @param {object} res - Express response
+ * @returns {Promise<object|null>} { newsAndEvents, occurrenceStart (Date) } or null
+ */
+const findOccurrence = async (req, res) => {
+  const newsAndEvents = await NewsAndEvents.findById(req.params.id);
+  if (!newsAndEvents) {
+    res.status(404).json(formatResponse(false, "News and events not found"));
+    return null;
+  }
+
+  if (!newsAndEvents.recurrence_rule) {
+    res
+      .status(400)
+      .json(formatResponse(false, "News and events is not a recurring event"));
+    return null;
+  }
+
+  const occurrenceStart = new Date(req.params.occurrenceStart);
+  if (!isOccurrence(newsAndEvents, occurrenceStart)) {
+    res.status(404).json(formatResponse(false, "Occurrence not found"));
+    return null;
+  }
+
+  return { newsAndEvents, occurrenceStart };
+};
+
+/**
+ * Get the occurrences of a recurring event
+ * GET /api/news-and-events/:id/occurrences
+ * Query params: from, to (ISO 8601; default: the next 90 days)
+ * Cancelled and changed occurrences are included and flagged.
+ */
+module.exports.getOccurrences = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const newsAndEvents = await NewsAndEvents.findById(id);
+    if (!newsAndEvents) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "News and events not found"));
+    }
+
+    if (!newsAndEvents.recurrence_rule) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(false, "News and events is not a recurring event")
+        );
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + DEFAULT_WINDOW_DAYS * DAY_MS);
+    if (to < from || to - from > MAX_EXPANSION_DAYS * DAY_MS) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(
+            false,
+            `to must be after from and at most ${MAX_EXPANSION_DAYS} days later`
+          )
+        );
+    }
+
+    const overrides = await NewsAndEventsOccurrence.findByNewsAndEventsId(id);
+    const occurrences = getOccurrences(newsAndEvents, overrides, from, to);
+
+    res.json(
+      formatResponse(true, "Occurrences retrieved successfully", {
+        recurrenceRule: newsAndEvents.recurrence_rule,
+        from,
+        to,
+        occurrences,
+      })
+    );
+  } catch (error) {
+    logger.error("Get occurrences error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Change or cancel one occurrence of a recurring event
+ * PUT /api/news-and-events/:id/occurrences/:occurrenceStart
+ * occurrenceStart is the original start of the occurrence (ISO 8601, a date
+ * for all-day events). Fields left empty are taken from the series.
+ */
+module.exports.saveOccurrence = async (req, res, next) => {
+  try {
+    const found = await findOccurrence(req, res);
+    if (!found) {
+      return;
+    }
+    const { newsAndEvents, occurrenceStart } = found;
+
+    const occurrenceData = { ...req.body };
+    if (newsAndEvents.all_day) {
+      for (const field of ["start_at", "end_at"]) {
+        if (occurrenceData[field]) {
+          occurrenceData[field] = String(occurrenceData[field]).slice(0, 10);
+        }
+      }
+    }
+
+    if (
+      occurrenceData.end_at &&
+      new Date(occurrenceData.end_at) <
+        new Date(occurrenceData.start_at || occurrenceStart)
+    ) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "end_at must not be before start_at"));
+    }
+
+    const occurrence = await NewsAndEventsOccurrence.upsert(
+      newsAndEvents.id,
+      occurrenceStart.toISOString(),
+      occurrenceData,
+      req.user.id
+    );
+    await NewsAndEvents.bumpSequence(newsAndEvents.id);
+
+    res.json(
+      formatResponse(
+        true,
+        occurrence.cancelled
+          ? "Occurrence cancelled successfully"
+          : "Occurrence saved successfully",
+        { occurrence }
+      )
+    );
+  } catch (error) {
+    logger.error("Save occurrence error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Undo the change or cancellation of one occurrence
+ * DELETE /api/news-and-events/:id/occurrences/:occurrenceStart
+ */
+module.exports.resetOccurrence = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const occurrenceStart = new Date(req.params.occurrenceStart);
+
+    const deleted = await NewsAndEventsOccurrence.delete(
+      id,
+      occurrenceStart.toISOString()
+    );
+    if (!deleted) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "Occurrence has no changes"));
+    }
+    await NewsAndEvents.bumpSequence(id);
+
+    logger.info(
+      `Occurrence reset for news and events ${id}: ${occurrenceStart.toISOString()}`
+    );
+
+    res.json(formatResponse(true, "Occurrence reset successfully"));
+  } catch (error) {
+    logger.error("Reset occurrence error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,246 @@
+const NewsAndEvents = require("../models/NewsAndEvents");
+const NewsAndEventsImage = require("../models/NewsAndEventsImage");
+const NewsAndEventsRevision = require("../models/NewsAndEventsRevision");
+const Category = require("../models/Category");
+const EventRegistration = require("../models/EventRegistration");
+const logger = require("../utils/logger");
+const { formatResponse, diffObjects } = require("../utils/helpers");
+const { getRelativePath } = require("../config/upload");
+const { DEFAULT_TEXT_FORMAT } = require("../config/textFormats");
+const { applyRichText } = require("../utils/richText");
+const { applyEventRules } = require("../utils/eventRules");
+const { notifyPromoted } = require("../utils/registrations");
+
+/**
+ * Find a revision that belongs to the given news and events item
+ * @param {number|string} newsAndEventsId - News and Events ID
+ * @param {number|string} revisionId - Revision ID
+ * @returns {Promise<object|null>} Revision or null
+ */
+const findRevisionOf = async (newsAndEventsId, revisionId) => {
+  const revision = await NewsAndEventsRevision.findById(revisionId);
+  if (
+    !revision ||
+    revision.news_and_events_id !== parseInt(newsAndEventsId, 10)
+  ) {
+    return null;
+  }
+  return revision;
+};
+
+/**
+ * Get the revision history of a news and events item
+ * GET /api/news-and-events/:id/revisions
+ */
+module.exports.getRevisions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const newsAndEvents = await NewsAndEvents.findById(id);
+    if (!newsAndEvents) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "News and events not found"));
+    }
+
+    const revisions = await NewsAndEventsRevision.findByNewsAndEventsId(id);
+
+    res.json(
+      formatResponse(true, "Revisions retrieved successfully", { revisions })
+    );
+  } catch (error) {
+    logger.error("Get revisions error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Get a single revision with its content
+ * GET /api/news-and-events/:id/revisions/:revisionId
+ */
+module.exports.getRevisionById = async (req, res, next) => {
+  try {
+    const { id, revisionId } = req.params;
+
+    const revision = await findRevisionOf(id, revisionId);
+    if (!revision) {
+      return res.status(404).json(formatResponse(false, "Revision not found"));
+    }
+
+    res.json(
+      formatResponse(true, "Revision retrieved successfully", { revision })
+    );
+  } catch (error) {
+    logger.error("Get revision error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Compare two revisions (or a revision with the current version)
+ * GET /api/news-and-events/:id/revisions/diff
+ * Query params: from (revision ID), to (revision ID or "current", default: current)
+ */
+module.exports.diffRevisions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const to = req.query.to || "current";
+
+    const fromRevision = await findRevisionOf(id, req.query.from);
+    if (!fromRevision) {
+      return res.status(404).json(formatResponse(false, "Revision not found"));
+    }
+
+    let toSnapshot;
+    let toRevision = null;
+
+    if (to === "current") {
+      const current = await NewsAndEvents.findByIdWithImages(id);
+      toSnapshot = NewsAndEventsRevision.buildSnapshot(current);
+    } else {
+      toRevision = await findRevisionOf(id, to);
+      if (!toRevision) {
+        return res
+          .status(404)
+          .json(formatResponse(false, "Revision not found"));
+      }
+      toSnapshot = toRevision.snapshot;
+    }
+
+    res.json(
+      formatResponse(true, "Revisions compared successfully", {
+        from: {
+          id: fromRevision.id,
+          revision_number: fromRevision.revision_number,
+        },
+        to: toRevision
+          ? { id: toRevision.id, revision_number: toRevision.revision_number }
+          : { id: null, revision_number: "current" },
+        changes: diffObjects(fromRevision.snapshot, toSnapshot),
+      })
+    );
+  } catch (error) {
+    logger.error("Diff revisions error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Restore a revision as the current content
+ * POST /api/news-and-events/:id/revisions/:revisionId/restore
+ * The current version is saved as a new revision first, so a restore can be
+ * undone. The publishing state (status, publish_at, unpublish_at) is kept.
+ * The restored event fields are checked as on update, and seats it adds go
+ * to the waitlist.
+ */
+module.exports.restoreRevision = async (req, res, next) => {
+  try {
+    const { id, revisionId } = req.params;
+
+    const existingNewsAndEvents = await NewsAndEvents.findById(id);
+    if (!existingNewsAndEvents) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "News and events not found"));
+    }
+
+    const revision = await findRevisionOf(id, revisionId);
+    if (!revision) {
+      return res.status(404).json(formatResponse(false, "Revision not found"));
+    }
+
+    const { snapshot } = revision;
+
+    const category = await Category.findById(snapshot.category_id);
+    if (!category) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(
+            false,
+            "The category of this revision no longer exists"
+          )
+        );
+    }
+
+    const updateData = {};
+    for (const field of NewsAndEventsRevision.CONTENT_FIELDS) {
+      updateData[field] = snapshot[field];
+    }
+    // Revisions from before rich text have no format (they are plain text)
+    updateData.description_format =
+      updateData.description_format || DEFAULT_TEXT_FORMAT;
+
+    const eventError = applyEventRules(updateData, existingNewsAndEvents);
+    if (eventError) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(
+            false,
+            `This revision can't be restored: ${eventError}`
+          )
+        );
+    }
+    applyRichText(updateData);
+
+    const updated = await NewsAndEventsRevision.updateWithRevision(
+      id,
+      updateData,
+      req.user.id,
+      snapshot.images
+    );
+    if (!updated) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "News and events not found"));
+    }
+    const { newsAndEvents } = updated;
+
+    if (updated.revision) {
+      await NewsAndEventsImage.deleteByNewsAndEventsId(id);
+      if (snapshot.images.length > 0) {
+        await NewsAndEventsImage.createMultiple(id, snapshot.images);
+      }
+    }
+
+    // Seats added to the event go to its waitlist
+    if (newsAndEvents.capacity !== existingNewsAndEvents.capacity) {
+      await notifyPromoted(
+        await EventRegistration.promoteWaitlisted(id),
+        newsAndEvents
+      );
+    }
+
+    const images = await NewsAndEventsImage.findByNewsAndEventsId(id);
+
+    logger.info(
+      `News and events ${id} restored to revision ${revision.revision_number} by admin ${req.user.id}`
+    );
+
+    res.json(
+      formatResponse(true, "Revision restored successfully", {
+        newsAndEvents: {
+          ...newsAndEvents,
+          cover_image: getRelativePath(newsAndEvents.cover_image, "cover"),
+          images: images.map((img) => getRelativePath(img.image_url, "news")),
+        },
+      })
+    );
+  } catch (error) {
+    logger.error("Restore revision error:", error);
+
+    if (error.code === "REVISION_CONFLICT") {
+      return res
+        .status(409)
+        .json(
+          formatResponse(
+            false,
+            "The item was changed at the same time, please try again"
+          )
+        );
+    }
+
+    next(error);
+  }
+};
@@ -0,0 +1,105 @@
+const NewsAndEvents = require("../models/NewsAndEvents");
+const NewsAndEventsTranslation = require("../models/NewsAndEventsTranslation");
+const logger = require("../utils/logger");
+const { formatResponse } = require("../utils/helpers");
+const { applyRichText } = require("../utils/richText");
+const { DEFAULT_LOCALE } = require("../config/locales");
+
+/**
+ * Get the translations of a news and events item
+ * GET /api/news-and-events/:id/translations
+ */
+module.exports.getTranslations = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const newsAndEvents = await NewsAndEvents.findById(id);
+    if (!newsAndEvents) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "News and events not found"));
+    }
+
+    const translations = await NewsAndEventsTranslation.findByNewsAndEventsId(
+      id
+    );
+
+    res.json(
+      formatResponse(true, "Translations retrieved successfully", {
+        defaultLocale: DEFAULT_LOCALE,
+        availableLocales: [
+          DEFAULT_LOCALE,
+          ...translations.map((translation) => translation.locale),
+        ],
+        translations,
+      })
+    );
+  } catch (error) {
+    logger.error("Get news and events translations error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Create or replace the translation of a news and events item
+ * PUT /api/news-and-events/:id/translations/:locale
+ */
+module.exports.saveTranslation = async (req, res, next) => {
+  try {
+    const { id, locale } = req.params;
+
+    const newsAndEvents = await NewsAndEvents.findById(id);
+    if (!newsAndEvents) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "News and events not found"));
+    }
+
+    // The description uses the format of the item unless one is given
+    const translationData = {
+      ...req.body,
+      description: req.body.description || null,
+    };
+    applyRichText(translationData, {
+      description_format: newsAndEvents.description_format,
+    });
+
+    const translation = await NewsAndEventsTranslation.upsert(
+      newsAndEvents.id,
+      locale,
+      translationData,
+      req.user.id
+    );
+
+    res.json(
+      formatResponse(true, "Translation saved successfully", { translation })
+    );
+  } catch (error) {
+    logger.error("Save news and events translation error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Delete the translation of a news and events item
+ * DELETE /api/news-and-events/:id/translations/:locale
+ */
+module.exports.deleteTranslation = async (req, res, next) => {
+  try {
+    const { id, locale } = req.params;
+
+    const deleted = await NewsAndEventsTranslation.delete(id, locale);
+    if (!deleted) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "Translation not found"));
+    }
+
+    logger.info(`Translation deleted for news and events ${id}: ${locale}`);
+
+    res.json(formatResponse(true, "Translation deleted successfully"));
+  } catch (error) {
+    logger.error("Delete news and events translation error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,116 @@
+const NewsAndEvents = require("../models/NewsAndEvents");
+const NewsPreviewLink = require("../models/NewsPreviewLink");
+const logger = require("../utils/logger");
+const { formatResponse } = require("../utils/helpers");
+const { generatePreviewToken } = require("../utils/previewTokens");
+
+/**
+ * Get the preview links of a news and events item
+ * GET /api/news-and-events/:id/preview-links
+ */
+module.exports.getPreviewLinks = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const newsAndEvents = await NewsAndEvents.findById(id);
+    if (!newsAndEvents) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "News and events not found"));
+    }
+
+    const previewLinks = await NewsPreviewLink.findByNewsAndEventsId(id);
+
+    res.json(
+      formatResponse(true, "Preview links retrieved successfully", {
+        previewLinks,
+      })
+    );
+  } catch (error) {
+    logger.error("Get preview links error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Create a preview link
+ * POST /api/news-and-events/:id/preview-links
+ * The preview token is only returned in this response.
+ */
+module.exports.createPreviewLink = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const newsAndEvents = await NewsAndEvents.findById(id);
+    if (!newsAndEvents) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "News and events not found"));
+    }
+
+    const expiresInHours =
+      parseInt(req.body.expires_in_hours) ||
+      parseInt(process.env.PREVIEW_LINK_EXPIRES_HOURS) ||
+      168;
+
+    const previewLink = await NewsPreviewLink.create({
+      news_and_events_id: newsAndEvents.id,
+      created_by: req.user.id,
+      expires_in_hours: expiresInHours,
+    });
+
+    const token = generatePreviewToken(previewLink, expiresInHours);
+
+    logger.info(
+      `Preview link created for news and events ${id} by admin ${req.user.id}`
+    );
+
+    res.status(201).json(
+      formatResponse(true, "Preview link created successfully", {
+        previewLink,
+        preview_token: token,
+        preview_path: `/api/news-and-events/public/${
+          newsAndEvents.id
+        }?preview=${encodeURIComponent(token)}`,
+      })
+    );
+  } catch (error) {
+    logger.error("Create preview link error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Revoke a preview link
+ * DELETE /api/news-and-events/:id/preview-links/:linkId
+ */
+module.exports.revokePreviewLink = async (req, res, next) => {
+  try {
+    const { id, linkId } = req.params;
+
+    const previewLink = await NewsPreviewLink.findById(linkId);
+    if (
+      !previewLink ||
+      previewLink.news_and_events_id !== parseInt(id, 10)
+    ) {
+      return res
+        .status(404)
+        .json(formatResponse(false, "Preview link not found"));
+    }
+
+    const revoked = await NewsPreviewLink.revoke(linkId);
+
+    if (!revoked) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Preview link has already been revoked"));
+    }
+
+    logger.info(`Preview link revoked: ID ${linkId} by admin ${req.user.id}`);
+
+    res.json(formatResponse(true, "Preview link revoked successfully"));
+  } catch (error) {
+    logger.error("Revoke preview link error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,504 @@
+const crypto = require("crypto");
+const NewsAndEvents = require("../models/NewsAndEvents");
+const NewsAndEventsTranslation = require("../models/NewsAndEventsTranslation");
+const Category = require("../models/Category");
+const CategoryTranslation = require("../models/CategoryTranslation");
+const SearchQuery = require("../models/SearchQuery");
+const logger = require("../utils/logger");
+const { formatResponse } = require("../utils/helpers");
+const { NEWS_TYPES } = require("../config/newsTypes");
+const {
+  SEARCH_TYPES,
+  MAX_SEARCH_RESULTS,
+  SUGGEST_LIMIT,
+  SUGGEST_TIME_BUDGET_MS,
+  SUGGEST_CACHE_SECONDS,
+  SUGGEST_CACHE_SIZE,
+  POPULAR_SEARCH_MIN_CLIENTS,
+} = require("../config/search");
+const {
+  foldText,
+  getSearchTerms,
+  normalizeQuery,
+  highlight,
+} = require("../utils/search");
+const { toPlainText } = require("../utils/richText");
+const { getNewsAndEventsUrl, getCategoryUrl } = require("../utils/publicUrls");
+const {
+  getLocaleChain,
+  setLocaleHeaders,
+  localize,
+} = require("../utils/localization");
+const { getRelativePath } = require("../config/upload");
+const { getJwtSecret } = require("../utils/authTokens");
+
+/**
+ * Describe a news and events item as a search result
+ * @param {object} item - News and events item (with its relevance)
+ * @param {Array} translations - Translation rows of the item
+ * @param {Array} categoryTranslations - Translation rows of its category
+ * @param {Array<string>} chain - Locale chain (from getLocaleChain)
+ * @param {Array<string>} terms - Search words (from getSearchTerms)
+ * @returns {object} Search result
+ */
+const toItemResult = (
+  item,
+  translations,
+  categoryTranslations,
+  chain,
+  terms
+) => {
+  const localized = localize(
+    item,
+    translations,
+    NewsAndEventsTranslation.TRANSLATABLE_FIELDS,
+    chain
+  );
+  const category = localize(
+    { name: item.category_name },
+    categoryTranslations,
+    ["name"],
+    chain
+  );
+
+  return {
+    type: item.type,
+    id: item.id,
+    slug: item.slug,
+    url: getNewsAndEventsUrl(item),
+    locale: localized.locale,
+    title: localized.title,
+    title_html: highlight(localized.title, terms, Infinity),
+    snippet_html: highlight(
+      toPlainText(localized.description_html) || localized.excerpt,
+      terms
+    ),
+    category_id: item.category_id,
+    category_name: category.name,
+    date_time: item.date_time,
+    start_at: item.start_at,
+    cover_image: getRelativePath(item.cover_image, "cover"),
+    relevance: Number(item.relevance),
+  };
+};
+
+/**
+ * Describe a category as a search result
+ * @param {object} category - Category (with its relevance)
+ * @param {Array} translations - Translation rows of the category
+ * @param {Array<string>} chain - Locale chain (from getLocaleChain)
+ * @param {Array<string>} terms - Search words (from getSearchTerms)
+ * @returns {object} Search result
+ */
+const toCategoryResult = (category, translations, chain, terms) => {
+  const localized = localize(
+    category,
+    translations,
+    CategoryTranslation.TRANSLATABLE_FIELDS,
+    chain
+  );
+
+  return {
+    type: SEARCH_TYPES.CATEGORY,
+    id: category.id,
+    slug: category.slug,
+    url: getCategoryUrl(category),
+    locale: localized.locale,
+    title: localized.name,
+    title_html: highlight(localized.name, terms, Infinity),
+    snippet_html: highlight(localized.description, terms),
+    relevance: Number(category.relevance),
+  };
+};
+
+/**
+ * Tell the clients of popular searches apart without storing their address
+ * @param {object} req - Express request
+ * @returns {string} Keyed hash of the client's IP address
+ */
+const getClientHash = (req) =>
+  crypto
+    .createHmac("sha256", getJwtSecret())
+    .update(`search-client:${req.ip}`)
+    .digest("hex");
+
+// Cached suggestion responses by request, oldest first
+const suggestCache = new Map();
+
+/**
+ * Get cached suggestions
+ * @param {string} key - Cache key
+ * @returns {object|null} Suggestions, or null if not cached (or expired)
+ */
+const getCachedSuggestions = (key) => {
+  const entry = suggestCache.get(key);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    suggestCache.delete(key);
+    return null;
+  }
+  return entry.suggestions;
+};
+
+/**
+ * Cache suggestions, dropping the oldest entry when the cache is full
+ * @param {string} key - Cache key
+ * @param {object} suggestions - Suggestions
+ */
+const cacheSuggestions = (key, suggestions) => {
+  suggestCache.delete(key);
+  suggestCache.set(key, {
+    suggestions,
+    expiresAt: Date.now() + SUGGEST_CACHE_SECONDS * 1000,
+  });
+  if (suggestCache.size > SUGGEST_CACHE_SIZE) {
+    suggestCache.delete(suggestCache.keys().next().value);
+  }
+};
+
+/**
+ * Wait for a promise within the suggestion time budget
+ * @param {Promise} promise - Promise
+ * @param {string} kind - Kind of suggestions (for the log)
+ * @returns {Promise<*>} Its value, or null if it failed or took too long
+ */
+const withinBudget = (promise, kind) => {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      logger.warn(
+        `Search suggestions (${kind}) took over ${SUGGEST_TIME_BUDGET_MS} ms`
+      );
+      resolve(null);
+    }, SUGGEST_TIME_BUDGET_MS);
+  });
+
+  return Promise.race([
+    promise.catch((error) => {
+      logger.error(`Search suggestions (${kind}) error:`, error);
+      return null;
+    }),
+    timeout,
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Suggest titles of public news and events that match a search
+ * @param {string} q - Search as typed
+ * @param {object} filters - Filters of the public listing
+ * @param {Array<string>} chain - Locale chain (from getLocaleChain)
+ * @param {Array<string>} terms - Search words (from getSearchTerms)
+ * @returns {Promise<Array>} Suggestions
+ */
+const suggestTitles = async (q, filters, chain, terms) => {
+  const items = await NewsAndEvents.findAll({
+    ...filters,
+    visible: true,
+    title_search: q,
+    limit: SUGGEST_LIMIT,
+  });
+  const translations = await NewsAndEventsTranslation.findByNewsAndEventsIds(
+    items.map((item) => item.id)
+  );
+
+  return items.map((item) => {
+    const { title } = localize(
+      item,
+      translations[item.id] || [],
+      ["title"],
+      chain
+    );
+    return {
+      type: item.type,
+      id: item.id,
+      slug: item.slug,
+      url: getNewsAndEventsUrl(item),
+      title,
+      title_html: highlight(title, terms, Infinity),
+    };
+  });
+};
+
+/**
+ * Suggest active categories whose name matches a search
+ * @param {string} q - Search as typed
+ * @param {Array<string>} chain - Locale chain (from getLocaleChain)
+ * @param {Array<string>} terms - Search words (from getSearchTerms)
+ * @returns {Promise<Array>} Suggestions
+ */
+const suggestCategories = async (q, chain, terms) => {
+  const categories = await Category.findNameMatches(q, SUGGEST_LIMIT);
+  const translations = await CategoryTranslation.findByCategoryIds(
+    categories.map((category) => category.id)
+  );
+
+  return categories.map((category) => {
+    const { name } = localize(
+      category,
+      translations[category.id] || [],
+      ["name"],
+      chain
+    );
+    return {
+      id: category.id,
+      slug: category.slug,
+      url: getCategoryUrl(category),
+      name,
+      name_html: highlight(name, terms, Infinity),
+    };
+  });
+};
+
+/**
+ * Suggest popular searches that start like a search
+ * @param {string} q - Search as typed
+ * @param {Array<string>} terms - Search words (from getSearchTerms)
+ * @returns {Promise<Array>} Suggestions
+ */
+const suggestQueries = async (q, terms) => {
+  const queries = await SearchQuery.findPopular(
+    normalizeQuery(q),
+    SUGGEST_LIMIT,
+    POPULAR_SEARCH_MIN_CLIENTS
+  );
+  return queries.map(({ query }) => ({
+    query,
+    query_html: highlight(query, terms, Infinity),
+  }));
+};
+
+/**
+ * Search the public website
+ * GET /api/search
+ * Query params: q, type (news, event or category), page, limit, lang
+ * Searches the news and events published right now and the active
+ * categories, most relevant first. Results have their title and a snippet
+ * with the matching words in <mark>, and counts has the number of results
+ * of each type.
+ */
+module.exports.search = async (req, res, next) => {
+  try {
+    const { q, type } = req.query;
+
+    // Pagination parameters
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    // Validate pagination
+    if (page < 1) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Page must be greater than 0"));
+    }
+
+    if (limit < 1 || limit > 50) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Limit must be between 1 and 50"));
+    }
+
+    const terms = getSearchTerms(q);
+    if (terms.length === 0) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Search must contain words to look for"));
+    }
+
+    const categories = await Category.findAll({ status: "active", search: q });
+    const counts = {
+      [SEARCH_TYPES.NEWS]: await NewsAndEvents.count({
+        visible: true,
+        type: NEWS_TYPES.NEWS,
+        search: q,
+      }),
+      [SEARCH_TYPES.EVENT]: await NewsAndEvents.count({
+        visible: true,
+        type: NEWS_TYPES.EVENT,
+        search: q,
+      }),
+      [SEARCH_TYPES.CATEGORY]: categories.length,
+    };
+
+    // Results of all types are merged by relevance, so the first
+    // offset + limit of each type are needed for this page
+    const items =
+      type === SEARCH_TYPES.CATEGORY
+        ? []
+        : await NewsAndEvents.findAll({
+            visible: true,
+            type,
+            search: q,
+            limit: offset + limit,
+          });
+    const entries = [
+      ...items.map((item) => ({ item, relevance: Number(item.relevance) })),
+      ...(!type || type === SEARCH_TYPES.CATEGORY ? categories : []).map(
+        (category) => ({ category, relevance: Number(category.relevance) })
+      ),
+    ]
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice(offset, offset + limit);
+
+    // Localize the results of this page
+    const localeChain = getLocaleChain(req);
+    const pageItems = entries.filter((entry) => entry.item);
+    const pageCategories = entries.filter((entry) => entry.category);
+    const translations = await NewsAndEventsTranslation.findByNewsAndEventsIds(
+      pageItems.map((entry) => entry.item.id)
+    );
+    const categoryTranslations = await CategoryTranslation.findByCategoryIds([
+      ...new Set([
+        ...pageItems.map((entry) => entry.item.category_id),
+        ...pageCategories.map((entry) => entry.category.id),
+      ]),
+    ]);
+
+    const results = entries.map(({ item, category }) =>
+      item
+        ? toItemResult(
+            item,
+            translations[item.id] || [],
+            categoryTranslations[item.category_id] || [],
+            localeChain,
+            terms
+          )
+        : toCategoryResult(
+            category,
+            categoryTranslations[category.id] || [],
+            localeChain,
+            terms
+          )
+    );
+
+    // Count the search for the popular search suggestions (failures are
+    // logged by the model and don't affect the results)
+    const allCount = Object.values(counts).reduce(
+      (sum, count) => sum + count,
+      0
+    );
+    if (page === 1) {
+      SearchQuery.record(normalizeQuery(q), allCount, getClientHash(req)).catch(
+        () => {}
+      );
+    }
+
+    // Calculate pagination metadata
+    const totalCount = type ? counts[type] : allCount;
+    // Pages past MAX_SEARCH_RESULTS can't be requested
+    const totalPages = Math.min(
+      Math.ceil(totalCount / limit),
+      Math.floor(MAX_SEARCH_RESULTS / limit)
+    );
+    const hasNext = page < totalPages;
+    const hasPrev = page > 1;
+
+    setLocaleHeaders(res, localeChain);
+    res.json(
+      formatResponse(true, "Search results retrieved successfully", {
+        results,
+        counts,
+        pagination: {
+          currentPage: page,
+          totalPages: totalPages,
+          totalItems: totalCount,
+          itemsPerPage: limit,
+          hasNext: hasNext,
+          hasPrev: hasPrev,
+          nextPage: hasNext ? page + 1 : null,
+          prevPage: hasPrev ? page - 1 : null,
+        },
+      })
+    );
+  } catch (error) {
+    logger.error("Search error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Suggest searches as the user types (public endpoint)
+ * GET /api/search/suggest
+ * Query params: q, lang, and the filters of GET /api/news-and-events/public
+ * (category_id, type, upcoming, past, starts_from, starts_to, city,
+ * date_from, date_to) for the titles
+ * Returns titles of news and events and category names with words starting
+ * with the typed words, and popular searches starting with the typed text.
+ * Each kind has SUGGEST_TIME_BUDGET_MS; kinds that take longer are left out
+ * and partial is true. Complete responses are cached for
+ * SUGGEST_CACHE_SECONDS, so repeated keystrokes are cheap.
+ */
+module.exports.suggest = async (req, res, next) => {
+  try {
+    const q = normalizeQuery(req.query.q);
+    const terms = getSearchTerms(q);
+    const localeChain = getLocaleChain(req);
+    setLocaleHeaders(res, localeChain);
+
+    // Too short to suggest anything useful
+    if (q.length < 2) {
+      res.set("Cache-Control", `public, max-age=${SUGGEST_CACHE_SECONDS}`);
+      return res.json(
+        formatResponse(true, "Suggestions retrieved successfully", {
+          titles: [],
+          categories: [],
+          queries: [],
+          partial: false,
+        })
+      );
+    }
+
+    const filters = {
+      category_id: req.query.category_id,
+      type: req.query.type,
+      upcoming: req.query.upcoming === "true",
+      past: req.query.past === "true",
+      starts_from: req.query.starts_from,
+      starts_to: req.query.starts_to,
+      city: req.query.city,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+    };
+    const cacheKey = JSON.stringify([foldText(q), localeChain, filters]);
+
+    let suggestions = getCachedSuggestions(cacheKey);
+    if (!suggestions) {
+      // Words are needed to match titles and names; popular searches only
+      // need the start of the text
+      const [titles, categories, queries] = await Promise.all([
+        terms.length > 0
+          ? withinBudget(
+              suggestTitles(q, filters, localeChain, terms),
+              "titles"
+            )
+          : [],
+        terms.length > 0
+          ? withinBudget(suggestCategories(q, localeChain, terms), "categories")
+          : [],
+        withinBudget(suggestQueries(q, terms), "queries"),
+      ]);
+
+      suggestions = {
+        titles: titles || [],
+        categories: categories || [],
+        queries: queries || [],
+        partial: !titles || !categories || !queries,
+      };
+      if (!suggestions.partial) {
+        cacheSuggestions(cacheKey, suggestions);
+      }
+    }
+
+    res.set(
+      "Cache-Control",
+      suggestions.partial
+        ? "no-store"
+        : `public, max-age=${SUGGEST_CACHE_SECONDS}`
+    );
+    res.json(
+      formatResponse(true, "Suggestions retrieved successfully", suggestions)
+    );
+  } catch (error) {
+    logger.error("Search suggestions error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,122 @@
+const NewsAndEvents = require("../models/NewsAndEvents");
+const Category = require("../models/Category");
+const logger = require("../utils/logger");
+const { formatResponse } = require("../utils/helpers");
+const { SITEMAP_MAX_URLS } = require("../config/sitemap");
+const { buildUrlSet, buildSitemapIndex } = require("../utils/sitemap");
+const { getNewsAndEventsUrl, getCategoryUrl } = require("../utils/publicUrls");
+
+/**
+ * Count the pages of the sitemap and load the active categories
+ * @returns {Promise<object>} { categories, total }
+ */
+const getSitemapContent = async () => {
+  const categories = await Category.findAll({ status: "active" });
+  const newsAndEventsCount = await NewsAndEvents.countForSitemap();
+  return { categories, total: categories.length + newsAndEventsCount };
+};
+
+/**
+ * Get the pages of one sitemap
+ * Pages are numbered across all sitemaps: the active categories first, then
+ * the visible news and events with a slug.
+ * @param {Array} categories - Active categories
+ * @param {number} start - Number of the first page (from 0)
+ * @param {number} count - Most pages in the sitemap
+ * @returns {Promise<Array>} Pages { loc, lastmod }
+ */
+const getSitemapUrls = async (categories, start, count) => {
+  const urls = categories.slice(start, start + count).map((category) => ({
+    loc: getCategoryUrl(category),
+    lastmod: category.updated_at,
+  }));
+
+  if (urls.length < count) {
+    const items = await NewsAndEvents.findForSitemap(
+      count - urls.length,
+      Math.max(0, start - categories.length)
+    );
+    urls.push(
+      ...items.map((item) => ({
+        loc: getNewsAndEventsUrl(item),
+        lastmod: item.updated_at,
+      }))
+    );
+  }
+
+  return urls;
+};
+
+/**
+ * Send an XML document
+ * @param {object} res - Express response
+ * @param {string} xml - Document
+ */
+const sendXml = (res, xml) => {
+  res.set("Content-Type", "application/xml; charset=utf-8");
+  res.send(xml);
+};
+
+/**
+ * Get the sitemap of the public website
+ * GET /api/sitemap.xml
+ * Lists the pages of the active categories and of the news and events that
+ * are published right now. Past SITEMAP_MAX_URLS pages, returns a sitemap
+ * index of /api/sitemap-1.xml, /api/sitemap-2.xml, ...
+ */
+module.exports.getSitemap = async (req, res, next) => {
+  try {
+    const { categories, total } = await getSitemapContent();
+
+    if (total <= SITEMAP_MAX_URLS) {
+      return sendXml(
+        res,
+        buildUrlSet(await getSitemapUrls(categories, 0, SITEMAP_MAX_URLS))
+      );
+    }
+
+    const sitemaps = Array.from(
+      { length: Math.ceil(total / SITEMAP_MAX_URLS) },
+      (value, index) => ({
+        loc: `${req.protocol}://${req.get("host")}${req.baseUrl}/sitemap-${
+          index + 1
+        }.xml`,
+      })
+    );
+    sendXml(res, buildSitemapIndex(sitemaps));
+  } catch (error) {
+    logger.error("Get sitemap error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Get one sitemap of the sitemap index
+ * GET /api/sitemap-:page.xml
+ */
+module.exports.getSitemapPage = async (req, res, next) => {
+  try {
+    const page = /^\d+$/.test(req.params.page)
+      ? parseInt(req.params.page, 10)
+      : 0;
+    const { categories, total } = await getSitemapContent();
+
+    if (page < 1 || page > Math.ceil(total / SITEMAP_MAX_URLS)) {
+      return res.status(404).json(formatResponse(false, "Sitemap not found"));
+    }
+
+    sendXml(
+      res,
+      buildUrlSet(
+        await getSitemapUrls(
+          categories,
+          (page - 1) * SITEMAP_MAX_URLS,
+          SITEMAP_MAX_URLS
+        )
+      )
+    );
+  } catch (error) {
+    logger.error("Get sitemap page error:", error);
+    next(error);
+  }
+};
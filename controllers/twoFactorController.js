@@ -0,0 +1,350 @@
+const Admin = require("../models/Admin");
+const AdminRecoveryCode = require("../models/AdminRecoveryCode");
+const logger = require("../utils/logger");
+const {
+  formatResponse,
+  encryptSecret,
+  decryptSecret,
+} = require("../utils/helpers");
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpAuthUri,
+} = require("../utils/totp");
+const { issueTokens, verifyChallengeToken } = require("../utils/authTokens");
+const {
+  checkLockout,
+  applyProgressiveDelay,
+  recordAttempt,
+  recordFailure,
+  recordSuccess,
+} = require("../utils/loginProtection");
+
+/**
+ * Verify a second factor: a TOTP code or, if given, a recovery code
+ * @param {object} twoFactor - Admin two-factor data (from Admin.findTwoFactorById)
+ * @param {object} input - Object with code and/or recovery_code
+ * @returns {Promise<boolean>} True if the second factor is valid
+ */
+const verifySecondFactor = async (twoFactor, { code, recovery_code }) => {
+  if (recovery_code) {
+    const consumed = await AdminRecoveryCode.consume(
+      twoFactor.id,
+      recovery_code
+    );
+    if (consumed) {
+      logger.info(`Recovery code used by admin ${twoFactor.id}`);
+    }
+    return consumed;
+  }
+
+  if (!code || !twoFactor.two_factor_secret) {
+    return false;
+  }
+
+  const step = verifyCode(decryptSecret(twoFactor.two_factor_secret), code);
+
+  // A code can only be used once, even within its validity window
+  return step !== null && (await Admin.useTwoFactorStep(twoFactor.id, step));
+};
+
+/**
+ * Get two-factor authentication status of the current admin
+ * GET /api/admin/2fa
+ */
+module.exports.getStatus = async (req, res, next) => {
+  try {
+    const twoFactor = await Admin.findTwoFactorById(req.user.id);
+
+    if (!twoFactor) {
+      return res.status(404).json(formatResponse(false, "Admin not found"));
+    }
+
+    const enabled = Boolean(twoFactor.two_factor_enabled);
+
+    res.json(
+      formatResponse(true, "Two-factor status retrieved successfully", {
+        enabled,
+        recoveryCodesRemaining: enabled
+          ? await AdminRecoveryCode.countRemaining(req.user.id)
+          : 0,
+      })
+    );
+  } catch (error) {
+    logger.error("Get two-factor status error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Start two-factor enrollment
+ * POST /api/admin/2fa/setup
+ * Returns a new secret and otpauth URI; 2FA is only enabled after /2fa/verify.
+ */
+module.exports.setup = async (req, res, next) => {
+  try {
+    const twoFactor = await Admin.findTwoFactorById(req.user.id);
+
+    if (!twoFactor) {
+      return res.status(404).json(formatResponse(false, "Admin not found"));
+    }
+
+    if (twoFactor.two_factor_enabled) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(false, "Two-factor authentication is already enabled")
+        );
+    }
+
+    const secret = generateSecret();
+    await Admin.setTwoFactorSecret(req.user.id, encryptSecret(secret));
+
+    const issuer = process.env.TWO_FACTOR_ISSUER || "STCC";
+
+    logger.info(`Two-factor setup started for admin ${req.user.id}`);
+
+    res.json(
+      formatResponse(true, "Two-factor setup started", {
+        secret,
+        otpauthUri: buildOtpAuthUri(secret, req.user.email, issuer),
+      })
+    );
+  } catch (error) {
+    logger.error("Two-factor setup error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Verify a code from the authenticator app and enable 2FA
+ * POST /api/admin/2fa/verify
+ * Returns the recovery codes (only shown once).
+ */
+module.exports.verify = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const twoFactor = await Admin.findTwoFactorById(req.user.id);
+
+    if (!twoFactor || !twoFactor.two_factor_secret) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Two-factor setup has not been started"));
+    }
+
+    if (twoFactor.two_factor_enabled) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(false, "Two-factor authentication is already enabled")
+        );
+    }
+
+    if (!(await verifySecondFactor(twoFactor, { code }))) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Invalid verification code"));
+    }
+
+    await Admin.enableTwoFactor(req.user.id);
+    const recoveryCodes = await AdminRecoveryCode.regenerate(req.user.id);
+
+    logger.info(`Two-factor authentication enabled for admin ${req.user.id}`);
+
+    res.json(
+      formatResponse(true, "Two-factor authentication enabled successfully", {
+        recoveryCodes,
+      })
+    );
+  } catch (error) {
+    logger.error("Two-factor verify error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Disable 2FA for the current admin
+ * POST /api/admin/2fa/disable
+ * Requires the password and a current code (or a recovery code).
+ */
+module.exports.disable = async (req, res, next) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+
+    const admin = await Admin.findByEmail(req.user.email);
+    const isPasswordValid =
+      admin && (await Admin.verifyPassword(password, admin.password));
+
+    if (!isPasswordValid) {
+      return res.status(401).json(formatResponse(false, "Invalid password"));
+    }
+
+    const twoFactor = await Admin.findTwoFactorById(req.user.id);
+
+    if (!twoFactor.two_factor_enabled) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(false, "Two-factor authentication is not enabled")
+        );
+    }
+
+    if (!(await verifySecondFactor(twoFactor, { code, recovery_code }))) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Invalid verification code"));
+    }
+
+    await Admin.disableTwoFactor(req.user.id);
+    await AdminRecoveryCode.deleteByAdminId(req.user.id);
+
+    logger.info(`Two-factor authentication disabled for admin ${req.user.id}`);
+
+    res.json(
+      formatResponse(true, "Two-factor authentication disabled successfully")
+    );
+  } catch (error) {
+    logger.error("Two-factor disable error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Regenerate recovery codes (invalidates the old ones)
+ * POST /api/admin/2fa/recovery-codes
+ */
+module.exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const twoFactor = await Admin.findTwoFactorById(req.user.id);
+
+    if (!twoFactor.two_factor_enabled) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(false, "Two-factor authentication is not enabled")
+        );
+    }
+
+    if (!(await verifySecondFactor(twoFactor, { code }))) {
+      return res
+        .status(400)
+        .json(formatResponse(false, "Invalid verification code"));
+    }
+
+    const recoveryCodes = await AdminRecoveryCode.regenerate(req.user.id);
+
+    res.json(
+      formatResponse(true, "Recovery codes regenerated successfully", {
+        recoveryCodes,
+      })
+    );
+  } catch (error) {
+    logger.error("Regenerate recovery codes error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Second login step: exchange a challenge token and code for tokens
+ * POST /api/admin/login/2fa
+ */
+module.exports.loginVerify = async (req, res, next) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    const challenge = verifyChallengeToken(challenge_token);
+
+    if (!challenge) {
+      return res
+        .status(401)
+        .json(formatResponse(false, "Invalid or expired login challenge"));
+    }
+
+    const admin = await Admin.findById(challenge.id);
+    const twoFactor = await Admin.findTwoFactorById(challenge.id);
+
+    if (
+      !admin ||
+      !admin.is_active ||
+      !twoFactor ||
+      !twoFactor.two_factor_enabled
+    ) {
+      return res
+        .status(401)
+        .json(formatResponse(false, "Invalid or expired login challenge"));
+    }
+
+    // Code guesses count towards the same lockout as password guesses
+    const lockout = await checkLockout(admin.email, req.ip);
+
+    if (lockout.locked) {
+      await recordAttempt(req, admin.email, false, "locked");
+      res.set("Retry-After", String(lockout.retryAfterSeconds));
+      return res
+        .status(429)
+        .json(
+          formatResponse(
+            false,
+            "Too many failed login attempts. Please try again later"
+          )
+        );
+    }
+
+    await applyProgressiveDelay(lockout.failedCount);
+
+    if (!(await verifySecondFactor(twoFactor, { code, recovery_code }))) {
+      await recordFailure(req, admin.email, "invalid_two_factor_code");
+      return res
+        .status(401)
+        .json(formatResponse(false, "Invalid verification code"));
+    }
+
+    await recordSuccess(req, admin.email);
+    const tokens = await issueTokens(admin, req);
+
+    logger.info(`Admin logged in with two-factor: ${admin.email}`);
+
+    res.json(
+      formatResponse(true, "Login successful", {
+        admin,
+        ...tokens,
+      })
+    );
+  } catch (error) {
+    logger.error("Two-factor login error:", error);
+    next(error);
+  }
+};
+
+/**
+ * Reset 2FA of another admin (e.g. lost device)
+ * DELETE /api/admin/:id/2fa
+ */
+module.exports.resetForAdmin = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const admin = await Admin.findById(id);
+
+    if (!admin) {
+      return res.status(404).json(formatResponse(false, "Admin not found"));
+    }
+
+    await Admin.disableTwoFactor(admin.id);
+    await AdminRecoveryCode.deleteByAdminId(admin.id);
+
+    logger.info(
+      `Two-factor authentication reset for admin ${admin.id} by admin ${req.user.id}`
+    );
+
+    res.json(
+      formatResponse(true, "Two-factor authentication reset successfully")
+    );
+  } catch (error) {
+    logger.error("Reset two-factor error:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,10 @@
+-- Add role-based access control to admins
+-- Existing admins had full access before roles were introduced,
+-- so they are promoted to super_admin.
+USE stcc_db;
+
+ALTER TABLE admins
+  ADD COLUMN role ENUM('super_admin', 'editor', 'viewer') NOT NULL DEFAULT 'editor' AFTER name,
+  ADD INDEX idx_role (role);
+
+UPDATE admins SET role = 'super_admin';
@@ -0,0 +1,17 @@
+-- Invite-only admin onboarding
+USE stcc_db;
+
+CREATE TABLE IF NOT EXISTS admin_invitations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  role ENUM('super_admin', 'editor', 'viewer') NOT NULL DEFAULT 'editor',
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  invited_by INT,
+  expires_at DATETIME NOT NULL,
+  accepted_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (invited_by) REFERENCES admins(id) ON DELETE SET NULL,
+  INDEX idx_email (email),
+  INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
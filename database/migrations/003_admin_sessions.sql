@@ -0,0 +1,19 @@
+-- Server-side sessions backing refresh tokens
+USE stcc_db;
+
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+  previous_token_hash CHAR(64) NULL,
+  user_agent VARCHAR(500),
+  ip_address VARCHAR(45),
+  expires_at DATETIME NOT NULL,
+  last_used_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+  INDEX idx_admin (admin_id),
+  INDEX idx_previous_token (previous_token_hash),
+  INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,17 @@
+-- TOTP two-factor authentication for admins
+USE stcc_db;
+
+ALTER TABLE admins
+  ADD COLUMN two_factor_secret VARCHAR(255) NULL AFTER role,
+  ADD COLUMN two_factor_enabled TINYINT(1) NOT NULL DEFAULT 0 AFTER two_factor_secret,
+  ADD COLUMN two_factor_last_step BIGINT NULL AFTER two_factor_enabled;
+
+CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+  INDEX idx_admin_code (admin_id, code_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,28 @@
+-- Brute-force protection: login attempt log and lockouts
+USE stcc_db;
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255),
+  ip_address VARCHAR(45),
+  user_agent VARCHAR(500),
+  success TINYINT(1) NOT NULL DEFAULT 0,
+  failure_reason VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_email_created (email, created_at),
+  INDEX idx_ip_created (ip_address, created_at),
+  INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS login_lockouts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  scope ENUM('email', 'ip') NOT NULL,
+  identifier VARCHAR(255) NOT NULL,
+  failed_count INT NOT NULL DEFAULT 0,
+  last_failed_at DATETIME NOT NULL,
+  locked_until DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_scope_identifier (scope, identifier),
+  INDEX idx_locked_until (locked_until)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,17 @@
+-- Admin account management: deactivation and verified email changes
+USE stcc_db;
+
+ALTER TABLE admins
+  ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1 AFTER role;
+
+CREATE TABLE IF NOT EXISTS email_change_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  new_email VARCHAR(255) NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+  INDEX idx_admin (admin_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,22 @@
+-- Publishing lifecycle for news and events
+-- (draft, scheduled, published, archived with publish_at / unpublish_at)
+-- Existing 'active' items become 'published', 'inactive' items become 'draft'.
+USE stcc_db;
+
+ALTER TABLE news_and_events
+  MODIFY COLUMN status ENUM('active', 'inactive', 'draft', 'scheduled', 'published', 'archived') DEFAULT 'published';
+
+UPDATE news_and_events SET status = 'published' WHERE status = 'active';
+UPDATE news_and_events SET status = 'draft' WHERE status = 'inactive';
+
+ALTER TABLE news_and_events
+  MODIFY COLUMN status ENUM('draft', 'scheduled', 'published', 'archived') NOT NULL DEFAULT 'published',
+  ADD COLUMN publish_at DATETIME NULL AFTER status,
+  ADD COLUMN unpublish_at DATETIME NULL AFTER publish_at,
+  ADD INDEX idx_publish_at (status, publish_at),
+  ADD INDEX idx_unpublish_at (unpublish_at);
+
+-- publish_at is stored in UTC, created_at is in the session time zone
+UPDATE news_and_events
+SET publish_at = created_at - INTERVAL TIMESTAMPDIFF(SECOND, UTC_TIMESTAMP(), NOW()) SECOND
+WHERE status = 'published';
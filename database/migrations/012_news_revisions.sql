@@ -0,0 +1,15 @@
+-- Revision history for news and events
+-- Every update stores the previous version (fields and image list).
+USE stcc_db;
+
+CREATE TABLE IF NOT EXISTS news_and_events_revisions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  news_and_events_id INT NOT NULL,
+  revision_number INT NOT NULL,
+  snapshot JSON NOT NULL,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (news_and_events_id) REFERENCES news_and_events(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL,
+  UNIQUE KEY uniq_revision (news_and_events_id, revision_number)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,16 @@
+-- Shareable preview links for unpublished news and events
+USE stcc_db;
+
+CREATE TABLE IF NOT EXISTS news_preview_links (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  news_and_events_id INT NOT NULL,
+  created_by INT,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  view_count INT NOT NULL DEFAULT 0,
+  last_viewed_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (news_and_events_id) REFERENCES news_and_events(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL,
+  INDEX idx_news_and_events (news_and_events_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
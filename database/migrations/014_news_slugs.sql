@@ -0,0 +1,19 @@
+-- SEO-friendly slugs for news and events, with slug history
+-- Slugs are compared exactly (utf8mb4_bin) so Unicode slugs never collide
+-- by accent or case folding.
+-- After running this migration, generate slugs for existing rows:
+--   node scripts/backfill-slugs.js
+USE stcc_db;
+
+ALTER TABLE news_and_events
+  ADD COLUMN slug VARCHAR(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NULL AFTER title,
+  ADD UNIQUE KEY uniq_slug (slug);
+
+CREATE TABLE IF NOT EXISTS news_and_events_slugs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  news_and_events_id INT NOT NULL,
+  slug VARCHAR(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (news_and_events_id) REFERENCES news_and_events(id) ON DELETE CASCADE,
+  INDEX idx_news_and_events (news_and_events_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,31 @@
+-- Translations of news and events and categories
+-- The main columns hold the content in DEFAULT_LOCALE (en unless configured);
+-- these tables hold the other locales (de, fr, ta, ...).
+USE stcc_db;
+
+CREATE TABLE IF NOT EXISTS category_translations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  category_id INT NOT NULL,
+  locale VARCHAR(10) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_category_locale (category_id, locale)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS news_and_events_translations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  news_and_events_id INT NOT NULL,
+  locale VARCHAR(10) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  location VARCHAR(255),
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (news_and_events_id) REFERENCES news_and_events(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL,
+  UNIQUE KEY uniq_news_and_events_locale (news_and_events_id, locale)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,18 @@
+-- Rich-text descriptions for news and events (and their translations)
+-- description keeps the source (plain text, Markdown or HTML); the sanitized
+-- HTML and a plain-text excerpt are stored next to it.
+-- After running this migration, render the existing descriptions:
+--   node scripts/render-descriptions.js
+USE stcc_db;
+
+ALTER TABLE news_and_events
+  MODIFY COLUMN description MEDIUMTEXT,
+  ADD COLUMN description_format ENUM('plain', 'markdown', 'html') NOT NULL DEFAULT 'plain' AFTER description,
+  ADD COLUMN description_html MEDIUMTEXT AFTER description_format,
+  ADD COLUMN excerpt VARCHAR(500) AFTER description_html;
+
+ALTER TABLE news_and_events_translations
+  MODIFY COLUMN description MEDIUMTEXT,
+  ADD COLUMN description_format ENUM('plain', 'markdown', 'html') NOT NULL DEFAULT 'plain' AFTER description,
+  ADD COLUMN description_html MEDIUMTEXT AFTER description_format,
+  ADD COLUMN excerpt VARCHAR(500) AFTER description_html;
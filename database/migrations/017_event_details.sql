@@ -0,0 +1,25 @@
+-- Event details for news and events
+-- Existing items become type 'news'. start_at, end_at and
+-- registration_deadline are stored in UTC (like publish_at); for all-day
+-- events they hold the dates at 00:00.
+USE stcc_db;
+
+ALTER TABLE news_and_events
+  ADD COLUMN type ENUM('news', 'event') NOT NULL DEFAULT 'news' AFTER category_id,
+  ADD COLUMN start_at DATETIME NULL AFTER date_time,
+  ADD COLUMN end_at DATETIME NULL AFTER start_at,
+  ADD COLUMN all_day TINYINT(1) NOT NULL DEFAULT 0 AFTER end_at,
+  ADD COLUMN timezone VARCHAR(64) NULL AFTER all_day,
+  ADD COLUMN venue_name VARCHAR(255) NULL AFTER location,
+  ADD COLUMN venue_address VARCHAR(255) NULL AFTER venue_name,
+  ADD COLUMN venue_city VARCHAR(100) NULL AFTER venue_address,
+  ADD COLUMN venue_postal_code VARCHAR(20) NULL AFTER venue_city,
+  ADD COLUMN venue_latitude DOUBLE NULL AFTER venue_postal_code,
+  ADD COLUMN venue_longitude DOUBLE NULL AFTER venue_latitude,
+  ADD COLUMN organizer_name VARCHAR(255) NULL AFTER venue_longitude,
+  ADD COLUMN organizer_email VARCHAR(255) NULL AFTER organizer_name,
+  ADD COLUMN organizer_phone VARCHAR(50) NULL AFTER organizer_email,
+  ADD COLUMN capacity INT UNSIGNED NULL AFTER organizer_phone,
+  ADD COLUMN registration_deadline DATETIME NULL AFTER capacity,
+  ADD INDEX idx_type_start_at (type, start_at),
+  ADD INDEX idx_venue_city (venue_city);
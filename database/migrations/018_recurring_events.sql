@@ -0,0 +1,33 @@
+-- Recurring events
+-- recurrence_rule holds an RFC 5545 RRULE (e.g. FREQ=WEEKLY;BYDAY=TH), starting
+-- at start_at. recurrence_exdates lists occurrences left out of the series.
+-- recurrence_end_at is when the last occurrence ends (NULL if the series never
+-- ends); it lets listings find series that are over without expanding them.
+-- news_and_events_occurrences holds changes to single occurrences (moved,
+-- renamed or cancelled), keyed by the original start of the occurrence (UTC).
+USE stcc_db;
+
+ALTER TABLE news_and_events
+  ADD COLUMN recurrence_rule VARCHAR(500) NULL AFTER timezone,
+  ADD COLUMN recurrence_exdates JSON NULL AFTER recurrence_rule,
+  ADD COLUMN recurrence_end_at DATETIME NULL AFTER recurrence_exdates;
+
+CREATE TABLE IF NOT EXISTS news_and_events_occurrences (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  news_and_events_id INT NOT NULL,
+  occurrence_start DATETIME NOT NULL,
+  cancelled TINYINT(1) NOT NULL DEFAULT 0,
+  start_at DATETIME NULL,
+  end_at DATETIME NULL,
+  title VARCHAR(255) NULL,
+  location VARCHAR(255) NULL,
+  venue_name VARCHAR(255) NULL,
+  venue_address VARCHAR(255) NULL,
+  venue_city VARCHAR(100) NULL,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (news_and_events_id) REFERENCES news_and_events(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL,
+  UNIQUE KEY uniq_occurrence (news_and_events_id, occurrence_start)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,31 @@
+-- Event registrations (RSVP) with capacity and waitlist
+-- Events take registrations when registration_enabled is set.
+-- registration_questions lists the custom questions asked on registration.
+-- Each registration takes 1 + guests seats of the event's capacity; for
+-- recurring events the capacity applies to each occurrence (occurrence_start,
+-- the original start in UTC; NULL for events that don't recur).
+USE stcc_db;
+
+ALTER TABLE news_and_events
+  ADD COLUMN registration_enabled TINYINT(1) NOT NULL DEFAULT 0 AFTER capacity,
+  ADD COLUMN registration_questions JSON NULL AFTER registration_deadline;
+
+CREATE TABLE IF NOT EXISTS event_registrations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  news_and_events_id INT NOT NULL,
+  occurrence_start DATETIME NULL,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  company VARCHAR(255) NULL,
+  guests INT UNSIGNED NOT NULL DEFAULT 0,
+  answers JSON NULL,
+  status ENUM('confirmed', 'waitlisted', 'cancelled') NOT NULL,
+  notes TEXT NULL,
+  promoted_at DATETIME NULL,
+  cancelled_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (news_and_events_id) REFERENCES news_and_events(id) ON DELETE CASCADE,
+  INDEX idx_event_status (news_and_events_id, occurrence_start, status),
+  INDEX idx_email (email)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,11 @@
+-- On-site check-in of event registrations
+-- Confirmed registrations have a signed ticket code (shown as a QR code); it
+-- is derived from the registration ID, so nothing is stored for it.
+-- checked_in_at is set when the ticket is scanned at the door.
+USE stcc_db;
+
+ALTER TABLE event_registrations
+  ADD COLUMN checked_in_at DATETIME NULL AFTER cancelled_at,
+  ADD COLUMN checked_in_by INT NULL AFTER checked_in_at,
+  ADD CONSTRAINT fk_event_registrations_checked_in_by
+    FOREIGN KEY (checked_in_by) REFERENCES admins(id) ON DELETE SET NULL;
@@ -0,0 +1,11 @@
+-- Calendar (.ics) support for events
+-- cancelled marks an event that won't take place; it stays listed (and in
+-- calendar feeds, as cancelled) so visitors and calendar apps learn about it.
+-- ical_sequence is the iCalendar SEQUENCE of the item, raised on every
+-- change to what the calendar shows so subscribed calendars pick up the new
+-- version.
+USE stcc_db;
+
+ALTER TABLE news_and_events
+  ADD COLUMN cancelled TINYINT(1) NOT NULL DEFAULT 0 AFTER recurrence_end_at,
+  ADD COLUMN ical_sequence INT UNSIGNED NOT NULL DEFAULT 0 AFTER cancelled;
@@ -0,0 +1,27 @@
+-- Full-text search
+-- Searches match whole words (and word prefixes) in these indexes instead of
+-- LIKE '%term%', and are ranked by relevance; titles and names have an index
+-- of their own so they can weigh more. The utf8mb4_unicode_ci collation makes
+-- matching case and accent insensitive. InnoDB builds one FULLTEXT index per
+-- statement.
+USE stcc_db;
+
+ALTER TABLE news_and_events
+  ADD FULLTEXT INDEX ft_news_and_events_title (title);
+ALTER TABLE news_and_events
+  ADD FULLTEXT INDEX ft_news_and_events_search (title, excerpt, description, location);
+
+ALTER TABLE news_and_events_translations
+  ADD FULLTEXT INDEX ft_news_and_events_translations_title (title);
+ALTER TABLE news_and_events_translations
+  ADD FULLTEXT INDEX ft_news_and_events_translations_search (title, excerpt, description, location);
+
+ALTER TABLE categories
+  ADD FULLTEXT INDEX ft_categories_name (name);
+ALTER TABLE categories
+  ADD FULLTEXT INDEX ft_categories_search (name, description);
+
+ALTER TABLE category_translations
+  ADD FULLTEXT INDEX ft_category_translations_name (name);
+ALTER TABLE category_translations
+  ADD FULLTEXT INDEX ft_category_translations_search (name, description);
@@ -0,0 +1,26 @@
+-- Popular searches, suggested as visitors type in the search box
+-- One row per search (lowercased; the collation also merges searches that
+-- only differ in accents), counted each time the first page of results is
+-- requested. A search is only suggested once different visitors made it:
+-- they are told apart by a keyed hash of their IP address (search_query_clients),
+-- the addresses themselves are not stored.
+USE stcc_db;
+
+CREATE TABLE IF NOT EXISTS search_queries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  query VARCHAR(100) NOT NULL,
+  search_count INT UNSIGNED NOT NULL DEFAULT 1,
+  client_count INT UNSIGNED NOT NULL DEFAULT 0,
+  result_count INT UNSIGNED NOT NULL DEFAULT 0,
+  last_searched_at DATETIME NOT NULL,
+  UNIQUE KEY uniq_query (query),
+  INDEX idx_client_count (client_count)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS search_query_clients (
+  search_query_id INT NOT NULL,
+  client_hash CHAR(64) NOT NULL,
+  created_at DATETIME NOT NULL,
+  PRIMARY KEY (search_query_id, client_hash),
+  FOREIGN KEY (search_query_id) REFERENCES search_queries(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -8,9 +8,143 @@ CREATE TABLE IF NOT EXISTS admins (
   email VARCHAR(255) NOT NULL UNIQUE,
   password VARCHAR(255) NOT NULL,
   name VARCHAR(100) NOT NULL,
+  role ENUM('super_admin', 'editor', 'viewer') NOT NULL DEFAULT 'editor',
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  two_factor_secret VARCHAR(255) NULL,
+  two_factor_enabled TINYINT(1) NOT NULL DEFAULT 0,
+  two_factor_last_step BIGINT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  INDEX idx_email (email)
+  INDEX idx_email (email),
+  INDEX idx_role (role)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create admin_invitations table for invite-only onboarding
+CREATE TABLE IF NOT EXISTS admin_invitations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  role ENUM('super_admin', 'editor', 'viewer') NOT NULL DEFAULT 'editor',
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  invited_by INT,
+  expires_at DATETIME NOT NULL,
+  accepted_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (invited_by) REFERENCES admins(id) ON DELETE SET NULL,
+  INDEX idx_email (email),
+  INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create admin_sessions table (refresh tokens / server-side sessions)
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+  previous_token_hash CHAR(64) NULL,
+  user_agent VARCHAR(500),
+  ip_address VARCHAR(45),
+  expires_at DATETIME NOT NULL,
+  last_used_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+  INDEX idx_admin (admin_id),
+  INDEX idx_previous_token (previous_token_hash),
+  INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create password_reset_tokens table
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  requested_ip VARCHAR(45),
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+  INDEX idx_admin (admin_id),
+  INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create admin_recovery_codes table (2FA recovery codes)
+CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+  INDEX idx_admin_code (admin_id, code_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create admin_password_history table (previous password hashes)
+CREATE TABLE IF NOT EXISTS admin_password_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+  INDEX idx_admin_created (admin_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create email_change_tokens table (verified admin email changes)
+CREATE TABLE IF NOT EXISTS email_change_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  new_email VARCHAR(255) NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+  INDEX idx_admin (admin_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create login_attempts table (login audit trail)
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255),
+  ip_address VARCHAR(45),
+  user_agent VARCHAR(500),
+  success TINYINT(1) NOT NULL DEFAULT 0,
+  failure_reason VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_email_created (email, created_at),
+  INDEX idx_ip_created (ip_address, created_at),
+  INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create login_lockouts table (brute-force protection)
+CREATE TABLE IF NOT EXISTS login_lockouts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  scope ENUM('email', 'ip') NOT NULL,
+  identifier VARCHAR(255) NOT NULL,
+  failed_count INT NOT NULL DEFAULT 0,
+  last_failed_at DATETIME NOT NULL,
+  locked_until DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_scope_identifier (scope, identifier),
+  INDEX idx_locked_until (locked_until)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create api_keys table (scoped keys for machine integrations)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  scopes JSON NOT NULL,
+  created_by INT NOT NULL,
+  expires_at DATETIME NULL,
+  last_used_at DATETIME NULL,
+  last_used_ip VARCHAR(45),
+  revoked_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE CASCADE,
+  INDEX idx_created_by (created_by)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Create categories table
@@ -23,19 +157,65 @@ CREATE TABLE IF NOT EXISTS categories (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   INDEX idx_slug (slug),
-  INDEX idx_status (status)
+  INDEX idx_status (status),
+  FULLTEXT INDEX ft_categories_name (name),
+  FULLTEXT INDEX ft_categories_search (name, description)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create category_translations table (category name/description per locale)
+CREATE TABLE IF NOT EXISTS category_translations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  category_id INT NOT NULL,
+  locale VARCHAR(10) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_category_locale (category_id, locale),
+  FULLTEXT INDEX ft_category_translations_name (name),
+  FULLTEXT INDEX ft_category_translations_search (name, description)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Create news_and_events table
 CREATE TABLE IF NOT EXISTS news_and_events (
   id INT AUTO_INCREMENT PRIMARY KEY,
   category_id INT NOT NULL,
+  type ENUM('news', 'event') NOT NULL DEFAULT 'news',
   title VARCHAR(255) NOT NULL,
-  description TEXT,
+  slug VARCHAR(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NULL UNIQUE,
+  description MEDIUMTEXT,
+  description_format ENUM('plain', 'markdown', 'html') NOT NULL DEFAULT 'plain',
+  description_html MEDIUMTEXT,
+  excerpt VARCHAR(500),
   location VARCHAR(255),
+  venue_name VARCHAR(255) NULL,
+  venue_address VARCHAR(255) NULL,
+  venue_city VARCHAR(100) NULL,
+  venue_postal_code VARCHAR(20) NULL,
+  venue_latitude DOUBLE NULL,
+  venue_longitude DOUBLE NULL,
+  organizer_name VARCHAR(255) NULL,
+  organizer_email VARCHAR(255) NULL,
+  organizer_phone VARCHAR(50) NULL,
+  capacity INT UNSIGNED NULL,
+  registration_enabled TINYINT(1) NOT NULL DEFAULT 0,
+  registration_deadline DATETIME NULL,
+  registration_questions JSON NULL,
   cover_image VARCHAR(500),
   date_time DATETIME NOT NULL,
-  status ENUM('active', 'inactive') DEFAULT 'active',
+  start_at DATETIME NULL,
+  end_at DATETIME NULL,
+  all_day TINYINT(1) NOT NULL DEFAULT 0,
+  timezone VARCHAR(64) NULL,
+  recurrence_rule VARCHAR(500) NULL,
+  recurrence_exdates JSON NULL,
+  recurrence_end_at DATETIME NULL,
+  cancelled TINYINT(1) NOT NULL DEFAULT 0,
+  ical_sequence INT UNSIGNED NOT NULL DEFAULT 0,
+  status ENUM('draft', 'scheduled', 'published', 'archived') NOT NULL DEFAULT 'published',
+  publish_at DATETIME NULL,
+  unpublish_at DATETIME NULL,
   created_by INT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -43,7 +223,13 @@ CREATE TABLE IF NOT EXISTS news_and_events (
   FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL,
   INDEX idx_category (category_id),
   INDEX idx_status (status),
-  INDEX idx_date_time (date_time)
+  INDEX idx_date_time (date_time),
+  INDEX idx_publish_at (status, publish_at),
+  INDEX idx_unpublish_at (unpublish_at),
+  INDEX idx_type_start_at (type, start_at),
+  INDEX idx_venue_city (venue_city),
+  FULLTEXT INDEX ft_news_and_events_title (title),
+  FULLTEXT INDEX ft_news_and_events_search (title, excerpt, description, location)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Create news_and_events_images table for multiple images
@@ -58,7 +244,153 @@ CREATE TABLE IF NOT EXISTS news_and_events_images (
   INDEX idx_order (image_order)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Create news_and_events_translations table (content per locale)
+CREATE TABLE IF NOT EXISTS news_and_events_translations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  news_and_events_id INT NOT NULL,
+  locale VARCHAR(10) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  description MEDIUMTEXT,
+  description_format ENUM('plain', 'markdown', 'html') NOT NULL DEFAULT 'plain',
+  description_html MEDIUMTEXT,
+  excerpt VARCHAR(500),
+  location VARCHAR(255),
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (news_and_events_id) REFERENCES news_and_events(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL,
+  UNIQUE KEY uniq_news_and_events_locale (news_and_events_id, locale),
+  FULLTEXT INDEX ft_news_and_events_translations_title (title),
+  FULLTEXT INDEX ft_news_and_events_translations_search (title, excerpt, description, location)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create news_and_events_slugs table (previous slugs, kept so old URLs resolve)
+CREATE TABLE IF NOT EXISTS news_and_events_slugs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  news_and_events_id INT NOT NULL,
+  slug VARCHAR(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (news_and_events_id) REFERENCES news_and_events(id) ON DELETE CASCADE,
+  INDEX idx_news_and_events (news_and_events_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create news_and_events_occurrences table (changed or cancelled occurrences of recurring events)
+CREATE TABLE IF NOT EXISTS news_and_events_occurrences (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  news_and_events_id INT NOT NULL,
+  occurrence_start DATETIME NOT NULL,
+  cancelled TINYINT(1) NOT NULL DEFAULT 0,
+  start_at DATETIME NULL,
+  end_at DATETIME NULL,
+  title VARCHAR(255) NULL,
+  location VARCHAR(255) NULL,
+  venue_name VARCHAR(255) NULL,
+  venue_address VARCHAR(255) NULL,
+  venue_city VARCHAR(100) NULL,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (news_and_events_id) REFERENCES news_and_events(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL,
+  UNIQUE KEY uniq_occurrence (news_and_events_id, occurrence_start)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create event_registrations table (RSVPs with capacity, waitlist and check-in)
+CREATE TABLE IF NOT EXISTS event_registrations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  news_and_events_id INT NOT NULL,
+  occurrence_start DATETIME NULL,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  company VARCHAR(255) NULL,
+  guests INT UNSIGNED NOT NULL DEFAULT 0,
+  answers JSON NULL,
+  status ENUM('confirmed', 'waitlisted', 'cancelled') NOT NULL,
+  notes TEXT NULL,
+  promoted_at DATETIME NULL,
+  cancelled_at DATETIME NULL,
+  checked_in_at DATETIME NULL,
+  checked_in_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (news_and_events_id) REFERENCES news_and_events(id) ON DELETE CASCADE,
+  CONSTRAINT fk_event_registrations_checked_in_by
+    FOREIGN KEY (checked_in_by) REFERENCES admins(id) ON DELETE SET NULL,
+  INDEX idx_event_status (news_and_events_id, occurrence_start, status),
+  INDEX idx_email (email)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create news_and_events_revisions table (previous versions of news and events)
+CREATE TABLE IF NOT EXISTS news_and_events_revisions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  news_and_events_id INT NOT NULL,
+  revision_number INT NOT NULL,
+  snapshot JSON NOT NULL,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (news_and_events_id) REFERENCES news_and_events(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL,
+  UNIQUE KEY uniq_revision (news_and_events_id, revision_number)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create news_preview_links table (revocable preview links for unpublished items)
+CREATE TABLE IF NOT EXISTS news_preview_links (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  news_and_events_id INT NOT NULL,
+  created_by INT,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  view_count INT NOT NULL DEFAULT 0,
+  last_viewed_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (news_and_events_id) REFERENCES news_and_events(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL,
+  INDEX idx_news_and_events (news_and_events_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create audit_log table (who changed what)
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  actor_id INT,
+  actor_email VARCHAR(255),
+  action VARCHAR(50) NOT NULL,
+  entity_type VARCHAR(50) NOT NULL,
+  entity_id VARCHAR(64),
+  changes JSON,
+  ip_address VARCHAR(45),
+  user_agent VARCHAR(500),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (actor_id) REFERENCES admins(id) ON DELETE SET NULL,
+  INDEX idx_actor (actor_id),
+  INDEX idx_entity (entity_type, entity_id),
+  INDEX idx_action (action),
+  INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create search_queries table (popular searches, suggested while typing)
+CREATE TABLE IF NOT EXISTS search_queries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  query VARCHAR(100) NOT NULL,
+  search_count INT UNSIGNED NOT NULL DEFAULT 1,
+  client_count INT UNSIGNED NOT NULL DEFAULT 0,
+  result_count INT UNSIGNED NOT NULL DEFAULT 0,
+  last_searched_at DATETIME NOT NULL,
+  UNIQUE KEY uniq_query (query),
+  INDEX idx_client_count (client_count)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS search_query_clients (
+  search_query_id INT NOT NULL,
+  client_hash CHAR(64) NOT NULL,
+  created_at DATETIME NOT NULL,
+  PRIMARY KEY (search_query_id, client_hash),
+  FOREIGN KEY (search_query_id) REFERENCES search_queries(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Note: To create a default admin, use the register endpoint or manually hash a password
 -- Example password hash for 'Admin@123' can be generated using bcrypt
--- For now, you can register the first admin using the /api/admin/register endpoint
+-- While the admins table is empty, the first admin can register using the
+-- /api/admin/register endpoint without an invitation and is given the 'super_admin' role.
+-- Further admins need an invitation created by a super admin.
 
@@ -0,0 +1,123 @@
+const AuditLog = require("../models/AuditLog");
+const logger = require("../utils/logger");
+const { diffObjects } = require("../utils/helpers");
+
+// Fields that must never end up in the audit log
+const REDACTED_FIELDS = [
+  "password",
+  "two_factor_secret",
+  "two_factor_last_step",
+  "token",
+  "token_hash",
+  "refresh_token",
+  "refresh_token_hash",
+  "invite_token",
+];
+
+// Fields that change on every write and carry no information
+const IGNORED_FIELDS = ["updated_at"];
+
+/**
+ * Remove sensitive fields from an entity snapshot
+ * @param {object|null} entity - Entity snapshot
+ * @returns {object|null} Copy without sensitive fields
+ */
+const redact = (entity) => {
+  if (!entity) {
+    return null;
+  }
+
+  const copy = { ...entity };
+  for (const field of REDACTED_FIELDS) {
+    if (field in copy) {
+      delete copy[field];
+    }
+  }
+  return copy;
+};
+
+/**
+ * Audit middleware for mutating routes
+ * Loads the entity before the handler runs and again after a successful
+ * response, then records who changed what (as a field diff) in audit_log.
+ * Recording happens after the response is sent and never fails the request.
+ *
+ * @param {object} options - Audit options
+ * @param {string} options.entityType - Entity type (e.g. "category")
+ * @param {string} options.action - Action name (e.g. "create", "update", "delete")
+ * @param {Function} options.load - async (id) => entity snapshot or null
+ * @param {Function} [options.getEntityId] - async (req) => entity ID before the handler (default: req.params.id)
+ * @param {Function} [options.getCreatedId] - (responseBody) => ID of a newly created entity
+ * @param {boolean} [options.actorIsEntity] - Use the entity (an admin) as actor when there is no logged-in user
+ * @returns {Function} Express middleware
+ */
+const audit = (options) => {
+  const {
+    entityType,
+    action,
+    load,
+    getEntityId = (req) => req.params.id,
+    getCreatedId,
+    actorIsEntity = false,
+  } = options;
+
+  return async (req, res, next) => {
+    try {
+      const entityId = await getEntityId(req);
+      const before = entityId ? redact(await load(entityId)) : null;
+
+      // Capture the response body so created IDs can be read from it
+      let responseBody = null;
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return originalJson(body);
+      };
+
+      res.on("finish", async () => {
+        if (res.statusCode >= 400) {
+          return;
+        }
+
+        try {
+          const id =
+            entityId || (getCreatedId ? getCreatedId(responseBody) : null);
+          const after =
+            id && action !== "delete" ? redact(await load(id)) : null;
+
+          let actor = req.user
+            ? {
+                id: req.user.id,
+                email: req.user.apiKey
+                  ? `${req.user.email} (API key ${req.user.apiKey.id})`
+                  : req.user.email,
+              }
+            : null;
+          if (!actor && actorIsEntity) {
+            const entity = after || before;
+            actor = entity ? { id: entity.id, email: entity.email } : null;
+          }
+
+          await AuditLog.create({
+            actor_id: actor ? actor.id : null,
+            actor_email: actor ? actor.email : null,
+            action,
+            entity_type: entityType,
+            entity_id: id,
+            changes: diffObjects(before, after, IGNORED_FIELDS),
+            ip_address: req.ip,
+            user_agent: req.get("User-Agent"),
+          });
+        } catch (error) {
+          logger.error("Error recording audit log entry:", error);
+        }
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = { audit };
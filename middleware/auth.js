@@ -1,15 +1,132 @@
 const jwt = require("jsonwebtoken");
 const logger = require("../utils/logger");
 const { formatResponse } = require("../utils/helpers");
+const AdminSession = require("../models/AdminSession");
+const ApiKey = require("../models/ApiKey");
+const { getJwtSecret } = require("../utils/authTokens");
+
+/**
+ * Verify an access token and resolve the user it belongs to
+ * The token's session must still be active and its admin must still exist.
+ * The role is read from the database so role changes apply immediately.
+ * @param {string} token - JWT access token
+ * @returns {Promise<object|null>} User info or null if the session is not valid
+ */
+const resolveUser = async (token) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+
+  if (decoded.type !== "admin" || !decoded.sid) {
+    return null;
+  }
+
+  const session = await AdminSession.findActiveWithAdmin(decoded.sid);
+
+  if (!session || session.admin_id !== decoded.id) {
+    return null;
+  }
+
+  return {
+    ...decoded,
+    email: session.admin_email,
+    name: session.admin_name,
+    role: session.admin_role,
+  };
+};
+
+/**
+ * Resolve the user an API key acts for
+ * API key requests act on behalf of the admin who created the key, with that
+ * admin's current role.
+ * @param {string} key - Plain API key
+ * @param {string} ipAddress - Client IP address (recorded as last use)
+ * @returns {Promise<object|null>} User info with apiKey details or null
+ */
+const resolveApiKey = async (key, ipAddress) => {
+  const apiKey = await ApiKey.findActiveByKey(key);
+
+  if (!apiKey) {
+    return null;
+  }
+
+  await ApiKey.touch(apiKey.id, ipAddress);
+
+  return {
+    id: apiKey.created_by,
+    email: apiKey.admin_email,
+    name: apiKey.name,
+    role: apiKey.admin_role,
+    apiKey: {
+      id: apiKey.id,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+    },
+  };
+};
+
+/**
+ * Allow API key access to a route
+ * Must be placed before authenticate. Routes without it reject API keys.
+ * @param {string} scope - Scope the API key needs (see config/apiScopes)
+ * @returns {Function} Express middleware
+ */
+const allowApiKey = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
+/**
+ * API key authentication (X-API-Key header)
+ * The route must allow API keys and the key must have the route's scope.
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  if (!req.apiKeyScope) {
+    return res
+      .status(403)
+      .json(formatResponse(false, "API keys are not allowed on this route."));
+  }
+
+  const user = await resolveApiKey(key, req.ip);
+
+  if (!user) {
+    return res
+      .status(401)
+      .json(formatResponse(false, "Invalid, revoked or expired API key."));
+  }
+
+  if (!user.apiKey.scopes.includes(req.apiKeyScope)) {
+    logger.warn(
+      `Forbidden API key access: ${req.method} ${req.originalUrl} - API key ${user.apiKey.id} lacks scope '${req.apiKeyScope}'`
+    );
+    return res
+      .status(403)
+      .json(
+        formatResponse(
+          false,
+          `API key does not have the required scope: ${req.apiKeyScope}`
+        )
+      );
+  }
+
+  req.user = user;
+  next();
+};
 
 /**
  * Authentication middleware
- * Verifies JWT token from Authorization header
+ * Verifies JWT token from Authorization header and its server-side session,
+ * or an API key from the X-API-Key header on routes that allow API keys
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   try {
     // Get token from header (case-insensitive check)
     const authHeader = req.headers.authorization || req.headers.Authorization;
+    const apiKey = req.get("X-API-Key");
+
+    if (!authHeader && apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
 
     if (!authHeader) {
       logger.warn(
@@ -20,7 +137,7 @@ const authenticate = (req, res, next) => {
         .json(
           formatResponse(
             false,
-            "No token provided. Authorization header required."
+            "No token provided. Authorization header or X-API-Key required."
           )
         );
     }
@@ -36,14 +153,19 @@ const authenticate = (req, res, next) => {
         );
     }
 
-    // Verify token
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || "your-secret-key"
-    );
+    // Verify token and session
+    const user = await resolveUser(token);
+
+    if (!user) {
+      return res
+        .status(401)
+        .json(
+          formatResponse(false, "Session has been revoked or has expired.")
+        );
+    }
 
     // Attach user info to request
-    req.user = decoded;
+    req.user = user;
     next();
   } catch (error) {
     logger.error("Authentication error:", error);
@@ -66,18 +188,17 @@ const authenticate = (req, res, next) => {
  * Optional authentication middleware
  * Attaches user info if token is valid, but doesn't require it
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
     if (authHeader) {
       const token = authHeader.split(" ")[1];
       if (token) {
-        const decoded = jwt.verify(
-          token,
-          process.env.JWT_SECRET || "your-secret-key"
-        );
-        req.user = decoded;
+        const user = await resolveUser(token);
+        if (user) {
+          req.user = user;
+        }
       }
     }
   } catch (error) {
@@ -88,7 +209,44 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
+/**
+ * Authorization middleware
+ * Restricts access to admins with one of the given roles.
+ * API keys are checked against the role of the admin who created them; their
+ * scope (checked by authenticate) only narrows what that admin can do.
+ * Must be used after authenticate.
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res
+        .status(401)
+        .json(formatResponse(false, "Authentication required."));
+    }
+
+    if (!roles.includes(req.user.role)) {
+      logger.warn(
+        `Forbidden access attempt: ${req.method} ${req.originalUrl} - Admin ${req.user.id} with role '${req.user.role}'`
+      );
+      return res
+        .status(403)
+        .json(
+          formatResponse(
+            false,
+            "You do not have permission to perform this action."
+          )
+        );
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   authenticate,
   optionalAuth,
+  authorize,
+  allowApiKey,
 };
@@ -1,5 +1,41 @@
-const { body, validationResult } = require("express-validator");
-const { formatResponse } = require("../utils/helpers");
+const { body, param, query, validationResult } = require("express-validator");
+const { formatResponse, isValidTimeZone } = require("../utils/helpers");
+const { ALL_ROLES } = require("../config/roles");
+const { ALL_SCOPES } = require("../config/apiScopes");
+const {
+  ALL_NEWS_STATUSES,
+  normalizeNewsStatus,
+} = require("../config/newsStatus");
+const { checkPasswordPolicy } = require("../config/passwordPolicy");
+const { ALL_LOCALES, DEFAULT_LOCALE } = require("../config/locales");
+const {
+  ALL_TEXT_FORMATS,
+  MAX_RICH_TEXT_LENGTH,
+} = require("../config/textFormats");
+const { NEWS_TYPES, ALL_NEWS_TYPES } = require("../config/newsTypes");
+const { slugify } = require("../utils/slugify");
+const {
+  ALL_REGISTRATION_STATUSES,
+  MAX_GUESTS_PER_REGISTRATION,
+} = require("../config/registrations");
+const {
+  ALL_SEARCH_TYPES,
+  MAX_SEARCH_RESULTS,
+} = require("../config/search");
+
+/**
+ * Password policy rule for a body field (see config/passwordPolicy.js)
+ * @param {string} field - Body field name
+ * @returns {object} express-validator chain
+ */
+const passwordPolicyRule = (field) =>
+  body(field).custom((value) => {
+    const errors = checkPasswordPolicy(value);
+    if (errors.length > 0) {
+      throw new Error(errors.join(". "));
+    }
+    return true;
+  });
 
 /**
  * Validation result handler middleware
@@ -40,19 +76,284 @@ const validateAdminRegister = [
     .isEmail()
     .withMessage("Please provide a valid email address")
     .normalizeEmail(),
-  body("password")
-    .isLength({ min: 6 })
-    .withMessage("Password must be at least 6 characters long")
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage(
-      "Password must contain at least one uppercase letter, one lowercase letter, and one number"
-    ),
+  passwordPolicyRule("password"),
   body("name")
     .trim()
     .notEmpty()
     .withMessage("Name is required")
     .isLength({ min: 2, max: 50 })
     .withMessage("Name must be between 2 and 50 characters"),
+  body("invite_token")
+    .optional()
+    .isString()
+    .withMessage("Invite token must be a string")
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage("Invite token must not exceed 255 characters"),
+  handleValidationErrors,
+];
+
+/**
+ * Refresh token validation rules
+ */
+const validateRefreshToken = [
+  body("refresh_token")
+    .isString()
+    .withMessage("Refresh token must be a string")
+    .trim()
+    .notEmpty()
+    .withMessage("Refresh token is required"),
+  handleValidationErrors,
+];
+
+/**
+ * Forgot password validation rules
+ */
+const validateForgotPassword = [
+  body("email")
+    .isEmail()
+    .withMessage("Please provide a valid email address")
+    .normalizeEmail(),
+  handleValidationErrors,
+];
+
+/**
+ * Reset password validation rules
+ */
+const validateResetPassword = [
+  body("token")
+    .isString()
+    .withMessage("Reset token must be a string")
+    .trim()
+    .notEmpty()
+    .withMessage("Reset token is required"),
+  passwordPolicyRule("password"),
+  handleValidationErrors,
+];
+
+/**
+ * Two-factor code validation rules (authenticator app code)
+ */
+const validateTwoFactorCode = [
+  body("code")
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be a 6-digit number"),
+  handleValidationErrors,
+];
+
+// Second factor rules: either a 6-digit code or a recovery code is required
+const secondFactorRules = [
+  body("code")
+    .optional({ values: "falsy" })
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be a 6-digit number"),
+  body("recovery_code")
+    .optional({ values: "falsy" })
+    .isString()
+    .withMessage("Recovery code must be a string")
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage("Recovery code must not exceed 20 characters"),
+  body("code").custom((value, { req }) => {
+    if (!value && !req.body.recovery_code) {
+      throw new Error("Either code or recovery_code is required");
+    }
+    return true;
+  }),
+];
+
+/**
+ * Two-factor login (second step) validation rules
+ */
+const validateTwoFactorLogin = [
+  body("challenge_token")
+    .isString()
+    .withMessage("Challenge token must be a string")
+    .notEmpty()
+    .withMessage("Challenge token is required"),
+  ...secondFactorRules,
+  handleValidationErrors,
+];
+
+/**
+ * Two-factor disable validation rules
+ */
+const validateTwoFactorDisable = [
+  body("password").notEmpty().withMessage("Password is required"),
+  ...secondFactorRules,
+  handleValidationErrors,
+];
+
+/**
+ * Login attempts query validation rules
+ */
+const validateLoginAttemptsQuery = [
+  query("email")
+    .optional()
+    .isEmail()
+    .withMessage("Email filter must be a valid email address")
+    .normalizeEmail(),
+  query("ip_address")
+    .optional()
+    .isIP()
+    .withMessage("IP address filter must be a valid IP address"),
+  query("success")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Success filter must be either 'true' or 'false'"),
+  query("date_from")
+    .optional()
+    .isISO8601()
+    .withMessage("date_from must be in ISO 8601 format"),
+  query("date_to")
+    .optional()
+    .isISO8601()
+    .withMessage("date_to must be in ISO 8601 format"),
+  handleValidationErrors,
+];
+
+/**
+ * Audit log query validation rules
+ */
+const validateAuditLogQuery = [
+  query("actor_id")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("actor_id must be a positive integer"),
+  query("action")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Action filter must not exceed 50 characters"),
+  query("entity_type")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Entity type filter must not exceed 50 characters"),
+  query("entity_id")
+    .optional()
+    .trim()
+    .isLength({ max: 64 })
+    .withMessage("Entity ID filter must not exceed 64 characters"),
+  query("date_from")
+    .optional()
+    .isISO8601()
+    .withMessage("date_from must be in ISO 8601 format"),
+  query("date_to")
+    .optional()
+    .isISO8601()
+    .withMessage("date_to must be in ISO 8601 format"),
+  handleValidationErrors,
+];
+
+/**
+ * Change password validation rules
+ */
+const validateChangePassword = [
+  body("current_password")
+    .notEmpty()
+    .withMessage("Current password is required"),
+  passwordPolicyRule("new_password"),
+  handleValidationErrors,
+];
+
+/**
+ * Profile update validation rules
+ */
+const validateProfileUpdate = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Name cannot be empty")
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Name must be between 2 and 50 characters"),
+  handleValidationErrors,
+];
+
+/**
+ * Email change request validation rules
+ */
+const validateEmailChange = [
+  body("new_email")
+    .isEmail()
+    .withMessage("Please provide a valid email address")
+    .normalizeEmail(),
+  body("password").notEmpty().withMessage("Password is required"),
+  handleValidationErrors,
+];
+
+/**
+ * Email change confirmation validation rules
+ */
+const validateEmailChangeConfirm = [
+  body("token")
+    .isString()
+    .withMessage("Token must be a string")
+    .trim()
+    .notEmpty()
+    .withMessage("Token is required"),
+  handleValidationErrors,
+];
+
+/**
+ * Admin update (by super admin) validation rules
+ */
+const validateAdminUpdate = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Name cannot be empty")
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Name must be between 2 and 50 characters"),
+  body("role")
+    .optional()
+    .isIn(ALL_ROLES)
+    .withMessage(`Role must be one of: ${ALL_ROLES.join(", ")}`),
+  handleValidationErrors,
+];
+
+/**
+ * Admin invitation validation rules
+ */
+const validateInvitationCreate = [
+  body("email")
+    .isEmail()
+    .withMessage("Please provide a valid email address")
+    .normalizeEmail(),
+  body("role")
+    .notEmpty()
+    .withMessage("Role is required")
+    .isIn(ALL_ROLES)
+    .withMessage(`Role must be one of: ${ALL_ROLES.join(", ")}`),
+  handleValidationErrors,
+];
+
+/**
+ * API key creation validation rules
+ */
+const validateApiKeyCreate = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("API key name is required")
+    .isLength({ min: 2, max: 100 })
+    .withMessage("API key name must be between 2 and 100 characters"),
+  body("scopes")
+    .isArray({ min: 1 })
+    .withMessage("Scopes must be a non-empty array"),
+  body("scopes.*")
+    .isIn(ALL_SCOPES)
+    .withMessage(`Each scope must be one of: ${ALL_SCOPES.join(", ")}`),
+  body("expires_at")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("expires_at must be in ISO 8601 format")
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("expires_at must be in the future"),
   handleValidationErrors,
 ];
 
@@ -118,6 +419,446 @@ const validateCategoryUpdate = [
   handleValidationErrors,
 ];
 
+/**
+ * Publishing lifecycle rules shared by news creation and update
+ * Legacy statuses (active/inactive) are mapped to published/draft.
+ * Whether a scheduled item has a publish_at is checked by the controller,
+ * since on update it may already be stored.
+ */
+const publishingRules = [
+  body("status")
+    .optional()
+    .customSanitizer(normalizeNewsStatus)
+    .isIn(ALL_NEWS_STATUSES)
+    .withMessage(`Status must be one of: ${ALL_NEWS_STATUSES.join(", ")}`),
+  body("publish_at")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("publish_at must be in ISO 8601 format"),
+  body("unpublish_at")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("unpublish_at must be in ISO 8601 format")
+    .custom((value, { req }) => {
+      return (
+        !req.body.publish_at || new Date(value) > new Date(req.body.publish_at)
+      );
+    })
+    .withMessage("unpublish_at must be after publish_at"),
+];
+
+/**
+ * Slug rule shared by news creation and update
+ * The given slug is normalized; empty means "generate from the title".
+ */
+const slugRule = body("slug")
+  .optional({ values: "falsy" })
+  .customSanitizer((value) => slugify(String(value)))
+  .notEmpty()
+  .withMessage("Slug must contain at least one letter or number");
+
+/**
+ * Revision diff query validation rules
+ */
+const validateRevisionDiffQuery = [
+  query("from")
+    .notEmpty()
+    .withMessage("from revision is required")
+    .isInt({ min: 1 })
+    .withMessage("from must be a revision ID"),
+  query("to")
+    .optional()
+    .custom((value) => value === "current" || /^[1-9]\d*$/.test(value))
+    .withMessage("to must be a revision ID or 'current'"),
+  handleValidationErrors,
+];
+
+/**
+ * Preview link creation validation rules
+ */
+const validatePreviewLinkCreate = [
+  body("expires_in_hours")
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage("expires_in_hours must be between 1 and 720"),
+  handleValidationErrors,
+];
+
+/**
+ * Rich-text description rules shared by news creation, update and translation
+ * The description is sanitized and rendered by the controller.
+ */
+const descriptionRules = [
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: MAX_RICH_TEXT_LENGTH })
+    .withMessage(
+      `Description must not exceed ${MAX_RICH_TEXT_LENGTH} characters`
+    ),
+  body("description_format")
+    .optional()
+    .isIn(ALL_TEXT_FORMATS)
+    .withMessage(
+      `Description format must be one of: ${ALL_TEXT_FORMATS.join(", ")}`
+    ),
+];
+
+/**
+ * Event rules shared by news creation and update
+ * Whether an event has a start_at (possibly already stored), whether the
+ * dates fit together and whether the recurrence rule is valid is checked by
+ * the controller.
+ */
+const eventRules = [
+  body("type")
+    .optional()
+    .isIn(ALL_NEWS_TYPES)
+    .withMessage(`Type must be one of: ${ALL_NEWS_TYPES.join(", ")}`),
+  body(["start_at", "end_at", "registration_deadline"])
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("Event dates must be in ISO 8601 format"),
+  body("all_day")
+    .optional()
+    .isBoolean()
+    .withMessage("all_day must be true or false")
+    .toBoolean(),
+  body("cancelled")
+    .optional()
+    .isBoolean()
+    .withMessage("cancelled must be true or false")
+    .toBoolean(),
+  body("timezone")
+    .optional({ values: "falsy" })
+    .custom(isValidTimeZone)
+    .withMessage("Timezone must be a valid IANA timezone (e.g. Europe/Zurich)"),
+  body("recurrence_rule")
+    .optional({ values: "falsy" })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Recurrence rule must not exceed 500 characters"),
+  body("recurrence_exdates")
+    .optional({ values: "falsy" })
+    .custom((value) => {
+      // Array of dates, or a JSON string array (multipart forms)
+      if (Array.isArray(value)) return true;
+      try {
+        return Array.isArray(JSON.parse(value));
+      } catch {
+        return false;
+      }
+    })
+    .withMessage("recurrence_exdates must be an array of ISO 8601 dates"),
+  body(["venue_name", "venue_address", "organizer_name"])
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage("Venue and organizer names must not exceed 255 characters"),
+  body("venue_city")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("City must not exceed 100 characters"),
+  body("venue_postal_code")
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage("Postal code must not exceed 20 characters"),
+  body("venue_latitude")
+    .optional({ values: "falsy" })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Latitude must be between -90 and 90")
+    .toFloat(),
+  body("venue_longitude")
+    .optional({ values: "falsy" })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Longitude must be between -180 and 180")
+    .toFloat(),
+  body("organizer_email")
+    .optional({ values: "falsy" })
+    .isEmail()
+    .withMessage("Organizer email must be a valid email address")
+    .normalizeEmail(),
+  body("organizer_phone")
+    .optional({ values: "falsy" })
+    .matches(/^\+?[0-9 ()\/.-]{3,50}$/)
+    .withMessage("Organizer phone must be a valid phone number"),
+  body("capacity")
+    .optional({ values: "falsy" })
+    .isInt({ min: 1 })
+    .withMessage("Capacity must be a positive integer")
+    .toInt(),
+  body("registration_enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("registration_enabled must be true or false")
+    .toBoolean(),
+  body("registration_questions")
+    .optional({ values: "falsy" })
+    .custom((value) => {
+      // Array of questions, or a JSON string array (multipart forms)
+      if (Array.isArray(value)) return true;
+      try {
+        return Array.isArray(JSON.parse(value));
+      } catch {
+        return false;
+      }
+    })
+    .withMessage("registration_questions must be an array of questions"),
+];
+
+/**
+ * News listing query validation rules (admin and public listing)
+ */
+const validateNewsListQuery = [
+  query("type")
+    .optional()
+    .isIn(ALL_NEWS_TYPES)
+    .withMessage(`Type must be one of: ${ALL_NEWS_TYPES.join(", ")}`),
+  query(["upcoming", "past"])
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("upcoming and past must be either 'true' or 'false'"),
+  query(["starts_from", "starts_to", "date_from", "date_to"])
+    .optional()
+    .isISO8601()
+    .withMessage("Date filters must be in ISO 8601 format"),
+  query("city")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("City must not exceed 100 characters"),
+  handleValidationErrors,
+];
+
+/**
+ * Occurrence parameter rule (original start of an occurrence)
+ */
+const occurrenceStartRule = param("occurrenceStart")
+  .isISO8601()
+  .withMessage("Occurrence must be given by its start in ISO 8601 format");
+
+/**
+ * Occurrence listing query validation rules
+ */
+const validateOccurrenceQuery = [
+  query(["from", "to"])
+    .optional()
+    .isISO8601()
+    .withMessage("from and to must be in ISO 8601 format"),
+  handleValidationErrors,
+];
+
+/**
+ * Occurrence parameter validation rules (e.g. resetting an occurrence)
+ */
+const validateOccurrenceStart = [occurrenceStartRule, handleValidationErrors];
+
+/**
+ * Occurrence change validation rules
+ */
+const validateOccurrenceSave = [
+  occurrenceStartRule,
+  body("cancelled")
+    .optional()
+    .isBoolean()
+    .withMessage("cancelled must be true or false")
+    .toBoolean(),
+  body(["start_at", "end_at"])
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("Occurrence dates must be in ISO 8601 format"),
+  body("title")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ min: 3, max: 255 })
+    .withMessage("Title must be between 3 and 255 characters"),
+  body(["location", "venue_name", "venue_address"])
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage("Location and venue must not exceed 255 characters"),
+  body("venue_city")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("City must not exceed 100 characters"),
+  handleValidationErrors,
+];
+
+/**
+ * Registration rules shared by public registration and admin update
+ */
+const registrationRules = [
+  body("company")
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage("Company must not exceed 255 characters"),
+  body("guests")
+    .optional()
+    .isInt({ min: 0, max: MAX_GUESTS_PER_REGISTRATION })
+    .withMessage(
+      `Guests must be between 0 and ${MAX_GUESTS_PER_REGISTRATION}`
+    )
+    .toInt(),
+];
+
+/**
+ * Event registration validation rules (public)
+ * The answers to the custom questions are checked by the controller.
+ */
+const validateRegistrationCreate = [
+  body("name")
+    .trim()
+    .isLength({ min: 2, max: 255 })
+    .withMessage("Name must be between 2 and 255 characters"),
+  body("email")
+    .isEmail()
+    .withMessage("Please provide a valid email address")
+    .normalizeEmail(),
+  ...registrationRules,
+  body("answers")
+    .optional()
+    .isObject()
+    .withMessage("Answers must be an object keyed by question"),
+  body("occurrence_start")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("occurrence_start must be in ISO 8601 format"),
+  handleValidationErrors,
+];
+
+/**
+ * Event registration update validation rules (admin)
+ */
+const validateRegistrationUpdate = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 255 })
+    .withMessage("Name must be between 2 and 255 characters"),
+  body("email")
+    .optional()
+    .isEmail()
+    .withMessage("Please provide a valid email address")
+    .normalizeEmail(),
+  ...registrationRules,
+  body("status")
+    .optional()
+    .isIn(ALL_REGISTRATION_STATUSES)
+    .withMessage(
+      `Status must be one of: ${ALL_REGISTRATION_STATUSES.join(", ")}`
+    ),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Notes must not exceed 2000 characters"),
+  handleValidationErrors,
+];
+
+/**
+ * Event registration listing and export query validation rules
+ */
+const validateRegistrationListQuery = [
+  query("status")
+    .optional()
+    .isIn(ALL_REGISTRATION_STATUSES)
+    .withMessage(
+      `Status must be one of: ${ALL_REGISTRATION_STATUSES.join(", ")}`
+    ),
+  query("occurrence_start")
+    .optional()
+    .isISO8601()
+    .withMessage("occurrence_start must be in ISO 8601 format"),
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search must not exceed 100 characters"),
+  query("checked_in")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("checked_in must be either 'true' or 'false'"),
+  handleValidationErrors,
+];
+
+/**
+ * Ticket lookup, check-in and attendance validation rules
+ * occurrence_start (recurring events) is read from the query or the body.
+ */
+const validateCheckIn = [
+  query("occurrence_start")
+    .optional()
+    .isISO8601()
+    .withMessage("occurrence_start must be in ISO 8601 format"),
+  body("occurrence_start")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("occurrence_start must be in ISO 8601 format"),
+  handleValidationErrors,
+];
+
+/**
+ * Translation locale rule (the default locale is edited on the item itself)
+ */
+const translationLocaleRule = param("locale")
+  .isIn(ALL_LOCALES)
+  .withMessage(`Locale must be one of: ${ALL_LOCALES.join(", ")}`)
+  .bail()
+  .not()
+  .equals(DEFAULT_LOCALE)
+  .withMessage(
+    `Content in the default locale (${DEFAULT_LOCALE}) is edited on the item itself`
+  );
+
+/**
+ * Translation locale parameter validation rules (e.g. deleting a translation)
+ */
+const validateTranslationLocale = [translationLocaleRule, handleValidationErrors];
+
+/**
+ * Category translation validation rules
+ */
+const validateCategoryTranslation = [
+  translationLocaleRule,
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Category name is required")
+    .isLength({ min: 2, max: 255 })
+    .withMessage("Category name must be between 2 and 255 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Description must not exceed 1000 characters"),
+  handleValidationErrors,
+];
+
+/**
+ * News translation validation rules
+ */
+const validateNewsTranslation = [
+  translationLocaleRule,
+  body("title")
+    .trim()
+    .notEmpty()
+    .withMessage("Title is required")
+    .isLength({ min: 3, max: 255 })
+    .withMessage("Title must be between 3 and 255 characters"),
+  ...descriptionRules,
+  body("location")
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage("Location must not exceed 255 characters"),
+  handleValidationErrors,
+];
+
 /**
  * News creation validation rules
  */
@@ -133,11 +874,8 @@ const validateNewsCreate = [
     .withMessage("Title is required")
     .isLength({ min: 3, max: 255 })
     .withMessage("Title must be between 3 and 255 characters"),
-  body("description")
-    .optional()
-    .trim()
-    .isLength({ max: 5000 })
-    .withMessage("Description must not exceed 5000 characters"),
+  slugRule,
+  ...descriptionRules,
   body("location")
     .optional()
     .trim()
@@ -155,14 +893,15 @@ const validateNewsCreate = [
     })
     .withMessage("Cover image must be a valid URL (max 500 characters) or uploaded as file"),
   body("date_time")
+    .if((value, { req }) => req.body.type !== NEWS_TYPES.EVENT)
     .notEmpty()
-    .withMessage("Date and time is required")
+    .withMessage("Date and time is required"),
+  body("date_time")
+    .optional({ values: "falsy" })
     .isISO8601()
     .withMessage("Date and time must be in ISO 8601 format"),
-  body("status")
-    .optional()
-    .isIn(["active", "inactive"])
-    .withMessage("Status must be either 'active' or 'inactive'"),
+  ...publishingRules,
+  ...eventRules,
   body("images")
     .optional()
     .custom((value) => {
@@ -199,11 +938,8 @@ const validateNewsUpdate = [
     .withMessage("Title cannot be empty")
     .isLength({ min: 3, max: 255 })
     .withMessage("Title must be between 3 and 255 characters"),
-  body("description")
-    .optional()
-    .trim()
-    .isLength({ max: 5000 })
-    .withMessage("Description must not exceed 5000 characters"),
+  slugRule,
+  ...descriptionRules,
   body("location")
     .optional()
     .trim()
@@ -224,10 +960,8 @@ const validateNewsUpdate = [
     .optional()
     .isISO8601()
     .withMessage("Date and time must be in ISO 8601 format"),
-  body("status")
-    .optional()
-    .isIn(["active", "inactive"])
-    .withMessage("Status must be either 'active' or 'inactive'"),
+  ...publishingRules,
+  ...eventRules,
   body("images")
     .optional()
     .custom((value) => {
@@ -249,12 +983,85 @@ const validateNewsUpdate = [
   handleValidationErrors,
 ];
 
+/**
+ * Site search query validation rules
+ */
+const validateSearchQuery = [
+  query("q")
+    .trim()
+    .notEmpty()
+    .withMessage("Search is required")
+    .isLength({ max: 100 })
+    .withMessage("Search must not exceed 100 characters"),
+  query("type")
+    .optional()
+    .isIn(ALL_SEARCH_TYPES)
+    .withMessage(`Type must be one of: ${ALL_SEARCH_TYPES.join(", ")}`),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be greater than 0")
+    .custom((page, { req }) => {
+      const limit = parseInt(req.query.limit) || 10;
+      if (parseInt(page, 10) * limit > MAX_SEARCH_RESULTS) {
+        throw new Error(
+          `Only the first ${MAX_SEARCH_RESULTS} results can be paged through`
+        );
+      }
+      return true;
+    }),
+  handleValidationErrors,
+];
+
+/**
+ * Search suggestion query validation rules (the listing filters are
+ * validated by validateNewsListQuery)
+ */
+const validateSuggestQuery = [
+  query("q")
+    .isString()
+    .withMessage("Search is required")
+    .isLength({ max: 100 })
+    .withMessage("Search must not exceed 100 characters"),
+  handleValidationErrors,
+];
+
 module.exports = {
   handleValidationErrors,
   validateAdminLogin,
   validateAdminRegister,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateLoginAttemptsQuery,
+  validateAuditLogQuery,
+  validateChangePassword,
+  validateProfileUpdate,
+  validateEmailChange,
+  validateEmailChangeConfirm,
+  validateAdminUpdate,
+  validateInvitationCreate,
+  validateApiKeyCreate,
   validateCategoryCreate,
   validateCategoryUpdate,
   validateNewsCreate,
   validateNewsUpdate,
+  validateNewsListQuery,
+  validateRevisionDiffQuery,
+  validatePreviewLinkCreate,
+  validateOccurrenceQuery,
+  validateOccurrenceStart,
+  validateOccurrenceSave,
+  validateRegistrationCreate,
+  validateRegistrationUpdate,
+  validateRegistrationListQuery,
+  validateCheckIn,
+  validateSearchQuery,
+  validateSuggestQuery,
+  validateTranslationLocale,
+  validateCategoryTranslation,
+  validateNewsTranslation,
 };
@@ -1,6 +1,7 @@
 const db = require("../config/database");
 const bcrypt = require("bcryptjs");
 const logger = require("../utils/logger");
+const { ROLES, DEFAULT_ROLE } = require("../config/roles");
 
 /**
  * Find admin by ID
@@ -10,7 +11,7 @@ const logger = require("../utils/logger");
 module.exports.findById = async (id) => {
   try {
     const [rows] = await db.execute(
-      "SELECT id, email, name, created_at, updated_at FROM admins WHERE id = ?",
+      "SELECT id, email, name, role, is_active, two_factor_enabled, created_at, updated_at FROM admins WHERE id = ?",
       [id]
     );
     return rows.length > 0 ? rows[0] : null;
@@ -39,23 +40,23 @@ module.exports.findByEmail = async (email) => {
 
 /**
  * Create a new admin user
- * @param {object} adminData - Admin data (email, password, name)
+ * @param {object} adminData - Admin data (email, password, name, role)
  * @returns {Promise<object>} Created admin object
  */
 module.exports.create = async (adminData) => {
   try {
-    const { email, password, name } = adminData;
+    const { email, password, name, role = DEFAULT_ROLE } = adminData;
 
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
 
     const [result] = await db.execute(
-      "INSERT INTO admins (email, password, name, created_at, updated_at) VALUES (?, ?, ?, NOW(), NOW())",
-      [email, hashedPassword, name]
+      "INSERT INTO admins (email, password, name, role, created_at, updated_at) VALUES (?, ?, ?, ?, NOW(), NOW())",
+      [email, hashedPassword, name, role]
     );
 
     const admin = await module.exports.findById(result.insertId);
-    logger.info(`Admin created: ${email}`);
+    logger.info(`Admin created: ${email} (role: ${role})`);
     return admin;
   } catch (error) {
     logger.error("Error creating admin:", error);
@@ -63,6 +64,52 @@ module.exports.create = async (adminData) => {
   }
 };
 
+/**
+ * Create the first admin (bootstrap) as super admin
+ * Registrations of the first admin are serialized with a named lock, so
+ * concurrent ones can't both see an empty admins table.
+ * @param {object} adminData - Admin data (email, password, name)
+ * @returns {Promise<object|null>} Created admin object, or null if an admin
+ *   already exists
+ */
+module.exports.createFirst = async (adminData) => {
+  const { email, password, name } = adminData;
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  const connection = await db.getConnection();
+  try {
+    const [locks] = await connection.execute(
+      "SELECT GET_LOCK('stcc_admin_bootstrap', 10) as acquired"
+    );
+    if (locks[0].acquired !== 1) {
+      throw new Error("Could not acquire the admin bootstrap lock");
+    }
+
+    try {
+      const [rows] = await connection.execute(
+        "SELECT COUNT(*) as count FROM admins"
+      );
+      if (rows[0].count > 0) {
+        return null;
+      }
+
+      const [result] = await connection.execute(
+        "INSERT INTO admins (email, password, name, role, created_at, updated_at) VALUES (?, ?, ?, ?, NOW(), NOW())",
+        [email, hashedPassword, name, ROLES.SUPER_ADMIN]
+      );
+      logger.info(`First admin created: ${email} (role: ${ROLES.SUPER_ADMIN})`);
+      return await module.exports.findById(result.insertId);
+    } finally {
+      await connection.execute("SELECT RELEASE_LOCK('stcc_admin_bootstrap')");
+    }
+  } catch (error) {
+    logger.error("Error creating first admin:", error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
 /**
  * Verify admin password
  * @param {string} plainPassword - Plain text password
@@ -80,8 +127,9 @@ module.exports.verifyPassword = async (plainPassword, hashedPassword) => {
 
 /**
  * Update admin
+ * Passwords are changed with changePassword, emails with updateEmail.
  * @param {number} id - Admin ID
- * @param {object} updateData - Data to update
+ * @param {object} updateData - Data to update (name, role, is_active)
  * @returns {Promise<object>} Updated admin object
  */
 module.exports.update = async (id, updateData) => {
@@ -94,10 +142,14 @@ module.exports.update = async (id, updateData) => {
       values.push(updateData.name);
     }
 
-    if (updateData.password) {
-      const hashedPassword = await bcrypt.hash(updateData.password, 10);
-      fields.push("password = ?");
-      values.push(hashedPassword);
+    if (updateData.role) {
+      fields.push("role = ?");
+      values.push(updateData.role);
+    }
+
+    if (updateData.is_active !== undefined) {
+      fields.push("is_active = ?");
+      values.push(updateData.is_active ? 1 : 0);
     }
 
     if (fields.length === 0) {
@@ -141,7 +193,7 @@ module.exports.delete = async (id) => {
 module.exports.findAll = async () => {
   try {
     const [rows] = await db.execute(
-      "SELECT id, email, name, created_at, updated_at FROM admins ORDER BY created_at DESC"
+      "SELECT id, email, name, role, is_active, two_factor_enabled, created_at, updated_at FROM admins ORDER BY created_at DESC"
     );
     return rows;
   } catch (error) {
@@ -149,3 +201,231 @@ module.exports.findAll = async () => {
     throw error;
   }
 };
+
+/**
+ * Check whether a password matches the current or a recent previous password
+ * @param {number} id - Admin ID
+ * @param {string} plainPassword - Plain text password
+ * @param {number} historyCount - Number of passwords to check, including the
+ *   current one (0 to allow any password)
+ * @returns {Promise<boolean>} True if the password was used recently
+ */
+module.exports.isPasswordReused = async (id, plainPassword, historyCount) => {
+  try {
+    if (!(parseInt(historyCount, 10) > 0)) {
+      return false;
+    }
+
+    const [current] = await db.execute(
+      "SELECT password FROM admins WHERE id = ?",
+      [id]
+    );
+    const hashes = current.map((row) => row.password);
+
+    // LIMIT is a validated integer (not supported as a parameter)
+    const previousCount = Math.max(parseInt(historyCount, 10) - 1, 0);
+    if (previousCount > 0) {
+      const [history] = await db.execute(
+        `SELECT password_hash FROM admin_password_history WHERE admin_id = ?
+         ORDER BY created_at DESC, id DESC LIMIT ${previousCount}`,
+        [id]
+      );
+      hashes.push(...history.map((row) => row.password_hash));
+    }
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(plainPassword, hash)) {
+        return true;
+      }
+    }
+    return false;
+  } catch (error) {
+    logger.error("Error checking password history:", error);
+    throw error;
+  }
+};
+
+/**
+ * Change admin password
+ * The current password hash is kept in the password history.
+ * @param {number} id - Admin ID
+ * @param {string} newPassword - New plain text password
+ * @param {number} historyCount - Number of passwords to keep, including the current one
+ * @returns {Promise<object>} Updated admin object
+ */
+module.exports.changePassword = async (id, newPassword, historyCount = 5) => {
+  try {
+    await db.execute(
+      `INSERT INTO admin_password_history (admin_id, password_hash, created_at)
+       SELECT id, password, NOW() FROM admins WHERE id = ?`,
+      [id]
+    );
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await db.execute(
+      "UPDATE admins SET password = ?, updated_at = NOW() WHERE id = ?",
+      [hashedPassword, id]
+    );
+
+    // Prune history beyond what the policy checks
+    const keep = Math.max(parseInt(historyCount, 10) - 1, 0);
+    await db.execute(
+      `DELETE FROM admin_password_history WHERE admin_id = ? AND id NOT IN (
+         SELECT id FROM (
+           SELECT id FROM admin_password_history WHERE admin_id = ?
+           ORDER BY created_at DESC, id DESC LIMIT ${keep}
+         ) recent
+       )`,
+      [id, id]
+    );
+
+    logger.info(`Password changed for admin ${id}`);
+    return await module.exports.findById(id);
+  } catch (error) {
+    logger.error("Error changing admin password:", error);
+    throw error;
+  }
+};
+
+/**
+ * Update admin email
+ * @param {number} id - Admin ID
+ * @param {string} email - New email
+ * @returns {Promise<object>} Updated admin object
+ */
+module.exports.updateEmail = async (id, email) => {
+  try {
+    await db.execute(
+      "UPDATE admins SET email = ?, updated_at = NOW() WHERE id = ?",
+      [email, id]
+    );
+    return await module.exports.findById(id);
+  } catch (error) {
+    logger.error("Error updating admin email:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get count of active super admins
+ * @returns {Promise<number>} Count of active super admins
+ */
+module.exports.countActiveSuperAdmins = async () => {
+  try {
+    const [rows] = await db.execute(
+      "SELECT COUNT(*) as total FROM admins WHERE role = ? AND is_active = 1",
+      [ROLES.SUPER_ADMIN]
+    );
+    return rows[0].total;
+  } catch (error) {
+    logger.error("Error counting active super admins:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get count of admins
+ * @returns {Promise<number>} Count of admins
+ */
+module.exports.count = async () => {
+  try {
+    const [rows] = await db.execute("SELECT COUNT(*) as total FROM admins");
+    return rows[0].total;
+  } catch (error) {
+    logger.error("Error counting admins:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get two-factor authentication data of an admin
+ * @param {number} id - Admin ID
+ * @returns {Promise<object|null>} Object with two_factor_secret (encrypted), two_factor_enabled, two_factor_last_step
+ */
+module.exports.findTwoFactorById = async (id) => {
+  try {
+    const [rows] = await db.execute(
+      "SELECT id, two_factor_secret, two_factor_enabled, two_factor_last_step FROM admins WHERE id = ?",
+      [id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding admin two-factor data:", error);
+    throw error;
+  }
+};
+
+/**
+ * Store a new (not yet enabled) two-factor secret
+ * @param {number} id - Admin ID
+ * @param {string} encryptedSecret - Encrypted TOTP secret
+ * @returns {Promise<boolean>} True if updated
+ */
+module.exports.setTwoFactorSecret = async (id, encryptedSecret) => {
+  try {
+    const [result] = await db.execute(
+      "UPDATE admins SET two_factor_secret = ?, two_factor_enabled = 0, two_factor_last_step = NULL, updated_at = NOW() WHERE id = ?",
+      [encryptedSecret, id]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error setting admin two-factor secret:", error);
+    throw error;
+  }
+};
+
+/**
+ * Enable two-factor authentication
+ * @param {number} id - Admin ID
+ * @returns {Promise<boolean>} True if updated
+ */
+module.exports.enableTwoFactor = async (id) => {
+  try {
+    const [result] = await db.execute(
+      "UPDATE admins SET two_factor_enabled = 1, updated_at = NOW() WHERE id = ? AND two_factor_secret IS NOT NULL",
+      [id]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error enabling admin two-factor:", error);
+    throw error;
+  }
+};
+
+/**
+ * Disable two-factor authentication and remove the secret
+ * @param {number} id - Admin ID
+ * @returns {Promise<boolean>} True if updated
+ */
+module.exports.disableTwoFactor = async (id) => {
+  try {
+    const [result] = await db.execute(
+      "UPDATE admins SET two_factor_secret = NULL, two_factor_enabled = 0, two_factor_last_step = NULL, updated_at = NOW() WHERE id = ?",
+      [id]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error disabling admin two-factor:", error);
+    throw error;
+  }
+};
+
+/**
+ * Record the time step of a used TOTP code
+ * Fails if the same or a later step was already used, preventing code replay.
+ * @param {number} id - Admin ID
+ * @param {number} step - TOTP time step
+ * @returns {Promise<boolean>} True if the step had not been used yet
+ */
+module.exports.useTwoFactorStep = async (id, step) => {
+  try {
+    const [result] = await db.execute(
+      "UPDATE admins SET two_factor_last_step = ? WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)",
+      [step, id, step]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error recording admin two-factor step:", error);
+    throw error;
+  }
+};
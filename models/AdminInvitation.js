@@ -0,0 +1,134 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+const { generateSecureToken, hashToken } = require("../utils/helpers");
+
+/**
+ * Find invitation by ID
+ * @param {number} id - Invitation ID
+ * @returns {Promise<object|null>} Invitation object or null
+ */
+module.exports.findById = async (id) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT i.id, i.email, i.role, i.invited_by, i.expires_at, i.accepted_at,
+       i.revoked_at, i.created_at, a.name as invited_by_name
+       FROM admin_invitations i
+       LEFT JOIN admins a ON i.invited_by = a.id
+       WHERE i.id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding invitation by ID:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find a pending (not accepted, not revoked, not expired) invitation by token
+ * @param {string} token - Plain invitation token
+ * @returns {Promise<object|null>} Invitation object or null
+ */
+module.exports.findValidByToken = async (token) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT id, email, role, invited_by, expires_at, created_at
+       FROM admin_invitations
+       WHERE token_hash = ? AND accepted_at IS NULL AND revoked_at IS NULL
+       AND expires_at > NOW()`,
+      [hashToken(token)]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding invitation by token:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get all invitations
+ * @returns {Promise<Array>} Array of invitation objects
+ */
+module.exports.findAll = async () => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT i.id, i.email, i.role, i.invited_by, i.expires_at, i.accepted_at,
+       i.revoked_at, i.created_at, a.name as invited_by_name
+       FROM admin_invitations i
+       LEFT JOIN admins a ON i.invited_by = a.id
+       ORDER BY i.created_at DESC`
+    );
+    return rows;
+  } catch (error) {
+    logger.error("Error finding all invitations:", error);
+    throw error;
+  }
+};
+
+/**
+ * Create a new invitation
+ * Any pending invitation for the same email is revoked first.
+ * @param {object} invitationData - Invitation data (email, role, invited_by, expires_in_hours)
+ * @returns {Promise<object>} Object with the created invitation and the plain token
+ */
+module.exports.create = async (invitationData) => {
+  try {
+    const { email, role, invited_by, expires_in_hours = 72 } = invitationData;
+
+    await db.execute(
+      "UPDATE admin_invitations SET revoked_at = NOW() WHERE email = ? AND accepted_at IS NULL AND revoked_at IS NULL",
+      [email]
+    );
+
+    const token = generateSecureToken();
+
+    const [result] = await db.execute(
+      `INSERT INTO admin_invitations (email, role, token_hash, invited_by, expires_at, created_at)
+       VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), NOW())`,
+      [email, role, hashToken(token), invited_by || null, expires_in_hours]
+    );
+
+    const invitation = await module.exports.findById(result.insertId);
+    logger.info(`Admin invitation created for ${email} (role: ${role})`);
+    return { invitation, token };
+  } catch (error) {
+    logger.error("Error creating invitation:", error);
+    throw error;
+  }
+};
+
+/**
+ * Mark invitation as accepted
+ * @param {number} id - Invitation ID
+ * @returns {Promise<boolean>} True if the invitation was still pending
+ */
+module.exports.markAccepted = async (id) => {
+  try {
+    const [result] = await db.execute(
+      "UPDATE admin_invitations SET accepted_at = NOW() WHERE id = ? AND accepted_at IS NULL",
+      [id]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error accepting invitation:", error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a pending invitation
+ * @param {number} id - Invitation ID
+ * @returns {Promise<boolean>} True if revoked
+ */
+module.exports.revoke = async (id) => {
+  try {
+    const [result] = await db.execute(
+      "UPDATE admin_invitations SET revoked_at = NOW() WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL",
+      [id]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error revoking invitation:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,107 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+const { hashToken } = require("../utils/helpers");
+const crypto = require("crypto");
+
+/**
+ * Normalize a recovery code before hashing (case and dashes are ignored)
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
+ */
+const normalizeCode = (code) => {
+  return String(code || "")
+    .replace(/[\s-]/g, "")
+    .toLowerCase();
+};
+
+/**
+ * Generate a random recovery code formatted as xxxxx-xxxxx
+ * @returns {string} Recovery code
+ */
+const generateCode = () => {
+  const raw = crypto.randomBytes(5).toString("hex");
+  return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+};
+
+/**
+ * Replace all recovery codes of an admin with a new set
+ * @param {number} adminId - Admin ID
+ * @param {number} count - Number of codes to generate
+ * @returns {Promise<Array<string>>} Plain recovery codes (shown to the admin once)
+ */
+module.exports.regenerate = async (adminId, count = 10) => {
+  try {
+    await module.exports.deleteByAdminId(adminId);
+
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+      const code = generateCode();
+      codes.push(code);
+      await db.execute(
+        "INSERT INTO admin_recovery_codes (admin_id, code_hash, created_at) VALUES (?, ?, NOW())",
+        [adminId, hashToken(normalizeCode(code))]
+      );
+    }
+
+    logger.info(`Generated ${count} recovery codes for admin ${adminId}`);
+    return codes;
+  } catch (error) {
+    logger.error("Error generating recovery codes:", error);
+    throw error;
+  }
+};
+
+/**
+ * Use a recovery code (each code works once)
+ * @param {number} adminId - Admin ID
+ * @param {string} code - Plain recovery code
+ * @returns {Promise<boolean>} True if the code was valid and unused
+ */
+module.exports.consume = async (adminId, code) => {
+  try {
+    const [result] = await db.execute(
+      "UPDATE admin_recovery_codes SET used_at = NOW() WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL LIMIT 1",
+      [adminId, hashToken(normalizeCode(code))]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error consuming recovery code:", error);
+    throw error;
+  }
+};
+
+/**
+ * Count unused recovery codes of an admin
+ * @param {number} adminId - Admin ID
+ * @returns {Promise<number>} Number of unused codes
+ */
+module.exports.countRemaining = async (adminId) => {
+  try {
+    const [rows] = await db.execute(
+      "SELECT COUNT(*) as total FROM admin_recovery_codes WHERE admin_id = ? AND used_at IS NULL",
+      [adminId]
+    );
+    return rows[0].total;
+  } catch (error) {
+    logger.error("Error counting recovery codes:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delete all recovery codes of an admin
+ * @param {number} adminId - Admin ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+module.exports.deleteByAdminId = async (adminId) => {
+  try {
+    const [result] = await db.execute(
+      "DELETE FROM admin_recovery_codes WHERE admin_id = ?",
+      [adminId]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error deleting recovery codes:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,190 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+const { generateSecureToken, hashToken } = require("../utils/helpers");
+
+/**
+ * Find session by ID
+ * @param {number} id - Session ID
+ * @returns {Promise<object|null>} Session object or null
+ */
+module.exports.findById = async (id) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT id, admin_id, user_agent, ip_address, expires_at, last_used_at,
+       revoked_at, created_at
+       FROM admin_sessions WHERE id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding session by ID:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find an active (not revoked, not expired) session together with its admin
+ * Sessions of deactivated admins are not returned.
+ * @param {number} id - Session ID
+ * @returns {Promise<object|null>} Session with admin_email, admin_name, admin_role or null
+ */
+module.exports.findActiveWithAdmin = async (id) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT s.id, s.admin_id, s.expires_at, a.email as admin_email,
+       a.name as admin_name, a.role as admin_role
+       FROM admin_sessions s
+       INNER JOIN admins a ON s.admin_id = a.id
+       WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+       AND a.is_active = 1`,
+      [id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding active session:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find an active session by its current refresh token
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {Promise<object|null>} Session object or null
+ */
+module.exports.findActiveByRefreshToken = async (refreshToken) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT id, admin_id, expires_at FROM admin_sessions
+       WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+      [hashToken(refreshToken)]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding session by refresh token:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find a session by a refresh token that has already been rotated out
+ * Used to detect refresh token reuse.
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {Promise<object|null>} Session object or null
+ */
+module.exports.findByPreviousRefreshToken = async (refreshToken) => {
+  try {
+    const [rows] = await db.execute(
+      "SELECT id, admin_id FROM admin_sessions WHERE previous_token_hash = ?",
+      [hashToken(refreshToken)]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding session by previous refresh token:", error);
+    throw error;
+  }
+};
+
+/**
+ * Create a new session
+ * @param {object} sessionData - Session data (admin_id, user_agent, ip_address, expires_in_days)
+ * @returns {Promise<object>} Object with the created session and the plain refresh token
+ */
+module.exports.create = async (sessionData) => {
+  try {
+    const {
+      admin_id,
+      user_agent,
+      ip_address,
+      expires_in_days = 30,
+    } = sessionData;
+
+    const refreshToken = generateSecureToken(48);
+
+    const [result] = await db.execute(
+      `INSERT INTO admin_sessions (admin_id, refresh_token_hash, user_agent, ip_address, expires_at, last_used_at, created_at)
+       VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), NOW(), NOW())`,
+      [
+        admin_id,
+        hashToken(refreshToken),
+        user_agent ? user_agent.substring(0, 500) : null,
+        ip_address || null,
+        expires_in_days,
+      ]
+    );
+
+    const session = await module.exports.findById(result.insertId);
+    logger.info(`Session created for admin ${admin_id} (ID: ${result.insertId})`);
+    return { session, refreshToken };
+  } catch (error) {
+    logger.error("Error creating session:", error);
+    throw error;
+  }
+};
+
+/**
+ * Rotate the refresh token of a session
+ * The old token is kept as previous_token_hash to detect reuse.
+ * @param {number} id - Session ID
+ * @returns {Promise<string>} New plain refresh token
+ */
+module.exports.rotate = async (id) => {
+  try {
+    const refreshToken = generateSecureToken(48);
+
+    await db.execute(
+      `UPDATE admin_sessions
+       SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, last_used_at = NOW()
+       WHERE id = ?`,
+      [hashToken(refreshToken), id]
+    );
+
+    return refreshToken;
+  } catch (error) {
+    logger.error("Error rotating session refresh token:", error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a session
+ * @param {number} id - Session ID
+ * @returns {Promise<boolean>} True if revoked
+ */
+module.exports.revoke = async (id) => {
+  try {
+    const [result] = await db.execute(
+      "UPDATE admin_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+      [id]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error revoking session:", error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke all sessions of an admin
+ * @param {number} adminId - Admin ID
+ * @param {number} [exceptSessionId] - Session to keep active (e.g. the current one)
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+module.exports.revokeAllForAdmin = async (adminId, exceptSessionId = null) => {
+  try {
+    let query =
+      "UPDATE admin_sessions SET revoked_at = NOW() WHERE admin_id = ? AND revoked_at IS NULL";
+    const params = [adminId];
+
+    if (exceptSessionId) {
+      query += " AND id <> ?";
+      params.push(exceptSessionId);
+    }
+
+    const [result] = await db.execute(query, params);
+    logger.info(`Revoked ${result.affectedRows} sessions for admin ${adminId}`);
+    return result.affectedRows;
+  } catch (error) {
+    logger.error("Error revoking sessions for admin:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,162 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+const {
+  generateSecureToken,
+  hashToken,
+  formatDateTimeForMySQL,
+} = require("../utils/helpers");
+
+// Prefix of every API key, makes keys recognizable (e.g. by secret scanners)
+const KEY_PREFIX = "stcc_";
+
+// Number of leading characters stored in clear text to identify a key
+const VISIBLE_PREFIX_LENGTH = 12;
+
+const SELECT_FIELDS = `k.id, k.name, k.key_prefix, k.scopes, k.created_by,
+  k.expires_at, k.last_used_at, k.last_used_ip, k.revoked_at, k.created_at,
+  k.updated_at, a.name as created_by_name`;
+
+/**
+ * Normalize the scopes column (JSON columns may come back as strings)
+ * @param {object} row - API key row
+ * @returns {object} Row with scopes as an array
+ */
+const normalize = (row) => ({
+  ...row,
+  scopes: typeof row.scopes === "string" ? JSON.parse(row.scopes) : row.scopes,
+});
+
+/**
+ * Find API key by ID
+ * @param {number} id - API key ID
+ * @returns {Promise<object|null>} API key object or null
+ */
+module.exports.findById = async (id) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT ${SELECT_FIELDS}
+       FROM api_keys k
+       LEFT JOIN admins a ON k.created_by = a.id
+       WHERE k.id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? normalize(rows[0]) : null;
+  } catch (error) {
+    logger.error("Error finding API key by ID:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find a usable (not revoked, not expired) API key by its plain value
+ * Keys of deactivated admins are not returned. expires_at is stored in UTC
+ * (see formatDateTimeForMySQL).
+ * @param {string} key - Plain API key
+ * @returns {Promise<object|null>} API key with admin_email and admin_role or null
+ */
+module.exports.findActiveByKey = async (key) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT k.id, k.name, k.scopes, k.created_by, k.expires_at,
+       a.email as admin_email, a.role as admin_role
+       FROM api_keys k
+       INNER JOIN admins a ON k.created_by = a.id
+       WHERE k.key_hash = ? AND k.revoked_at IS NULL
+       AND (k.expires_at IS NULL OR k.expires_at > UTC_TIMESTAMP())
+       AND a.is_active = 1`,
+      [hashToken(key)]
+    );
+    return rows.length > 0 ? normalize(rows[0]) : null;
+  } catch (error) {
+    logger.error("Error finding API key:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get all API keys
+ * @returns {Promise<Array>} Array of API key objects
+ */
+module.exports.findAll = async () => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT ${SELECT_FIELDS}
+       FROM api_keys k
+       LEFT JOIN admins a ON k.created_by = a.id
+       ORDER BY k.created_at DESC`
+    );
+    return rows.map(normalize);
+  } catch (error) {
+    logger.error("Error finding all API keys:", error);
+    throw error;
+  }
+};
+
+/**
+ * Create a new API key
+ * @param {object} apiKeyData - API key data (name, scopes, expires_at, created_by)
+ * @returns {Promise<object>} Object with the created API key and the plain key
+ */
+module.exports.create = async (apiKeyData) => {
+  try {
+    const { name, scopes, expires_at, created_by } = apiKeyData;
+
+    const key = `${KEY_PREFIX}${generateSecureToken(32)}`;
+
+    const [result] = await db.execute(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        name,
+        key.substring(0, VISIBLE_PREFIX_LENGTH),
+        hashToken(key),
+        JSON.stringify(scopes),
+        created_by,
+        expires_at ? formatDateTimeForMySQL(expires_at) : null,
+      ]
+    );
+
+    const apiKey = await module.exports.findById(result.insertId);
+    logger.info(`API key created: ${name} (ID: ${result.insertId})`);
+    return { apiKey, key };
+  } catch (error) {
+    logger.error("Error creating API key:", error);
+    throw error;
+  }
+};
+
+/**
+ * Record that an API key has been used
+ * @param {number} id - API key ID
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<void>}
+ */
+module.exports.touch = async (id, ipAddress) => {
+  try {
+    await db.execute(
+      "UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?",
+      [ipAddress || null, id]
+    );
+  } catch (error) {
+    logger.error("Error updating API key last use:", error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke an API key
+ * @param {number} id - API key ID
+ * @returns {Promise<boolean>} True if revoked
+ */
+module.exports.revoke = async (id) => {
+  try {
+    const [result] = await db.execute(
+      "UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+      [id]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error revoking API key:", error);
+    throw error;
+  }
+};
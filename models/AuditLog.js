@@ -0,0 +1,131 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+const { formatDateTimeForMySQL } = require("../utils/helpers");
+
+/**
+ * Build WHERE clause for audit log filters
+ * @param {object} filters - Filters (actor_id, action, entity_type, entity_id, date_from, date_to)
+ * @returns {object} Object with where clause and params
+ */
+const buildWhere = (filters = {}) => {
+  let where = " WHERE 1=1";
+  const params = [];
+
+  if (filters.actor_id) {
+    where += " AND l.actor_id = ?";
+    params.push(parseInt(filters.actor_id, 10));
+  }
+
+  if (filters.action) {
+    where += " AND l.action = ?";
+    params.push(filters.action);
+  }
+
+  if (filters.entity_type) {
+    where += " AND l.entity_type = ?";
+    params.push(filters.entity_type);
+  }
+
+  if (filters.entity_id) {
+    where += " AND l.entity_id = ?";
+    params.push(String(filters.entity_id));
+  }
+
+  if (filters.date_from) {
+    where += " AND l.created_at >= ?";
+    params.push(formatDateTimeForMySQL(filters.date_from));
+  }
+
+  if (filters.date_to) {
+    where += " AND l.created_at <= ?";
+    params.push(formatDateTimeForMySQL(filters.date_to));
+  }
+
+  return { where, params };
+};
+
+/**
+ * Record an audit log entry
+ * @param {object} entryData - Entry data (actor_id, actor_email, action, entity_type, entity_id, changes, ip_address, user_agent)
+ * @returns {Promise<number>} Inserted entry ID
+ */
+module.exports.create = async (entryData) => {
+  try {
+    const {
+      actor_id,
+      actor_email,
+      action,
+      entity_type,
+      entity_id,
+      changes,
+      ip_address,
+      user_agent,
+    } = entryData;
+
+    const [result] = await db.execute(
+      `INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, changes, ip_address, user_agent, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        actor_id || null,
+        actor_email || null,
+        action,
+        entity_type,
+        entity_id !== undefined && entity_id !== null ? String(entity_id) : null,
+        changes ? JSON.stringify(changes) : null,
+        ip_address || null,
+        user_agent ? user_agent.substring(0, 500) : null,
+      ]
+    );
+    return result.insertId;
+  } catch (error) {
+    logger.error("Error creating audit log entry:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get audit log entries with filters
+ * @param {object} filters - Optional filters (actor_id, action, entity_type, entity_id, date_from, date_to, limit, offset)
+ * @returns {Promise<Array>} Array of audit log entries
+ */
+module.exports.findAll = async (filters = {}) => {
+  try {
+    const { where, params } = buildWhere(filters);
+    let query = `SELECT l.*, a.name as actor_name
+                 FROM audit_log l
+                 LEFT JOIN admins a ON l.actor_id = a.id${where}
+                 ORDER BY l.created_at DESC, l.id DESC`;
+
+    // LIMIT/OFFSET are validated integers (not supported as parameters)
+    if (filters.limit !== undefined) {
+      const limit = parseInt(filters.limit, 10);
+      const offset = parseInt(filters.offset, 10) || 0;
+      query += ` LIMIT ${limit} OFFSET ${offset}`;
+    }
+
+    const [rows] = await db.execute(query, params);
+    return rows;
+  } catch (error) {
+    logger.error("Error finding audit log entries:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get count of audit log entries
+ * @param {object} filters - Optional filters
+ * @returns {Promise<number>} Count of entries
+ */
+module.exports.count = async (filters = {}) => {
+  try {
+    const { where, params } = buildWhere(filters);
+    const [rows] = await db.execute(
+      `SELECT COUNT(*) as total FROM audit_log l${where}`,
+      params
+    );
+    return rows[0].total;
+  } catch (error) {
+    logger.error("Error counting audit log entries:", error);
+    throw error;
+  }
+};
@@ -1,5 +1,25 @@
 const db = require("../config/database");
 const logger = require("../utils/logger");
+const { toBooleanQuery } = require("../utils/search");
+
+// Full-text search of the category or one of its translations (two
+// parameters: the boolean-mode query, see utils/search)
+const SEARCH_CONDITION = `(
+  MATCH(name, description) AGAINST (? IN BOOLEAN MODE)
+  OR EXISTS (
+    SELECT 1 FROM category_translations t
+    WHERE t.category_id = categories.id
+    AND MATCH(t.name, t.description) AGAINST (? IN BOOLEAN MODE)))`;
+
+// Relevance of a search result; matches in the name weigh more (four
+// parameters: the boolean-mode query)
+const SEARCH_RELEVANCE = `(
+  MATCH(name) AGAINST (? IN BOOLEAN MODE) * 3
+  + MATCH(name, description) AGAINST (? IN BOOLEAN MODE)
+  + COALESCE((
+    SELECT MAX(MATCH(t.name) AGAINST (? IN BOOLEAN MODE) * 3
+      + MATCH(t.name, t.description) AGAINST (? IN BOOLEAN MODE))
+    FROM category_translations t WHERE t.category_id = categories.id), 0))`;
 
 /**
  * Find category by ID
@@ -39,26 +59,34 @@ module.exports.findBySlug = async (slug) => {
 
 /**
  * Get all categories
+ * With a search, categories are full-text matches (of the category or one of
+ * its translations) ordered by relevance and have a relevance score.
  * @param {object} filters - Optional filters (status, search)
  * @returns {Promise<Array>} Array of category objects
  */
 module.exports.findAll = async (filters = {}) => {
   try {
-    let query = "SELECT * FROM categories WHERE 1=1";
-    const params = [];
+    const searchQuery = toBooleanQuery(filters.search);
+    let query = `SELECT *${
+      searchQuery ? `, ${SEARCH_RELEVANCE} AS relevance` : ""
+    } FROM categories WHERE 1=1`;
+    const params = searchQuery
+      ? [searchQuery, searchQuery, searchQuery, searchQuery]
+      : [];
 
     if (filters.status) {
       query += " AND status = ?";
       params.push(filters.status);
     }
 
-    if (filters.search) {
-      query += " AND (name LIKE ? OR description LIKE ?)";
-      const searchTerm = `%${filters.search}%`;
-      params.push(searchTerm, searchTerm);
+    if (searchQuery) {
+      query += ` AND ${SEARCH_CONDITION}`;
+      params.push(searchQuery, searchQuery);
     }
 
-    query += " ORDER BY created_at DESC";
+    query += searchQuery
+      ? " ORDER BY relevance DESC, created_at DESC"
+      : " ORDER BY created_at DESC";
 
     const [rows] = await db.execute(query, params);
     return rows;
@@ -68,6 +96,45 @@ module.exports.findAll = async (filters = {}) => {
   }
 };
 
+/**
+ * Find active categories whose name (or a translated name) matches a
+ * full-text search, e.g. for suggestions as the user types
+ * @param {string} search - Search as typed
+ * @param {number} limit - Most categories
+ * @returns {Promise<Array>} Categories { id, name, slug }, best match first
+ */
+module.exports.findNameMatches = async (search, limit) => {
+  try {
+    const searchQuery = toBooleanQuery(search);
+    const safeLimit = parseInt(limit, 10);
+    if (!searchQuery || isNaN(safeLimit) || safeLimit < 1) {
+      return [];
+    }
+
+    // LIMIT is inlined (validated integer): mysql2 can't bind it
+    const [rows] = await db.execute(
+      `SELECT id, name, slug,
+       MATCH(name) AGAINST (? IN BOOLEAN MODE) + COALESCE((
+         SELECT MAX(MATCH(t.name) AGAINST (? IN BOOLEAN MODE))
+         FROM category_translations t WHERE t.category_id = categories.id), 0) AS relevance
+       FROM categories
+       WHERE status = 'active' AND (
+         MATCH(name) AGAINST (? IN BOOLEAN MODE)
+         OR EXISTS (
+           SELECT 1 FROM category_translations t
+           WHERE t.category_id = categories.id
+           AND MATCH(t.name) AGAINST (? IN BOOLEAN MODE)))
+       ORDER BY relevance DESC, name ASC
+       LIMIT ${safeLimit}`,
+      [searchQuery, searchQuery, searchQuery, searchQuery]
+    );
+    return rows;
+  } catch (error) {
+    logger.error("Error finding categories by name:", error);
+    throw error;
+  }
+};
+
 /**
  * Create a new category
  * @param {object} categoryData - Category data (name, description, slug, status)
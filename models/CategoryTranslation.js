@@ -0,0 +1,117 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+
+// Fields that can be translated, the main one first
+const TRANSLATABLE_FIELDS = ["name", "description"];
+
+/**
+ * Get all translations of a category
+ * @param {number} categoryId - Category ID
+ * @returns {Promise<Array>} Array of translation objects
+ */
+module.exports.findByCategoryId = async (categoryId) => {
+  try {
+    const [rows] = await db.execute(
+      "SELECT * FROM category_translations WHERE category_id = ? ORDER BY locale ASC",
+      [categoryId]
+    );
+    return rows;
+  } catch (error) {
+    logger.error("Error finding translations by category ID:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the translations of several categories
+ * @param {Array<number>} categoryIds - Category IDs
+ * @returns {Promise<object>} Translations keyed by category ID
+ */
+module.exports.findByCategoryIds = async (categoryIds) => {
+  const byId = {};
+  if (categoryIds.length === 0) {
+    return byId;
+  }
+
+  try {
+    const placeholders = categoryIds.map(() => "?").join(", ");
+    const [rows] = await db.execute(
+      `SELECT * FROM category_translations WHERE category_id IN (${placeholders})`,
+      categoryIds
+    );
+
+    for (const row of rows) {
+      (byId[row.category_id] = byId[row.category_id] || []).push(row);
+    }
+    return byId;
+  } catch (error) {
+    logger.error("Error finding translations by category IDs:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find the translation of a category in one locale
+ * @param {number} categoryId - Category ID
+ * @param {string} locale - Locale
+ * @returns {Promise<object|null>} Translation object or null
+ */
+module.exports.findOne = async (categoryId, locale) => {
+  try {
+    const [rows] = await db.execute(
+      "SELECT * FROM category_translations WHERE category_id = ? AND locale = ?",
+      [categoryId, locale]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding category translation:", error);
+    throw error;
+  }
+};
+
+/**
+ * Create or replace the translation of a category
+ * @param {number} categoryId - Category ID
+ * @param {string} locale - Locale
+ * @param {object} translationData - Translation data (name, description)
+ * @returns {Promise<object>} Saved translation object
+ */
+module.exports.upsert = async (categoryId, locale, translationData) => {
+  try {
+    const { name, description } = translationData;
+
+    await db.execute(
+      `INSERT INTO category_translations (category_id, locale, name, description, created_at, updated_at)
+       VALUES (?, ?, ?, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE name = VALUES(name), description = VALUES(description), updated_at = NOW()`,
+      [categoryId, locale, name, description || null]
+    );
+
+    logger.info(`Translation saved for category ${categoryId}: ${locale}`);
+    return await module.exports.findOne(categoryId, locale);
+  } catch (error) {
+    logger.error("Error saving category translation:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delete the translation of a category
+ * @param {number} categoryId - Category ID
+ * @param {string} locale - Locale
+ * @returns {Promise<boolean>} True if deleted
+ */
+module.exports.delete = async (categoryId, locale) => {
+  try {
+    const [result] = await db.execute(
+      "DELETE FROM category_translations WHERE category_id = ? AND locale = ?",
+      [categoryId, locale]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error deleting category translation:", error);
+    throw error;
+  }
+};
+
+module.exports.TRANSLATABLE_FIELDS = TRANSLATABLE_FIELDS;
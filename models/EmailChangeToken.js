@@ -0,0 +1,71 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+const { generateSecureToken, hashToken } = require("../utils/helpers");
+
+/**
+ * Create an email change token
+ * Any pending email change of the admin is cancelled first.
+ * @param {number} adminId - Admin ID
+ * @param {string} newEmail - Requested new email
+ * @param {number} expiresInHours - Token validity in hours
+ * @returns {Promise<string>} Plain token
+ */
+module.exports.create = async (adminId, newEmail, expiresInHours = 24) => {
+  try {
+    await db.execute(
+      "UPDATE email_change_tokens SET used_at = NOW() WHERE admin_id = ? AND used_at IS NULL",
+      [adminId]
+    );
+
+    const token = generateSecureToken();
+
+    await db.execute(
+      `INSERT INTO email_change_tokens (admin_id, new_email, token_hash, expires_at, created_at)
+       VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), NOW())`,
+      [adminId, newEmail, hashToken(token), expiresInHours]
+    );
+
+    logger.info(`Email change token created for admin ${adminId}`);
+    return token;
+  } catch (error) {
+    logger.error("Error creating email change token:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find an unused, unexpired email change token
+ * @param {string} token - Plain token
+ * @returns {Promise<object|null>} Token object (admin_id, new_email) or null
+ */
+module.exports.findValidByToken = async (token) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT id, admin_id, new_email, expires_at, created_at FROM email_change_tokens
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+      [hashToken(token)]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding email change token:", error);
+    throw error;
+  }
+};
+
+/**
+ * Mark an email change token as used
+ * @param {number} id - Token ID
+ * @returns {Promise<boolean>} True if the token was still unused
+ */
+module.exports.markUsed = async (id) => {
+  try {
+    const [result] = await db.execute(
+      "UPDATE email_change_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+      [id]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error marking email change token as used:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,666 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+const { formatDateTimeForMySQL } = require("../utils/helpers");
+const { REGISTRATION_STATUS } = require("../config/registrations");
+
+// Seats taken by a registration: the registrant and their guests
+const SEATS = "(1 + r.guests)";
+
+// Registration fields an admin can change
+const UPDATABLE_FIELDS = ["name", "email", "company", "guests", "notes"];
+
+/**
+ * Format the occurrence of a registration for MySQL
+ * @param {string|Date|null} occurrenceStart - ISO 8601 start (or a Date read from the database)
+ * @returns {string|Date|null} Value for the occurrence_start column
+ */
+const formatOccurrenceStart = (occurrenceStart) =>
+  typeof occurrenceStart === "string"
+    ? formatDateTimeForMySQL(occurrenceStart)
+    : occurrenceStart || null;
+
+/**
+ * Run a function in a transaction holding the lock of an event
+ * Registrations of an event are changed one at a time, so a seat is never
+ * given out twice.
+ * @param {number} newsAndEventsId - News and Events ID
+ * @param {Function} fn - async (connection, event) => result; event has id and capacity
+ * @returns {Promise<*>} Result of fn
+ */
+const withEventLock = async (newsAndEventsId, fn) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [events] = await connection.execute(
+      "SELECT id, capacity FROM news_and_events WHERE id = ? FOR UPDATE",
+      [newsAndEventsId]
+    );
+    const result = await fn(connection, events[0] || null);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Get the seats taken by confirmed registrations of an event (occurrence)
+ * @param {object} connection - Connection holding the event lock
+ * @param {number} newsAndEventsId - News and Events ID
+ * @param {string|Date|null} occurrenceStart - Occurrence (null for events that don't recur)
+ * @returns {Promise<number>} Confirmed seats
+ */
+const getConfirmedSeats = async (
+  connection,
+  newsAndEventsId,
+  occurrenceStart
+) => {
+  const [rows] = await connection.execute(
+    `SELECT COALESCE(SUM(${SEATS}), 0) as seats FROM event_registrations r
+     WHERE r.news_and_events_id = ? AND r.occurrence_start <=> ?
+     AND r.status = 'confirmed'`,
+    [newsAndEventsId, formatOccurrenceStart(occurrenceStart)]
+  );
+  return Number(rows[0].seats);
+};
+
+/**
+ * Check whether an email address is registered (and not cancelled) for an
+ * event (occurrence)
+ * @param {object} connection - Connection holding the event lock
+ * @param {number} newsAndEventsId - News and Events ID
+ * @param {string|Date|null} occurrenceStart - Occurrence (null for events that don't recur)
+ * @param {string} email - Email address
+ * @param {number|null} excludeId - Registration to leave out (the one being updated)
+ * @returns {Promise<boolean>} True if the email address is taken
+ */
+const isEmailRegistered = async (
+  connection,
+  newsAndEventsId,
+  occurrenceStart,
+  email,
+  excludeId = null
+) => {
+  const [existing] = await connection.execute(
+    `SELECT id FROM event_registrations
+     WHERE news_and_events_id = ? AND occurrence_start <=> ?
+     AND email = ? AND status <> 'cancelled' AND NOT id <=> ?`,
+    [newsAndEventsId, formatOccurrenceStart(occurrenceStart), email, excludeId]
+  );
+  return existing.length > 0;
+};
+
+/**
+ * Confirm waitlisted registrations while seats are free
+ * In order of registration; a registration needing more seats than are free
+ * is skipped, so smaller parties behind it can still move up.
+ * @param {object} connection - Connection holding the event lock
+ * @param {object} event - Locked event (id, capacity)
+ * @param {string|Date|null} occurrenceStart - Occurrence (null for events that don't recur)
+ * @returns {Promise<Array>} Promoted registrations
+ */
+const promoteWaitlisted = async (connection, event, occurrenceStart) => {
+  const [waitlisted] = await connection.execute(
+    `SELECT * FROM event_registrations r
+     WHERE r.news_and_events_id = ? AND r.occurrence_start <=> ?
+     AND r.status = 'waitlisted'
+     ORDER BY r.created_at ASC, r.id ASC`,
+    [event.id, formatOccurrenceStart(occurrenceStart)]
+  );
+  if (waitlisted.length === 0) {
+    return [];
+  }
+
+  let freeSeats =
+    event.capacity === null
+      ? Infinity
+      : event.capacity -
+        (await getConfirmedSeats(connection, event.id, occurrenceStart));
+
+  const promoted = [];
+  for (const registration of waitlisted) {
+    const seats = 1 + registration.guests;
+    if (seats > freeSeats) {
+      continue;
+    }
+
+    await connection.execute(
+      `UPDATE event_registrations SET status = 'confirmed', promoted_at = NOW(),
+       updated_at = NOW() WHERE id = ?`,
+      [registration.id]
+    );
+    freeSeats -= seats;
+    promoted.push({ ...registration, status: REGISTRATION_STATUS.CONFIRMED });
+  }
+
+  return promoted;
+};
+
+/**
+ * Build the filter conditions shared by findByNewsAndEventsId and count
+ * @param {object} filters - Filters (status, occurrence_start, search, checked_in)
+ * @returns {object} { sql, params }
+ */
+const buildFilters = (filters) => {
+  let sql = "";
+  const params = [];
+
+  if (filters.status) {
+    sql += " AND r.status = ?";
+    params.push(filters.status);
+  }
+
+  if (filters.occurrence_start) {
+    sql += " AND r.occurrence_start = ?";
+    params.push(formatDateTimeForMySQL(filters.occurrence_start));
+  }
+
+  if (filters.search) {
+    sql += " AND (r.name LIKE ? OR r.email LIKE ? OR r.company LIKE ?)";
+    const searchTerm = `%${filters.search}%`;
+    params.push(searchTerm, searchTerm, searchTerm);
+  }
+
+  if (filters.checked_in !== undefined) {
+    sql +=
+      filters.checked_in === "true" || filters.checked_in === true
+        ? " AND r.checked_in_at IS NOT NULL"
+        : " AND r.checked_in_at IS NULL";
+  }
+
+  return { sql, params };
+};
+
+/**
+ * Find registration by ID
+ * @param {number} id - Registration ID
+ * @returns {Promise<object|null>} Registration object (with event_title and checked_in_by_name) or null
+ */
+module.exports.findById = async (id) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT r.*, n.title as event_title, a.name as checked_in_by_name
+       FROM event_registrations r
+       JOIN news_and_events n ON r.news_and_events_id = n.id
+       LEFT JOIN admins a ON r.checked_in_by = a.id
+       WHERE r.id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding registration by ID:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the registrations of an event
+ * @param {number} newsAndEventsId - News and Events ID
+ * @param {object} [filters] - Optional filters (status, occurrence_start, search, checked_in, limit, offset)
+ * @returns {Promise<Array>} Array of registration objects (in order of registration)
+ */
+module.exports.findByNewsAndEventsId = async (
+  newsAndEventsId,
+  filters = {}
+) => {
+  try {
+    const { sql, params } = buildFilters(filters);
+    let query = `SELECT r.* FROM event_registrations r
+                 WHERE r.news_and_events_id = ?${sql}
+                 ORDER BY r.occurrence_start ASC, r.created_at ASC, r.id ASC`;
+
+    // LIMIT and OFFSET are validated integers (not parameters, see NewsAndEvents.findAll)
+    if (filters.limit !== undefined) {
+      const limit = parseInt(filters.limit, 10);
+      const offset = parseInt(filters.offset, 10) || 0;
+      if (isNaN(limit) || limit < 1 || offset < 0) {
+        throw new Error(
+          `Invalid limit/offset: ${filters.limit}/${filters.offset}`
+        );
+      }
+      query += ` LIMIT ${limit} OFFSET ${offset}`;
+    }
+
+    const [rows] = await db.execute(query, [newsAndEventsId, ...params]);
+    return rows;
+  } catch (error) {
+    logger.error("Error finding registrations by news and events ID:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get count of the registrations of an event
+ * @param {number} newsAndEventsId - News and Events ID
+ * @param {object} [filters] - Optional filters (status, occurrence_start, search)
+ * @returns {Promise<number>} Count of registrations
+ */
+module.exports.count = async (newsAndEventsId, filters = {}) => {
+  try {
+    const { sql, params } = buildFilters(filters);
+    const [rows] = await db.execute(
+      `SELECT COUNT(*) as total FROM event_registrations r
+       WHERE r.news_and_events_id = ?${sql}`,
+      [newsAndEventsId, ...params]
+    );
+    return rows[0].total;
+  } catch (error) {
+    logger.error("Error counting registrations:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the registration totals of an event, per occurrence
+ * @param {number} newsAndEventsId - News and Events ID
+ * @returns {Promise<Array>} Array of { occurrence_start, confirmed, confirmed_seats, waitlisted, waitlisted_seats, cancelled, checked_in, checked_in_seats }
+ */
+module.exports.getSummary = async (newsAndEventsId) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT r.occurrence_start,
+       SUM(r.status = 'confirmed') as confirmed,
+       COALESCE(SUM(IF(r.status = 'confirmed', ${SEATS}, 0)), 0) as confirmed_seats,
+       SUM(r.status = 'waitlisted') as waitlisted,
+       COALESCE(SUM(IF(r.status = 'waitlisted', ${SEATS}, 0)), 0) as waitlisted_seats,
+       SUM(r.status = 'cancelled') as cancelled,
+       SUM(r.status = 'confirmed' AND r.checked_in_at IS NOT NULL) as checked_in,
+       COALESCE(SUM(IF(r.status = 'confirmed' AND r.checked_in_at IS NOT NULL, ${SEATS}, 0)), 0) as checked_in_seats
+       FROM event_registrations r
+       WHERE r.news_and_events_id = ?
+       GROUP BY r.occurrence_start
+       ORDER BY r.occurrence_start ASC`,
+      [newsAndEventsId]
+    );
+    return rows.map((row) => ({
+      occurrence_start: row.occurrence_start,
+      confirmed: Number(row.confirmed),
+      confirmed_seats: Number(row.confirmed_seats),
+      waitlisted: Number(row.waitlisted),
+      waitlisted_seats: Number(row.waitlisted_seats),
+      cancelled: Number(row.cancelled),
+      checked_in: Number(row.checked_in),
+      checked_in_seats: Number(row.checked_in_seats),
+    }));
+  } catch (error) {
+    logger.error("Error summarizing registrations:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the place of a waitlisted registration on the waitlist
+ * @param {object} registration - Registration
+ * @returns {Promise<number|null>} Position (1 = next in line), or null if not waitlisted
+ */
+module.exports.getWaitlistPosition = async (registration) => {
+  if (registration.status !== REGISTRATION_STATUS.WAITLISTED) {
+    return null;
+  }
+
+  try {
+    const [rows] = await db.execute(
+      `SELECT COUNT(*) as ahead FROM event_registrations r
+       WHERE r.news_and_events_id = ? AND r.occurrence_start <=> ?
+       AND r.status = 'waitlisted'
+       AND (r.created_at < ? OR (r.created_at = ? AND r.id < ?))`,
+      [
+        registration.news_and_events_id,
+        registration.occurrence_start,
+        registration.created_at,
+        registration.created_at,
+        registration.id,
+      ]
+    );
+    return rows[0].ahead + 1;
+  } catch (error) {
+    logger.error("Error finding waitlist position:", error);
+    throw error;
+  }
+};
+
+/**
+ * Register for an event
+ * The registration is confirmed if enough seats are free, waitlisted
+ * otherwise. Events without a capacity confirm every registration.
+ * @param {object} registrationData - Registration data (news_and_events_id, occurrence_start, name, email, company, guests, answers)
+ * @returns {Promise<object|null>} Created registration, or null if the email
+ *   is already registered (and not cancelled) for the event (occurrence)
+ */
+module.exports.register = async (registrationData) => {
+  try {
+    const {
+      news_and_events_id,
+      occurrence_start,
+      name,
+      email,
+      company,
+      guests = 0,
+      answers,
+    } = registrationData;
+
+    const id = await withEventLock(
+      news_and_events_id,
+      async (connection, event) => {
+        if (
+          await isEmailRegistered(
+            connection,
+            news_and_events_id,
+            occurrence_start,
+            email
+          )
+        ) {
+          return null;
+        }
+
+        const seats = 1 + guests;
+        const confirmed =
+          event.capacity === null ||
+          (await getConfirmedSeats(connection, event.id, occurrence_start)) +
+            seats <=
+            event.capacity;
+
+        const [result] = await connection.execute(
+          `INSERT INTO event_registrations (news_and_events_id, occurrence_start, name, email, company, guests, answers, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+          [
+            news_and_events_id,
+            formatOccurrenceStart(occurrence_start),
+            name,
+            email,
+            company || null,
+            guests,
+            answers ? JSON.stringify(answers) : null,
+            confirmed
+              ? REGISTRATION_STATUS.CONFIRMED
+              : REGISTRATION_STATUS.WAITLISTED,
+          ]
+        );
+        return result.insertId;
+      }
+    );
+
+    if (!id) {
+      return null;
+    }
+
+    const registration = await module.exports.findById(id);
+    logger.info(
+      `Registration ${id} for news and events ${news_and_events_id}: ${registration.status}`
+    );
+    return registration;
+  } catch (error) {
+    logger.error("Error creating registration:", error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a registration and give its seats to the waitlist
+ * @param {number} id - Registration ID
+ * @returns {Promise<object|null>} { registration, promoted }, or null if the
+ *   registration doesn't exist or is already cancelled
+ */
+module.exports.cancel = async (id) => {
+  try {
+    const current = await module.exports.findById(id);
+    if (!current) {
+      return null;
+    }
+
+    const promoted = await withEventLock(
+      current.news_and_events_id,
+      async (connection, event) => {
+        const [rows] = await connection.execute(
+          "SELECT status, occurrence_start FROM event_registrations WHERE id = ?",
+          [id]
+        );
+        if (
+          rows.length === 0 ||
+          rows[0].status === REGISTRATION_STATUS.CANCELLED
+        ) {
+          return null;
+        }
+
+        await connection.execute(
+          `UPDATE event_registrations SET status = 'cancelled', cancelled_at = NOW(),
+           updated_at = NOW() WHERE id = ?`,
+          [id]
+        );
+        return rows[0].status === REGISTRATION_STATUS.CONFIRMED
+          ? await promoteWaitlisted(connection, event, rows[0].occurrence_start)
+          : [];
+      }
+    );
+
+    if (!promoted) {
+      return null;
+    }
+
+    logger.info(
+      `Registration ${id} cancelled (${promoted.length} promoted from the waitlist)`
+    );
+    return { registration: await module.exports.findById(id), promoted };
+  } catch (error) {
+    logger.error("Error cancelling registration:", error);
+    throw error;
+  }
+};
+
+/**
+ * Update a registration (admin)
+ * Admins may confirm a registration even when the event is full. Seats freed
+ * by the change go to the waitlist. Like registering, an email address can
+ * only be registered once per event (occurrence); an update that would
+ * register it twice throws an error with code ER_DUP_ENTRY.
+ * @param {number} id - Registration ID
+ * @param {object} updateData - Data to update (name, email, company, guests, notes, status)
+ * @returns {Promise<object|null>} { registration, promoted }, or null if not found
+ */
+module.exports.update = async (id, updateData) => {
+  try {
+    const current = await module.exports.findById(id);
+    if (!current) {
+      return null;
+    }
+
+    const fields = [];
+    const values = [];
+
+    for (const field of UPDATABLE_FIELDS) {
+      if (updateData[field] !== undefined) {
+        fields.push(`${field} = ?`);
+        values.push(updateData[field] === "" ? null : updateData[field]);
+      }
+    }
+
+    if (
+      updateData.status !== undefined &&
+      updateData.status !== current.status
+    ) {
+      fields.push("status = ?");
+      values.push(updateData.status);
+      if (updateData.status === REGISTRATION_STATUS.CANCELLED) {
+        fields.push("cancelled_at = NOW()");
+      } else {
+        fields.push("cancelled_at = NULL");
+      }
+      if (updateData.status === REGISTRATION_STATUS.CONFIRMED) {
+        fields.push("promoted_at = NOW()");
+      }
+    }
+
+    if (fields.length === 0) {
+      return { registration: current, promoted: [] };
+    }
+
+    fields.push("updated_at = NOW()");
+    values.push(id);
+
+    const status =
+      updateData.status !== undefined ? updateData.status : current.status;
+    const email =
+      updateData.email !== undefined ? updateData.email : current.email;
+    const guests =
+      updateData.guests !== undefined ? updateData.guests : current.guests;
+    // Only a confirmed registration that is no longer confirmed, or brings
+    // fewer guests, frees seats
+    const freesSeats =
+      current.status === REGISTRATION_STATUS.CONFIRMED &&
+      (status !== REGISTRATION_STATUS.CONFIRMED || guests < current.guests);
+    // The email address is taken again when it changes or the registration
+    // is no longer cancelled
+    const checksEmail =
+      status !== REGISTRATION_STATUS.CANCELLED &&
+      (email !== current.email ||
+        current.status === REGISTRATION_STATUS.CANCELLED);
+
+    const promoted = await withEventLock(
+      current.news_and_events_id,
+      async (connection, event) => {
+        if (
+          checksEmail &&
+          (await isEmailRegistered(
+            connection,
+            current.news_and_events_id,
+            current.occurrence_start,
+            email,
+            current.id
+          ))
+        ) {
+          const duplicate = new Error(
+            `Email address of registration ${id} is already registered for the event`
+          );
+          duplicate.code = "ER_DUP_ENTRY";
+          throw duplicate;
+        }
+
+        await connection.execute(
+          `UPDATE event_registrations SET ${fields.join(", ")} WHERE id = ?`,
+          values
+        );
+        return freesSeats
+          ? await promoteWaitlisted(connection, event, current.occurrence_start)
+          : [];
+      }
+    );
+
+    return { registration: await module.exports.findById(id), promoted };
+  } catch (error) {
+    logger.error("Error updating registration:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a registration (e.g. on request of the registrant)
+ * Its seats go to the waitlist.
+ * @param {number} id - Registration ID
+ * @returns {Promise<Array|null>} Promoted registrations, or null if not found
+ */
+module.exports.delete = async (id) => {
+  try {
+    const current = await module.exports.findById(id);
+    if (!current) {
+      return null;
+    }
+
+    return await withEventLock(
+      current.news_and_events_id,
+      async (connection, event) => {
+        await connection.execute(
+          "DELETE FROM event_registrations WHERE id = ?",
+          [id]
+        );
+        return await promoteWaitlisted(
+          connection,
+          event,
+          current.occurrence_start
+        );
+      }
+    );
+  } catch (error) {
+    logger.error("Error deleting registration:", error);
+    throw error;
+  }
+};
+
+/**
+ * Check in a confirmed registration at the door
+ * A registration can only be checked in once; the whole party (the
+ * registrant and their guests) is checked in together.
+ * @param {number} id - Registration ID
+ * @param {number} adminId - Admin checking the registrant in
+ * @returns {Promise<boolean>} True if checked in, false if the registration
+ *   isn't confirmed or is already checked in
+ */
+module.exports.checkIn = async (id, adminId) => {
+  try {
+    const [result] = await db.execute(
+      `UPDATE event_registrations SET checked_in_at = NOW(), checked_in_by = ?
+       WHERE id = ? AND status = 'confirmed' AND checked_in_at IS NULL`,
+      [adminId, id]
+    );
+    if (result.affectedRows > 0) {
+      logger.info(`Registration ${id} checked in by admin ${adminId}`);
+    }
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error checking in registration:", error);
+    throw error;
+  }
+};
+
+/**
+ * Undo the check-in of a registration (e.g. scanned by mistake)
+ * @param {number} id - Registration ID
+ * @returns {Promise<boolean>} True if undone, false if not checked in
+ */
+module.exports.undoCheckIn = async (id) => {
+  try {
+    const [result] = await db.execute(
+      `UPDATE event_registrations SET checked_in_at = NULL, checked_in_by = NULL
+       WHERE id = ? AND checked_in_at IS NOT NULL`,
+      [id]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error undoing registration check-in:", error);
+    throw error;
+  }
+};
+
+/**
+ * Give free seats of an event to the waitlist (e.g. after its capacity grew)
+ * @param {number} newsAndEventsId - News and Events ID
+ * @returns {Promise<Array>} Promoted registrations
+ */
+module.exports.promoteWaitlisted = async (newsAndEventsId) => {
+  try {
+    return await withEventLock(newsAndEventsId, async (connection, event) => {
+      if (!event) {
+        return [];
+      }
+
+      const [occurrences] = await connection.execute(
+        `SELECT DISTINCT occurrence_start FROM event_registrations
+         WHERE news_and_events_id = ? AND status = 'waitlisted'`,
+        [newsAndEventsId]
+      );
+
+      const promoted = [];
+      for (const { occurrence_start } of occurrences) {
+        promoted.push(
+          ...(await promoteWaitlisted(connection, event, occurrence_start))
+        );
+      }
+      return promoted;
+    });
+  } catch (error) {
+    logger.error("Error promoting waitlisted registrations:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,112 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+const { formatDateTimeForMySQL } = require("../utils/helpers");
+
+/**
+ * Build WHERE clause for login attempt filters
+ * @param {object} filters - Filters (email, ip_address, success, date_from, date_to)
+ * @returns {object} Object with where clause and params
+ */
+const buildWhere = (filters = {}) => {
+  let where = " WHERE 1=1";
+  const params = [];
+
+  if (filters.email) {
+    where += " AND email = ?";
+    params.push(filters.email);
+  }
+
+  if (filters.ip_address) {
+    where += " AND ip_address = ?";
+    params.push(filters.ip_address);
+  }
+
+  if (filters.success !== undefined && filters.success !== "") {
+    where += " AND success = ?";
+    params.push(filters.success === true || filters.success === "true" ? 1 : 0);
+  }
+
+  if (filters.date_from) {
+    where += " AND created_at >= ?";
+    params.push(formatDateTimeForMySQL(filters.date_from));
+  }
+
+  if (filters.date_to) {
+    where += " AND created_at <= ?";
+    params.push(formatDateTimeForMySQL(filters.date_to));
+  }
+
+  return { where, params };
+};
+
+/**
+ * Record a login attempt
+ * @param {object} attemptData - Attempt data (email, ip_address, user_agent, success, failure_reason)
+ * @returns {Promise<number>} Inserted attempt ID
+ */
+module.exports.create = async (attemptData) => {
+  try {
+    const { email, ip_address, user_agent, success, failure_reason } =
+      attemptData;
+
+    const [result] = await db.execute(
+      `INSERT INTO login_attempts (email, ip_address, user_agent, success, failure_reason, created_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [
+        email || null,
+        ip_address || null,
+        user_agent ? user_agent.substring(0, 500) : null,
+        success ? 1 : 0,
+        failure_reason || null,
+      ]
+    );
+    return result.insertId;
+  } catch (error) {
+    logger.error("Error recording login attempt:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get login attempts with filters
+ * @param {object} filters - Optional filters (email, ip_address, success, date_from, date_to, limit, offset)
+ * @returns {Promise<Array>} Array of login attempt objects
+ */
+module.exports.findAll = async (filters = {}) => {
+  try {
+    const { where, params } = buildWhere(filters);
+    let query = `SELECT * FROM login_attempts${where} ORDER BY created_at DESC, id DESC`;
+
+    // LIMIT/OFFSET are validated integers (not supported as parameters)
+    if (filters.limit !== undefined) {
+      const limit = parseInt(filters.limit, 10);
+      const offset = parseInt(filters.offset, 10) || 0;
+      query += ` LIMIT ${limit} OFFSET ${offset}`;
+    }
+
+    const [rows] = await db.execute(query, params);
+    return rows;
+  } catch (error) {
+    logger.error("Error finding login attempts:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get count of login attempts
+ * @param {object} filters - Optional filters
+ * @returns {Promise<number>} Count of login attempts
+ */
+module.exports.count = async (filters = {}) => {
+  try {
+    const { where, params } = buildWhere(filters);
+    const [rows] = await db.execute(
+      `SELECT COUNT(*) as total FROM login_attempts${where}`,
+      params
+    );
+    return rows[0].total;
+  } catch (error) {
+    logger.error("Error counting login attempts:", error);
+    throw error;
+  }
+};
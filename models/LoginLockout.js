@@ -0,0 +1,151 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+
+/**
+ * Find lockout by ID
+ * @param {number} id - Lockout ID
+ * @returns {Promise<object|null>} Lockout object or null
+ */
+module.exports.findById = async (id) => {
+  try {
+    const [rows] = await db.execute(
+      "SELECT * FROM login_lockouts WHERE id = ?",
+      [id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding lockout by ID:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find lockout state for an email or IP address
+ * is_locked and retry_after_seconds are computed by the database clock.
+ * @param {string} scope - 'email' or 'ip'
+ * @param {string} identifier - Email or IP address
+ * @returns {Promise<object|null>} Lockout object or null
+ */
+module.exports.find = async (scope, identifier) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT *, (locked_until IS NOT NULL AND locked_until > NOW()) as is_locked,
+       GREATEST(TIMESTAMPDIFF(SECOND, NOW(), locked_until), 0) as retry_after_seconds
+       FROM login_lockouts WHERE scope = ? AND identifier = ?`,
+      [scope, identifier]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding lockout:", error);
+    throw error;
+  }
+};
+
+/**
+ * Register a failed login for an email or IP address
+ * The counter restarts when the last failure is older than the window, and
+ * the identifier is locked once the counter reaches maxFailures.
+ * @param {string} scope - 'email' or 'ip'
+ * @param {string} identifier - Email or IP address
+ * @param {object} options - Options (maxFailures, windowMinutes, lockoutMinutes)
+ * @returns {Promise<object>} Updated lockout object
+ */
+module.exports.registerFailure = async (scope, identifier, options) => {
+  try {
+    const { maxFailures, windowMinutes, lockoutMinutes } = options;
+
+    // MySQL evaluates the assignments left to right, so locked_until sees the
+    // new failed_count and failed_count sees the old last_failed_at
+    await db.execute(
+      `INSERT INTO login_lockouts (scope, identifier, failed_count, last_failed_at, locked_until, created_at, updated_at)
+       VALUES (?, ?, 1, NOW(), IF(1 >= ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NULL), NOW(), NOW())
+       ON DUPLICATE KEY UPDATE
+         failed_count = IF(last_failed_at < DATE_SUB(NOW(), INTERVAL ? MINUTE), 1, failed_count + 1),
+         locked_until = IF(failed_count >= ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), locked_until),
+         last_failed_at = NOW(),
+         updated_at = NOW()`,
+      [
+        scope,
+        identifier,
+        maxFailures,
+        lockoutMinutes,
+        windowMinutes,
+        maxFailures,
+        lockoutMinutes,
+      ]
+    );
+
+    return await module.exports.find(scope, identifier);
+  } catch (error) {
+    logger.error("Error registering login failure:", error);
+    throw error;
+  }
+};
+
+/**
+ * Clear the failure counter and lock of an email or IP address
+ * @param {string} scope - 'email' or 'ip'
+ * @param {string} identifier - Email or IP address
+ * @returns {Promise<boolean>} True if a lockout row was removed
+ */
+module.exports.clear = async (scope, identifier) => {
+  try {
+    const [result] = await db.execute(
+      "DELETE FROM login_lockouts WHERE scope = ? AND identifier = ?",
+      [scope, identifier]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error clearing lockout:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get lockouts
+ * @param {object} filters - Optional filters (active: only currently locked, scope)
+ * @returns {Promise<Array>} Array of lockout objects
+ */
+module.exports.findAll = async (filters = {}) => {
+  try {
+    let query = `SELECT *, (locked_until IS NOT NULL AND locked_until > NOW()) as is_locked,
+                 GREATEST(TIMESTAMPDIFF(SECOND, NOW(), locked_until), 0) as retry_after_seconds
+                 FROM login_lockouts WHERE 1=1`;
+    const params = [];
+
+    if (filters.active) {
+      query += " AND locked_until > NOW()";
+    }
+
+    if (filters.scope) {
+      query += " AND scope = ?";
+      params.push(filters.scope);
+    }
+
+    query += " ORDER BY last_failed_at DESC";
+
+    const [rows] = await db.execute(query, params);
+    return rows;
+  } catch (error) {
+    logger.error("Error finding lockouts:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delete lockout (manual unlock)
+ * @param {number} id - Lockout ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+module.exports.delete = async (id) => {
+  try {
+    const [result] = await db.execute(
+      "DELETE FROM login_lockouts WHERE id = ?",
+      [id]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error deleting lockout:", error);
+    throw error;
+  }
+};
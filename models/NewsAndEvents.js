@@ -1,77 +1,262 @@
 const db = require("../config/database");
 const logger = require("../utils/logger");
+const { formatDateTimeForMySQL } = require("../utils/helpers");
+const NewsAndEventsImage = require("./NewsAndEventsImage");
+const { NEWS_STATUS, DEFAULT_NEWS_STATUS } = require("../config/newsStatus");
+const { DEFAULT_TEXT_FORMAT } = require("../config/textFormats");
+const { NEWS_TYPES, DEFAULT_NEWS_TYPE } = require("../config/newsTypes");
+const { slugify } = require("../utils/slugify");
+const { toBooleanQuery } = require("../utils/search");
+
+// Items that are public right now: published (or scheduled and due, in case
+// the scheduler has not run yet) and not past their unpublish_at.
+// publish_at / unpublish_at are stored in UTC (see formatDateTimeForMySQL).
+const VISIBLE_CONDITION = `(
+  (n.status = 'published' AND (n.publish_at IS NULL OR n.publish_at <= UTC_TIMESTAMP()))
+  OR (n.status = 'scheduled' AND n.publish_at <= UTC_TIMESTAMP())
+) AND (n.unpublish_at IS NULL OR n.unpublish_at > UTC_TIMESTAMP())`;
+
+// Items of the sitemap: visible and with a slug, as pages are addressed by it
+const SITEMAP_CONDITION = `${VISIBLE_CONDITION} AND n.slug IS NOT NULL`;
+
+// Full-text search of the item or one of its translations (two parameters:
+// the boolean-mode query, see utils/search)
+const SEARCH_CONDITION = `(
+  MATCH(n.title, n.excerpt, n.description, n.location) AGAINST (? IN BOOLEAN MODE)
+  OR EXISTS (
+    SELECT 1 FROM news_and_events_translations t
+    WHERE t.news_and_events_id = n.id
+    AND MATCH(t.title, t.excerpt, t.description, t.location) AGAINST (? IN BOOLEAN MODE)))`;
+
+// Relevance of a search result; matches in the title weigh more (four
+// parameters: the boolean-mode query)
+const SEARCH_RELEVANCE = `(
+  MATCH(n.title) AGAINST (? IN BOOLEAN MODE) * 3
+  + MATCH(n.title, n.excerpt, n.description, n.location) AGAINST (? IN BOOLEAN MODE)
+  + COALESCE((
+    SELECT MAX(MATCH(t.title) AGAINST (? IN BOOLEAN MODE) * 3
+      + MATCH(t.title, t.excerpt, t.description, t.location) AGAINST (? IN BOOLEAN MODE))
+    FROM news_and_events_translations t WHERE t.news_and_events_id = n.id), 0))`;
+
+// Full-text search of the titles only, e.g. for suggestions as the user types
+const TITLE_SEARCH_CONDITION = `(
+  MATCH(n.title) AGAINST (? IN BOOLEAN MODE)
+  OR EXISTS (
+    SELECT 1 FROM news_and_events_translations t
+    WHERE t.news_and_events_id = n.id
+    AND MATCH(t.title) AGAINST (? IN BOOLEAN MODE)))`;
+const TITLE_SEARCH_RELEVANCE = `(
+  MATCH(n.title) AGAINST (? IN BOOLEAN MODE)
+  + COALESCE((
+    SELECT MAX(MATCH(t.title) AGAINST (? IN BOOLEAN MODE))
+    FROM news_and_events_translations t WHERE t.news_and_events_id = n.id), 0))`;
 
 /**
- * Convert ISO 8601 datetime string to MySQL DATETIME format
- * @param {string} dateTimeString - ISO 8601 datetime string (e.g., '2025-12-04T07:22:00.000Z')
- * @returns {string} MySQL DATETIME format (e.g., '2025-12-04 07:22:00')
+ * Read the full-text search of the filters
+ * title_search only searches the titles; search also the descriptions.
+ * @param {object} filters - Filters (search, title_search)
+ * @returns {object|null} { condition, relevance } with the SQL and its
+ *   parameters, or null without a search
+ * @throws {Error} If a search is not a string
  */
-const formatDateTimeForMySQL = (dateTimeString) => {
-  // This function should only be called with valid string values
-  // Return null/undefined as-is only if explicitly passed
-  if (dateTimeString === null || dateTimeString === undefined) {
-    return dateTimeString;
+const getSearch = (filters) => {
+  for (const field of ["search", "title_search"]) {
+    if (
+      filters[field] !== undefined &&
+      filters[field] !== null &&
+      typeof filters[field] !== "string"
+    ) {
+      throw new Error(`Invalid ${field} type: ${typeof filters[field]}`);
+    }
   }
 
-  // Ensure it's a string
-  if (typeof dateTimeString !== "string") {
-    throw new Error(
-      `Expected string, got ${typeof dateTimeString}: ${dateTimeString}`
-    );
+  const titlesOnly = Boolean(filters.title_search);
+  const searchQuery = toBooleanQuery(
+    titlesOnly ? filters.title_search : filters.search
+  );
+  if (!searchQuery) {
+    return null;
   }
 
-  // Trim and check for empty string
-  const trimmed = dateTimeString.trim();
-  if (trimmed === "") {
-    throw new Error("Empty datetime string is not allowed");
+  // Every parameter of the SQL is the boolean-mode query
+  const withParams = (sql) => ({
+    sql,
+    params: sql.match(/\?/g).map(() => searchQuery),
+  });
+  return {
+    condition: withParams(
+      titlesOnly ? TITLE_SEARCH_CONDITION : SEARCH_CONDITION
+    ),
+    relevance: withParams(
+      titlesOnly ? TITLE_SEARCH_RELEVANCE : SEARCH_RELEVANCE
+    ),
+  };
+};
+
+// Event details (only meaningful for type 'event')
+const EVENT_FIELDS = [
+  "start_at",
+  "end_at",
+  "all_day",
+  "timezone",
+  "recurrence_rule",
+  "recurrence_exdates",
+  "recurrence_end_at",
+  "cancelled",
+  "venue_name",
+  "venue_address",
+  "venue_city",
+  "venue_postal_code",
+  "venue_latitude",
+  "venue_longitude",
+  "organizer_name",
+  "organizer_email",
+  "organizer_phone",
+  "capacity",
+  "registration_enabled",
+  "registration_deadline",
+  "registration_questions",
+];
+
+// Fields the calendar (iCalendar VEVENT) of an item is built from; changing
+// one of them is a new version for calendar apps (SEQUENCE)
+const CALENDAR_FIELDS = [
+  "category_id",
+  "title",
+  "slug",
+  "description",
+  "excerpt",
+  "location",
+  "start_at",
+  "end_at",
+  "all_day",
+  "timezone",
+  "recurrence_rule",
+  "recurrence_exdates",
+  "cancelled",
+  "venue_name",
+  "venue_address",
+  "venue_city",
+  "venue_postal_code",
+  "venue_latitude",
+  "venue_longitude",
+  "organizer_name",
+  "organizer_email",
+];
+
+// Event details stored as UTC datetimes
+const EVENT_DATETIME_FIELDS = [
+  "start_at",
+  "end_at",
+  "registration_deadline",
+  "recurrence_end_at",
+];
+
+// Event details stored as TINYINT(1) flags and as JSON
+const EVENT_FLAG_FIELDS = ["all_day", "cancelled", "registration_enabled"];
+const EVENT_JSON_FIELDS = ["recurrence_exdates", "registration_questions"];
+
+// When an event is over: its end (or start), and for all-day events the end
+// of that day
+const EVENT_END =
+  "DATE_ADD(COALESCE(n.end_at, n.start_at), INTERVAL n.all_day DAY)";
+
+// When a series of occurrences is over: NULL for recurring events that never
+// end (see utils/recurrence getSeriesEnd)
+const SERIES_END = `(CASE WHEN n.recurrence_rule IS NULL THEN ${EVENT_END}
+  ELSE n.recurrence_end_at END)`;
+
+/**
+ * Format an optional datetime for MySQL
+ * @param {string|null} value - ISO 8601 datetime, or empty to clear
+ * @returns {string|null} MySQL datetime or null
+ */
+const formatOptionalDateTime = (value) => {
+  return value ? formatDateTimeForMySQL(value) : null;
+};
+
+/**
+ * Format an event detail for MySQL (empty values are stored as NULL)
+ * @param {string} field - Event field
+ * @param {*} value - Value from the request
+ * @returns {*} Value to store
+ */
+const formatEventValue = (field, value) => {
+  if (EVENT_FLAG_FIELDS.includes(field)) {
+    return value ? 1 : 0;
+  }
+  if (value === undefined || value === null || value === "") {
+    return null;
   }
+  if (EVENT_JSON_FIELDS.includes(field)) {
+    return JSON.stringify(value);
+  }
+  return EVENT_DATETIME_FIELDS.includes(field)
+    ? formatDateTimeForMySQL(value)
+    : value;
+};
 
-  // If already in MySQL format (YYYY-MM-DD HH:MM:SS), return as is
-  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(trimmed)) {
-    return trimmed;
+/**
+ * Build the event filter conditions shared by findAll and count
+ * Recurring events match while any occurrence may match; listings expand
+ * them to find the exact occurrences.
+ * @param {object} filters - Filters (type, upcoming, past, starts_from, starts_to, city, ends_from)
+ * @returns {object} { sql, params }
+ */
+const buildEventFilters = (filters) => {
+  let sql = "";
+  const params = [];
+
+  if (filters.type) {
+    sql += " AND n.type = ?";
+    params.push(filters.type);
   }
 
-  try {
-    // Parse the ISO 8601 string
-    const date = new Date(trimmed);
+  if (filters.upcoming) {
+    sql += ` AND n.type = '${NEWS_TYPES.EVENT}'
+             AND (${SERIES_END} IS NULL OR ${SERIES_END} >= UTC_TIMESTAMP())`;
+  }
 
-    // Check if date is valid
-    if (isNaN(date.getTime())) {
-      throw new Error(`Invalid date: ${trimmed}`);
-    }
+  if (filters.past) {
+    sql += ` AND n.type = '${NEWS_TYPES.EVENT}' AND ${SERIES_END} < UTC_TIMESTAMP()`;
+  }
 
-    // Format as MySQL DATETIME: YYYY-MM-DD HH:MM:SS
-    // Use UTC methods to preserve the original timezone
-    const year = date.getUTCFullYear();
-    const month = String(date.getUTCMonth() + 1).padStart(2, "0");
-    const day = String(date.getUTCDate()).padStart(2, "0");
-    const hours = String(date.getUTCHours()).padStart(2, "0");
-    const minutes = String(date.getUTCMinutes()).padStart(2, "0");
-    const seconds = String(date.getUTCSeconds()).padStart(2, "0");
+  if (filters.starts_from) {
+    sql += ` AND (n.start_at >= ? OR (n.recurrence_rule IS NOT NULL
+             AND (n.recurrence_end_at IS NULL OR n.recurrence_end_at >= ?)))`;
+    const startsFrom = formatDateTimeForMySQL(filters.starts_from);
+    params.push(startsFrom, startsFrom);
+  }
 
-    const formatted = `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+  if (filters.starts_to) {
+    sql += " AND n.start_at <= ?";
+    params.push(formatDateTimeForMySQL(filters.starts_to));
+  }
 
-    // Validate the formatted result
-    if (!/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(formatted)) {
-      throw new Error(`Failed to format datetime correctly: ${formatted}`);
-    }
+  if (filters.city) {
+    sql += " AND n.venue_city = ?";
+    params.push(filters.city);
+  }
 
-    logger.debug(`Converted datetime: ${trimmed} -> ${formatted}`);
-    return formatted;
-  } catch (error) {
-    logger.error("Error formatting datetime for MySQL:", error);
-    throw new Error(`Invalid datetime format: ${trimmed}. ${error.message}`);
+  // Events (series) that end after a date (used by the calendar feeds)
+  if (filters.ends_from) {
+    sql += ` AND n.type = '${NEWS_TYPES.EVENT}'
+             AND (${SERIES_END} IS NULL OR ${SERIES_END} >= ?)`;
+    params.push(formatDateTimeForMySQL(filters.ends_from));
   }
+
+  return { sql, params };
 };
 
 /**
  * Find news and events by ID
  * @param {number} id - News and Events ID
+ * @param {object} [connection] - Connection of a transaction (default: pool)
  * @returns {Promise<object|null>} News and Events object or null
  */
-module.exports.findById = async (id) => {
+module.exports.findById = async (id, connection = db) => {
   try {
-    const [rows] = await db.execute(
+    const [rows] = await connection.execute(
       `SELECT n.*, c.name as category_name, c.slug as category_slug,
        a.name as created_by_name
        FROM news_and_events n
@@ -87,20 +272,185 @@ module.exports.findById = async (id) => {
   }
 };
 
+/**
+ * Find news and events by ID, only if it is publicly visible right now
+ * @param {number} id - News and Events ID
+ * @returns {Promise<object|null>} News and Events object or null
+ */
+module.exports.findVisibleById = async (id) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT n.*, c.name as category_name, c.slug as category_slug,
+       a.name as created_by_name
+       FROM news_and_events n
+       LEFT JOIN categories c ON n.category_id = c.id
+       LEFT JOIN admins a ON n.created_by = a.id
+       WHERE n.id = ? AND ${VISIBLE_CONDITION}`,
+      [id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding visible news and events by ID:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find news and events by its current slug, only if it is publicly visible
+ * @param {string} slug - Slug
+ * @returns {Promise<object|null>} News and Events object or null
+ */
+module.exports.findVisibleBySlug = async (slug) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT n.*, c.name as category_name, c.slug as category_slug,
+       a.name as created_by_name
+       FROM news_and_events n
+       LEFT JOIN categories c ON n.category_id = c.id
+       LEFT JOIN admins a ON n.created_by = a.id
+       WHERE n.slug = ? AND ${VISIBLE_CONDITION}`,
+      [slug]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding visible news and events by slug:", error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether a slug is used by another item (as current or previous slug)
+ * @param {string} slug - Slug
+ * @param {number} [excludeId] - Item whose own slugs don't count
+ * @returns {Promise<boolean>} True if the slug is taken
+ */
+module.exports.isSlugTaken = async (slug, excludeId = 0) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT id FROM news_and_events WHERE slug = ? AND id <> ?
+       UNION ALL
+       SELECT news_and_events_id FROM news_and_events_slugs
+       WHERE slug = ? AND news_and_events_id <> ?
+       LIMIT 1`,
+      [slug, excludeId || 0, slug, excludeId || 0]
+    );
+    return rows.length > 0;
+  } catch (error) {
+    logger.error("Error checking slug:", error);
+    throw error;
+  }
+};
+
+/**
+ * Generate a unique slug from a text (e.g. the title)
+ * Adds -2, -3, ... when the slug is already taken.
+ * @param {string} text - Text to build the slug from
+ * @param {number} [excludeId] - Item the slug is for (its own slugs can be reused)
+ * @returns {Promise<string>} Unique slug
+ */
+module.exports.generateUniqueSlug = async (text, excludeId = 0) => {
+  const base = slugify(text) || "news";
+
+  let slug = base;
+  let suffix = 2;
+  while (await module.exports.isSlugTaken(slug, excludeId)) {
+    slug = `${base}-${suffix}`;
+    suffix++;
+  }
+
+  return slug;
+};
+
+/**
+ * Get items without a slug (created before slugs were introduced)
+ * @returns {Promise<Array>} Array of { id, title }
+ */
+module.exports.findAllWithoutSlug = async () => {
+  try {
+    const [rows] = await db.execute(
+      "SELECT id, title FROM news_and_events WHERE slug IS NULL ORDER BY id ASC"
+    );
+    return rows;
+  } catch (error) {
+    logger.error("Error finding news and events without slug:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the descriptions of all items (used to render them again)
+ * @returns {Promise<Array>} Array of { id, description, description_format }
+ */
+module.exports.findAllDescriptions = async () => {
+  try {
+    const [rows] = await db.execute(
+      "SELECT id, description, description_format FROM news_and_events ORDER BY id ASC"
+    );
+    return rows;
+  } catch (error) {
+    logger.error("Error finding news and events descriptions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Store the rendered description of an item
+ * Rendering again doesn't change the item, so neither updated_at nor the
+ * iCalendar sequence move.
+ * @param {number} id - News and Events ID
+ * @param {object} rendered - { description_html, excerpt }
+ * @returns {Promise<void>}
+ */
+module.exports.updateRenderedDescription = async (id, rendered) => {
+  try {
+    await db.execute(
+      "UPDATE news_and_events SET description_html = ?, excerpt = ? WHERE id = ?",
+      [rendered.description_html, rendered.excerpt, id]
+    );
+  } catch (error) {
+    logger.error("Error updating rendered news and events description:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find news and events by ID together with its image URLs (in display order)
+ * @param {number} id - News and Events ID
+ * @returns {Promise<object|null>} News and Events object with images array or null
+ */
+module.exports.findByIdWithImages = async (id) => {
+  const newsAndEvents = await module.exports.findById(id);
+  if (!newsAndEvents) {
+    return null;
+  }
+
+  const images = await NewsAndEventsImage.findByNewsAndEventsId(id);
+  return {
+    ...newsAndEvents,
+    images: images.map((img) => img.image_url),
+  };
+};
+
 /**
  * Get all news and events with filters
- * @param {object} filters - Optional filters (category_id, status, search, date_from, date_to)
+ * With a search, items are full-text matches ordered by relevance (unless
+ * upcoming) and have a relevance score.
+ * @param {object} filters - Optional filters (category_id, status, visible, type, upcoming, past, starts_from, starts_to, city, ends_from, search, title_search, date_from, date_to)
  * @returns {Promise<Array>} Array of news and events objects
  */
 module.exports.findAll = async (filters = {}) => {
   try {
+    const search = getSearch(filters);
+
     let query = `SELECT n.*, c.name as category_name, c.slug as category_slug,
-                 a.name as created_by_name
+                 a.name as created_by_name${
+                   search ? `, ${search.relevance.sql} AS relevance` : ""
+                 }
                  FROM news_and_events n
                  LEFT JOIN categories c ON n.category_id = c.id
                  LEFT JOIN admins a ON n.created_by = a.id
                  WHERE 1=1`;
-    const params = [];
+    const params = search ? [...search.relevance.params] : [];
 
     if (
       filters.category_id !== undefined &&
@@ -127,18 +477,17 @@ module.exports.findAll = async (filters = {}) => {
       params.push(filters.status);
     }
 
-    if (
-      filters.search !== undefined &&
-      filters.search !== null &&
-      filters.search !== ""
-    ) {
-      if (typeof filters.search !== "string") {
-        throw new Error(`Invalid search type: ${typeof filters.search}`);
-      }
-      query +=
-        " AND (n.title LIKE ? OR n.description LIKE ? OR n.location LIKE ?)";
-      const searchTerm = `%${filters.search.trim()}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
+    if (filters.visible) {
+      query += ` AND ${VISIBLE_CONDITION}`;
+    }
+
+    const eventFilters = buildEventFilters(filters);
+    query += eventFilters.sql;
+    params.push(...eventFilters.params);
+
+    if (search) {
+      query += ` AND ${search.condition.sql}`;
+      params.push(...search.condition.params);
     }
 
     if (
@@ -185,7 +534,14 @@ module.exports.findAll = async (filters = {}) => {
       }
     }
 
-    query += " ORDER BY n.date_time DESC, n.created_at DESC";
+    // Upcoming events are listed soonest first, search results by relevance
+    if (filters.upcoming) {
+      query += " ORDER BY n.start_at ASC, n.id ASC";
+    } else if (search) {
+      query += " ORDER BY relevance DESC, n.date_time DESC, n.created_at DESC";
+    } else {
+      query += " ORDER BY n.date_time DESC, n.created_at DESC";
+    }
 
     // Add pagination
     // Note: LIMIT and OFFSET must be integers in the query string, not parameters
@@ -260,12 +616,19 @@ module.exports.create = async (newsAndEventsData) => {
   try {
     const {
       category_id,
+      type = DEFAULT_NEWS_TYPE,
       title,
+      slug,
       description,
+      description_format = DEFAULT_TEXT_FORMAT,
+      description_html,
+      excerpt,
       location,
       cover_image,
       date_time,
-      status = "active",
+      status = DEFAULT_NEWS_STATUS,
+      publish_at,
+      unpublish_at,
       created_by,
     } = newsAndEventsData;
 
@@ -283,16 +646,29 @@ module.exports.create = async (newsAndEventsData) => {
     );
 
     const [result] = await db.execute(
-      `INSERT INTO news_and_events (category_id, title, description, location, cover_image, date_time, status, created_by, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      `INSERT INTO news_and_events (category_id, type, title, slug, description, description_format, description_html, excerpt, location, cover_image, date_time, status, publish_at, unpublish_at, ${EVENT_FIELDS.join(", ")}, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${EVENT_FIELDS.map(() => "?").join(", ")}, ?, NOW(), NOW())`,
       [
         category_id,
+        type,
         title,
+        slug || null,
         description || null,
+        description_format,
+        description_html || null,
+        excerpt || null,
         location || null,
         cover_image || null,
         formattedDateTime,
         status,
+        // Items published right away get the time they went live
+        publish_at || status !== NEWS_STATUS.PUBLISHED
+          ? formatOptionalDateTime(publish_at)
+          : formatDateTimeForMySQL(new Date().toISOString()),
+        formatOptionalDateTime(unpublish_at),
+        ...EVENT_FIELDS.map((field) =>
+          formatEventValue(field, newsAndEventsData[field])
+        ),
         created_by || null,
       ]
     );
@@ -310,9 +686,10 @@ module.exports.create = async (newsAndEventsData) => {
  * Update news and events
  * @param {number} id - News and Events ID
  * @param {object} updateData - Data to update
+ * @param {object} [connection] - Connection of a transaction (default: pool)
  * @returns {Promise<object>} Updated news and events object
  */
-module.exports.update = async (id, updateData) => {
+module.exports.update = async (id, updateData, connection = db) => {
   try {
     const fields = [];
     const values = [];
@@ -322,16 +699,41 @@ module.exports.update = async (id, updateData) => {
       values.push(updateData.category_id);
     }
 
+    if (updateData.type !== undefined) {
+      fields.push("type = ?");
+      values.push(updateData.type);
+    }
+
     if (updateData.title !== undefined) {
       fields.push("title = ?");
       values.push(updateData.title);
     }
 
+    if (updateData.slug !== undefined) {
+      fields.push("slug = ?");
+      values.push(updateData.slug);
+    }
+
     if (updateData.description !== undefined) {
       fields.push("description = ?");
       values.push(updateData.description);
     }
 
+    if (updateData.description_format !== undefined) {
+      fields.push("description_format = ?");
+      values.push(updateData.description_format);
+    }
+
+    if (updateData.description_html !== undefined) {
+      fields.push("description_html = ?");
+      values.push(updateData.description_html);
+    }
+
+    if (updateData.excerpt !== undefined) {
+      fields.push("excerpt = ?");
+      values.push(updateData.excerpt);
+    }
+
     if (updateData.location !== undefined) {
       fields.push("location = ?");
       values.push(updateData.location);
@@ -353,25 +755,67 @@ module.exports.update = async (id, updateData) => {
       values.push(updateData.status);
     }
 
+    if (updateData.publish_at !== undefined) {
+      fields.push("publish_at = ?");
+      values.push(formatOptionalDateTime(updateData.publish_at));
+    } else if (updateData.status === NEWS_STATUS.PUBLISHED) {
+      // Items published right away get the time they went live
+      fields.push("publish_at = COALESCE(publish_at, UTC_TIMESTAMP())");
+    }
+
+    if (updateData.unpublish_at !== undefined) {
+      fields.push("unpublish_at = ?");
+      values.push(formatOptionalDateTime(updateData.unpublish_at));
+    }
+
+    for (const field of EVENT_FIELDS) {
+      if (updateData[field] !== undefined) {
+        fields.push(`${field} = ?`);
+        values.push(formatEventValue(field, updateData[field]));
+      }
+    }
+
     if (fields.length === 0) {
-      return await module.exports.findById(id);
+      return await module.exports.findById(id, connection);
     }
 
+    if (CALENDAR_FIELDS.some((field) => updateData[field] !== undefined)) {
+      fields.push("ical_sequence = ical_sequence + 1");
+    }
     fields.push("updated_at = NOW()");
     values.push(id);
 
-    await db.execute(
+    await connection.execute(
       `UPDATE news_and_events SET ${fields.join(", ")} WHERE id = ?`,
       values
     );
 
-    return await module.exports.findById(id);
+    return await module.exports.findById(id, connection);
   } catch (error) {
     logger.error("Error updating news and events:", error);
     throw error;
   }
 };
 
+/**
+ * Mark news and events as changed for calendar apps
+ * Used when a part stored elsewhere changes (e.g. one occurrence).
+ * @param {number} id - News and Events ID
+ * @returns {Promise<void>}
+ */
+module.exports.bumpSequence = async (id) => {
+  try {
+    await db.execute(
+      `UPDATE news_and_events SET ical_sequence = ical_sequence + 1,
+       updated_at = NOW() WHERE id = ?`,
+      [id]
+    );
+  } catch (error) {
+    logger.error("Error bumping news and events sequence:", error);
+    throw error;
+  }
+};
+
 /**
  * Delete news and events
  * @param {number} id - News and Events ID
@@ -397,23 +841,31 @@ module.exports.delete = async (id) => {
  */
 module.exports.count = async (filters = {}) => {
   try {
-    let query = "SELECT COUNT(*) as total FROM news_and_events WHERE 1=1";
+    let query = "SELECT COUNT(*) as total FROM news_and_events n WHERE 1=1";
     const params = [];
 
     if (filters.category_id) {
-      query += " AND category_id = ?";
+      query += " AND n.category_id = ?";
       params.push(filters.category_id);
     }
 
     if (filters.status) {
-      query += " AND status = ?";
+      query += " AND n.status = ?";
       params.push(filters.status);
     }
 
-    if (filters.search) {
-      query += " AND (title LIKE ? OR description LIKE ? OR location LIKE ?)";
-      const searchTerm = `%${filters.search}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
+    if (filters.visible) {
+      query += ` AND ${VISIBLE_CONDITION}`;
+    }
+
+    const eventFilters = buildEventFilters(filters);
+    query += eventFilters.sql;
+    params.push(...eventFilters.params);
+
+    const search = getSearch(filters);
+    if (search) {
+      query += ` AND ${search.condition.sql}`;
+      params.push(...search.condition.params);
     }
 
     const [rows] = await db.execute(query, params);
@@ -423,3 +875,90 @@ module.exports.count = async (filters = {}) => {
     throw error;
   }
 };
+
+/**
+ * Count the items of the sitemap (see findForSitemap)
+ * @returns {Promise<number>} Number of items
+ */
+module.exports.countForSitemap = async () => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT COUNT(*) as total FROM news_and_events n WHERE ${SITEMAP_CONDITION}`
+    );
+    return rows[0].total;
+  } catch (error) {
+    logger.error("Error counting news and events for the sitemap:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find the publicly visible items of the sitemap, oldest first
+ * Items without a slug have no page and are left out.
+ * Only the columns the sitemap needs are loaded, as there can be many items.
+ * @param {number} limit - Number of items
+ * @param {number} [offset] - Number of items to skip
+ * @returns {Promise<Array>} Items { id, slug, updated_at }
+ */
+module.exports.findForSitemap = async (limit, offset = 0) => {
+  try {
+    const safeLimit = parseInt(limit, 10);
+    const safeOffset = parseInt(offset, 10);
+    if (
+      isNaN(safeLimit) ||
+      safeLimit < 1 ||
+      isNaN(safeOffset) ||
+      safeOffset < 0
+    ) {
+      throw new Error(`Invalid limit/offset value: ${limit}/${offset}`);
+    }
+
+    // LIMIT and OFFSET are inlined (validated integers), see findAll
+    const [rows] = await db.execute(
+      `SELECT n.id, n.slug, n.updated_at FROM news_and_events n
+       WHERE ${SITEMAP_CONDITION}
+       ORDER BY n.id ASC LIMIT ${safeLimit} OFFSET ${safeOffset}`
+    );
+    return rows;
+  } catch (error) {
+    logger.error("Error finding news and events for the sitemap:", error);
+    throw error;
+  }
+};
+
+/**
+ * Publish scheduled items whose publish_at has passed
+ * @returns {Promise<number>} Number of published items
+ */
+module.exports.publishDue = async () => {
+  try {
+    const [result] = await db.execute(
+      `UPDATE news_and_events SET status = 'published', updated_at = NOW()
+       WHERE status = 'scheduled' AND publish_at <= UTC_TIMESTAMP()`
+    );
+    return result.affectedRows;
+  } catch (error) {
+    logger.error("Error publishing scheduled news and events:", error);
+    throw error;
+  }
+};
+
+/**
+ * Archive published items whose unpublish_at has passed
+ * @returns {Promise<number>} Number of archived items
+ */
+module.exports.archiveExpired = async () => {
+  try {
+    const [result] = await db.execute(
+      `UPDATE news_and_events SET status = 'archived', updated_at = NOW()
+       WHERE status = 'published' AND unpublish_at IS NOT NULL
+       AND unpublish_at <= UTC_TIMESTAMP()`
+    );
+    return result.affectedRows;
+  } catch (error) {
+    logger.error("Error archiving expired news and events:", error);
+    throw error;
+  }
+};
+
+module.exports.EVENT_FIELDS = EVENT_FIELDS;
@@ -0,0 +1,156 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+const { formatDateTimeForMySQL } = require("../utils/helpers");
+const { OCCURRENCE_DETAIL_FIELDS } = require("../utils/recurrence");
+
+// Fields of an occurrence that can differ from its series
+const OVERRIDE_FIELDS = ["start_at", "end_at", ...OCCURRENCE_DETAIL_FIELDS];
+
+// Override fields stored as UTC datetimes
+const OVERRIDE_DATETIME_FIELDS = ["start_at", "end_at"];
+
+/**
+ * Get the changed and cancelled occurrences of a recurring event
+ * @param {number} newsAndEventsId - News and Events ID
+ * @returns {Promise<Array>} Array of occurrence objects (by original start)
+ */
+module.exports.findByNewsAndEventsId = async (newsAndEventsId) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT o.*, a.name as created_by_name
+       FROM news_and_events_occurrences o
+       LEFT JOIN admins a ON o.created_by = a.id
+       WHERE o.news_and_events_id = ?
+       ORDER BY o.occurrence_start ASC`,
+      [newsAndEventsId]
+    );
+    return rows;
+  } catch (error) {
+    logger.error("Error finding occurrences by news and events ID:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the changed and cancelled occurrences of several recurring events
+ * @param {Array<number>} newsAndEventsIds - News and Events IDs
+ * @returns {Promise<object>} Occurrences keyed by news and events ID
+ */
+module.exports.findByNewsAndEventsIds = async (newsAndEventsIds) => {
+  const byId = {};
+  if (newsAndEventsIds.length === 0) {
+    return byId;
+  }
+
+  try {
+    const placeholders = newsAndEventsIds.map(() => "?").join(", ");
+    const [rows] = await db.execute(
+      `SELECT * FROM news_and_events_occurrences
+       WHERE news_and_events_id IN (${placeholders})`,
+      newsAndEventsIds
+    );
+
+    for (const row of rows) {
+      (byId[row.news_and_events_id] = byId[row.news_and_events_id] || []).push(
+        row
+      );
+    }
+    return byId;
+  } catch (error) {
+    logger.error("Error finding occurrences by news and events IDs:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find the change of one occurrence
+ * @param {number} newsAndEventsId - News and Events ID
+ * @param {string} occurrenceStart - Original start of the occurrence (ISO 8601)
+ * @returns {Promise<object|null>} Occurrence object or null
+ */
+module.exports.findOne = async (newsAndEventsId, occurrenceStart) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT * FROM news_and_events_occurrences
+       WHERE news_and_events_id = ? AND occurrence_start = ?`,
+      [newsAndEventsId, formatDateTimeForMySQL(occurrenceStart)]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding occurrence:", error);
+    throw error;
+  }
+};
+
+/**
+ * Change or cancel one occurrence (replaces an earlier change)
+ * Fields left empty are taken from the series.
+ * @param {number} newsAndEventsId - News and Events ID
+ * @param {string} occurrenceStart - Original start of the occurrence (ISO 8601)
+ * @param {object} occurrenceData - cancelled and override fields (start_at, end_at, title, location, venue_name, venue_address, venue_city)
+ * @param {number} createdBy - Admin saving the change
+ * @returns {Promise<object>} Saved occurrence object
+ */
+module.exports.upsert = async (
+  newsAndEventsId,
+  occurrenceStart,
+  occurrenceData,
+  createdBy
+) => {
+  try {
+    const values = OVERRIDE_FIELDS.map((field) => {
+      const value = occurrenceData[field];
+      if (value === undefined || value === null || value === "") {
+        return null;
+      }
+      return OVERRIDE_DATETIME_FIELDS.includes(field)
+        ? formatDateTimeForMySQL(value)
+        : value;
+    });
+
+    await db.execute(
+      `INSERT INTO news_and_events_occurrences (news_and_events_id, occurrence_start, cancelled, ${OVERRIDE_FIELDS.join(", ")}, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ${OVERRIDE_FIELDS.map(() => "?").join(", ")}, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE cancelled = VALUES(cancelled),
+       ${OVERRIDE_FIELDS.map((field) => `${field} = VALUES(${field})`).join(", ")},
+       created_by = VALUES(created_by), updated_at = NOW()`,
+      [
+        newsAndEventsId,
+        formatDateTimeForMySQL(occurrenceStart),
+        occurrenceData.cancelled ? 1 : 0,
+        ...values,
+        createdBy || null,
+      ]
+    );
+
+    logger.info(
+      `Occurrence saved for news and events ${newsAndEventsId}: ${occurrenceStart}`
+    );
+    return await module.exports.findOne(newsAndEventsId, occurrenceStart);
+  } catch (error) {
+    logger.error("Error saving occurrence:", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove the change of one occurrence (it follows the series again)
+ * @param {number} newsAndEventsId - News and Events ID
+ * @param {string} occurrenceStart - Original start of the occurrence (ISO 8601)
+ * @returns {Promise<boolean>} True if deleted
+ */
+module.exports.delete = async (newsAndEventsId, occurrenceStart) => {
+  try {
+    const [result] = await db.execute(
+      `DELETE FROM news_and_events_occurrences
+       WHERE news_and_events_id = ? AND occurrence_start = ?`,
+      [newsAndEventsId, formatDateTimeForMySQL(occurrenceStart)]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error deleting occurrence:", error);
+    throw error;
+  }
+};
+
+module.exports.OVERRIDE_FIELDS = OVERRIDE_FIELDS;
@@ -0,0 +1,233 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+const NewsAndEvents = require("./NewsAndEvents");
+const NewsAndEventsImage = require("./NewsAndEventsImage");
+
+// Fields stored in a revision snapshot (plus the image list)
+const SNAPSHOT_FIELDS = [
+  "category_id",
+  "type",
+  "title",
+  "slug",
+  "description",
+  "description_format",
+  "location",
+  "cover_image",
+  "date_time",
+  "status",
+  "publish_at",
+  "unpublish_at",
+  ...NewsAndEvents.EVENT_FIELDS,
+];
+
+// Fields put back when a revision is restored; the publishing state
+// (status, publish_at, unpublish_at) and the slug stay as they are
+const CONTENT_FIELDS = [
+  "category_id",
+  "type",
+  "title",
+  "description",
+  "description_format",
+  "location",
+  "cover_image",
+  "date_time",
+  ...NewsAndEvents.EVENT_FIELDS,
+];
+
+/**
+ * Build a revision snapshot of a news and events item
+ * Dates are stored as ISO strings so snapshots compare by value.
+ * @param {object} newsAndEvents - Item with images (from NewsAndEvents.findByIdWithImages)
+ * @returns {object} Snapshot
+ */
+const buildSnapshot = (newsAndEvents) => {
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    snapshot[field] =
+      newsAndEvents[field] === undefined ? null : newsAndEvents[field];
+  }
+  snapshot.images = newsAndEvents.images || [];
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+/**
+ * Normalize the snapshot column (JSON columns may come back as strings)
+ * @param {object} row - Revision row
+ * @returns {object} Row with snapshot as an object
+ */
+const normalize = (row) => ({
+  ...row,
+  snapshot:
+    typeof row.snapshot === "string" ? JSON.parse(row.snapshot) : row.snapshot,
+});
+
+/**
+ * Find revision by ID
+ * @param {number} id - Revision ID
+ * @returns {Promise<object|null>} Revision with snapshot or null
+ */
+module.exports.findById = async (id) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT r.id, r.news_and_events_id, r.revision_number, r.snapshot,
+       r.created_by, r.created_at, a.name as created_by_name
+       FROM news_and_events_revisions r
+       LEFT JOIN admins a ON r.created_by = a.id
+       WHERE r.id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? normalize(rows[0]) : null;
+  } catch (error) {
+    logger.error("Error finding revision by ID:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get all revisions of a news and events item (newest first, without snapshots)
+ * @param {number} newsAndEventsId - News and Events ID
+ * @returns {Promise<Array>} Array of revision objects
+ */
+module.exports.findByNewsAndEventsId = async (newsAndEventsId) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT r.id, r.news_and_events_id, r.revision_number,
+       JSON_UNQUOTE(JSON_EXTRACT(r.snapshot, '$.title')) as title,
+       r.created_by, r.created_at, a.name as created_by_name
+       FROM news_and_events_revisions r
+       LEFT JOIN admins a ON r.created_by = a.id
+       WHERE r.news_and_events_id = ?
+       ORDER BY r.revision_number DESC`,
+      [newsAndEventsId]
+    );
+    return rows;
+  } catch (error) {
+    logger.error("Error finding revisions by news and events ID:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get all file paths referenced by the revisions of an item
+ * Used to clean up files that are no longer in use when the item is deleted.
+ * @param {number} newsAndEventsId - News and Events ID
+ * @returns {Promise<object>} { coverImages, images } arrays of paths
+ */
+module.exports.findReferencedFiles = async (newsAndEventsId) => {
+  try {
+    const [rows] = await db.execute(
+      "SELECT snapshot FROM news_and_events_revisions WHERE news_and_events_id = ?",
+      [newsAndEventsId]
+    );
+
+    const coverImages = new Set();
+    const images = new Set();
+    for (const { snapshot } of rows.map(normalize)) {
+      if (snapshot.cover_image) {
+        coverImages.add(snapshot.cover_image);
+      }
+      (snapshot.images || []).forEach((image) => images.add(image));
+    }
+
+    return { coverImages: [...coverImages], images: [...images] };
+  } catch (error) {
+    logger.error("Error finding files referenced by revisions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Update a news and events item, keeping its previous version as a revision
+ * The item is locked while the update and the revision are written in one
+ * transaction, so a failed update leaves no revision and concurrent updates
+ * get consecutive revision numbers. An update that changes nothing writes
+ * nothing. A revision number that is taken anyway fails with the code
+ * REVISION_CONFLICT.
+ * @param {number} newsAndEventsId - News and Events ID
+ * @param {object} updateData - Data to update (see NewsAndEvents.update)
+ * @param {number} createdBy - Admin making the change
+ * @param {Array<string>} [images] - New image list, if the images change
+ *   (they are saved by the caller)
+ * @returns {Promise<object|null>} { newsAndEvents, revision } (revision is
+ *   null if nothing changed), or null if the item doesn't exist
+ */
+module.exports.updateWithRevision = async (
+  newsAndEventsId,
+  updateData,
+  createdBy,
+  images
+) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [locked] = await connection.execute(
+      "SELECT id FROM news_and_events WHERE id = ? FOR UPDATE",
+      [newsAndEventsId]
+    );
+    if (locked.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+
+    const current = await NewsAndEvents.findById(newsAndEventsId, connection);
+    const currentImages = (
+      await NewsAndEventsImage.findByNewsAndEventsId(newsAndEventsId)
+    ).map((img) => img.image_url);
+    const before = buildSnapshot({ ...current, images: currentImages });
+
+    const newsAndEvents = await NewsAndEvents.update(
+      newsAndEventsId,
+      updateData,
+      connection
+    );
+    const after = buildSnapshot({
+      ...newsAndEvents,
+      images: images || currentImages,
+    });
+
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+      await connection.rollback();
+      return { newsAndEvents: current, revision: null };
+    }
+
+    let result;
+    try {
+      [result] = await connection.execute(
+        `INSERT INTO news_and_events_revisions (news_and_events_id, revision_number, snapshot, created_by, created_at)
+         SELECT ?, COALESCE(MAX(revision_number), 0) + 1, ?, ?, NOW()
+         FROM news_and_events_revisions WHERE news_and_events_id = ?`,
+        [
+          newsAndEventsId,
+          JSON.stringify(before),
+          createdBy || null,
+          newsAndEventsId,
+        ]
+      );
+    } catch (error) {
+      if (error.code === "ER_DUP_ENTRY") {
+        const conflict = new Error(
+          `Revision number of news and events ${newsAndEventsId} is already taken`
+        );
+        conflict.code = "REVISION_CONFLICT";
+        throw conflict;
+      }
+      throw error;
+    }
+
+    await connection.commit();
+    return {
+      newsAndEvents,
+      revision: await module.exports.findById(result.insertId),
+    };
+  } catch (error) {
+    await connection.rollback();
+    logger.error("Error updating news and events with a revision:", error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports.CONTENT_FIELDS = CONTENT_FIELDS;
+module.exports.buildSnapshot = buildSnapshot;
@@ -0,0 +1,67 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+
+/**
+ * Find a previous slug
+ * @param {string} slug - Previous slug
+ * @returns {Promise<object|null>} Slug history entry (news_and_events_id, slug) or null
+ */
+module.exports.findBySlug = async (slug) => {
+  try {
+    const [rows] = await db.execute(
+      "SELECT id, news_and_events_id, slug, created_at FROM news_and_events_slugs WHERE slug = ?",
+      [slug]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding slug history entry:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the previous slugs of a news and events item
+ * @param {number} newsAndEventsId - News and Events ID
+ * @returns {Promise<Array>} Array of slug history entries (newest first)
+ */
+module.exports.findByNewsAndEventsId = async (newsAndEventsId) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT id, news_and_events_id, slug, created_at FROM news_and_events_slugs
+       WHERE news_and_events_id = ? ORDER BY created_at DESC, id DESC`,
+      [newsAndEventsId]
+    );
+    return rows;
+  } catch (error) {
+    logger.error("Error finding slug history:", error);
+    throw error;
+  }
+};
+
+/**
+ * Record a slug change: the old slug is kept so it keeps resolving, and the
+ * new slug is removed from the history (when an item gets an old slug back)
+ * @param {number} newsAndEventsId - News and Events ID
+ * @param {string|null} oldSlug - Previous slug
+ * @param {string} newSlug - New slug
+ * @returns {Promise<void>}
+ */
+module.exports.recordChange = async (newsAndEventsId, oldSlug, newSlug) => {
+  try {
+    if (oldSlug) {
+      await db.execute(
+        `INSERT IGNORE INTO news_and_events_slugs (news_and_events_id, slug, created_at)
+         VALUES (?, ?, NOW())`,
+        [newsAndEventsId, oldSlug]
+      );
+    }
+
+    await db.execute(
+      "DELETE FROM news_and_events_slugs WHERE news_and_events_id = ? AND slug = ?",
+      [newsAndEventsId, newSlug]
+    );
+  } catch (error) {
+    logger.error("Error recording slug change:", error);
+    throw error;
+  }
+};
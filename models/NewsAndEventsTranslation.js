@@ -0,0 +1,192 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+const { DEFAULT_TEXT_FORMAT } = require("../config/textFormats");
+
+// Fields that can be translated, the main one first; the description fields
+// are taken together from the same locale
+const TRANSLATABLE_FIELDS = [
+  "title",
+  ["description", "description_format", "description_html", "excerpt"],
+  "location",
+];
+
+/**
+ * Get all translations of a news and events item
+ * @param {number} newsAndEventsId - News and Events ID
+ * @returns {Promise<Array>} Array of translation objects
+ */
+module.exports.findByNewsAndEventsId = async (newsAndEventsId) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT t.*, a.name as created_by_name
+       FROM news_and_events_translations t
+       LEFT JOIN admins a ON t.created_by = a.id
+       WHERE t.news_and_events_id = ?
+       ORDER BY t.locale ASC`,
+      [newsAndEventsId]
+    );
+    return rows;
+  } catch (error) {
+    logger.error("Error finding translations by news and events ID:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the translations of several news and events items
+ * @param {Array<number>} newsAndEventsIds - News and Events IDs
+ * @returns {Promise<object>} Translations keyed by news and events ID
+ */
+module.exports.findByNewsAndEventsIds = async (newsAndEventsIds) => {
+  const byId = {};
+  if (newsAndEventsIds.length === 0) {
+    return byId;
+  }
+
+  try {
+    const placeholders = newsAndEventsIds.map(() => "?").join(", ");
+    const [rows] = await db.execute(
+      `SELECT * FROM news_and_events_translations
+       WHERE news_and_events_id IN (${placeholders})`,
+      newsAndEventsIds
+    );
+
+    for (const row of rows) {
+      (byId[row.news_and_events_id] = byId[row.news_and_events_id] || []).push(
+        row
+      );
+    }
+    return byId;
+  } catch (error) {
+    logger.error("Error finding translations by news and events IDs:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find the translation of a news and events item in one locale
+ * @param {number} newsAndEventsId - News and Events ID
+ * @param {string} locale - Locale
+ * @returns {Promise<object|null>} Translation object or null
+ */
+module.exports.findOne = async (newsAndEventsId, locale) => {
+  try {
+    const [rows] = await db.execute(
+      "SELECT * FROM news_and_events_translations WHERE news_and_events_id = ? AND locale = ?",
+      [newsAndEventsId, locale]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding news and events translation:", error);
+    throw error;
+  }
+};
+
+/**
+ * Create or replace the translation of a news and events item
+ * @param {number} newsAndEventsId - News and Events ID
+ * @param {string} locale - Locale
+ * @param {object} translationData - Translation data (title, description, description_format, description_html, excerpt, location)
+ * @param {number} createdBy - Admin saving the translation
+ * @returns {Promise<object>} Saved translation object
+ */
+module.exports.upsert = async (
+  newsAndEventsId,
+  locale,
+  translationData,
+  createdBy
+) => {
+  try {
+    const {
+      title,
+      description,
+      description_format = DEFAULT_TEXT_FORMAT,
+      description_html,
+      excerpt,
+      location,
+    } = translationData;
+
+    await db.execute(
+      `INSERT INTO news_and_events_translations (news_and_events_id, locale, title, description, description_format, description_html, excerpt, location, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE title = VALUES(title), description = VALUES(description),
+       description_format = VALUES(description_format), description_html = VALUES(description_html),
+       excerpt = VALUES(excerpt), location = VALUES(location), created_by = VALUES(created_by),
+       updated_at = NOW()`,
+      [
+        newsAndEventsId,
+        locale,
+        title,
+        description || null,
+        description_format,
+        description_html || null,
+        excerpt || null,
+        location || null,
+        createdBy || null,
+      ]
+    );
+
+    logger.info(
+      `Translation saved for news and events ${newsAndEventsId}: ${locale}`
+    );
+    return await module.exports.findOne(newsAndEventsId, locale);
+  } catch (error) {
+    logger.error("Error saving news and events translation:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the descriptions of all translations (used to render them again)
+ * @returns {Promise<Array>} Array of { id, description, description_format }
+ */
+module.exports.findAllDescriptions = async () => {
+  try {
+    const [rows] = await db.execute(
+      "SELECT id, description, description_format FROM news_and_events_translations ORDER BY id ASC"
+    );
+    return rows;
+  } catch (error) {
+    logger.error("Error finding translation descriptions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Store the rendered description of a translation
+ * @param {number} id - Translation ID
+ * @param {object} rendered - { description_html, excerpt }
+ * @returns {Promise<void>}
+ */
+module.exports.updateRenderedDescription = async (id, rendered) => {
+  try {
+    await db.execute(
+      "UPDATE news_and_events_translations SET description_html = ?, excerpt = ? WHERE id = ?",
+      [rendered.description_html, rendered.excerpt, id]
+    );
+  } catch (error) {
+    logger.error("Error updating rendered translation description:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delete the translation of a news and events item
+ * @param {number} newsAndEventsId - News and Events ID
+ * @param {string} locale - Locale
+ * @returns {Promise<boolean>} True if deleted
+ */
+module.exports.delete = async (newsAndEventsId, locale) => {
+  try {
+    const [result] = await db.execute(
+      "DELETE FROM news_and_events_translations WHERE news_and_events_id = ? AND locale = ?",
+      [newsAndEventsId, locale]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error deleting news and events translation:", error);
+    throw error;
+  }
+};
+
+module.exports.TRANSLATABLE_FIELDS = TRANSLATABLE_FIELDS;
@@ -0,0 +1,130 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+
+const SELECT_FIELDS = `p.id, p.news_and_events_id, p.created_by, p.expires_at,
+  p.revoked_at, p.view_count, p.last_viewed_at, p.created_at,
+  a.name as created_by_name`;
+
+/**
+ * Find preview link by ID
+ * @param {number} id - Preview link ID
+ * @returns {Promise<object|null>} Preview link object or null
+ */
+module.exports.findById = async (id) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT ${SELECT_FIELDS}
+       FROM news_preview_links p
+       LEFT JOIN admins a ON p.created_by = a.id
+       WHERE p.id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding preview link by ID:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find a usable (not revoked, not expired) preview link
+ * @param {number} id - Preview link ID
+ * @returns {Promise<object|null>} Preview link object or null
+ */
+module.exports.findValidById = async (id) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT id, news_and_events_id, expires_at FROM news_preview_links
+       WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+      [id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding valid preview link:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get all preview links of a news and events item
+ * @param {number} newsAndEventsId - News and Events ID
+ * @returns {Promise<Array>} Array of preview link objects
+ */
+module.exports.findByNewsAndEventsId = async (newsAndEventsId) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT ${SELECT_FIELDS}
+       FROM news_preview_links p
+       LEFT JOIN admins a ON p.created_by = a.id
+       WHERE p.news_and_events_id = ?
+       ORDER BY p.created_at DESC`,
+      [newsAndEventsId]
+    );
+    return rows;
+  } catch (error) {
+    logger.error("Error finding preview links by news and events ID:", error);
+    throw error;
+  }
+};
+
+/**
+ * Create a new preview link
+ * @param {object} linkData - Link data (news_and_events_id, created_by, expires_in_hours)
+ * @returns {Promise<object>} Created preview link
+ */
+module.exports.create = async (linkData) => {
+  try {
+    const { news_and_events_id, created_by, expires_in_hours } = linkData;
+
+    const [result] = await db.execute(
+      `INSERT INTO news_preview_links (news_and_events_id, created_by, expires_at, created_at)
+       VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), NOW())`,
+      [news_and_events_id, created_by || null, expires_in_hours]
+    );
+
+    logger.info(
+      `Preview link created for news and events ${news_and_events_id} (ID: ${result.insertId})`
+    );
+    return await module.exports.findById(result.insertId);
+  } catch (error) {
+    logger.error("Error creating preview link:", error);
+    throw error;
+  }
+};
+
+/**
+ * Record a view of a preview link
+ * @param {number} id - Preview link ID
+ * @returns {Promise<void>}
+ */
+module.exports.recordView = async (id) => {
+  try {
+    await db.execute(
+      `UPDATE news_preview_links
+       SET view_count = view_count + 1, last_viewed_at = NOW()
+       WHERE id = ?`,
+      [id]
+    );
+  } catch (error) {
+    logger.error("Error recording preview link view:", error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a preview link
+ * @param {number} id - Preview link ID
+ * @returns {Promise<boolean>} True if revoked
+ */
+module.exports.revoke = async (id) => {
+  try {
+    const [result] = await db.execute(
+      "UPDATE news_preview_links SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+      [id]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error revoking preview link:", error);
+    throw error;
+  }
+};
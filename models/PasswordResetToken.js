@@ -0,0 +1,72 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+const { generateSecureToken, hashToken } = require("../utils/helpers");
+
+/**
+ * Create a password reset token
+ * Any unused token of the admin is invalidated first, so only the most
+ * recently emailed link works.
+ * @param {number} adminId - Admin ID
+ * @param {number} expiresInMinutes - Token validity in minutes
+ * @param {string} requestedIp - IP address that requested the reset
+ * @returns {Promise<string>} Plain reset token
+ */
+module.exports.create = async (adminId, expiresInMinutes = 60, requestedIp) => {
+  try {
+    await db.execute(
+      "UPDATE password_reset_tokens SET used_at = NOW() WHERE admin_id = ? AND used_at IS NULL",
+      [adminId]
+    );
+
+    const token = generateSecureToken();
+
+    await db.execute(
+      `INSERT INTO password_reset_tokens (admin_id, token_hash, requested_ip, expires_at, created_at)
+       VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+      [adminId, hashToken(token), requestedIp || null, expiresInMinutes]
+    );
+
+    logger.info(`Password reset token created for admin ${adminId}`);
+    return token;
+  } catch (error) {
+    logger.error("Error creating password reset token:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find an unused, unexpired reset token
+ * @param {string} token - Plain reset token
+ * @returns {Promise<object|null>} Reset token object or null
+ */
+module.exports.findValidByToken = async (token) => {
+  try {
+    const [rows] = await db.execute(
+      `SELECT id, admin_id, expires_at, created_at FROM password_reset_tokens
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+      [hashToken(token)]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error("Error finding password reset token:", error);
+    throw error;
+  }
+};
+
+/**
+ * Mark a reset token as used
+ * @param {number} id - Reset token ID
+ * @returns {Promise<boolean>} True if the token was still unused
+ */
+module.exports.markUsed = async (id) => {
+  try {
+    const [result] = await db.execute(
+      "UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+      [id]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error("Error marking password reset token as used:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,69 @@
+const db = require("../config/database");
+const logger = require("../utils/logger");
+
+/**
+ * Count a search
+ * The first search of a client counts it as one more client of the search.
+ * @param {string} query - Search (normalized, see normalizeQuery in utils/search)
+ * @param {number} resultCount - Number of results it found
+ * @param {string} clientHash - Keyed hash of the client's IP address
+ * @returns {Promise<void>}
+ */
+module.exports.record = async (query, resultCount, clientHash) => {
+  try {
+    // LAST_INSERT_ID(id) makes insertId the ID of an existing search too
+    const [result] = await db.execute(
+      `INSERT INTO search_queries (query, search_count, result_count, last_searched_at)
+       VALUES (?, 1, ?, NOW())
+       ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id),
+         search_count = search_count + 1,
+         result_count = VALUES(result_count), last_searched_at = NOW()`,
+      [query, resultCount]
+    );
+
+    const [client] = await db.execute(
+      `INSERT IGNORE INTO search_query_clients (search_query_id, client_hash, created_at)
+       VALUES (?, ?, NOW())`,
+      [result.insertId, clientHash]
+    );
+    if (client.affectedRows > 0) {
+      await db.execute(
+        "UPDATE search_queries SET client_count = client_count + 1 WHERE id = ?",
+        [result.insertId]
+      );
+    }
+  } catch (error) {
+    logger.error("Error recording search query:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find popular searches that start with a prefix
+ * Only searches that found results are suggested.
+ * @param {string} prefix - Start of the search (normalized)
+ * @param {number} limit - Most searches
+ * @param {number} minClients - Different clients that must have made a search
+ * @returns {Promise<Array>} Searches { query, client_count }, most popular first
+ */
+module.exports.findPopular = async (prefix, limit, minClients) => {
+  try {
+    const safeLimit = parseInt(limit, 10);
+    if (isNaN(safeLimit) || safeLimit < 1) {
+      throw new Error(`Invalid limit value: ${limit}`);
+    }
+
+    // LIMIT is inlined (validated integer): mysql2 can't bind it
+    const [rows] = await db.execute(
+      `SELECT query, client_count FROM search_queries
+       WHERE query LIKE ? AND client_count >= ? AND result_count > 0
+       ORDER BY client_count DESC, last_searched_at DESC
+       LIMIT ${safeLimit}`,
+      [`${prefix.replace(/[\\%_]/g, "\\$&")}%`, minClients]
+    );
+    return rows;
+  } catch (error) {
+    logger.error("Error finding popular search queries:", error);
+    throw error;
+  }
+};
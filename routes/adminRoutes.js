@@ -1,19 +1,294 @@
 const express = require("express");
 const router = express.Router();
 const adminController = require("../controllers/adminController");
-const { authenticate } = require("../middleware/auth");
+const invitationController = require("../controllers/invitationController");
+const twoFactorController = require("../controllers/twoFactorController");
+const loginSecurityController = require("../controllers/loginSecurityController");
+const auditLogController = require("../controllers/auditLogController");
+const apiKeyController = require("../controllers/apiKeyController");
+const Admin = require("../models/Admin");
+const AdminInvitation = require("../models/AdminInvitation");
+const ApiKey = require("../models/ApiKey");
+const LoginLockout = require("../models/LoginLockout");
+const PasswordResetToken = require("../models/PasswordResetToken");
+const EmailChangeToken = require("../models/EmailChangeToken");
+const { authenticate, authorize } = require("../middleware/auth");
+const { audit } = require("../middleware/audit");
+const { ROLES } = require("../config/roles");
 const {
   validateAdminLogin,
   validateAdminRegister,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateLoginAttemptsQuery,
+  validateChangePassword,
+  validateProfileUpdate,
+  validateEmailChange,
+  validateEmailChangeConfirm,
+  validateAdminUpdate,
+  validateInvitationCreate,
+  validateApiKeyCreate,
+  validateAuditLogQuery,
 } = require("../middleware/validation");
 
+/**
+ * Audit middleware for writes to admin accounts
+ * @param {string} action - Action name
+ * @param {object} [options] - Extra audit options (see middleware/audit)
+ * @returns {Function} Express middleware
+ */
+const auditAdmin = (action, options = {}) =>
+  audit({ entityType: "admin", action, load: Admin.findById, ...options });
+
+// Audit the current admin's own account
+const auditSelf = (action) =>
+  auditAdmin(action, { getEntityId: (req) => req.user.id });
+
 // Public routes
 router.post("/login", validateAdminLogin, adminController.login);
-router.post("/register", validateAdminRegister, adminController.register);
+router.post(
+  "/login/2fa",
+  validateTwoFactorLogin,
+  twoFactorController.loginVerify
+);
+// Requires an invitation token unless no admin exists yet
+router.post(
+  "/register",
+  validateAdminRegister,
+  auditAdmin("register", {
+    getEntityId: () => null,
+    getCreatedId: (body) => body.data.admin.id,
+    actorIsEntity: true,
+  }),
+  adminController.register
+);
+router.post("/refresh", validateRefreshToken, adminController.refresh);
+router.post(
+  "/forgot-password",
+  validateForgotPassword,
+  adminController.forgotPassword
+);
+router.post(
+  "/reset-password",
+  validateResetPassword,
+  auditAdmin("reset_password", {
+    getEntityId: async (req) => {
+      const resetToken = await PasswordResetToken.findValidByToken(
+        req.body.token
+      );
+      return resetToken ? resetToken.admin_id : null;
+    },
+    actorIsEntity: true,
+  }),
+  adminController.resetPassword
+);
+// Public so the link works from the new mailbox without an active login
+router.post(
+  "/profile/email/confirm",
+  validateEmailChangeConfirm,
+  auditAdmin("change_email", {
+    getEntityId: async (req) => {
+      const changeToken = await EmailChangeToken.findValidByToken(
+        req.body.token
+      );
+      return changeToken ? changeToken.admin_id : null;
+    },
+    actorIsEntity: true,
+  }),
+  adminController.confirmEmailChange
+);
 
 // Protected routes (require authentication)
 router.get("/profile", authenticate, adminController.getProfile);
-router.put("/profile", authenticate, adminController.updateProfile);
-router.get("/all", authenticate, adminController.getAllAdmins);
+router.put(
+  "/profile",
+  authenticate,
+  validateProfileUpdate,
+  auditSelf("update_profile"),
+  adminController.updateProfile
+);
+router.post(
+  "/profile/password",
+  authenticate,
+  validateChangePassword,
+  auditSelf("change_password"),
+  adminController.changePassword
+);
+router.post(
+  "/profile/email",
+  authenticate,
+  validateEmailChange,
+  adminController.requestEmailChange
+);
+router.post("/logout", authenticate, adminController.logout);
+router.post("/logout-all", authenticate, adminController.logoutAll);
+
+// Two-factor authentication (current admin)
+router.get("/2fa", authenticate, twoFactorController.getStatus);
+router.post("/2fa/setup", authenticate, twoFactorController.setup);
+router.post(
+  "/2fa/verify",
+  authenticate,
+  validateTwoFactorCode,
+  auditSelf("enable_two_factor"),
+  twoFactorController.verify
+);
+router.post(
+  "/2fa/disable",
+  authenticate,
+  validateTwoFactorDisable,
+  auditSelf("disable_two_factor"),
+  twoFactorController.disable
+);
+router.post(
+  "/2fa/recovery-codes",
+  authenticate,
+  validateTwoFactorCode,
+  twoFactorController.regenerateRecoveryCodes
+);
+
+// Super admin routes
+router.get(
+  "/all",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  adminController.getAllAdmins
+);
+router.get(
+  "/invitations",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  invitationController.getAllInvitations
+);
+router.post(
+  "/invitations",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  validateInvitationCreate,
+  audit({
+    entityType: "invitation",
+    action: "create",
+    load: AdminInvitation.findById,
+    getCreatedId: (body) => body.data.invitation.id,
+  }),
+  invitationController.createInvitation
+);
+router.delete(
+  "/invitations/:id",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  audit({
+    entityType: "invitation",
+    action: "revoke",
+    load: AdminInvitation.findById,
+  }),
+  invitationController.revokeInvitation
+);
+router.get(
+  "/api-keys",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  apiKeyController.getAllApiKeys
+);
+router.post(
+  "/api-keys",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  validateApiKeyCreate,
+  audit({
+    entityType: "api_key",
+    action: "create",
+    load: ApiKey.findById,
+    getCreatedId: (body) => body.data.apiKey.id,
+  }),
+  apiKeyController.createApiKey
+);
+router.delete(
+  "/api-keys/:id",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  audit({ entityType: "api_key", action: "revoke", load: ApiKey.findById }),
+  apiKeyController.revokeApiKey
+);
+router.get(
+  "/lockouts",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  loginSecurityController.getLockouts
+);
+router.delete(
+  "/lockouts/:id",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  audit({
+    entityType: "login_lockout",
+    action: "delete",
+    load: LoginLockout.findById,
+  }),
+  loginSecurityController.unlock
+);
+router.get(
+  "/login-attempts",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  validateLoginAttemptsQuery,
+  loginSecurityController.getLoginAttempts
+);
+router.delete(
+  "/:id/2fa",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  auditAdmin("reset_two_factor"),
+  twoFactorController.resetForAdmin
+);
+router.get(
+  "/audit-log",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  validateAuditLogQuery,
+  auditLogController.getAuditLog
+);
+
+// Admin account management (super admin only)
+// Keep these last: "/:id" would otherwise match the routes above
+router.get(
+  "/:id",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  adminController.getAdminById
+);
+router.put(
+  "/:id",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  validateAdminUpdate,
+  auditAdmin("update"),
+  adminController.updateAdmin
+);
+router.post(
+  "/:id/deactivate",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  auditAdmin("deactivate"),
+  adminController.deactivateAdmin
+);
+router.post(
+  "/:id/reactivate",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  auditAdmin("reactivate"),
+  adminController.reactivateAdmin
+);
+router.delete(
+  "/:id",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  auditAdmin("delete"),
+  adminController.deleteAdmin
+);
 
 module.exports = router;
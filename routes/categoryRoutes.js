@@ -1,22 +1,134 @@
 const express = require("express");
 const router = express.Router();
 const categoryController = require("../controllers/categoryController");
-const { authenticate } = require("../middleware/auth");
+const categoryTranslationController = require("../controllers/categoryTranslationController");
+const newsAndEventsController = require("../controllers/newsAndEventsController");
+const Category = require("../models/Category");
+const CategoryTranslation = require("../models/CategoryTranslation");
+const {
+  authenticate,
+  authorize,
+  allowApiKey,
+} = require("../middleware/auth");
+const { audit } = require("../middleware/audit");
+const { ROLES } = require("../config/roles");
+const { SCOPES } = require("../config/apiScopes");
 const {
   validateCategoryCreate,
   validateCategoryUpdate,
+  validateTranslationLocale,
+  validateCategoryTranslation,
+  validateNewsListQuery,
 } = require("../middleware/validation");
 
+/**
+ * Audit snapshot of the translations of a category, keyed by locale
+ * @param {number} id - Category ID
+ * @returns {Promise<object>} Snapshot
+ */
+const loadTranslations = async (id) => {
+  const translations = await CategoryTranslation.findByCategoryId(id);
+  const byLocale = {};
+  for (const { locale, name, description } of translations) {
+    byLocale[locale] = { name, description };
+  }
+  return { translations: byLocale };
+};
+
 // Public routes (get all and get by ID)
-router.get("/user/", categoryController.getAllCategories);
-router.get("/user/:id", categoryController.getCategoryById);
+// Names are returned in the locale from ?lang= or Accept-Language
+router.get("/user/", categoryController.getPublicCategories);
+router.get("/user/:id", categoryController.getPublicCategoryById);
+// Calendar feed of the public events of a category (subscribable as webcal://)
+router.get(
+  "/user/:id/calendar.ics",
+  newsAndEventsController.getCategoryCalendarFeed
+);
+// RSS and Atom feeds of the latest public news and events of a category
+router.get(
+  "/user/slug/:slug/feed.:format",
+  validateNewsListQuery,
+  newsAndEventsController.getCategoryFeed
+);
 
 // Protected routes (require authentication)
-router.get("/", authenticate, categoryController.getAllCategories);
-router.get("/:id", authenticate, categoryController.getCategoryById);
-router.post("/", authenticate, validateCategoryCreate, categoryController.createCategory);
-router.put("/:id", authenticate, validateCategoryUpdate, categoryController.updateCategory);
-router.delete("/:id", authenticate, categoryController.deleteCategory);
+router.get(
+  "/",
+  allowApiKey(SCOPES.CATEGORIES_READ),
+  authenticate,
+  categoryController.getAllCategories
+);
+router.get(
+  "/:id",
+  allowApiKey(SCOPES.CATEGORIES_READ),
+  authenticate,
+  categoryController.getCategoryById
+);
+router.post(
+  "/",
+  allowApiKey(SCOPES.CATEGORIES_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  validateCategoryCreate,
+  audit({
+    entityType: "category",
+    action: "create",
+    load: Category.findById,
+    getCreatedId: (body) => body.data.category.id,
+  }),
+  categoryController.createCategory
+);
+router.put(
+  "/:id",
+  allowApiKey(SCOPES.CATEGORIES_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  validateCategoryUpdate,
+  audit({ entityType: "category", action: "update", load: Category.findById }),
+  categoryController.updateCategory
+);
+router.delete(
+  "/:id",
+  allowApiKey(SCOPES.CATEGORIES_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN),
+  audit({ entityType: "category", action: "delete", load: Category.findById }),
+  categoryController.deleteCategory
+);
+
+// Translations (names in locales other than the default locale)
+router.get(
+  "/:id/translations",
+  allowApiKey(SCOPES.CATEGORIES_READ),
+  authenticate,
+  categoryTranslationController.getTranslations
+);
+router.put(
+  "/:id/translations/:locale",
+  allowApiKey(SCOPES.CATEGORIES_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  validateCategoryTranslation,
+  audit({
+    entityType: "category",
+    action: "save_translation",
+    load: loadTranslations,
+  }),
+  categoryTranslationController.saveTranslation
+);
+router.delete(
+  "/:id/translations/:locale",
+  allowApiKey(SCOPES.CATEGORIES_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  validateTranslationLocale,
+  audit({
+    entityType: "category",
+    action: "delete_translation",
+    load: loadTranslations,
+  }),
+  categoryTranslationController.deleteTranslation
+);
 
 module.exports = router;
 
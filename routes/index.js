@@ -3,11 +3,18 @@ const router = express.Router();
 const adminRoutes = require("./adminRoutes");
 const categoryRoutes = require("./categoryRoutes");
 const newsAndEventsRoutes = require("./newsAndEventsRoutes");
+const searchRoutes = require("./searchRoutes");
+const sitemapController = require("../controllers/sitemapController");
 
 // API routes
 router.use("/admin", adminRoutes);
 router.use("/categories", categoryRoutes);
 router.use("/news-and-events", newsAndEventsRoutes);
+router.use("/search", searchRoutes);
+
+// Sitemap of the public website (a sitemap index past 50,000 pages)
+router.get("/sitemap.xml", sitemapController.getSitemap);
+router.get("/sitemap-:page.xml", sitemapController.getSitemapPage);
 
 // Health check route
 router.get("/health", (req, res) => {
@@ -1,12 +1,43 @@
 const express = require("express");
 const router = express.Router();
 const newsAndEventsController = require("../controllers/newsAndEventsController");
-const { authenticate } = require("../middleware/auth");
+const newsAndEventsRevisionController = require("../controllers/newsAndEventsRevisionController");
+const newsPreviewLinkController = require("../controllers/newsPreviewLinkController");
+const newsAndEventsTranslationController = require("../controllers/newsAndEventsTranslationController");
+const newsAndEventsOccurrenceController = require("../controllers/newsAndEventsOccurrenceController");
+const eventRegistrationController = require("../controllers/eventRegistrationController");
+const eventCheckInController = require("../controllers/eventCheckInController");
+const NewsPreviewLink = require("../models/NewsPreviewLink");
+const NewsAndEvents = require("../models/NewsAndEvents");
+const NewsAndEventsTranslation = require("../models/NewsAndEventsTranslation");
+const NewsAndEventsOccurrence = require("../models/NewsAndEventsOccurrence");
+const EventRegistration = require("../models/EventRegistration");
+const {
+  authenticate,
+  authorize,
+  allowApiKey,
+} = require("../middleware/auth");
+const { audit } = require("../middleware/audit");
+const { ROLES } = require("../config/roles");
+const { SCOPES } = require("../config/apiScopes");
 const {
   validateNewsCreate,
   validateNewsUpdate,
+  validateNewsListQuery,
+  validateRevisionDiffQuery,
+  validatePreviewLinkCreate,
+  validateOccurrenceQuery,
+  validateOccurrenceStart,
+  validateOccurrenceSave,
+  validateRegistrationCreate,
+  validateRegistrationUpdate,
+  validateRegistrationListQuery,
+  validateCheckIn,
+  validateTranslationLocale,
+  validateNewsTranslation,
 } = require("../middleware/validation");
 const { uploadFiles } = require("../config/upload");
+const { verifyTicketCode } = require("../utils/tickets");
 
 // Middleware to handle file uploads with error handling
 const handleFileUpload = (req, res, next) => {
@@ -21,33 +52,365 @@ const handleFileUpload = (req, res, next) => {
   });
 };
 
+/**
+ * Audit snapshot of the translations of an item, keyed by locale
+ * @param {number} id - News and Events ID
+ * @returns {Promise<object>} Snapshot
+ */
+const loadTranslations = async (id) => {
+  const translations = await NewsAndEventsTranslation.findByNewsAndEventsId(id);
+  const byLocale = {};
+  for (const { locale, title, description, location } of translations) {
+    byLocale[locale] = { title, description, location };
+  }
+  return { translations: byLocale };
+};
+
+/**
+ * Audit snapshot of the changed occurrences of a recurring event, keyed by
+ * original start
+ * @param {number} id - News and Events ID
+ * @returns {Promise<object>} Snapshot
+ */
+const loadOccurrences = async (id) => {
+  const occurrences = await NewsAndEventsOccurrence.findByNewsAndEventsId(id);
+  const byStart = {};
+  for (const occurrence of occurrences) {
+    const changes = { cancelled: Boolean(occurrence.cancelled) };
+    for (const field of NewsAndEventsOccurrence.OVERRIDE_FIELDS) {
+      changes[field] = occurrence[field];
+    }
+    byStart[new Date(occurrence.occurrence_start).toISOString()] = changes;
+  }
+  return { occurrences: byStart };
+};
+
 // Public routes (user-side - no authentication required)
-router.get("/public", newsAndEventsController.getActiveNewsAndEvents);
+// Content is returned in the locale from ?lang= or Accept-Language
+router.get(
+  "/public",
+  validateNewsListQuery,
+  newsAndEventsController.getActiveNewsAndEvents
+);
+// Calendar feed of all public events (subscribable as webcal://)
+router.get("/public/calendar.ics", newsAndEventsController.getCalendarFeed);
+// RSS and Atom feeds of the latest public news and events
+router.get(
+  "/public/feed.:format",
+  validateNewsListQuery,
+  newsAndEventsController.getFeed
+);
+// Previous slugs answer with a 301 to the current slug
+router.get(
+  "/public/slug/:slug",
+  newsAndEventsController.getActiveNewsAndEventsBySlug
+);
+// ?preview=<token> also returns unpublished items (see preview links below)
 router.get("/public/:id", newsAndEventsController.getActiveNewsAndEventsById);
+router.get(
+  "/public/:id/event.ics",
+  newsAndEventsController.getEventCalendar
+);
+
+// Event registration; the token comes from the link in the confirmation email
+router.post(
+  "/public/:id/registrations",
+  validateRegistrationCreate,
+  eventRegistrationController.register
+);
+router.get(
+  "/public/registrations/:token",
+  eventRegistrationController.getRegistrationByToken
+);
+router.get(
+  "/public/registrations/:token/ticket.:format",
+  eventRegistrationController.getTicketByToken
+);
+router.post(
+  "/public/registrations/:token/cancel",
+  eventRegistrationController.cancelRegistrationByToken
+);
 
 // Protected routes (admin-side - require authentication)
-router.get("/", authenticate, newsAndEventsController.getAllNewsAndEvents);
-router.get("/:id", authenticate, newsAndEventsController.getNewsAndEventsById);
+router.get(
+  "/",
+  allowApiKey(SCOPES.NEWS_READ),
+  authenticate,
+  validateNewsListQuery,
+  newsAndEventsController.getAllNewsAndEvents
+);
+router.get(
+  "/:id",
+  allowApiKey(SCOPES.NEWS_READ),
+  authenticate,
+  newsAndEventsController.getNewsAndEventsById
+);
 
-// Protected routes (require authentication)
+// Protected routes (require editor or super admin role)
 router.post(
   "/",
+  allowApiKey(SCOPES.NEWS_WRITE),
   authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
   handleFileUpload,
   validateNewsCreate,
+  audit({
+    entityType: "news_and_events",
+    action: "create",
+    load: NewsAndEvents.findByIdWithImages,
+    getCreatedId: (body) => body.data.newsAndEvents.id,
+  }),
   newsAndEventsController.createNewsAndEvents
 );
 router.put(
   "/:id",
+  allowApiKey(SCOPES.NEWS_WRITE),
   authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
   handleFileUpload,
   validateNewsUpdate,
+  audit({
+    entityType: "news_and_events",
+    action: "update",
+    load: NewsAndEvents.findByIdWithImages,
+  }),
   newsAndEventsController.updateNewsAndEvents
 );
 router.delete(
   "/:id",
+  allowApiKey(SCOPES.NEWS_WRITE),
   authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  audit({
+    entityType: "news_and_events",
+    action: "delete",
+    load: NewsAndEvents.findByIdWithImages,
+  }),
   newsAndEventsController.deleteNewsAndEvents
 );
 
+// Revision history
+router.get(
+  "/:id/revisions",
+  allowApiKey(SCOPES.NEWS_READ),
+  authenticate,
+  newsAndEventsRevisionController.getRevisions
+);
+router.get(
+  "/:id/revisions/diff",
+  allowApiKey(SCOPES.NEWS_READ),
+  authenticate,
+  validateRevisionDiffQuery,
+  newsAndEventsRevisionController.diffRevisions
+);
+router.get(
+  "/:id/revisions/:revisionId",
+  allowApiKey(SCOPES.NEWS_READ),
+  authenticate,
+  newsAndEventsRevisionController.getRevisionById
+);
+router.post(
+  "/:id/revisions/:revisionId/restore",
+  allowApiKey(SCOPES.NEWS_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  audit({
+    entityType: "news_and_events",
+    action: "restore",
+    load: NewsAndEvents.findByIdWithImages,
+  }),
+  newsAndEventsRevisionController.restoreRevision
+);
+
+// Preview links (share unpublished items without a login)
+router.get(
+  "/:id/preview-links",
+  allowApiKey(SCOPES.NEWS_READ),
+  authenticate,
+  newsPreviewLinkController.getPreviewLinks
+);
+router.post(
+  "/:id/preview-links",
+  allowApiKey(SCOPES.NEWS_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  validatePreviewLinkCreate,
+  audit({
+    entityType: "preview_link",
+    action: "create",
+    load: NewsPreviewLink.findById,
+    getEntityId: () => null,
+    getCreatedId: (body) => body.data.previewLink.id,
+  }),
+  newsPreviewLinkController.createPreviewLink
+);
+router.delete(
+  "/:id/preview-links/:linkId",
+  allowApiKey(SCOPES.NEWS_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  audit({
+    entityType: "preview_link",
+    action: "revoke",
+    load: NewsPreviewLink.findById,
+    getEntityId: (req) => req.params.linkId,
+  }),
+  newsPreviewLinkController.revokePreviewLink
+);
+
+// Occurrences of recurring events (change or cancel one occurrence)
+router.get(
+  "/:id/occurrences",
+  allowApiKey(SCOPES.NEWS_READ),
+  authenticate,
+  validateOccurrenceQuery,
+  newsAndEventsOccurrenceController.getOccurrences
+);
+router.put(
+  "/:id/occurrences/:occurrenceStart",
+  allowApiKey(SCOPES.NEWS_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  validateOccurrenceSave,
+  audit({
+    entityType: "news_and_events",
+    action: "save_occurrence",
+    load: loadOccurrences,
+  }),
+  newsAndEventsOccurrenceController.saveOccurrence
+);
+router.delete(
+  "/:id/occurrences/:occurrenceStart",
+  allowApiKey(SCOPES.NEWS_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  validateOccurrenceStart,
+  audit({
+    entityType: "news_and_events",
+    action: "reset_occurrence",
+    load: loadOccurrences,
+  }),
+  newsAndEventsOccurrenceController.resetOccurrence
+);
+
+// Registrations of events
+router.get(
+  "/:id/registrations",
+  allowApiKey(SCOPES.REGISTRATIONS_READ),
+  authenticate,
+  validateRegistrationListQuery,
+  eventRegistrationController.getRegistrations
+);
+router.get(
+  "/:id/registrations/export",
+  allowApiKey(SCOPES.REGISTRATIONS_READ),
+  authenticate,
+  validateRegistrationListQuery,
+  eventRegistrationController.exportRegistrations
+);
+router.put(
+  "/:id/registrations/:registrationId",
+  allowApiKey(SCOPES.REGISTRATIONS_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  validateRegistrationUpdate,
+  audit({
+    entityType: "event_registration",
+    action: "update",
+    load: EventRegistration.findById,
+    getEntityId: (req) => req.params.registrationId,
+  }),
+  eventRegistrationController.updateRegistration
+);
+router.delete(
+  "/:id/registrations/:registrationId",
+  allowApiKey(SCOPES.REGISTRATIONS_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  audit({
+    entityType: "event_registration",
+    action: "delete",
+    load: EventRegistration.findById,
+    getEntityId: (req) => req.params.registrationId,
+  }),
+  eventRegistrationController.deleteRegistration
+);
+
+// Check-in at the door (ticket codes are read from the QR code)
+router.get(
+  "/:id/attendance",
+  allowApiKey(SCOPES.REGISTRATIONS_READ),
+  authenticate,
+  validateCheckIn,
+  eventCheckInController.getAttendance
+);
+router.get(
+  "/:id/tickets/:code",
+  allowApiKey(SCOPES.REGISTRATIONS_READ),
+  authenticate,
+  validateCheckIn,
+  eventCheckInController.lookupTicket
+);
+router.post(
+  "/:id/tickets/:code/check-in",
+  allowApiKey(SCOPES.REGISTRATIONS_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  validateCheckIn,
+  audit({
+    entityType: "event_registration",
+    action: "check_in",
+    load: EventRegistration.findById,
+    getEntityId: (req) => verifyTicketCode(req.params.code),
+  }),
+  eventCheckInController.checkIn
+);
+router.delete(
+  "/:id/tickets/:code/check-in",
+  allowApiKey(SCOPES.REGISTRATIONS_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  audit({
+    entityType: "event_registration",
+    action: "undo_check_in",
+    load: EventRegistration.findById,
+    getEntityId: (req) => verifyTicketCode(req.params.code),
+  }),
+  eventCheckInController.undoCheckIn
+);
+
+// Translations (content in locales other than the default locale)
+router.get(
+  "/:id/translations",
+  allowApiKey(SCOPES.NEWS_READ),
+  authenticate,
+  newsAndEventsTranslationController.getTranslations
+);
+router.put(
+  "/:id/translations/:locale",
+  allowApiKey(SCOPES.NEWS_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  validateNewsTranslation,
+  audit({
+    entityType: "news_and_events",
+    action: "save_translation",
+    load: loadTranslations,
+  }),
+  newsAndEventsTranslationController.saveTranslation
+);
+router.delete(
+  "/:id/translations/:locale",
+  allowApiKey(SCOPES.NEWS_WRITE),
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.EDITOR),
+  validateTranslationLocale,
+  audit({
+    entityType: "news_and_events",
+    action: "delete_translation",
+    load: loadTranslations,
+  }),
+  newsAndEventsTranslationController.deleteTranslation
+);
+
 module.exports = router;
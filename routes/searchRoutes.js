@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const searchController = require("../controllers/searchController");
+const {
+  validateSearchQuery,
+  validateSuggestQuery,
+  validateNewsListQuery,
+} = require("../middleware/validation");
+
+// Public routes (no authentication required)
+// Results are returned in the locale from ?lang= or Accept-Language
+router.get("/", validateSearchQuery, searchController.search);
+// Suggestions as the user types; takes the filters of the public listing
+router.get(
+  "/suggest",
+  validateSuggestQuery,
+  validateNewsListQuery,
+  searchController.suggest
+);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * Slug backfill script
+ * Generates a slug for news and events created before slugs were introduced
+ * (run after database/migrations/014_news_slugs.sql)
+ * Usage: node scripts/backfill-slugs.js
+ */
+
+require("dotenv").config();
+const db = require("../config/database");
+const NewsAndEvents = require("../models/NewsAndEvents");
+const logger = require("../utils/logger");
+
+async function backfillSlugs() {
+  try {
+    const items = await NewsAndEvents.findAllWithoutSlug();
+
+    for (const item of items) {
+      const slug = await NewsAndEvents.generateUniqueSlug(item.title, item.id);
+      await NewsAndEvents.update(item.id, { slug });
+      logger.info(`Slug generated for news ID ${item.id}: ${slug}`);
+    }
+
+    logger.info(`Slug backfill finished (${items.length} items updated)`);
+  } catch (error) {
+    logger.error("Error backfilling slugs:", error);
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+// Run backfill
+backfillSlugs();
@@ -0,0 +1,51 @@
+/**
+ * Description rendering script
+ * Renders the HTML and excerpt of every news and events description and
+ * translation again, e.g. after database/migrations/016_rich_text_descriptions.sql
+ * or after changing the allow-list in utils/richText.js
+ * Usage: node scripts/render-descriptions.js
+ */
+
+require("dotenv").config();
+const db = require("../config/database");
+const NewsAndEvents = require("../models/NewsAndEvents");
+const NewsAndEventsTranslation = require("../models/NewsAndEventsTranslation");
+const logger = require("../utils/logger");
+const { renderRichText } = require("../utils/richText");
+
+async function renderDescriptions() {
+  try {
+    const items = await NewsAndEvents.findAllDescriptions();
+    for (const item of items) {
+      const rendered = renderRichText(item.description, item.description_format);
+      await NewsAndEvents.updateRenderedDescription(item.id, {
+        description_html: rendered.html,
+        excerpt: rendered.excerpt,
+      });
+    }
+
+    const translations = await NewsAndEventsTranslation.findAllDescriptions();
+    for (const translation of translations) {
+      const rendered = renderRichText(
+        translation.description,
+        translation.description_format
+      );
+      await NewsAndEventsTranslation.updateRenderedDescription(translation.id, {
+        description_html: rendered.html,
+        excerpt: rendered.excerpt,
+      });
+    }
+
+    logger.info(
+      `Descriptions rendered (${items.length} items, ${translations.length} translations)`
+    );
+  } catch (error) {
+    logger.error("Error rendering descriptions:", error);
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+// Run rendering
+renderDescriptions();
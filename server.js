@@ -7,10 +7,22 @@ const path = require("path");
 const logger = require("./utils/logger");
 const routes = require("./routes");
 const { errorHandler, notFound } = require("./middleware/errorHandler");
+const publishingScheduler = require("./utils/publishingScheduler");
 
 // Initialize Express app
 const app = express();
 
+// Trust the reverse proxy (e.g. nginx) so req.ip is the real client IP
+// Used for login brute-force protection and session/audit records
+if (process.env.TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(process.env.TRUST_PROXY)
+      ? parseInt(process.env.TRUST_PROXY)
+      : process.env.TRUST_PROXY
+  );
+}
+
 // CORS configuration - hardcoded origins (not from .env)
 const allowedOrigins = [
   "http://localhost:5173",
@@ -28,7 +40,7 @@ const corsOptions = {
   origin: allowedOrigins,
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS", "PATCH"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
   exposedHeaders: ["Content-Type", "Authorization"],
   optionsSuccessStatus: 200,
 };
@@ -44,9 +56,10 @@ app.use(
   })
 );
 
-// Body parsing middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Body parsing middleware (rich-text descriptions can be up to 100000
+// characters, which is more than the default 100kb in multi-byte scripts)
+app.use(express.json({ limit: "1mb" }));
+app.use(express.urlencoded({ extended: true, limit: "1mb" }));
 
 // Serve static files (uploaded images) - CORS is handled by cors middleware above
 app.use("/public", express.static(path.join(__dirname, "public")));
@@ -112,6 +125,9 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   logger.info(`Server is running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || "development"}`);
+
+  // Publish scheduled and archive expired news and events
+  publishingScheduler.start();
 });
 
 module.exports = app;
@@ -0,0 +1,92 @@
+/**
+ * Admin authentication token helpers
+ */
+
+const jwt = require("jsonwebtoken");
+const AdminSession = require("../models/AdminSession");
+
+/**
+ * Get the JWT signing secret
+ * @returns {string} JWT secret
+ */
+const getJwtSecret = () => {
+  return process.env.JWT_SECRET || "your-secret-key";
+};
+
+/**
+ * Generate JWT access token
+ * Access tokens are short-lived and bound to a server-side session.
+ * @param {object} admin - Admin object
+ * @param {number} sessionId - Session ID
+ * @returns {string} JWT token
+ */
+const generateToken = (admin, sessionId) => {
+  return jwt.sign(
+    {
+      id: admin.id,
+      email: admin.email,
+      name: admin.name,
+      role: admin.role,
+      sid: sessionId,
+      type: "admin",
+    },
+    getJwtSecret(),
+    {
+      expiresIn: process.env.JWT_EXPIRES_IN || "15m",
+    }
+  );
+};
+
+/**
+ * Create a session and issue an access token and refresh token for it
+ * @param {object} admin - Admin object
+ * @param {object} req - Express request (for user agent and IP)
+ * @returns {Promise<object>} Object with token and refresh_token
+ */
+const issueTokens = async (admin, req) => {
+  const { session, refreshToken } = await AdminSession.create({
+    admin_id: admin.id,
+    user_agent: req.get("User-Agent"),
+    ip_address: req.ip,
+    expires_in_days: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30,
+  });
+
+  return {
+    token: generateToken(admin, session.id),
+    refresh_token: refreshToken,
+  };
+};
+
+/**
+ * Generate a short-lived challenge token for the second login step (2FA)
+ * It only proves the password was correct and can't be used as an access token.
+ * @param {object} admin - Admin object
+ * @returns {string} JWT challenge token
+ */
+const generateChallengeToken = (admin) => {
+  return jwt.sign({ id: admin.id, type: "2fa_challenge" }, getJwtSecret(), {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m",
+  });
+};
+
+/**
+ * Verify a 2FA challenge token
+ * @param {string} token - JWT challenge token
+ * @returns {object|null} Decoded token or null if invalid/expired
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getJwtSecret());
+    return decoded.type === "2fa_challenge" ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  getJwtSecret,
+  generateToken,
+  issueTokens,
+  generateChallengeToken,
+  verifyChallengeToken,
+};
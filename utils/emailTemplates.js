@@ -0,0 +1,235 @@
+/**
+ * Email templates
+ * Each template returns { subject, text, html } for sendMail.
+ */
+
+const { escapeHtml } = require("./helpers");
+
+/**
+ * Wrap email body content in the common HTML layout
+ * @param {string} content - HTML content
+ * @returns {string} Full HTML document
+ */
+const layout = (content) => {
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; line-height: 1.5;">
+    ${content}
+    <p style="color: #777; font-size: 12px;">STCC - tccswiss.org</p>
+  </body>
+</html>`;
+};
+
+/**
+ * Password reset email
+ * @param {object} params - Template params (name, resetUrl, expiresInMinutes)
+ * @returns {object} Email subject, text and html
+ */
+const passwordResetEmail = ({ name, resetUrl, expiresInMinutes }) => {
+  return {
+    subject: "Reset your STCC admin password",
+    text: `Hello ${name},
+
+We received a request to reset the password of your STCC admin account.
+Open the link below to choose a new password:
+
+${resetUrl}
+
+This link expires in ${expiresInMinutes} minutes and can only be used once.
+If you did not request a password reset, you can ignore this email.`,
+    html: layout(`
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>We received a request to reset the password of your STCC admin account.</p>
+    <p><a href="${escapeHtml(resetUrl)}">Choose a new password</a></p>
+    <p>This link expires in ${expiresInMinutes} minutes and can only be used once.
+    If you did not request a password reset, you can ignore this email.</p>`),
+  };
+};
+
+/**
+ * Email change verification email (sent to the new address)
+ * @param {object} params - Template params (name, confirmUrl, expiresInHours)
+ * @returns {object} Email subject, text and html
+ */
+const emailChangeVerificationEmail = ({ name, confirmUrl, expiresInHours }) => {
+  return {
+    subject: "Confirm your new STCC admin email address",
+    text: `Hello ${name},
+
+Please confirm that this address should be used for your STCC admin account:
+
+${confirmUrl}
+
+This link expires in ${expiresInHours} hours. If you did not request this change, you can ignore this email.`,
+    html: layout(`
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>Please confirm that this address should be used for your STCC admin account.</p>
+    <p><a href="${escapeHtml(confirmUrl)}">Confirm email address</a></p>
+    <p>This link expires in ${expiresInHours} hours. If you did not request this change,
+    you can ignore this email.</p>`),
+  };
+};
+
+/**
+ * Email changed notice (sent to the previous address)
+ * @param {object} params - Template params (name, newEmail)
+ * @returns {object} Email subject, text and html
+ */
+const emailChangedNoticeEmail = ({ name, newEmail }) => {
+  return {
+    subject: "Your STCC admin email address was changed",
+    text: `Hello ${name},
+
+The email address of your STCC admin account was changed to ${newEmail}.
+If you did not make this change, please contact a super admin immediately.`,
+    html: layout(`
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>The email address of your STCC admin account was changed to
+    <strong>${escapeHtml(newEmail)}</strong>.</p>
+    <p>If you did not make this change, please contact a super admin immediately.</p>`),
+  };
+};
+
+/**
+ * Describe the event of a registration (title, date, venue and party size)
+ * @param {object} params - Template params (eventTitle, eventDate, venue, guests)
+ * @returns {object} { text, html } lines
+ */
+const registrationDetails = ({ eventTitle, eventDate, venue, guests }) => {
+  const lines = [
+    ["Event", eventTitle],
+    ["Date", eventDate],
+    ["Venue", venue],
+    ["Guests", guests > 0 ? String(guests) : null],
+  ].filter(([, value]) => value);
+
+  return {
+    text: lines.map(([label, value]) => `${label}: ${value}`).join("\n"),
+    html: `<p>${lines
+      .map(
+        ([label, value]) =>
+          `<strong>${label}:</strong> ${escapeHtml(value)}`
+      )
+      .join("<br>")}</p>`,
+  };
+};
+
+/**
+ * Describe the ticket of a confirmed registration
+ * The QR code is attached to the email as an inline image (ticketCid).
+ * @param {object} params - Template params (ticketCode, ticketCid)
+ * @returns {object} { text, html }, empty without a ticket
+ */
+const ticketDetails = ({ ticketCode, ticketCid }) => {
+  if (!ticketCode) {
+    return { text: "", html: "" };
+  }
+
+  return {
+    text: `
+
+Your ticket code is ${ticketCode}. Please show the attached QR code at the entrance.`,
+    html: `
+    <p>Please show this QR code at the entrance:</p>
+    <p><img src="cid:${escapeHtml(ticketCid)}" alt="Ticket ${escapeHtml(ticketCode)}" width="240" height="240"></p>
+    <p style="color: #777; font-size: 12px;">Ticket code: ${escapeHtml(ticketCode)}</p>`,
+  };
+};
+
+/**
+ * Event registration confirmation (registered or waitlisted)
+ * @param {object} params - Template params (name, status, eventTitle, eventDate, venue, guests, cancelUrl, ticketCode, ticketCid)
+ * @returns {object} Email subject, text and html
+ */
+const registrationConfirmationEmail = (params) => {
+  const { name, status, eventTitle, cancelUrl } = params;
+  const details = registrationDetails(params);
+  const ticket = ticketDetails(params);
+  const waitlisted = status === "waitlisted";
+  const intro = waitlisted
+    ? "The event is fully booked, so you are on the waitlist. We will email you as soon as a seat becomes available."
+    : "Your registration is confirmed. We look forward to seeing you.";
+
+  return {
+    subject: waitlisted
+      ? `You are on the waitlist: ${eventTitle}`
+      : `Registration confirmed: ${eventTitle}`,
+    text: `Hello ${name},
+
+${intro}
+
+${details.text}${ticket.text}
+
+If you can't attend, please cancel your registration so someone else can take your seat:
+
+${cancelUrl}`,
+    html: layout(`
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>${intro}</p>
+    ${details.html}${ticket.html}
+    <p>If you can't attend, please <a href="${escapeHtml(cancelUrl)}">cancel your registration</a>
+    so someone else can take your seat.</p>`),
+  };
+};
+
+/**
+ * Waitlist promotion notice (a seat became available)
+ * @param {object} params - Template params (name, eventTitle, eventDate, venue, guests, cancelUrl, ticketCode, ticketCid)
+ * @returns {object} Email subject, text and html
+ */
+const registrationPromotedEmail = (params) => {
+  const { name, eventTitle, cancelUrl } = params;
+  const details = registrationDetails(params);
+  const ticket = ticketDetails(params);
+
+  return {
+    subject: `A seat is available - registration confirmed: ${eventTitle}`,
+    text: `Hello ${name},
+
+Good news: a seat became available and your registration is now confirmed.
+
+${details.text}${ticket.text}
+
+If you can no longer attend, please cancel your registration:
+
+${cancelUrl}`,
+    html: layout(`
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>Good news: a seat became available and your registration is now confirmed.</p>
+    ${details.html}${ticket.html}
+    <p>If you can no longer attend, please
+    <a href="${escapeHtml(cancelUrl)}">cancel your registration</a>.</p>`),
+  };
+};
+
+/**
+ * Event registration cancellation notice
+ * @param {object} params - Template params (name, eventTitle, eventDate, venue, guests)
+ * @returns {object} Email subject, text and html
+ */
+const registrationCancelledEmail = (params) => {
+  const { name, eventTitle } = params;
+  const details = registrationDetails(params);
+
+  return {
+    subject: `Registration cancelled: ${eventTitle}`,
+    text: `Hello ${name},
+
+Your registration has been cancelled.
+
+${details.text}`,
+    html: layout(`
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>Your registration has been cancelled.</p>
+    ${details.html}`),
+  };
+};
+
+module.exports = {
+  passwordResetEmail,
+  emailChangeVerificationEmail,
+  emailChangedNoticeEmail,
+  registrationConfirmationEmail,
+  registrationPromotedEmail,
+  registrationCancelledEmail,
+};
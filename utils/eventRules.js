@@ -0,0 +1,150 @@
+/**
+ * Rules for the event fields of news and events
+ * Shared by create, update and revision restore, so an event is always
+ * stored in a consistent state.
+ */
+
+const NewsAndEvents = require("../models/NewsAndEvents");
+const {
+  NEWS_TYPES,
+  DEFAULT_NEWS_TYPE,
+  DEFAULT_EVENT_TIMEZONE,
+} = require("../config/newsTypes");
+const { normalizeQuestions } = require("./registrations");
+const {
+  parseRule,
+  normalizeExdates,
+  checkRecurrence,
+  getSeriesEnd,
+} = require("./recurrence");
+
+/**
+ * Check and normalize the event fields of a create or update request
+ * Events need a start_at; end_at and registration_deadline must fit it.
+ * All-day events keep only the dates, and events without a date_time are
+ * dated by their start. Recurring events must start on their first
+ * occurrence; when their series ends is computed here. Registration
+ * questions are checked and normalized.
+ * @param {object} data - Request data (modified in place)
+ * @param {object} [existing] - Stored item (on update)
+ * @returns {string|null} Error message, or null if valid
+ */
+const applyEventRules = (data, existing = {}) => {
+  for (const field of NewsAndEvents.EVENT_FIELDS) {
+    if (data[field] === "") {
+      data[field] = null;
+    }
+  }
+
+  // Computed from the recurrence rule, never taken from the request
+  delete data.recurrence_end_at;
+
+  const value = (field) =>
+    data[field] !== undefined ? data[field] : existing[field];
+
+  const type = data.type || existing.type || DEFAULT_NEWS_TYPE;
+  if (type !== NEWS_TYPES.EVENT) {
+    if (value("registration_enabled")) {
+      return "Only events can take registrations";
+    }
+    if (value("cancelled")) {
+      return "Only events can be cancelled";
+    }
+    return value("recurrence_rule")
+      ? "Only events can have a recurrence rule"
+      : null;
+  }
+
+  if (value("all_day")) {
+    for (const field of ["start_at", "end_at"]) {
+      if (data[field]) {
+        data[field] = String(data[field]).slice(0, 10);
+      }
+    }
+  }
+
+  const startAt = value("start_at");
+  const endAt = value("end_at");
+  const deadline = value("registration_deadline");
+
+  if (!startAt) {
+    return "start_at is required for events";
+  }
+
+  if (endAt && new Date(endAt) < new Date(startAt)) {
+    return "end_at must not be before start_at";
+  }
+
+  const eventEnd = new Date(endAt || startAt);
+  if (value("all_day")) {
+    eventEnd.setUTCDate(eventEnd.getUTCDate() + 1);
+  }
+  if (deadline && new Date(deadline) > eventEnd) {
+    return "registration_deadline must not be after the end of the event";
+  }
+
+  if (!value("timezone")) {
+    data.timezone = DEFAULT_EVENT_TIMEZONE;
+  }
+
+  if (data.registration_questions !== undefined) {
+    try {
+      data.registration_questions = normalizeQuestions(
+        data.registration_questions
+      );
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  const recurrenceChanged = [
+    "recurrence_rule",
+    "recurrence_exdates",
+    "start_at",
+    "end_at",
+    "all_day",
+    "timezone",
+  ].some((field) => data[field] !== undefined);
+
+  if (!value("recurrence_rule")) {
+    if (data.recurrence_rule === null) {
+      data.recurrence_exdates = null;
+      data.recurrence_end_at = null;
+    }
+  } else if (recurrenceChanged) {
+    let exdates;
+    try {
+      data.recurrence_rule = parseRule(value("recurrence_rule")).value;
+      exdates = normalizeExdates(value("recurrence_exdates"), value("all_day"));
+    } catch (error) {
+      return error.message;
+    }
+    data.recurrence_exdates = exdates.length > 0 ? exdates : null;
+
+    const event = {
+      recurrence_rule: data.recurrence_rule,
+      recurrence_exdates: data.recurrence_exdates,
+      start_at: startAt,
+      end_at: endAt,
+      all_day: value("all_day"),
+      timezone: value("timezone"),
+    };
+    const recurrenceError = checkRecurrence(event);
+    if (recurrenceError) {
+      return recurrenceError;
+    }
+
+    const seriesEnd = getSeriesEnd(event);
+    data.recurrence_end_at = seriesEnd ? seriesEnd.toISOString() : null;
+  }
+
+  if (data.start_at && data.date_time === undefined) {
+    data.date_time = new Date(data.start_at).toISOString();
+  }
+
+  return null;
+};
+
+module.exports = {
+  applyEventRules,
+};
@@ -0,0 +1,194 @@
+/**
+ * RSS 2.0 and Atom (RFC 4287) output for news and events
+ * Each item has a stable ID (a tag URI of its ID), so feed readers keep it
+ * when its title or slug changes; its cover image is an enclosure.
+ */
+
+const { getPublicAppUrl, getNewsAndEventsUrl } = require("./publicUrls");
+const { escapeXml, element } = require("./xml");
+
+// Content types of enclosed images, by file extension
+const IMAGE_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+};
+
+/**
+ * Get when an item was published
+ * @param {object} item - News and events item
+ * @returns {Date} Publication date
+ */
+const getPublishedAt = (item) => new Date(item.publish_at || item.created_at);
+
+/**
+ * Get when an item last changed in a feed: edited, or published later
+ * @param {object} item - News and events item
+ * @returns {Date} Date
+ */
+const getItemUpdatedAt = (item) =>
+  new Date(Math.max(new Date(item.updated_at), getPublishedAt(item)));
+
+/**
+ * Get the stable ID of an item (a tag URI, RFC 4151)
+ * @param {object} item - News and events item (id, created_at)
+ * @returns {string} ID
+ */
+const getEntryId = (item) =>
+  `tag:${new URL(getPublicAppUrl()).host},${new Date(item.created_at)
+    .toISOString()
+    .slice(0, 10)}:news-and-events-${item.id}`;
+
+/**
+ * Get the content type of an enclosed image
+ * @param {string} url - Image URL
+ * @returns {string} Content type
+ */
+const getImageType = (url) => {
+  const extension = new URL(url).pathname.split(".").pop().toLowerCase();
+  return IMAGE_TYPES[extension] || "application/octet-stream";
+};
+
+/**
+ * Get the page of an item on the public website
+ * @param {object} item - News and events item
+ * @returns {string} URL
+ */
+const getItemUrl = (item) =>
+  item.slug
+    ? getNewsAndEventsUrl(item)
+    : `${getPublicAppUrl()}/news-and-events`;
+
+/**
+ * Get when a feed last changed
+ * @param {Array<object>} items - News and events items of the feed
+ * @returns {Date|null} Latest change of an item, or null without items
+ */
+const getLastUpdated = (items) =>
+  items.length > 0
+    ? new Date(Math.max(...items.map((item) => getItemUpdatedAt(item))))
+    : null;
+
+/**
+ * Build an RSS 2.0 document
+ * @param {Array<object>} entries - Items { item, enclosure }
+ * @param {object} options - Feed options (see buildFeed)
+ * @returns {string} RSS document
+ */
+const buildRss = (entries, options) => {
+  const lastUpdated = getLastUpdated(entries.map(({ item }) => item));
+  const items = entries.map(({ item, enclosure }) =>
+    [
+      "<item>",
+      element("title", item.title),
+      element("link", getItemUrl(item)),
+      `<guid isPermaLink="false">${escapeXml(getEntryId(item))}</guid>`,
+      element("pubDate", getPublishedAt(item).toUTCString()),
+      element("category", item.category_name),
+      element("description", item.excerpt),
+      element("content:encoded", item.description_html),
+      enclosure
+        ? `<enclosure url="${escapeXml(enclosure.url)}" length="${
+            enclosure.length || 0
+          }" type="${getImageType(enclosure.url)}"/>`
+        : "",
+      "</item>",
+    ].join("")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    "<channel>",
+    element("title", options.title),
+    element("link", options.siteUrl),
+    element("description", options.description || options.title),
+    element("language", options.language),
+    element("lastBuildDate", (lastUpdated || new Date()).toUTCString()),
+    `<atom:link href="${escapeXml(
+      options.selfUrl
+    )}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    "</channel>",
+    "</rss>",
+  ].join("\n");
+};
+
+/**
+ * Build an Atom document
+ * @param {Array<object>} entries - Items { item, enclosure }
+ * @param {object} options - Feed options (see buildFeed)
+ * @returns {string} Atom document
+ */
+const buildAtom = (entries, options) => {
+  const lastUpdated = getLastUpdated(entries.map(({ item }) => item));
+  const items = entries.map(({ item, enclosure }) =>
+    [
+      "<entry>",
+      element("id", getEntryId(item)),
+      element("title", item.title),
+      `<link rel="alternate" type="text/html" href="${escapeXml(
+        getItemUrl(item)
+      )}"/>`,
+      element("published", getPublishedAt(item).toISOString()),
+      element("updated", getItemUpdatedAt(item).toISOString()),
+      item.category_name
+        ? `<category term="${escapeXml(item.category_name)}"/>`
+        : "",
+      element("summary", item.excerpt),
+      item.description_html
+        ? `<content type="html">${escapeXml(item.description_html)}</content>`
+        : "",
+      enclosure
+        ? `<link rel="enclosure" href="${escapeXml(enclosure.url)}" type="${getImageType(
+            enclosure.url
+          )}"${enclosure.length ? ` length="${enclosure.length}"` : ""}/>`
+        : "",
+      "</entry>",
+    ].join("")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom"${
+      options.language ? ` xml:lang="${escapeXml(options.language)}"` : ""
+    }>`,
+    element("id", options.selfUrl),
+    element("title", options.title),
+    element("subtitle", options.description),
+    element("updated", (lastUpdated || new Date()).toISOString()),
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(
+      options.selfUrl
+    )}"/>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(
+      options.siteUrl
+    )}"/>`,
+    `<author>${element("name", options.author || options.title)}</author>`,
+    ...items,
+    "</feed>",
+  ].join("\n");
+};
+
+/**
+ * Build a feed of news and events
+ * @param {string} format - "rss" or "atom" (see FEED_FORMATS)
+ * @param {Array<object>} entries - Items { item, enclosure } newest first
+ *   (enclosure: cover image { url, length } or null)
+ * @param {object} options - Feed options
+ * @param {string} options.title - Feed title
+ * @param {string} options.selfUrl - URL of the feed itself
+ * @param {string} options.siteUrl - Page of the news and events on the public website
+ * @param {string} [options.description] - Feed description
+ * @param {string} [options.language] - Locale of the feed
+ * @param {string} [options.author] - Author of the items (Atom)
+ * @returns {string} Feed document
+ */
+const buildFeed = (format, entries, options) =>
+  format === "atom" ? buildAtom(entries, options) : buildRss(entries, options);
+
+module.exports = {
+  getLastUpdated,
+  buildFeed,
+};
@@ -2,6 +2,9 @@
  * Utility helper functions
  */
 
+const crypto = require("crypto");
+const logger = require("./logger");
+
 /**
  * Generate a random string
  * @param {number} length - Length of the string
@@ -42,8 +45,204 @@ const formatResponse = (success, message, data = null) => {
   };
 };
 
+/**
+ * Generate a cryptographically secure random token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Hex encoded token
+ */
+const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString("hex");
+};
+
+/**
+ * Hash a token for storage (tokens are never stored in plain text)
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+/**
+ * Get the 256-bit key used to encrypt secrets at rest
+ * @returns {Buffer} Encryption key
+ */
+const getEncryptionKey = () => {
+  const secret =
+    process.env.ENCRYPTION_KEY || process.env.JWT_SECRET || "your-secret-key";
+  return crypto.createHash("sha256").update(secret).digest();
+};
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {string} plainText - Secret to encrypt
+ * @returns {string} iv:authTag:cipherText (hex encoded)
+ */
+const encryptSecret = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(String(plainText), "utf8"),
+    cipher.final(),
+  ]);
+  const authTag = cipher.getAuthTag();
+  return [iv, authTag, encrypted].map((part) => part.toString("hex")).join(":");
+};
+
+/**
+ * Decrypt a secret encrypted with encryptSecret
+ * @param {string} payload - iv:authTag:cipherText (hex encoded)
+ * @returns {string} Decrypted secret
+ */
+const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = String(payload)
+    .split(":")
+    .map((part) => Buffer.from(part, "hex"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    iv
+  );
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+/**
+ * Escape a string for safe use in HTML or XML text and attributes
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+const escapeHtml = (str) => {
+  if (str === null || str === undefined) return "";
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
+
+/**
+ * Convert ISO 8601 datetime string to MySQL DATETIME format
+ * @param {string} dateTimeString - ISO 8601 datetime string (e.g., '2025-12-04T07:22:00.000Z')
+ * @returns {string} MySQL DATETIME format (e.g., '2025-12-04 07:22:00')
+ */
+const formatDateTimeForMySQL = (dateTimeString) => {
+  // This function should only be called with valid string values
+  // Return null/undefined as-is only if explicitly passed
+  if (dateTimeString === null || dateTimeString === undefined) {
+    return dateTimeString;
+  }
+
+  // Ensure it's a string
+  if (typeof dateTimeString !== "string") {
+    throw new Error(
+      `Expected string, got ${typeof dateTimeString}: ${dateTimeString}`
+    );
+  }
+
+  // Trim and check for empty string
+  const trimmed = dateTimeString.trim();
+  if (trimmed === "") {
+    throw new Error("Empty datetime string is not allowed");
+  }
+
+  // If already in MySQL format (YYYY-MM-DD HH:MM:SS), return as is
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(trimmed)) {
+    return trimmed;
+  }
+
+  try {
+    // Parse the ISO 8601 string
+    const date = new Date(trimmed);
+
+    // Check if date is valid
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid date: ${trimmed}`);
+    }
+
+    // Format as MySQL DATETIME: YYYY-MM-DD HH:MM:SS
+    // Use UTC methods to preserve the original timezone
+    const year = date.getUTCFullYear();
+    const month = String(date.getUTCMonth() + 1).padStart(2, "0");
+    const day = String(date.getUTCDate()).padStart(2, "0");
+    const hours = String(date.getUTCHours()).padStart(2, "0");
+    const minutes = String(date.getUTCMinutes()).padStart(2, "0");
+    const seconds = String(date.getUTCSeconds()).padStart(2, "0");
+
+    const formatted = `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+
+    // Validate the formatted result
+    if (!/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(formatted)) {
+      throw new Error(`Failed to format datetime correctly: ${formatted}`);
+    }
+
+    logger.debug(`Converted datetime: ${trimmed} -> ${formatted}`);
+    return formatted;
+  } catch (error) {
+    logger.error("Error formatting datetime for MySQL:", error);
+    throw new Error(`Invalid datetime format: ${trimmed}. ${error.message}`);
+  }
+};
+
+/**
+ * Check whether a string is a valid IANA timezone (e.g. "Europe/Zurich")
+ * @param {string} timeZone - Timezone name
+ * @returns {boolean} True if valid
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone });
+    return typeof timeZone === "string" && timeZone.length > 0;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Compute the fields that differ between two versions of an object
+ * Values are compared by their JSON representation (so dates compare by value).
+ * @param {object|null} before - Previous version
+ * @param {object|null} after - New version
+ * @param {Array<string>} ignoreFields - Fields to leave out of the diff
+ * @returns {object} Map of field => { from, to }
+ */
+const diffObjects = (before, after, ignoreFields = []) => {
+  const diff = {};
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const key of keys) {
+    if (ignoreFields.includes(key)) continue;
+
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      diff[key] = {
+        from: from === undefined ? null : from,
+        to: to === undefined ? null : to,
+      };
+    }
+  }
+
+  return diff;
+};
+
 module.exports = {
   generateRandomString,
   sanitizeInput,
   formatResponse,
+  generateSecureToken,
+  hashToken,
+  encryptSecret,
+  decryptSecret,
+  escapeHtml,
+  formatDateTimeForMySQL,
+  isValidTimeZone,
+  diffObjects,
 };
@@ -0,0 +1,413 @@
+/**
+ * iCalendar (RFC 5545) output for events
+ * Timed events are written in local time of their timezone (with a
+ * VTIMEZONE generated from the IANA rules), so recurring events keep their
+ * local time across DST changes; all-day events are written as dates.
+ * Each event has a stable UID; changed occurrences of a recurring event are
+ * extra VEVENTs with the same UID and a RECURRENCE-ID, cancelled occurrences
+ * are EXDATEs.
+ */
+
+const {
+  toWallClock,
+  getTimeZoneOffset,
+  getTimeZoneTransitions,
+} = require("./timezone");
+const { parseRule, getOccurrences } = require("./recurrence");
+const { getPublicAppUrl, getNewsAndEventsUrl } = require("./publicUrls");
+const { DEFAULT_EVENT_TIMEZONE } = require("../config/newsTypes");
+
+const PRODID = "-//STCC//News and Events//EN";
+
+// Timezones written as UTC times instead of with a VTIMEZONE
+const UTC_ZONES = ["UTC", "Etc/UTC", "GMT", "Etc/GMT"];
+
+// Years of timezone rules included after the last date of a calendar
+// (calendar apps extend the last rule beyond that)
+const TIMEZONE_YEARS_AHEAD = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Escape a TEXT value
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Fold a content line to lines of at most 75 octets
+ * Multi-byte characters are never split.
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = "";
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > 75) {
+      chunks.push(current);
+      current = " ";
+      bytes = 1;
+    }
+    current += char;
+    bytes += size;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n");
+};
+
+/**
+ * Format a date as UTC date-time, e.g. 20261015T170000Z
+ * @param {Date} date - Date
+ * @returns {string} UTC date-time
+ */
+const formatUtc = (date) =>
+  date
+    .toISOString()
+    .replace(/\.\d{3}/, "")
+    .replace(/[-:]/g, "");
+
+/**
+ * Format a date as DATE (UTC fields), e.g. 20261015
+ * @param {Date} date - Date
+ * @returns {string} Date
+ */
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, "");
+
+/**
+ * Format a UTC offset, e.g. +0100
+ * @param {number} offset - Offset in milliseconds
+ * @returns {string} UTC offset
+ */
+const formatOffset = (offset) => {
+  const minutes = Math.abs(offset) / 60000;
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${offset < 0 ? "-" : "+"}${pad(Math.floor(minutes / 60))}${pad(
+    minutes % 60
+  )}`;
+};
+
+/**
+ * Format a date property of an event (DTSTART, DTEND, EXDATE, RECURRENCE-ID)
+ * @param {string} name - Property name
+ * @param {Date} date - Date
+ * @param {object} event - Event (all_day, timezone)
+ * @param {Map} zones - Timezones used so far, with the dates they cover
+ * @returns {string} Content line
+ */
+const formatDateProperty = (name, date, event, zones) => {
+  if (event.all_day) {
+    return `${name};VALUE=DATE:${formatDate(date)}`;
+  }
+
+  const timeZone = event.timezone || DEFAULT_EVENT_TIMEZONE;
+  if (UTC_ZONES.includes(timeZone)) {
+    return `${name}:${formatUtc(date)}`;
+  }
+
+  const range = zones.get(timeZone) || { from: date, to: date };
+  zones.set(timeZone, {
+    from: date < range.from ? date : range.from,
+    to: date > range.to ? date : range.to,
+  });
+  return `${name};TZID=${timeZone}:${formatUtc(
+    toWallClock(date, timeZone)
+  ).slice(0, -1)}`;
+};
+
+/**
+ * Build the VTIMEZONE of a timezone
+ * Lists each offset change from the start of the year of the first date
+ * until TIMEZONE_YEARS_AHEAD years after the last date (or now).
+ * @param {string} timeZone - IANA timezone
+ * @param {object} range - { from, to } dates written in the timezone
+ * @returns {Array<string>} Content lines
+ */
+const buildTimeZone = (timeZone, { from, to }) => {
+  const start = new Date(Date.UTC(from.getUTCFullYear(), 0, 1));
+  const end = new Date(
+    Date.UTC(
+      Math.max(to.getUTCFullYear(), new Date().getUTCFullYear()) +
+        TIMEZONE_YEARS_AHEAD,
+      0,
+      1
+    )
+  );
+  const localTime = (date, offset) =>
+    formatUtc(new Date(date.getTime() + offset)).slice(0, -1);
+
+  const initialOffset = getTimeZoneOffset(start, timeZone);
+  const lines = [
+    "BEGIN:VTIMEZONE",
+    `TZID:${timeZone}`,
+    "BEGIN:STANDARD",
+    `DTSTART:${localTime(start, initialOffset)}`,
+    `TZOFFSETFROM:${formatOffset(initialOffset)}`,
+    `TZOFFSETTO:${formatOffset(initialOffset)}`,
+    "END:STANDARD",
+  ];
+
+  for (const { at, offsetFrom, offsetTo } of getTimeZoneTransitions(
+    timeZone,
+    start,
+    end
+  )) {
+    const component = offsetTo > offsetFrom ? "DAYLIGHT" : "STANDARD";
+    lines.push(
+      `BEGIN:${component}`,
+      // The onset is given in the local time before the change
+      `DTSTART:${localTime(at, offsetFrom)}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `END:${component}`
+    );
+  }
+
+  lines.push("END:VTIMEZONE");
+  return lines;
+};
+
+/**
+ * Format the recurrence rule of an event for iCalendar
+ * UNTIL must be a UTC date-time for timed events and a date for all-day
+ * events (see utils/recurrence).
+ * @param {object} event - Recurring event
+ * @returns {string} RRULE value
+ */
+const formatRule = (event) => {
+  const { value, options } = parseRule(event.recurrence_rule);
+  return value
+    .split(";")
+    .map((part) =>
+      part.startsWith("UNTIL=")
+        ? `UNTIL=${
+            event.all_day ? formatDate(options.until) : formatUtc(options.until)
+          }`
+        : part
+    )
+    .join(";");
+};
+
+/**
+ * Get the UID of an event (the same for all its occurrences)
+ * @param {object} item - News and events item
+ * @returns {string} UID
+ */
+const getEventUid = (item) =>
+  `news-and-events-${item.id}@${new URL(getPublicAppUrl()).hostname}`;
+
+/**
+ * Build the properties of a VEVENT that describe the event
+ * @param {object} item - News and events item (with the changes of an occurrence)
+ * @param {Date} start - Start
+ * @param {Date|null} end - End
+ * @param {Date} lastModified - When the event (or occurrence) last changed
+ * @param {Map} zones - Timezones used so far
+ * @returns {Array<string>} Content lines
+ */
+const describeEvent = (item, start, end, lastModified, zones) => {
+  const lines = [
+    `UID:${getEventUid(item)}`,
+    `DTSTAMP:${formatUtc(lastModified)}`,
+    `CREATED:${formatUtc(new Date(item.created_at))}`,
+    `LAST-MODIFIED:${formatUtc(lastModified)}`,
+    `SEQUENCE:${item.ical_sequence || 0}`,
+    formatDateProperty("DTSTART", start, item, zones),
+  ];
+
+  if (item.all_day) {
+    // The end of all-day events is inclusive; DTEND is the day after
+    lines.push(
+      formatDateProperty(
+        "DTEND",
+        new Date((end || start).getTime() + DAY_MS),
+        item,
+        zones
+      )
+    );
+  } else if (end) {
+    lines.push(formatDateProperty("DTEND", end, item, zones));
+  }
+
+  const url = getNewsAndEventsUrl(item);
+  const summary = item.excerpt || item.description || "";
+  const location =
+    [
+      item.venue_name,
+      item.venue_address,
+      [item.venue_postal_code, item.venue_city].filter(Boolean).join(" "),
+    ]
+      .filter(Boolean)
+      .join(", ") || item.location;
+
+  lines.push(
+    `SUMMARY:${escapeText(item.title)}`,
+    `DESCRIPTION:${escapeText(summary ? `${summary}\n\n${url}` : url)}`,
+    `URL:${url}`
+  );
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  if (
+    item.venue_latitude !== null &&
+    item.venue_latitude !== undefined &&
+    item.venue_longitude !== null &&
+    item.venue_longitude !== undefined
+  ) {
+    lines.push(`GEO:${item.venue_latitude};${item.venue_longitude}`);
+  }
+  if (item.organizer_email) {
+    lines.push(
+      `ORGANIZER${
+        item.organizer_name
+          ? `;CN="${item.organizer_name.replace(/["\r\n]/g, "")}"`
+          : ""
+      }:mailto:${item.organizer_email}`
+    );
+  }
+  if (item.category_name) {
+    lines.push(`CATEGORIES:${escapeText(item.category_name)}`);
+  }
+  lines.push(`STATUS:${item.cancelled ? "CANCELLED" : "CONFIRMED"}`);
+
+  return lines;
+};
+
+/**
+ * Build the VEVENTs of an event
+ * @param {object} item - Event
+ * @param {Array} overrides - Changed occurrences (news_and_events_occurrences rows)
+ * @param {Map} zones - Timezones used so far
+ * @returns {Array<string>} Content lines
+ */
+const buildEvent = (item, overrides, zones) => {
+  const start = new Date(item.start_at);
+  const end = item.end_at ? new Date(item.end_at) : null;
+  const lastModified = new Date(item.updated_at);
+
+  const lines = [
+    "BEGIN:VEVENT",
+    ...describeEvent(item, start, end, lastModified, zones),
+  ];
+  if (!item.recurrence_rule) {
+    lines.push("END:VEVENT");
+    return lines;
+  }
+
+  lines.push(`RRULE:${formatRule(item)}`);
+  const exdates = (
+    typeof item.recurrence_exdates === "string"
+      ? JSON.parse(item.recurrence_exdates)
+      : item.recurrence_exdates || []
+  ).map((date) => new Date(date));
+  const changed = [];
+  for (const override of overrides) {
+    if (override.cancelled) {
+      exdates.push(new Date(override.occurrence_start));
+    } else {
+      changed.push(override);
+    }
+  }
+  for (const exdate of exdates) {
+    lines.push(formatDateProperty("EXDATE", exdate, item, zones));
+  }
+  lines.push("END:VEVENT");
+
+  for (const override of changed) {
+    const originalStart = new Date(override.occurrence_start);
+    const movedStart = override.start_at
+      ? new Date(override.start_at)
+      : originalStart;
+    const occurrence = getOccurrences(
+      item,
+      [override],
+      movedStart < originalStart ? movedStart : originalStart,
+      movedStart > originalStart ? movedStart : originalStart
+    ).find(
+      (candidate) =>
+        new Date(candidate.occurrence_start).getTime() ===
+        originalStart.getTime()
+    );
+    // Changes of dates that are no longer occurrences are left out
+    if (!occurrence) {
+      continue;
+    }
+
+    const overrideModified = new Date(override.updated_at);
+    lines.push(
+      "BEGIN:VEVENT",
+      ...describeEvent(
+        { ...item, ...occurrence.changes },
+        occurrence.start_at,
+        occurrence.end_at,
+        overrideModified > lastModified ? overrideModified : lastModified,
+        zones
+      ),
+      formatDateProperty("RECURRENCE-ID", originalStart, item, zones),
+      "END:VEVENT"
+    );
+  }
+
+  return lines;
+};
+
+/**
+ * Build an iCalendar document
+ * @param {Array<object>} entries - Events { item, overrides } (overrides:
+ *   changed occurrences of recurring events)
+ * @param {object} [options] - Calendar options
+ * @param {string} [options.name] - Calendar name (subscribed feeds)
+ * @param {string} [options.description] - Calendar description
+ * @param {string} [options.refreshInterval] - Suggested refresh interval (ISO 8601 duration)
+ * @returns {string} iCalendar document
+ */
+const buildCalendar = (entries, options = {}) => {
+  const zones = new Map();
+  const events = entries.flatMap(({ item, overrides }) =>
+    buildEvent(item, overrides || [], zones)
+  );
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (options.name) {
+    lines.push(
+      `NAME:${escapeText(options.name)}`,
+      `X-WR-CALNAME:${escapeText(options.name)}`
+    );
+  }
+  if (options.description) {
+    lines.push(
+      `DESCRIPTION:${escapeText(options.description)}`,
+      `X-WR-CALDESC:${escapeText(options.description)}`
+    );
+  }
+  if (options.refreshInterval) {
+    lines.push(
+      `REFRESH-INTERVAL;VALUE=DURATION:${options.refreshInterval}`,
+      `X-PUBLISHED-TTL:${options.refreshInterval}`
+    );
+  }
+  for (const [timeZone, range] of zones) {
+    lines.push(...buildTimeZone(timeZone, range));
+  }
+  lines.push(...events, "END:VCALENDAR");
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+module.exports = {
+  buildCalendar,
+};
@@ -0,0 +1,103 @@
+/**
+ * Localization of public content
+ * Picks the locale from ?lang= or Accept-Language and fills each translatable
+ * field from the first locale in the fallback chain that has a value.
+ */
+
+const {
+  ALL_LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_FALLBACK_CHAIN,
+} = require("../config/locales");
+
+/**
+ * Get the locale requested by the client
+ * ?lang= wins over Accept-Language; unsupported locales are ignored.
+ * @param {object} req - Express request
+ * @returns {string|null} Supported locale or null
+ */
+const getRequestedLocale = (req) => {
+  const lang =
+    typeof req.query.lang === "string" ? req.query.lang.toLowerCase() : "";
+  if (ALL_LOCALES.includes(lang)) {
+    return lang;
+  }
+
+  if (req.get("Accept-Language")) {
+    return req.acceptsLanguages(...ALL_LOCALES) || null;
+  }
+
+  return null;
+};
+
+/**
+ * Get the locales to try for a request, most preferred first
+ * @param {object} req - Express request
+ * @returns {Array<string>} Locale chain (always ends with the default locale)
+ */
+const getLocaleChain = (req) => {
+  const requested = getRequestedLocale(req);
+  const chain = requested
+    ? [requested, ...LOCALE_FALLBACK_CHAIN]
+    : LOCALE_FALLBACK_CHAIN;
+  return chain.filter((locale, index) => chain.indexOf(locale) === index);
+};
+
+/**
+ * Set the response headers of a localized response
+ * @param {object} res - Express response
+ * @param {Array<string>} chain - Locale chain of the request
+ */
+const setLocaleHeaders = (res, chain) => {
+  res.set("Content-Language", chain[0]);
+  res.vary("Accept-Language");
+};
+
+/**
+ * Localize an item
+ * The main columns count as the default locale. The returned item has the
+ * locale of its first field (e.g. the title) and all locales with content.
+ * @param {object} item - Item with its main columns
+ * @param {Array} translations - Translation rows of the item ({ locale, ...fields })
+ * @param {Array<string|Array<string>>} fields - Translatable fields, the main
+ *   one first; a group of fields is taken from the locale of its first field
+ * @param {Array<string>} chain - Locale chain (from getLocaleChain)
+ * @returns {object} Localized copy of the item
+ */
+const localize = (item, translations, fields, chain) => {
+  const contentByLocale = { [DEFAULT_LOCALE]: item };
+  for (const translation of translations) {
+    contentByLocale[translation.locale] = translation;
+  }
+
+  const localized = { ...item, locale: DEFAULT_LOCALE };
+  fields.forEach((entry, index) => {
+    const group = Array.isArray(entry) ? entry : [entry];
+    const locale = chain.find(
+      (candidate) =>
+        contentByLocale[candidate] && contentByLocale[candidate][group[0]]
+    );
+    if (!locale) {
+      return;
+    }
+
+    for (const field of group) {
+      localized[field] = contentByLocale[locale][field];
+    }
+    if (index === 0) {
+      localized.locale = locale;
+    }
+  });
+
+  localized.available_locales = ALL_LOCALES.filter(
+    (locale) => contentByLocale[locale]
+  );
+  return localized;
+};
+
+module.exports = {
+  getRequestedLocale,
+  getLocaleChain,
+  setLocaleHeaders,
+  localize,
+};
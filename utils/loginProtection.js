@@ -0,0 +1,148 @@
+/**
+ * Brute-force protection for admin login
+ * Failed attempts are counted per email and per IP address. Each failure
+ * adds a progressive delay, and reaching the limit locks the email or IP
+ * for a while. Every attempt is recorded in login_attempts.
+ */
+
+const LoginAttempt = require("../models/LoginAttempt");
+const LoginLockout = require("../models/LoginLockout");
+const logger = require("./logger");
+
+/**
+ * Get brute-force protection settings
+ * @returns {object} Settings
+ */
+const getSettings = () => ({
+  maxEmailFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+  maxIpFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+  windowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  delayBaseMs: parseInt(process.env.LOGIN_DELAY_BASE_MS) || 250,
+  delayMaxMs: parseInt(process.env.LOGIN_DELAY_MAX_MS) || 5000,
+});
+
+/**
+ * Check whether login is currently locked for an email or IP address
+ * @param {string} email - Email used to log in
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<object>} { locked, retryAfterSeconds, failedCount }
+ */
+const checkLockout = async (email, ipAddress) => {
+  const [emailLockout, ipLockout] = await Promise.all([
+    email ? LoginLockout.find("email", email) : null,
+    ipAddress ? LoginLockout.find("ip", ipAddress) : null,
+  ]);
+
+  const lockouts = [emailLockout, ipLockout].filter(Boolean);
+  const active = lockouts.filter((lockout) => lockout.is_locked);
+
+  return {
+    locked: active.length > 0,
+    retryAfterSeconds: Math.max(
+      0,
+      ...active.map((lockout) => lockout.retry_after_seconds)
+    ),
+    failedCount: emailLockout ? emailLockout.failed_count : 0,
+  };
+};
+
+/**
+ * Wait before checking credentials, longer after each recent failure
+ * (delayBaseMs, doubled per failure, capped at delayMaxMs)
+ * @param {number} failedCount - Recent failed attempts for the email
+ * @returns {Promise<void>}
+ */
+const applyProgressiveDelay = (failedCount) => {
+  if (!failedCount) {
+    return Promise.resolve();
+  }
+
+  const { delayBaseMs, delayMaxMs } = getSettings();
+  const delay = Math.min(delayBaseMs * 2 ** (failedCount - 1), delayMaxMs);
+  return new Promise((resolve) => setTimeout(resolve, delay));
+};
+
+/**
+ * Record a login attempt in the audit trail
+ * Errors are logged but never fail the login request.
+ * @param {object} req - Express request
+ * @param {string} email - Email used to log in
+ * @param {boolean} success - Whether the attempt succeeded
+ * @param {string} [failureReason] - Reason of failure
+ * @returns {Promise<void>}
+ */
+const recordAttempt = async (req, email, success, failureReason) => {
+  try {
+    await LoginAttempt.create({
+      email,
+      ip_address: req.ip,
+      user_agent: req.get("User-Agent"),
+      success,
+      failure_reason: failureReason,
+    });
+  } catch (error) {
+    logger.error("Error recording login attempt:", error);
+  }
+};
+
+/**
+ * Record a failed login and update the email and IP failure counters
+ * @param {object} req - Express request
+ * @param {string} email - Email used to log in
+ * @param {string} failureReason - Reason of failure
+ * @returns {Promise<void>}
+ */
+const recordFailure = async (req, email, failureReason) => {
+  const settings = getSettings();
+
+  await recordAttempt(req, email, false, failureReason);
+
+  const [emailLockout, ipLockout] = await Promise.all([
+    email
+      ? LoginLockout.registerFailure("email", email, {
+          maxFailures: settings.maxEmailFailures,
+          windowMinutes: settings.windowMinutes,
+          lockoutMinutes: settings.lockoutMinutes,
+        })
+      : null,
+    req.ip
+      ? LoginLockout.registerFailure("ip", req.ip, {
+          maxFailures: settings.maxIpFailures,
+          windowMinutes: settings.windowMinutes,
+          lockoutMinutes: settings.lockoutMinutes,
+        })
+      : null,
+  ]);
+
+  if (emailLockout && emailLockout.is_locked) {
+    logger.warn(
+      `Login locked for email ${email} after ${emailLockout.failed_count} failed attempts`
+    );
+  }
+
+  if (ipLockout && ipLockout.is_locked) {
+    logger.warn(
+      `Login locked for IP ${req.ip} after ${ipLockout.failed_count} failed attempts`
+    );
+  }
+};
+
+/**
+ * Record a successful login and reset the email failure counter
+ * @param {object} req - Express request
+ * @param {string} email - Email used to log in
+ * @returns {Promise<void>}
+ */
+const recordSuccess = async (req, email) => {
+  await recordAttempt(req, email, true);
+  await LoginLockout.clear("email", email);
+};
+
+module.exports = {
+  checkLockout,
+  applyProgressiveDelay,
+  recordAttempt,
+  recordFailure,
+  recordSuccess,
+};
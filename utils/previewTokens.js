@@ -0,0 +1,53 @@
+/**
+ * Preview tokens for unpublished news and events
+ * A preview token is a JWT bound to one item and one preview link. It
+ * expires with the link and stops working as soon as the link is revoked.
+ */
+
+const jwt = require("jsonwebtoken");
+const NewsPreviewLink = require("../models/NewsPreviewLink");
+const { getJwtSecret } = require("./authTokens");
+
+/**
+ * Generate the token of a preview link
+ * @param {object} link - Preview link (id, news_and_events_id)
+ * @param {number} expiresInHours - Validity in hours (same as the link)
+ * @returns {string} JWT preview token
+ */
+const generatePreviewToken = (link, expiresInHours) => {
+  return jwt.sign(
+    { lid: link.id, nid: link.news_and_events_id, type: "preview" },
+    getJwtSecret(),
+    { expiresIn: `${expiresInHours}h` }
+  );
+};
+
+/**
+ * Verify a preview token for a news and events item
+ * @param {string} token - JWT preview token
+ * @param {number|string} newsAndEventsId - Item being previewed
+ * @returns {Promise<object|null>} The preview link, or null if the token is invalid, expired or revoked
+ */
+const verifyPreviewToken = async (token, newsAndEventsId) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    return null;
+  }
+
+  if (
+    decoded.type !== "preview" ||
+    decoded.nid !== parseInt(newsAndEventsId, 10)
+  ) {
+    return null;
+  }
+
+  const link = await NewsPreviewLink.findValidById(decoded.lid);
+  return link && link.news_and_events_id === decoded.nid ? link : null;
+};
+
+module.exports = {
+  generatePreviewToken,
+  verifyPreviewToken,
+};
@@ -0,0 +1,54 @@
+/**
+ * Links to the public website
+ * Used wherever the API hands out links for visitors (emails, calendars,
+ * feeds, sitemap). Pages of news and events and of categories follow a
+ * pattern with {slug} and {id} placeholders; a pattern starting with / is
+ * relative to PUBLIC_APP_URL.
+ */
+
+const NEWS_AND_EVENTS_URL_PATTERN =
+  process.env.PUBLIC_NEWS_URL_PATTERN || "/news-and-events/{slug}";
+const CATEGORY_URL_PATTERN =
+  process.env.PUBLIC_CATEGORY_URL_PATTERN || "/categories/{slug}";
+
+/**
+ * Get the URL of the public website
+ * @returns {string} URL without a trailing slash
+ */
+const getPublicAppUrl = () =>
+  (process.env.PUBLIC_APP_URL || "https://tccswiss.org").replace(/\/+$/, "");
+
+/**
+ * Fill in a page pattern for an entity
+ * @param {string} pattern - Pattern, e.g. "/news-and-events/{slug}"
+ * @param {object} entity - Entity (id, slug)
+ * @returns {string} URL
+ */
+const fillUrlPattern = (pattern, entity) => {
+  const url = pattern.replace(/\{(id|slug)\}/g, (placeholder, key) =>
+    encodeURIComponent(entity[key])
+  );
+  return url.startsWith("/") ? `${getPublicAppUrl()}${url}` : url;
+};
+
+/**
+ * Get the page of a news and events item on the public website
+ * @param {object} item - News and events item (id, slug)
+ * @returns {string} URL
+ */
+const getNewsAndEventsUrl = (item) =>
+  fillUrlPattern(NEWS_AND_EVENTS_URL_PATTERN, item);
+
+/**
+ * Get the page of a category on the public website
+ * @param {object} category - Category (id, slug)
+ * @returns {string} URL
+ */
+const getCategoryUrl = (category) =>
+  fillUrlPattern(CATEGORY_URL_PATTERN, category);
+
+module.exports = {
+  getPublicAppUrl,
+  getNewsAndEventsUrl,
+  getCategoryUrl,
+};
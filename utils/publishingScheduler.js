@@ -0,0 +1,83 @@
+/**
+ * Background scheduler for the news and events publishing lifecycle
+ * Periodically publishes scheduled items whose publish_at has passed and
+ * archives published items whose unpublish_at has passed.
+ * Public endpoints already hide/show items at the exact time; the scheduler
+ * keeps the stored status in line with it.
+ */
+
+const NewsAndEvents = require("../models/NewsAndEvents");
+const logger = require("./logger");
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one scheduler pass
+ * Errors are logged and never stop the scheduler.
+ * @returns {Promise<object>} { published, archived }
+ */
+const runOnce = async () => {
+  // Skip if the previous pass is still running (slow database)
+  if (running) {
+    return { published: 0, archived: 0 };
+  }
+
+  running = true;
+  try {
+    const published = await NewsAndEvents.publishDue();
+    const archived = await NewsAndEvents.archiveExpired();
+
+    if (published > 0 || archived > 0) {
+      logger.info(
+        `Publishing scheduler: ${published} published, ${archived} archived`
+      );
+    }
+
+    return { published, archived };
+  } catch (error) {
+    logger.error("Publishing scheduler error:", error);
+    return { published: 0, archived: 0 };
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the scheduler
+ * Disabled with PUBLISHING_SCHEDULER_ENABLED=false (e.g. when running
+ * several instances, only one of them needs it).
+ * @returns {void}
+ */
+const start = () => {
+  if (timer || process.env.PUBLISHING_SCHEDULER_ENABLED === "false") {
+    return;
+  }
+
+  const intervalSeconds =
+    parseInt(process.env.PUBLISHING_SCHEDULER_INTERVAL_SECONDS) || 60;
+
+  timer = setInterval(runOnce, intervalSeconds * 1000);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+
+  logger.info(`Publishing scheduler started (every ${intervalSeconds}s)`);
+  runOnce();
+};
+
+/**
+ * Stop the scheduler
+ * @returns {void}
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runOnce,
+  start,
+  stop,
+};
@@ -0,0 +1,395 @@
+/**
+ * Recurring events (RFC 5545 RRULE with EXDATE exceptions)
+ * Timed events repeat at the same local time in their timezone, so an event
+ * at 19:00 Europe/Zurich stays at 19:00 across DST changes. All-day events
+ * repeat by date.
+ *
+ * Occurrences are identified by their original start: an ISO 8601 UTC
+ * datetime for timed events, a date (YYYY-MM-DD) for all-day events.
+ */
+
+const { RRule } = require("rrule");
+const { toWallClock, fromWallClock } = require("./timezone");
+const { DEFAULT_EVENT_TIMEZONE } = require("../config/newsTypes");
+
+// Rules repeating more often than daily are not supported
+const ALLOWED_FREQUENCIES = {
+  DAILY: RRule.DAILY,
+  WEEKLY: RRule.WEEKLY,
+  MONTHLY: RRule.MONTHLY,
+  YEARLY: RRule.YEARLY,
+};
+
+// Details (besides the times) that a single occurrence can change
+const OCCURRENCE_DETAIL_FIELDS = [
+  "title",
+  "location",
+  "venue_name",
+  "venue_address",
+  "venue_city",
+];
+
+// Rule parts that would repeat an event within a day: occurrences start at
+// the time of its start_at
+const TIME_OF_DAY_PARTS = ["BYHOUR", "BYMINUTE", "BYSECOND"];
+
+// Longest window (in days) that occurrences are expanded for
+const MAX_EXPANSION_DAYS = 366;
+
+// Most occurrences of one event expanded at once (at most one a day fits
+// MAX_EXPANSION_DAYS; this also bounds rules stored before the check above)
+const MAX_EXPANDED_OCCURRENCES = MAX_EXPANSION_DAYS + 2;
+
+// Longest series that can be stored: COUNT and how far ahead UNTIL may be
+const MAX_RECURRENCE_COUNT = 1000;
+const MAX_RECURRENCE_YEARS = 10;
+
+// Most occurrences looked at to find when a series ends (at most one a day
+// fits the limits above; this also bounds rules stored before them)
+const MAX_SERIES_OCCURRENCES = 366 * (MAX_RECURRENCE_YEARS + 1);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a recurrence rule
+ * @param {string} rule - RRULE value, with or without the "RRULE:" prefix
+ * @returns {string} Upper case value without the prefix
+ */
+const normalizeRule = (rule) =>
+  String(rule)
+    .trim()
+    .replace(/^RRULE:/i, "")
+    .toUpperCase();
+
+/**
+ * Parse a recurrence rule
+ * @param {string} rule - RRULE value, with or without the "RRULE:" prefix
+ * @returns {object} { value, options } with value normalized (no prefix)
+ * @throws {Error} If the rule is invalid
+ */
+const parseRule = (rule) => {
+  const value = normalizeRule(rule);
+
+  if (/(^|;)DTSTART[=:;]/.test(value)) {
+    throw new Error("The recurrence rule must not contain DTSTART");
+  }
+
+  for (const part of value.split(";")) {
+    const [name, partValue] = part.split("=");
+    if (["INTERVAL", "COUNT"].includes(name) && !/^[1-9]\d*$/.test(partValue)) {
+      throw new Error(`${name} must be a positive integer`);
+    }
+    if (name === "COUNT" && parseInt(partValue, 10) > MAX_RECURRENCE_COUNT) {
+      throw new Error(`COUNT must be at most ${MAX_RECURRENCE_COUNT}`);
+    }
+    if (TIME_OF_DAY_PARTS.includes(name)) {
+      throw new Error(
+        `${name} is not supported: occurrences start at the time of start_at`
+      );
+    }
+  }
+
+  let options;
+  try {
+    options = RRule.parseString(value);
+  } catch (error) {
+    throw new Error(`Invalid recurrence rule: ${error.message}`);
+  }
+
+  if (options.freq === undefined) {
+    throw new Error("The recurrence rule must contain FREQ");
+  }
+  if (!Object.values(ALLOWED_FREQUENCIES).includes(options.freq)) {
+    throw new Error(
+      `FREQ must be one of: ${Object.keys(ALLOWED_FREQUENCIES).join(", ")}`
+    );
+  }
+
+  const horizon = new Date();
+  horizon.setUTCFullYear(horizon.getUTCFullYear() + MAX_RECURRENCE_YEARS);
+  if (options.until && options.until > horizon) {
+    throw new Error(
+      `UNTIL must be at most ${MAX_RECURRENCE_YEARS} years ahead`
+    );
+  }
+
+  return { value, options };
+};
+
+/**
+ * Get the key of an occurrence (see the module comment)
+ * @param {Date} start - Start of the occurrence
+ * @param {boolean} allDay - Whether the event is all-day
+ * @returns {string} Occurrence key
+ */
+const getOccurrenceKey = (start, allDay) =>
+  allDay ? start.toISOString().slice(0, 10) : start.toISOString();
+
+/**
+ * Normalize a list of exception dates to occurrence keys
+ * @param {Array<string>|string|null} exdates - Dates (array or JSON array string)
+ * @param {boolean} allDay - Whether the event is all-day
+ * @returns {Array<string>} Sorted, unique occurrence keys
+ */
+const normalizeExdates = (exdates, allDay) => {
+  if (!exdates) {
+    return [];
+  }
+
+  const list = typeof exdates === "string" ? JSON.parse(exdates) : exdates;
+  if (!Array.isArray(list)) {
+    throw new Error("recurrence_exdates must be an array of dates");
+  }
+
+  const keys = list.map((date) => {
+    const parsed = new Date(date);
+    if (isNaN(parsed.getTime())) {
+      throw new Error(`Invalid exception date: ${date}`);
+    }
+    return getOccurrenceKey(parsed, allDay);
+  });
+
+  return [...new Set(keys)].sort();
+};
+
+/**
+ * Build the RRule of an event
+ * Timed events are expanded in wall clock time of their timezone (see
+ * utils/timezone), all-day events in UTC dates. The rule was checked by
+ * parseRule when it was stored; rules stored before a check was added still
+ * build (expansion is bounded by MAX_EXPANDED_OCCURRENCES).
+ * @param {object} event - Event with recurrence_rule, start_at, all_day, timezone
+ * @returns {object} { rule, toInstant, toRuleTime }
+ */
+const buildRule = (event) => {
+  const options = RRule.parseString(normalizeRule(event.recurrence_rule));
+  const timeZone = event.timezone || DEFAULT_EVENT_TIMEZONE;
+
+  const toRuleTime = (date) =>
+    event.all_day ? date : toWallClock(date, timeZone);
+  const toInstant = (date) =>
+    event.all_day ? date : fromWallClock(date, timeZone);
+
+  // UNTIL is a UTC instant (or a date for all-day events)
+  if (options.until) {
+    options.until = toRuleTime(options.until);
+  }
+
+  const rule = new RRule({
+    ...options,
+    dtstart: toRuleTime(new Date(event.start_at)),
+  });
+
+  return { rule, toInstant, toRuleTime };
+};
+
+/**
+ * Get the duration of an event in rule time (so it survives DST changes)
+ * @param {object} event - Event with start_at, end_at, all_day, timezone
+ * @param {Function} toRuleTime - From buildRule
+ * @returns {number|null} Duration in milliseconds, or null without end_at
+ */
+const getDuration = (event, toRuleTime) => {
+  if (!event.end_at) {
+    return null;
+  }
+  return (
+    toRuleTime(new Date(event.end_at)).getTime() -
+    toRuleTime(new Date(event.start_at)).getTime()
+  );
+};
+
+/**
+ * Expand the occurrences of a recurring event that start within a window
+ * Exception dates are left out. At most MAX_EXPANDED_OCCURRENCES are
+ * expanded.
+ * @param {object} event - Event (recurrence_rule, recurrence_exdates, start_at, end_at, all_day, timezone)
+ * @param {Date} from - Window start (inclusive)
+ * @param {Date} to - Window end (inclusive)
+ * @returns {Array<object>} Occurrences { occurrence_start, start_at, end_at } (Dates), by start
+ */
+const expandOccurrences = (event, from, to) => {
+  const { rule, toInstant, toRuleTime } = buildRule(event);
+  const duration = getDuration(event, toRuleTime);
+  const exdates = normalizeExdates(event.recurrence_exdates, event.all_day);
+
+  // A day of margin covers any timezone offset; exact bounds are checked below
+  const starts = rule.between(
+    new Date(toRuleTime(from).getTime() - DAY_MS),
+    new Date(toRuleTime(to).getTime() + DAY_MS),
+    true,
+    (date, count) => count < MAX_EXPANDED_OCCURRENCES
+  );
+
+  return starts
+    .map((ruleStart) => ({
+      occurrence_start: toInstant(ruleStart),
+      start_at: toInstant(ruleStart),
+      end_at:
+        duration === null
+          ? null
+          : toInstant(new Date(ruleStart.getTime() + duration)),
+    }))
+    .filter(
+      ({ occurrence_start: start }) =>
+        start >= from &&
+        start <= to &&
+        !exdates.includes(getOccurrenceKey(start, event.all_day))
+    );
+};
+
+/**
+ * Check whether a date is the start of an occurrence of a recurring event
+ * Exception dates don't count as occurrences.
+ * @param {object} event - Event
+ * @param {Date} start - Original start of the occurrence
+ * @returns {boolean} True if it is an occurrence
+ */
+const isOccurrence = (event, start) =>
+  expandOccurrences(event, start, start).some(
+    (occurrence) => occurrence.occurrence_start.getTime() === start.getTime()
+  );
+
+/**
+ * Get the occurrences of a recurring event within a window, with the changes
+ * of single occurrences applied
+ * Occurrences moved into the window are included, those moved out are not.
+ * @param {object} event - Event
+ * @param {Array} overrides - Changed occurrences (news_and_events_occurrences rows)
+ * @param {Date} from - Window start (inclusive)
+ * @param {Date} to - Window end (inclusive)
+ * @returns {Array<object>} Occurrences { occurrence_start (key), start_at, end_at,
+ *   cancelled, changed, changes } by start; changes holds the changed details
+ */
+const getOccurrences = (event, overrides, from, to) => {
+  const overridesByStart = new Map(
+    overrides.map((override) => [
+      new Date(override.occurrence_start).getTime(),
+      override,
+    ])
+  );
+
+  const occurrences = expandOccurrences(event, from, to);
+  const expanded = new Set(
+    occurrences.map((occurrence) => occurrence.occurrence_start.getTime())
+  );
+  for (const [start, override] of overridesByStart) {
+    if (!expanded.has(start) && override.start_at) {
+      occurrences.push(
+        ...expandOccurrences(event, new Date(start), new Date(start))
+      );
+    }
+  }
+
+  return occurrences
+    .map((occurrence) => {
+      const override =
+        overridesByStart.get(occurrence.occurrence_start.getTime()) || {};
+
+      // A moved occurrence keeps its duration unless its end is changed too
+      const startAt = override.start_at
+        ? new Date(override.start_at)
+        : occurrence.start_at;
+      let endAt = occurrence.end_at;
+      if (override.end_at) {
+        endAt = new Date(override.end_at);
+      } else if (endAt) {
+        endAt = new Date(startAt.getTime() + (endAt - occurrence.start_at));
+      }
+
+      const changes = {};
+      for (const field of OCCURRENCE_DETAIL_FIELDS) {
+        if (override[field] !== undefined && override[field] !== null) {
+          changes[field] = override[field];
+        }
+      }
+
+      return {
+        occurrence_start: getOccurrenceKey(
+          occurrence.occurrence_start,
+          event.all_day
+        ),
+        start_at: startAt,
+        end_at: endAt,
+        cancelled: Boolean(override.cancelled),
+        changed: override.occurrence_start !== undefined,
+        changes,
+      };
+    })
+    .filter(({ start_at: start }) => start >= from && start <= to)
+    .sort((a, b) => a.start_at - b.start_at);
+};
+
+/**
+ * Get when the last occurrence of a recurring event ends
+ * Used to find series that are over without expanding them. At most
+ * MAX_SERIES_OCCURRENCES are looked at; a longer series counts as never
+ * ending.
+ * @param {object} event - Event
+ * @returns {Date|null} End of the last occurrence, or null if the series never ends
+ */
+const getSeriesEnd = (event) => {
+  const { rule, toInstant, toRuleTime } = buildRule(event);
+  if (!rule.options.until && !rule.options.count) {
+    return null;
+  }
+
+  const starts = rule.all((date, count) => count < MAX_SERIES_OCCURRENCES);
+  if (starts.length >= MAX_SERIES_OCCURRENCES) {
+    return null;
+  }
+
+  // Exception dates in rule time, so the starts don't need converting
+  const exdates = new Set(
+    normalizeExdates(event.recurrence_exdates, event.all_day).map((key) =>
+      toRuleTime(new Date(key)).getTime()
+    )
+  );
+  let last = null;
+  for (let i = starts.length - 1; i >= 0 && !last; i--) {
+    if (!exdates.has(starts[i].getTime())) {
+      last = starts[i];
+    }
+  }
+  if (!last) {
+    return toInstant(rule.options.dtstart);
+  }
+
+  const duration = getDuration(event, toRuleTime) || 0;
+  const end = toInstant(new Date(last.getTime() + duration));
+  return event.all_day ? new Date(end.getTime() + DAY_MS) : end;
+};
+
+/**
+ * Check a recurrence rule against the event it is for
+ * @param {object} event - Event
+ * @returns {string|null} Error message, or null if valid
+ */
+const checkRecurrence = (event) => {
+  let first;
+  try {
+    const { rule, toInstant } = buildRule(event);
+    first = rule.all((date, index) => index < 1)[0];
+    first = first ? toInstant(first) : null;
+  } catch (error) {
+    return error.message;
+  }
+
+  if (!first || first.getTime() !== new Date(event.start_at).getTime()) {
+    return "start_at must be the first occurrence of the recurrence rule";
+  }
+  return null;
+};
+
+module.exports = {
+  OCCURRENCE_DETAIL_FIELDS,
+  MAX_EXPANSION_DAYS,
+  parseRule,
+  getOccurrenceKey,
+  normalizeExdates,
+  expandOccurrences,
+  isOccurrence,
+  getOccurrences,
+  getSeriesEnd,
+  checkRecurrence,
+};
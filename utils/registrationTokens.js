@@ -0,0 +1,57 @@
+/**
+ * Registration tokens (cancellation links of event registrations)
+ * A registration token is a JWT bound to one registration. It does not
+ * expire: it stops being useful once the registration is cancelled.
+ */
+
+const jwt = require("jsonwebtoken");
+const { getJwtSecret } = require("./authTokens");
+const { getPublicAppUrl } = require("./publicUrls");
+
+/**
+ * Generate the token of a registration
+ * @param {object} registration - Registration (id, news_and_events_id)
+ * @returns {string} JWT registration token
+ */
+const generateRegistrationToken = (registration) => {
+  return jwt.sign(
+    {
+      rid: registration.id,
+      nid: registration.news_and_events_id,
+      type: "registration",
+    },
+    getJwtSecret()
+  );
+};
+
+/**
+ * Verify a registration token
+ * @param {string} token - JWT registration token
+ * @returns {number|null} Registration ID, or null if the token is invalid
+ */
+const verifyRegistrationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getJwtSecret());
+    return decoded.type === "registration" ? decoded.rid : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the link a registrant can cancel their registration with
+ * The public site shows the registration and asks before cancelling.
+ * @param {object} registration - Registration (id, news_and_events_id)
+ * @returns {string} Cancellation URL
+ */
+const getCancelUrl = (registration) => {
+  return `${getPublicAppUrl()}/events/registrations/cancel?token=${generateRegistrationToken(
+    registration
+  )}`;
+};
+
+module.exports = {
+  generateRegistrationToken,
+  verifyRegistrationToken,
+  getCancelUrl,
+};
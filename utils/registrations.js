@@ -0,0 +1,251 @@
+/**
+ * Event registration helpers
+ * Custom questions of an event, the answers of registrants and the emails
+ * sent to registrants.
+ */
+
+const logger = require("./logger");
+const { sendMail } = require("../config/mail");
+const { DEFAULT_EVENT_TIMEZONE } = require("../config/newsTypes");
+const {
+  REGISTRATION_STATUS,
+  QUESTION_TYPES,
+  ALL_QUESTION_TYPES,
+  MAX_REGISTRATION_QUESTIONS,
+} = require("../config/registrations");
+const { getCancelUrl } = require("./registrationTokens");
+const { generateTicketCode, renderTicketQr } = require("./tickets");
+const emailTemplates = require("./emailTemplates");
+
+// Longest answer to a text question
+const MAX_ANSWER_LENGTH = 2000;
+
+/**
+ * Normalize the custom questions of an event
+ * Each question is { key, label, type, required, options } where key is a
+ * short identifier of the answer and options lists the choices of a select.
+ * @param {Array|string|null} questions - Questions (array or JSON array string)
+ * @returns {Array|null} Normalized questions, or null without questions
+ * @throws {Error} If a question is invalid
+ */
+const normalizeQuestions = (questions) => {
+  if (!questions) {
+    return null;
+  }
+
+  const list =
+    typeof questions === "string" ? JSON.parse(questions) : questions;
+  if (!Array.isArray(list)) {
+    throw new Error("registration_questions must be an array");
+  }
+  if (list.length > MAX_REGISTRATION_QUESTIONS) {
+    throw new Error(
+      `An event can ask at most ${MAX_REGISTRATION_QUESTIONS} questions`
+    );
+  }
+
+  const keys = new Set();
+  const normalized = list.map((question, index) => {
+    const { key, label, type = QUESTION_TYPES.TEXT } = question || {};
+    if (typeof key !== "string" || !/^[a-z0-9_]{1,50}$/.test(key)) {
+      throw new Error(
+        `Question ${index + 1}: key must be 1-50 lowercase letters, digits or underscores`
+      );
+    }
+    if (keys.has(key)) {
+      throw new Error(`Question ${index + 1}: key '${key}' is used twice`);
+    }
+    keys.add(key);
+
+    if (typeof label !== "string" || !label.trim() || label.length > 255) {
+      throw new Error(`Question ${index + 1}: label must be 1-255 characters`);
+    }
+    if (!ALL_QUESTION_TYPES.includes(type)) {
+      throw new Error(
+        `Question ${index + 1}: type must be one of: ${ALL_QUESTION_TYPES.join(", ")}`
+      );
+    }
+
+    const normalizedQuestion = {
+      key,
+      label: label.trim(),
+      type,
+      required: Boolean(question.required),
+    };
+    if (type === QUESTION_TYPES.SELECT) {
+      if (
+        !Array.isArray(question.options) ||
+        question.options.length === 0 ||
+        !question.options.every(
+          (option) => typeof option === "string" && option.trim()
+        )
+      ) {
+        throw new Error(
+          `Question ${index + 1}: a select question needs a list of options`
+        );
+      }
+      normalizedQuestion.options = question.options.map((option) =>
+        option.trim()
+      );
+    }
+    return normalizedQuestion;
+  });
+
+  return normalized.length > 0 ? normalized : null;
+};
+
+/**
+ * Check the answers of a registrant against the questions of the event
+ * Answers to unknown questions are dropped.
+ * @param {Array|null} questions - Questions of the event
+ * @param {object} [answers] - Answers keyed by question key
+ * @returns {object} { answers, error } with the cleaned answers (or null)
+ */
+const checkAnswers = (questions, answers = {}) => {
+  const cleaned = {};
+
+  for (const question of questions || []) {
+    let answer = answers[question.key];
+    if (typeof answer === "string") {
+      answer = answer.trim();
+    }
+
+    if (question.type === QUESTION_TYPES.CHECKBOX) {
+      answer = answer === true || answer === "true";
+      if (question.required && !answer) {
+        return { answers: null, error: `${question.label} must be checked` };
+      }
+      cleaned[question.key] = answer;
+      continue;
+    }
+
+    if (answer === undefined || answer === null || answer === "") {
+      if (question.required) {
+        return { answers: null, error: `${question.label} is required` };
+      }
+      continue;
+    }
+
+    if (typeof answer !== "string" || answer.length > MAX_ANSWER_LENGTH) {
+      return {
+        answers: null,
+        error: `${question.label} must be text of at most ${MAX_ANSWER_LENGTH} characters`,
+      };
+    }
+    if (
+      question.type === QUESTION_TYPES.SELECT &&
+      !question.options.includes(answer)
+    ) {
+      return {
+        answers: null,
+        error: `${question.label} must be one of: ${question.options.join(", ")}`,
+      };
+    }
+    cleaned[question.key] = answer;
+  }
+
+  return {
+    answers: Object.keys(cleaned).length > 0 ? cleaned : null,
+    error: null,
+  };
+};
+
+/**
+ * Get the number of seats a registration takes
+ * @param {object} registration - Registration (guests)
+ * @returns {number} Seats (the registrant and their guests)
+ */
+const getSeats = (registration) => 1 + (parseInt(registration.guests) || 0);
+
+/**
+ * Format the date of an event (or of one occurrence) for an email
+ * @param {object} event - Event (start_at, all_day, timezone)
+ * @param {Date|string|null} [occurrenceStart] - Start of the occurrence
+ * @returns {string} Date in the event's timezone, e.g. "Thursday, 15 October 2026 at 19:00"
+ */
+const formatEventDate = (event, occurrenceStart) => {
+  const start = new Date(occurrenceStart || event.start_at);
+  return new Intl.DateTimeFormat("en-GB", {
+    dateStyle: "full",
+    timeStyle: event.all_day ? undefined : "short",
+    timeZone: event.all_day ? "UTC" : event.timezone || DEFAULT_EVENT_TIMEZONE,
+  }).format(start);
+};
+
+// Content ID of the ticket QR code attached to registration emails
+const TICKET_CID = "ticket@tccswiss.org";
+
+/**
+ * Email a registrant about their registration
+ * Emails about a confirmed registration carry its ticket as a QR code.
+ * Failures are logged: the registration itself has already been saved.
+ * @param {string} template - Template name in utils/emailTemplates
+ *   (registrationConfirmationEmail, registrationPromotedEmail, registrationCancelledEmail)
+ * @param {object} registration - Registration
+ * @param {object} event - Event of the registration
+ * @returns {Promise<void>}
+ */
+const notifyRegistrant = async (template, registration, event) => {
+  try {
+    const ticketCode =
+      registration.status === REGISTRATION_STATUS.CONFIRMED
+        ? generateTicketCode(registration)
+        : null;
+
+    await sendMail({
+      to: registration.email,
+      ...emailTemplates[template]({
+        name: registration.name,
+        status: registration.status,
+        guests: registration.guests,
+        eventTitle: event.title,
+        eventDate: formatEventDate(event, registration.occurrence_start),
+        venue: [event.venue_name, event.venue_address, event.venue_city]
+          .filter(Boolean)
+          .join(", "),
+        cancelUrl: getCancelUrl(registration),
+        ticketCode,
+        ticketCid: TICKET_CID,
+      }),
+      attachments: ticketCode
+        ? [
+            {
+              filename: `ticket-${registration.id}.png`,
+              content: await renderTicketQr(ticketCode, "png"),
+              contentType: "image/png",
+              cid: TICKET_CID,
+            },
+          ]
+        : undefined,
+    });
+    logger.info(
+      `Registration email (${template}) sent for registration ${registration.id}`
+    );
+  } catch (error) {
+    logger.error(
+      `Error sending registration email for registration ${registration.id}:`,
+      error
+    );
+  }
+};
+
+/**
+ * Email registrants whose registration moved from the waitlist to confirmed
+ * @param {Array} registrations - Promoted registrations
+ * @param {object} event - Event of the registrations
+ * @returns {Promise<void>}
+ */
+const notifyPromoted = async (registrations, event) => {
+  for (const registration of registrations) {
+    await notifyRegistrant("registrationPromotedEmail", registration, event);
+  }
+};
+
+module.exports = {
+  normalizeQuestions,
+  checkAnswers,
+  getSeats,
+  formatEventDate,
+  notifyRegistrant,
+  notifyPromoted,
+};
@@ -0,0 +1,188 @@
+/**
+ * Rich-text rendering
+ * Turns a description source (plain text, Markdown or HTML) into sanitized
+ * HTML and a plain-text excerpt. Only the tags and attributes below survive;
+ * scripts, styles, event handlers and javascript: URLs are always removed.
+ */
+
+const { marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+const { escapeHtml } = require("./helpers");
+const {
+  TEXT_FORMATS,
+  DEFAULT_TEXT_FORMAT,
+  EXCERPT_LENGTH,
+} = require("../config/textFormats");
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "p",
+    "br",
+    "hr",
+    "strong",
+    "b",
+    "em",
+    "i",
+    "u",
+    "s",
+    "del",
+    "sub",
+    "sup",
+    "blockquote",
+    "code",
+    "pre",
+    "ul",
+    "ol",
+    "li",
+    "a",
+    "img",
+    "figure",
+    "figcaption",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "title", "width", "height"],
+    ol: ["start"],
+    th: ["colspan", "rowspan"],
+    td: ["colspan", "rowspan"],
+  },
+  allowedSchemes: ["http", "https", "mailto", "tel"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  allowProtocolRelative: false,
+  transformTags: {
+    // Links opening a new tab must not get access to this page
+    a: (tagName, attribs) =>
+      attribs.target === "_blank"
+        ? { tagName, attribs: { ...attribs, rel: "noopener noreferrer" } }
+        : { tagName, attribs },
+  },
+};
+
+// Tags after which a space is needed so words don't run together in the excerpt
+const BLOCK_END =
+  /<\/(p|h[1-6]|li|blockquote|pre|figcaption|td|th)>|<br\s*\/?>/gi;
+
+/**
+ * Render plain text as HTML paragraphs (blank lines separate paragraphs)
+ * @param {string} text - Plain text
+ * @returns {string} HTML
+ */
+const plainTextToHtml = (text) =>
+  text
+    .split(/\r?\n\s*\r?\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter((paragraph) => paragraph.length > 0)
+    .map(
+      (paragraph) =>
+        `<p>${escapeHtml(paragraph).replace(/\r?\n/g, "<br>")}</p>`
+    )
+    .join("\n");
+
+/**
+ * Convert sanitized HTML to plain text
+ * @param {string|null} html - Sanitized HTML
+ * @returns {string} Text on one line
+ */
+const toPlainText = (html) =>
+  sanitizeHtml((html || "").replace(BLOCK_END, "$& "), {
+    allowedTags: [],
+    allowedAttributes: {},
+  })
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Build a plain-text excerpt of sanitized HTML
+ * @param {string} html - Sanitized HTML
+ * @returns {string} Excerpt of at most EXCERPT_LENGTH characters
+ */
+const buildExcerpt = (html) => {
+  const text = toPlainText(html);
+
+  if (text.length <= EXCERPT_LENGTH) {
+    return text;
+  }
+
+  // Cut at the last word boundary that fits (leaving room for the ellipsis)
+  const cut = text.slice(0, EXCERPT_LENGTH);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+};
+
+/**
+ * Render a rich-text source
+ * HTML sources are sanitized themselves, so unsafe HTML is never stored.
+ * @param {string|null} source - Source text
+ * @param {string} [format] - plain, markdown or html
+ * @returns {object} { source, html, excerpt } (all null for an empty source)
+ */
+const renderRichText = (source, format = DEFAULT_TEXT_FORMAT) => {
+  if (!source) {
+    return { source: null, html: null, excerpt: null };
+  }
+
+  let html;
+  if (format === TEXT_FORMATS.MARKDOWN) {
+    html = sanitizeHtml(marked.parse(source, { gfm: true }), SANITIZE_OPTIONS);
+  } else if (format === TEXT_FORMATS.HTML) {
+    html = sanitizeHtml(source, SANITIZE_OPTIONS);
+    source = html;
+  } else {
+    html = plainTextToHtml(source);
+  }
+
+  return { source, html, excerpt: buildExcerpt(html) };
+};
+
+/**
+ * Render the description of a create or update request
+ * Sets description, description_format, description_html and excerpt when
+ * the description or its format changes.
+ * @param {object} data - Request data (modified in place)
+ * @param {object} [existing] - Stored item (on update)
+ */
+const applyRichText = (data, existing = {}) => {
+  if (
+    data.description === undefined &&
+    data.description_format === undefined
+  ) {
+    return;
+  }
+
+  const format =
+    data.description_format ||
+    existing.description_format ||
+    DEFAULT_TEXT_FORMAT;
+  const rendered = renderRichText(
+    data.description !== undefined ? data.description : existing.description,
+    format
+  );
+
+  data.description_format = format;
+  data.description = rendered.source;
+  data.description_html = rendered.html;
+  data.excerpt = rendered.excerpt;
+};
+
+module.exports = {
+  renderRichText,
+  applyRichText,
+  toPlainText,
+};
@@ -0,0 +1,202 @@
+/**
+ * Full-text search helpers
+ * Searches use the FULLTEXT indexes in boolean mode: every word of a search
+ * must appear in the result, as a word or the start of one (so "regist"
+ * finds "registration"). Words are compared without case and accents: in
+ * MySQL by the utf8mb4_unicode_ci collation, here by folding them. Like in
+ * slugs, only accents of Latin letters are removed: the combining marks of
+ * other scripts (e.g. Tamil vowel signs) are part of their words.
+ */
+
+const { escapeHtml } = require("./helpers");
+const { MAX_SEARCH_TERMS, SEARCH_SNIPPET_LENGTH } = require("../config/search");
+
+// InnoDB's default stopwords: they are not indexed, so requiring them would
+// only match other words that start with them
+const STOPWORDS = new Set([
+  "a",
+  "about",
+  "an",
+  "are",
+  "as",
+  "at",
+  "be",
+  "by",
+  "com",
+  "de",
+  "en",
+  "for",
+  "from",
+  "how",
+  "i",
+  "in",
+  "is",
+  "it",
+  "la",
+  "of",
+  "on",
+  "or",
+  "that",
+  "the",
+  "this",
+  "to",
+  "was",
+  "what",
+  "when",
+  "where",
+  "who",
+  "will",
+  "with",
+  "und",
+  "www",
+]);
+
+/**
+ * Fold text for comparison: lowercase, without accents on Latin letters
+ * @param {string} text - Text
+ * @returns {string} Folded text, e.g. "Zürich" -> "zurich"
+ */
+const foldText = (text) =>
+  String(text)
+    .normalize("NFD")
+    .replace(/([a-zA-Z])\p{M}+/gu, "$1")
+    .normalize("NFC")
+    .toLowerCase();
+
+/**
+ * Get the words of a search
+ * @param {string} search - Search as typed
+ * @returns {Array<string>} Folded words, without duplicates and stopwords
+ */
+const getSearchTerms = (search) => {
+  if (typeof search !== "string") {
+    return [];
+  }
+
+  const terms = foldText(search)
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter((term) => term && !STOPWORDS.has(term));
+  return [...new Set(terms)].slice(0, MAX_SEARCH_TERMS);
+};
+
+/**
+ * Normalize a search for counting and suggesting it
+ * @param {string} search - Search as typed
+ * @returns {string} Lowercase search with single spaces
+ */
+const normalizeQuery = (search) =>
+  String(search || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Build the boolean-mode query of a search (for MATCH ... AGAINST)
+ * @param {string} search - Search as typed
+ * @returns {string|null} Query, e.g. "+annual* +meeting*", or null if the
+ *   search has no words
+ */
+const toBooleanQuery = (search) => {
+  const terms = getSearchTerms(search);
+  return terms.length > 0 ? terms.map((term) => `+${term}*`).join(" ") : null;
+};
+
+/**
+ * Find the words of a text that match the search words
+ * @param {string} text - Text
+ * @param {Array<string>} terms - Search words (from getSearchTerms)
+ * @returns {Array<Array<number>>} [start, end] of each matching word in text
+ */
+const findMatches = (text, terms) => {
+  if (terms.length === 0) {
+    return [];
+  }
+
+  // Fold character by character, remembering where each folded character
+  // comes from (folding may change the length of the text)
+  let folded = "";
+  const origins = [];
+  let index = 0;
+  for (const character of text) {
+    const foldedCharacter = foldText(character);
+    folded += foldedCharacter;
+    for (let i = 0; i < foldedCharacter.length; i++) {
+      origins.push(index);
+    }
+    index += character.length;
+  }
+  origins.push(text.length);
+
+  // Terms only contain letters, marks and digits (see getSearchTerms)
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{M}\\p{N}])(?:${terms.join("|")})[\\p{L}\\p{M}\\p{N}]*`,
+    "gu"
+  );
+  return [...folded.matchAll(pattern)].map((match) => [
+    origins[match.index],
+    origins[match.index + match[0].length],
+  ]);
+};
+
+/**
+ * Highlight the search words in a text
+ * Long texts are cut to a snippet around the first match.
+ * @param {string|null} text - Plain text
+ * @param {Array<string>} terms - Search words (from getSearchTerms)
+ * @param {number} [length] - Longest snippet, in characters (Infinity for
+ *   the whole text)
+ * @returns {string|null} HTML with matches in <mark>, or null without text
+ */
+const highlight = (text, terms, length = SEARCH_SNIPPET_LENGTH) => {
+  if (!text) {
+    return null;
+  }
+
+  const source = String(text).replace(/\s+/g, " ").trim();
+  const matches = findMatches(source, terms);
+
+  let start = 0;
+  let end = source.length;
+  if (source.length > length) {
+    // Start a little before the first match, at a word boundary
+    const first = matches.length > 0 ? matches[0][0] : 0;
+    start = Math.max(
+      0,
+      Math.min(first - Math.floor(length / 4), source.length - length)
+    );
+    const space = source.indexOf(" ", start);
+    if (start > 0 && space !== -1 && space < first) {
+      start = space + 1;
+    }
+
+    end = start + length;
+    const lastSpace = source.lastIndexOf(" ", end);
+    if (end < source.length && lastSpace > start) {
+      end = lastSpace;
+    }
+  }
+
+  let html = start > 0 ? "…" : "";
+  let position = start;
+  for (const [matchStart, matchEnd] of matches) {
+    if (matchEnd <= start || matchStart >= end) {
+      continue;
+    }
+    const from = Math.max(matchStart, start);
+    const to = Math.min(matchEnd, end);
+    html += `${escapeHtml(source.slice(position, from))}<mark>${escapeHtml(
+      source.slice(from, to)
+    )}</mark>`;
+    position = to;
+  }
+  html += escapeHtml(source.slice(position, end));
+  return end < source.length ? `${html}…` : html;
+};
+
+module.exports = {
+  foldText,
+  getSearchTerms,
+  normalizeQuery,
+  toBooleanQuery,
+  highlight,
+};
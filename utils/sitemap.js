@@ -0,0 +1,54 @@
+/**
+ * XML sitemap output (sitemaps.org protocol)
+ */
+
+const { element } = require("./xml");
+
+const SITEMAP_NAMESPACE = "http://www.sitemaps.org/schemas/sitemap/0.9";
+
+/**
+ * Format a lastmod date
+ * @param {Date|string|null} date - Date
+ * @returns {string|null} W3C datetime, or null without a date
+ */
+const formatLastmod = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Build a sitemap
+ * @param {Array<object>} urls - Pages { loc, lastmod }
+ * @returns {string} Sitemap document
+ */
+const buildUrlSet = (urls) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<urlset xmlns="${SITEMAP_NAMESPACE}">`,
+    ...urls.map(
+      ({ loc, lastmod }) =>
+        `<url>${element("loc", loc)}${element("lastmod", formatLastmod(lastmod))}</url>`
+    ),
+    "</urlset>",
+  ].join("\n");
+
+/**
+ * Build a sitemap index
+ * @param {Array<object>} sitemaps - Sitemaps { loc, lastmod }
+ * @returns {string} Sitemap index document
+ */
+const buildSitemapIndex = (sitemaps) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<sitemapindex xmlns="${SITEMAP_NAMESPACE}">`,
+    ...sitemaps.map(
+      ({ loc, lastmod }) =>
+        `<sitemap>${element("loc", loc)}${element(
+          "lastmod",
+          formatLastmod(lastmod)
+        )}</sitemap>`
+    ),
+    "</sitemapindex>",
+  ].join("\n");
+
+module.exports = {
+  buildUrlSet,
+  buildSitemapIndex,
+};
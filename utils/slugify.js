@@ -0,0 +1,49 @@
+/**
+ * Slug helpers for SEO-friendly URLs
+ * Latin text is transliterated to ASCII (German umlauts and ß spelled out,
+ * other accents removed). Other scripts such as Tamil are kept as they are,
+ * since removing their combining vowel signs would change the words.
+ */
+
+// Maximum slug length in characters (leaves room for a "-N" suffix)
+const MAX_SLUG_LENGTH = 200;
+
+// German transliteration (before accents are removed, so ä becomes ae, not a)
+const TRANSLITERATIONS = {
+  ä: "ae",
+  ö: "oe",
+  ü: "ue",
+  Ä: "Ae",
+  Ö: "Oe",
+  Ü: "Ue",
+  ß: "ss",
+  ẞ: "SS",
+};
+
+/**
+ * Convert text to a URL slug
+ * @param {string} text - Text to convert (e.g. a title)
+ * @returns {string} Slug (lowercase words joined by hyphens), may be empty
+ */
+const slugify = (text) => {
+  const slug = String(text || "")
+    .replace(/[äöüÄÖÜßẞ]/g, (char) => TRANSLITERATIONS[char])
+    .normalize("NFD")
+    // Remove accents from Latin letters only
+    .replace(/([a-zA-Z])\p{M}+/gu, "$1")
+    .normalize("NFC")
+    .toLowerCase()
+    // Everything but letters, combining marks and digits separates words
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+
+  return Array.from(slug)
+    .slice(0, MAX_SLUG_LENGTH)
+    .join("")
+    .replace(/-+$/, "");
+};
+
+module.exports = {
+  MAX_SLUG_LENGTH,
+  slugify,
+};
@@ -0,0 +1,76 @@
+/**
+ * Event tickets (QR codes scanned at the door)
+ * A ticket code is the registration ID and an HMAC signature of it, so codes
+ * can't be guessed and need no storage. Whether a ticket is still valid
+ * (confirmed, not yet checked in) is decided by its registration.
+ */
+
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const { getJwtSecret } = require("./authTokens");
+
+// Supported QR image formats and their content types
+const TICKET_FORMATS = {
+  png: "image/png",
+  svg: "image/svg+xml",
+};
+
+/**
+ * Sign a registration ID
+ * @param {number} registrationId - Registration ID
+ * @returns {string} Signature (base64url)
+ */
+const sign = (registrationId) =>
+  crypto
+    .createHmac("sha256", getJwtSecret())
+    .update(`ticket:${registrationId}`)
+    .digest()
+    .subarray(0, 12)
+    .toString("base64url");
+
+/**
+ * Generate the ticket code of a registration
+ * @param {object} registration - Registration (id)
+ * @returns {string} Ticket code, e.g. "42.q5bY0wI3lL9n8Gm2"
+ */
+const generateTicketCode = (registration) =>
+  `${registration.id}.${sign(registration.id)}`;
+
+/**
+ * Verify a ticket code
+ * @param {string} code - Ticket code
+ * @returns {number|null} Registration ID, or null if the code is invalid
+ */
+const verifyTicketCode = (code) => {
+  const match = /^(\d{1,10})\.([A-Za-z0-9_-]{16})$/.exec(
+    String(code || "").trim()
+  );
+  if (!match) {
+    return null;
+  }
+
+  const registrationId = parseInt(match[1], 10);
+  const expected = Buffer.from(sign(registrationId));
+  const given = Buffer.from(match[2]);
+  return crypto.timingSafeEqual(expected, given) ? registrationId : null;
+};
+
+/**
+ * Render the QR code of a ticket
+ * @param {string} code - Ticket code
+ * @param {string} [format] - "png" (default) or "svg"
+ * @returns {Promise<Buffer|string>} PNG image, or SVG markup
+ */
+const renderTicketQr = (code, format = "png") => {
+  const options = { errorCorrectionLevel: "M", margin: 2, width: 320 };
+  return format === "svg"
+    ? QRCode.toString(code, { ...options, type: "svg" })
+    : QRCode.toBuffer(code, { ...options, type: "png" });
+};
+
+module.exports = {
+  TICKET_FORMATS,
+  generateTicketCode,
+  verifyTicketCode,
+  renderTicketQr,
+};
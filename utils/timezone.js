@@ -0,0 +1,113 @@
+/**
+ * Timezone conversion helpers (IANA timezones, no external data)
+ * A "wall clock" date is a Date whose UTC fields hold the local time in a
+ * timezone, e.g. 19:00 in Europe/Zurich is 19:00Z as a wall clock date.
+ */
+
+/**
+ * Get the offset of a timezone at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds (local time minus UTC)
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  const local = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return local - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert an instant to its wall clock time in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Wall clock date
+ */
+const toWallClock = (date, timeZone) =>
+  new Date(date.getTime() + getTimeZoneOffset(date, timeZone));
+
+/**
+ * Convert a wall clock time in a timezone to the instant
+ * Times skipped by a DST change are moved forward by the change.
+ * @param {Date} wallClock - Wall clock date
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Instant
+ */
+const fromWallClock = (wallClock, timeZone) => {
+  const guess = wallClock.getTime() - getTimeZoneOffset(wallClock, timeZone);
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  return new Date(wallClock.getTime() - offset);
+};
+
+/**
+ * Find the offset changes (e.g. DST changes) of a timezone within a period
+ * Offsets are sampled weekly and each change is narrowed down to the minute.
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} from - Period start
+ * @param {Date} to - Period end
+ * @returns {Array<object>} Changes { at (Date), offsetFrom, offsetTo } by date
+ */
+const getTimeZoneTransitions = (timeZone, from, to) => {
+  const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+  const MINUTE_MS = 60 * 1000;
+  const transitions = [];
+
+  // Whole minutes, so the search below always halves the interval
+  const end = Math.ceil(to.getTime() / MINUTE_MS) * MINUTE_MS;
+  let before = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS;
+  let beforeOffset = getTimeZoneOffset(new Date(before), timeZone);
+  while (before < end) {
+    const after = Math.min(before + WEEK_MS, end);
+    const afterOffset = getTimeZoneOffset(new Date(after), timeZone);
+
+    if (afterOffset !== beforeOffset) {
+      let low = before;
+      let high = after;
+      while (high - low > MINUTE_MS) {
+        const middle =
+          low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+        if (getTimeZoneOffset(new Date(middle), timeZone) === beforeOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({
+        at: new Date(high),
+        offsetFrom: beforeOffset,
+        offsetTo: afterOffset,
+      });
+    }
+
+    before = after;
+    beforeOffset = afterOffset;
+  }
+
+  return transitions;
+};
+
+module.exports = {
+  getTimeZoneOffset,
+  toWallClock,
+  fromWallClock,
+  getTimeZoneTransitions,
+};
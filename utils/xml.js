@@ -0,0 +1,34 @@
+/**
+ * XML helpers shared by the feeds and the sitemap
+ */
+
+/**
+ * Escape text for XML content and attribute values
+ * Control characters, which XML doesn't allow, are dropped.
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) =>
+  String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * Write an element with text content, or nothing without a value
+ * @param {string} name - Element name
+ * @param {*} value - Text content
+ * @returns {string} Element
+ */
+const element = (name, value) =>
+  value === null || value === undefined || value === ""
+    ? ""
+    : `<${name}>${escapeXml(value)}</${name}>`;
+
+module.exports = {
+  escapeXml,
+  element,
+};